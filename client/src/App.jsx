@@ -6,6 +6,8 @@ import Register from './pages/Register.jsx';
 import Dashboard from './pages/Dashboard.jsx';
 import CreateExam from './pages/CreateExam.jsx';
 import AdminMonitor from './pages/AdminMonitor.jsx';
+import GradingQueue from './pages/GradingQueue.jsx';
+import QuestionBank from './pages/QuestionBank.jsx';
 import ExamRoom from './pages/ExamRoom.jsx';
 import MobileCam from './pages/MobileCam.jsx';
 import './index.css';
@@ -52,6 +54,22 @@ export default function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/questions"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <QuestionBank />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/grading"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <GradingQueue />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/exam/:id"
             element={
@@ -0,0 +1,145 @@
+/**
+ * BankPicker — Adds question-bank snapshots to an exam being built.
+ *
+ * Two ways in:
+ *  - Rules:  "5 easy kinetics + 3 hard equilibrium" → random sample
+ *  - Pick:   search the bank and tick individual questions
+ *
+ * Both go through POST /questions/resolve, which returns frozen
+ * exam-ready copies; the parent just appends them to its questions.
+ */
+
+import { useState } from 'react';
+import LatexRenderer from './LatexRenderer.jsx';
+import api from '../services/api.js';
+
+const EMPTY_RULE = { subject: '', topic: '', difficulty: '', count: 1 };
+
+export default function BankPicker({ existingSourceIds = [], onAdd }) {
+    const [rules, setRules] = useState([{ ...EMPTY_RULE }]);
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [picked, setPicked] = useState([]);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const resolve = async (body) => {
+        setBusy(true);
+        setError('');
+        try {
+            const data = await api.post('/questions/resolve', { ...body, excludeIds: existingSourceIds });
+            onAdd(data.questions);
+            return true;
+        } catch (err) {
+            setError(err.message);
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const updateRule = (index, key, value) => {
+        setRules(prev => prev.map((r, i) => (i === index ? { ...r, [key]: value } : r)));
+    };
+
+    const handleAddByRules = async () => {
+        const cleaned = rules
+            .map(r => ({ ...r, count: parseInt(r.count) || 0 }))
+            .filter(r => r.count > 0);
+        if (cleaned.length && await resolve({ rules: cleaned })) {
+            setRules([{ ...EMPTY_RULE }]);
+        }
+    };
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        try {
+            const data = await api.get(`/questions?q=${encodeURIComponent(query)}&limit=50`);
+            setResults(data.questions);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const togglePick = (qid) => {
+        setPicked(prev => (prev.includes(qid) ? prev.filter(id => id !== qid) : [...prev, qid]));
+    };
+
+    const handleAddPicked = async () => {
+        if (picked.length && await resolve({ questionIds: picked })) {
+            setPicked([]);
+        }
+    };
+
+    return (
+        <div style={{ background: 'var(--bg-elevated)', padding: 16, borderRadius: 8, marginBottom: 24 }}>
+            <div style={{ fontWeight: 600, marginBottom: 12 }}>🏦 Add from Question Bank</div>
+
+            {error && <div className="text-danger text-sm" style={{ marginBottom: 12 }}>⚠️ {error}</div>}
+
+            {/* Rules */}
+            <div className="text-sm text-muted" style={{ marginBottom: 8 }}>By rules</div>
+            {rules.map((rule, i) => (
+                <div key={i} style={{ display: 'grid', gridTemplateColumns: '80px 1fr 1fr 1fr auto', gap: 8, marginBottom: 8 }}>
+                    <input
+                        type="number" className="input-field" min="1"
+                        value={rule.count} onChange={e => updateRule(i, 'count', e.target.value)}
+                    />
+                    <select className="input-field" value={rule.difficulty} onChange={e => updateRule(i, 'difficulty', e.target.value)}>
+                        <option value="">Any difficulty</option>
+                        <option value="easy">Easy</option>
+                        <option value="medium">Medium</option>
+                        <option value="hard">Hard</option>
+                    </select>
+                    <input className="input-field" placeholder="Subject" value={rule.subject} onChange={e => updateRule(i, 'subject', e.target.value)} />
+                    <input className="input-field" placeholder="Topic" value={rule.topic} onChange={e => updateRule(i, 'topic', e.target.value)} />
+                    <button
+                        type="button" className="btn btn-ghost" style={{ padding: '4px 8px' }}
+                        onClick={() => setRules(prev => (prev.length > 1 ? prev.filter((_, j) => j !== i) : prev))}
+                        title="Remove rule"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+            <div style={{ display: 'flex', gap: 8, marginBottom: 20 }}>
+                <button type="button" className="btn btn-ghost" onClick={() => setRules(prev => [...prev, { ...EMPTY_RULE }])}>
+                    + Rule
+                </button>
+                <button type="button" className="btn btn-primary" onClick={handleAddByRules} disabled={busy}>
+                    Add by Rules
+                </button>
+            </div>
+
+            {/* Hand-pick */}
+            <div className="text-sm text-muted" style={{ marginBottom: 8 }}>By hand</div>
+            <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+                <input
+                    className="input-field" placeholder="Search question text…"
+                    value={query} onChange={e => setQuery(e.target.value)}
+                    onKeyDown={e => e.key === 'Enter' && handleSearch(e)}
+                />
+                <button type="button" className="btn btn-ghost" onClick={handleSearch}>Search</button>
+            </div>
+            {results.length > 0 && (
+                <div style={{ maxHeight: 200, overflowY: 'auto', marginBottom: 8 }}>
+                    {results.map(q => (
+                        <label key={q._id} style={{ display: 'flex', gap: 8, padding: '6px 0', fontSize: 14, cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                checked={picked.includes(q._id)}
+                                disabled={existingSourceIds.includes(q._id)}
+                                onChange={() => togglePick(q._id)}
+                            />
+                            <span style={{ flex: 1 }}><LatexRenderer>{q.text}</LatexRenderer></span>
+                            <span className="text-muted">{q.difficulty}</span>
+                        </label>
+                    ))}
+                </div>
+            )}
+            <button type="button" className="btn btn-primary" onClick={handleAddPicked} disabled={busy || !picked.length}>
+                Add Selected ({picked.length})
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,51 @@
+/**
+ * CameraTile — Live view of one student device's camera for the proctor.
+ *
+ * Opens a WebRTC view on mount (see services/rtc.js) and closes it on
+ * unmount, so only tiles on screen hold a peer connection.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getSocket } from '../services/socket.js';
+import { getCameraViewer } from '../services/rtc.js';
+
+export default function CameraTile({ examId, studentId, device, label, height = 160, onClick }) {
+    const videoRef = useRef(null);
+    const [state, setState] = useState({ live: false, message: 'Connecting…' });
+
+    useEffect(() => {
+        const stop = getCameraViewer(getSocket()).watch(
+            { examId, studentId, device },
+            {
+                onStream: (stream) => {
+                    if (videoRef.current) videoRef.current.srcObject = stream;
+                    setState({ live: true, message: '' });
+                },
+                onEnd: (reason) => setState({ live: false, message: reason || 'Stream ended' }),
+            }
+        );
+        return stop;
+    }, [examId, studentId, device]);
+
+    return (
+        <div onClick={onClick} style={{
+            position: 'relative', height, background: '#000', borderRadius: 8, overflow: 'hidden',
+            cursor: onClick ? 'pointer' : 'default', border: '1px solid var(--border-subtle)'
+        }}>
+            <video ref={videoRef} autoPlay muted playsInline style={{
+                width: '100%', height: '100%', objectFit: 'cover', opacity: state.live ? 1 : 0.2
+            }} />
+            {!state.live && (
+                <div className="flex-center" style={{ position: 'absolute', inset: 0, color: '#999', fontSize: 12 }}>
+                    {state.message}
+                </div>
+            )}
+            <div style={{
+                position: 'absolute', bottom: 4, left: 4, fontSize: 11, background: 'rgba(0,0,0,0.6)',
+                padding: '2px 6px', borderRadius: 4, color: 'white'
+            }}>
+                {device === 'mobile' ? '📱' : '💻'} {label}
+            </div>
+        </div>
+    );
+}
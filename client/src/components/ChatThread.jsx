@@ -0,0 +1,84 @@
+/**
+ * ChatThread — One student ↔ proctor conversation.
+ *
+ * Used by the exam room's sidebar and the monitor's inbox. Messages come
+ * in as Message payloads (server models/Message.js); the parent owns
+ * them and does the sending, so this only lays them out.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+const MAX_LENGTH = 1000;
+
+export default function ChatThread({ messages, selfRole, onSend, disabled = false, placeholder = 'Type a message…', height = 240 }) {
+    const listRef = useRef(null);
+    const [draft, setDraft] = useState('');
+    const [sending, setSending] = useState(false);
+    const [error, setError] = useState('');
+
+    // Stay pinned to the newest message
+    useEffect(() => {
+        const list = listRef.current;
+        if (list) list.scrollTop = list.scrollHeight;
+    }, [messages.length]);
+
+    const send = async (e) => {
+        e.preventDefault();
+        const body = draft.trim();
+        if (!body || sending) return;
+
+        setSending(true);
+        setError('');
+        try {
+            await onSend(body);
+            setDraft('');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const lastOwn = [...messages].reverse().find(m => m.senderRole === selfRole);
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+            <div ref={listRef} style={{ height, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 6, fontSize: 13 }}>
+                {messages.length === 0 && (
+                    <div className="text-muted" style={{ margin: 'auto', fontSize: 12 }}>No messages yet</div>
+                )}
+                {messages.map(m => {
+                    const own = m.senderRole === selfRole;
+                    return (
+                        <div key={m.id} style={{
+                            alignSelf: own ? 'flex-end' : 'flex-start', maxWidth: '85%', padding: '6px 10px', borderRadius: 8,
+                            background: own ? 'var(--color-primary)' : 'var(--bg-elevated)', color: own ? 'white' : 'var(--text-primary)',
+                            whiteSpace: 'pre-wrap', wordBreak: 'break-word'
+                        }}>
+                            {!own && (
+                                <div style={{ fontSize: 11, fontWeight: 600, opacity: 0.8 }}>
+                                    {m.senderRole === 'admin' ? (m.senderName || 'Proctor') : (m.senderName || 'Student')}
+                                </div>
+                            )}
+                            {m.body}
+                            <div style={{ fontSize: 10, opacity: 0.7, textAlign: 'right' }}>
+                                {new Date(m.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                {m === lastOwn && m.readAt && ' • Seen'}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+            {error && <div className="text-danger" style={{ fontSize: 12 }}>{error}</div>}
+            <form onSubmit={send} style={{ display: 'flex', gap: 6 }}>
+                <input className="input-field" value={draft} maxLength={MAX_LENGTH} disabled={disabled}
+                    placeholder={placeholder} onChange={e => setDraft(e.target.value)}
+                    style={{ flex: 1, padding: '6px 10px', fontSize: 13 }} />
+                <button className="btn btn-primary" type="submit" disabled={disabled || sending || !draft.trim()}
+                    style={{ padding: '6px 12px', fontSize: 13 }}>
+                    Send
+                </button>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,153 @@
+/**
+ * IdentityCapture — Entry photos on the laptop's waiting screen.
+ *
+ * Webcam preview with "face" and "ID" shots (the ID can come from the
+ * paired phone instead), then submit for the proctor's review. Shows
+ * where the check stands once submitted; see services/identity.js.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import api from '../services/api.js';
+import { captureIdentityPhoto } from '../services/identity.js';
+
+const SHOTS = [
+    { kind: 'face', field: 'face', label: 'Face photo', hint: 'Look straight at the camera' },
+    { kind: 'id', field: 'idCard', label: 'Photo ID', hint: 'Hold your ID up to the camera, or use your phone' },
+];
+
+export default function IdentityCapture({ examId, check, mobileConnected, onUpdate }) {
+    const videoRef = useRef(null);
+    const previewUrls = useRef({}); // kind → object URL of this session's shot
+    const [previews, setPreviews] = useState({});
+    const [busy, setBusy] = useState('');
+    const [error, setError] = useState('');
+    const [retaking, setRetaking] = useState(false);
+
+    const status = check?.status || 'capturing';
+    const capturing = status === 'capturing' || status === 'rejected' || retaking;
+
+    useEffect(() => {
+        if (!capturing) return;
+        let stream = null;
+        let cancelled = false;
+
+        navigator.mediaDevices.getUserMedia({ video: true })
+            .then(s => {
+                if (cancelled) {
+                    s.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                stream = s;
+                if (videoRef.current) videoRef.current.srcObject = s;
+            })
+            .catch(() => setError('Enable camera access to take your photos.'));
+
+        return () => {
+            cancelled = true;
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, [capturing]);
+
+    useEffect(() => {
+        const urls = previewUrls.current;
+        return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+    }, []);
+
+    const take = async (kind) => {
+        setBusy(kind);
+        setError('');
+        try {
+            const { blob, check: updated } = await captureIdentityPhoto(videoRef.current, {
+                kind,
+                examId,
+                token: localStorage.getItem('parallax_token'),
+            });
+            if (previewUrls.current[kind]) URL.revokeObjectURL(previewUrls.current[kind]);
+            previewUrls.current[kind] = URL.createObjectURL(blob);
+            setPreviews({ ...previewUrls.current });
+            onUpdate(updated);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy('');
+        }
+    };
+
+    const submit = async () => {
+        setBusy('submit');
+        setError('');
+        try {
+            const res = await api.post(`/identity/exams/${examId}/submit`, {});
+            setRetaking(false);
+            onUpdate(res.check);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy('');
+        }
+    };
+
+    if (status === 'approved') {
+        return <div style={{ color: 'var(--color-success)' }}>🪪 Identity: ✓ Approved by proctor</div>;
+    }
+
+    if (!capturing) {
+        return (
+            <div>
+                <div>🪪 Identity: photos submitted — waiting for proctor approval…</div>
+                <button className="btn btn-ghost" style={{ fontSize: 12, marginTop: 4 }} onClick={() => setRetaking(true)}>
+                    Retake photos
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div style={{ textAlign: 'left' }}>
+            <div style={{ fontWeight: 600, marginBottom: 8 }}>🪪 Verify your identity</div>
+            {status === 'rejected' && (
+                <div className="text-danger" style={{ fontSize: 13, marginBottom: 8 }}>
+                    Your proctor asked you to retake your photos{check.reviewNote ? `: ${check.reviewNote}` : '.'}
+                </div>
+            )}
+            <video ref={videoRef} autoPlay muted playsInline style={{
+                width: 320, height: 240, background: '#000', borderRadius: 8, objectFit: 'cover', display: 'block'
+            }} />
+            <div style={{ display: 'flex', gap: 12, marginTop: 12 }}>
+                {SHOTS.map(shot => {
+                    const taken = check?.[shot.field];
+                    return (
+                        <div key={shot.kind} style={{ flex: 1 }}>
+                            <div style={{
+                                height: 72, background: 'var(--bg-primary)', borderRadius: 4, marginBottom: 6,
+                                display: 'flex', alignItems: 'center', justifyContent: 'center', overflow: 'hidden', fontSize: 12
+                            }}>
+                                {previews[shot.kind] && taken?.source !== 'mobile' ? (
+                                    <img src={previews[shot.kind]} alt={shot.label} style={{ height: '100%' }} />
+                                ) : taken ? (
+                                    <span className="text-muted">✓ {taken.source === 'mobile' ? 'from phone' : 'taken'}</span>
+                                ) : (
+                                    <span className="text-muted">{shot.hint}</span>
+                                )}
+                            </div>
+                            <button className="btn btn-secondary" style={{ width: '100%', fontSize: 13 }}
+                                disabled={!!busy} onClick={() => take(shot.kind)}>
+                                {busy === shot.kind ? 'Uploading…' : `${taken ? 'Retake' : 'Take'} ${shot.label.toLowerCase()}`}
+                            </button>
+                        </div>
+                    );
+                })}
+            </div>
+            {mobileConnected && !check?.idCard && (
+                <div className="text-muted" style={{ fontSize: 12, marginTop: 8 }}>
+                    📱 You can also photograph your ID with your phone.
+                </div>
+            )}
+            {error && <div className="text-danger" style={{ fontSize: 13, marginTop: 8 }}>{error}</div>}
+            <button className="btn btn-primary" style={{ width: '100%', marginTop: 12 }}
+                disabled={status !== 'capturing' || !check?.face || !check?.idCard || !!busy} onClick={submit}>
+                {busy === 'submit' ? 'Submitting…' : 'Submit for verification'}
+            </button>
+        </div>
+    );
+}
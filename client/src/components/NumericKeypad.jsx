@@ -0,0 +1,60 @@
+/**
+ * NumericKeypad — On-screen keypad for numeric-answer questions.
+ *
+ * Keeps the value as a string so partial input ("-", "3.") survives
+ * between keystrokes; the server parses it at submit time.
+ */
+
+const KEYS = ['7', '8', '9', '4', '5', '6', '1', '2', '3', '-', '0', '.'];
+const MAX_LENGTH = 16;
+
+// Accept only what could become a number: optional leading minus, one dot
+const isValidPartial = (value) => /^-?\d*\.?\d*$/.test(value) && value.length <= MAX_LENGTH;
+
+export default function NumericKeypad({ value = '', onChange }) {
+    const press = (key) => {
+        if (key === '-') {
+            onChange(value.startsWith('-') ? value.slice(1) : `-${value}`);
+            return;
+        }
+        const next = value + key;
+        if (isValidPartial(next)) onChange(next);
+    };
+
+    const keyStyle = {
+        height: 48, borderRadius: 8, border: '1px solid var(--border-subtle)',
+        background: 'var(--bg-elevated)', color: 'var(--text-primary)',
+        fontSize: 18, cursor: 'pointer',
+    };
+
+    return (
+        <div style={{ maxWidth: 280 }}>
+            <input
+                type="text"
+                inputMode="decimal"
+                className="input-field"
+                value={value}
+                placeholder="Enter your answer"
+                onChange={e => isValidPartial(e.target.value) && onChange(e.target.value)}
+                style={{ fontSize: 20, textAlign: 'right', fontVariantNumeric: 'tabular-nums', marginBottom: 12 }}
+            />
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 8 }}>
+                {KEYS.map(key => (
+                    <button key={key} type="button" style={keyStyle} onClick={() => press(key)}>
+                        {key === '-' ? '±' : key}
+                    </button>
+                ))}
+                <button type="button" style={keyStyle} onClick={() => onChange(value.slice(0, -1))}>
+                    ⌫
+                </button>
+                <button
+                    type="button"
+                    style={{ ...keyStyle, gridColumn: 'span 2' }}
+                    onClick={() => onChange('')}
+                >
+                    Clear
+                </button>
+            </div>
+        </div>
+    );
+}
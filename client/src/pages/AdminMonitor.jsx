@@ -1,8 +1,101 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { connectSocket, disconnectSocket } from '../services/socket.js';
+import { connectSocket, disconnectSocket, connectAdminSocket, disconnectAdminSocket } from '../services/socket.js';
 import { useAuth } from '../context/AuthContext.jsx';
 import api from '../services/api.js';
+import CameraTile from '../components/CameraTile.jsx';
+import ChatThread from '../components/ChatThread.jsx';
+
+const SEVERITY_COLORS = {
+    low: 'var(--color-warning)',
+    medium: '#f97316',
+    high: 'var(--color-danger)',
+};
+
+// 0–100 → badge colour; below 50 needs a look, below 80 is worth watching
+const trustBadge = (score) => (score < 50 ? 'badge-danger' : score < 80 ? 'badge-warning' : 'badge-success');
+
+// Camera grid shows a page of students at a time and moves on by itself
+const CAMERA_PAGE_SIZE = 6;
+const CAMERA_CYCLE_MS = 10 * 1000;
+
+// Phone tether status → badge; issues show in the tooltip
+const TETHER_BADGES = {
+    healthy: { className: 'badge-success', label: '📱 OK' },
+    degraded: { className: 'badge-warning', label: '📱 Degraded' },
+    lost: { className: 'badge-danger', label: '📵 Lost' },
+};
+
+const tetherTitle = (t) => [
+    t.issues?.length ? t.issues.join(', ') : t.status,
+    t.battery ? `battery ${Math.round(t.battery.level * 100)}%${t.battery.charging ? ' (charging)' : ''}` : null,
+].filter(Boolean).join(' • ');
+
+// Pre-exam room scan status → badge; submitted scans wait for a proctor's review
+const SCAN_BADGES = {
+    in_progress: { className: 'badge-info', label: '🔄 Scanning' },
+    submitted: { className: 'badge-warning', label: '🔄 Review' },
+    approved: { className: 'badge-success', label: '🔄 OK' },
+    rejected: { className: 'badge-danger', label: '🔄 Redo' },
+};
+
+// Entry identity check status → badge; pending ones are in the Verification queue
+const IDENTITY_BADGES = {
+    capturing: { className: 'badge-info', label: '🪪 Taking' },
+    pending: { className: 'badge-warning', label: '🪪 Verify' },
+    approved: { className: 'badge-success', label: '🪪 OK' },
+    rejected: { className: 'badge-danger', label: '🪪 Retake' },
+};
+
+// Attempt state after proctor actions → badge (in-progress, unpaused attempts show none)
+const attemptBadge = (a) => (a.paused ? { className: 'badge-warning', label: '⏸ Paused' }
+    : a.status === 'terminated' ? { className: 'badge-danger', label: '⛔ Ended' }
+        : a.status === 'submitted' ? { className: 'badge-info', label: '✓ Submitted' }
+            : null);
+
+// Per-student proctor actions (POST /api/interventions/...); `text` is the message or reason field
+const INTERVENTION_LABELS = {
+    warn: 'Warning sent',
+    pause: 'Paused',
+    resume: 'Resumed',
+    force_submit: 'Force-submitted',
+    terminate: 'Terminated',
+    repair: 'Re-pair requested',
+};
+
+const CHAT_ACK_TIMEOUT_MS = 5000;
+
+// Proctor verdict on a violation (PATCH /api/violations/:id/review); dismissed ones don't cost trust
+const REVIEW_BADGES = {
+    pending: { className: 'badge-info', label: 'Unreviewed' },
+    confirmed: { className: 'badge-danger', label: '✓ Confirmed' },
+    dismissed: { className: 'badge-success', label: '✕ Dismissed' },
+    escalated: { className: 'badge-warning', label: '⬆ Escalated' },
+};
+
+// Phone mic level (dBFS) → bar width; -80 is silence, -20 is shouting
+const levelPercent = (db) => Math.round(Math.min(Math.max((db + 80) / 60, 0), 1) * 100);
+
+// Stored Violation document → same shape as a live violation:detected payload
+const toFeedItem = (v) => ({
+    id: v._id,
+    studentId: v.student?._id,
+    studentName: v.student?.name,
+    sessionId: v.sessionId,
+    violation: v.type,
+    confidence: v.confidence,
+    severity: v.severity,
+    source: v.source,
+    timestamp: v.timestamp,
+    evidence: v.evidence,
+    review: {
+        status: v.review?.status || 'pending',
+        note: v.review?.note || '',
+        by: v.review?.by?._id || null,
+        byName: v.review?.by?.name || null,
+        at: v.review?.at || null,
+    },
+});
 
 export default function AdminMonitor() {
     const { id } = useParams();
@@ -12,17 +105,86 @@ export default function AdminMonitor() {
     const [exam, setExam] = useState(null);
     const [students, setStudents] = useState([]);
     const [violations, setViolations] = useState([]);
+    const [trust, setTrust] = useState({}); // studentId → { trustScore, name, status }
+    const [tethers, setTethers] = useState({}); // studentId → { status, issues, battery }
+    const [audioLevels, setAudioLevels] = useState({}); // studentId → { level, speaking }
+    const [sortBy, setSortBy] = useState('risk'); // risk, joined
     const [status, setStatus] = useState('loading');
+    const [evidence, setEvidence] = useState(null); // { violation, url?, error? } — snapshot viewer
+    const [mainView, setMainView] = useState('feed'); // feed, cameras, identity, chat
+    const [cameraTick, setCameraTick] = useState(0);
+    const [focused, setFocused] = useState(null); // studentId in the camera close-up
+    const [scans, setScans] = useState({}); // studentId → room scan summary
+    const [scanReview, setScanReview] = useState(null); // { scan, urls?, error?, note } — room scan viewer
+    const [identities, setIdentities] = useState({}); // studentId → identity check summary
+    const [idReview, setIdReview] = useState(null); // { check, photos?, error?, note, saveAsReference } — ID viewer
+    const [attempts, setAttempts] = useState({}); // studentId → { status, paused, endReason, lastAction }
+    const [actions, setActions] = useState(null); // { student, history?, text, busy } — intervention panel
+    const [threads, setThreads] = useState({}); // studentId → { unread, last, studentName } — chat inbox
+    const [chatThread, setChatThread] = useState(null); // { studentId, messages?, error? } — open conversation
+    const [announcements, setAnnouncements] = useState([]); // sent to the whole room, oldest first
+    const [announce, setAnnounce] = useState(null); // { text, questionId, busy } — announcement composer
+    const [feedFilter, setFeedFilter] = useState({ review: 'all', type: 'all' });
+    const [reviewing, setReviewing] = useState(null); // { violation, note, busy, history?, error? } — review panel
+    const adminSocketRef = useRef(null);
 
     useEffect(() => {
         fetchExamDetails();
 
+        // Stored alerts, so the feed survives a refresh (API is newest-first, the feed is oldest-first)
+        api.get(`/violations/exams/${id}?limit=200`)
+            .then(res => {
+                const stored = res.violations.map(toFeedItem).reverse();
+                // Keep any live alert that arrived while this was loading
+                setViolations(prev => [...stored, ...prev.filter(v => !stored.some(s => s.id === v.id))]);
+            })
+            .catch(err => console.error('Failed to load violations:', err));
+
+        api.get(`/violations/exams/${id}/trust`)
+            .then(res => {
+                const snapshot = Object.fromEntries(res.students.map(s => [s.studentId, s]));
+                setTrust(prev => ({ ...snapshot, ...prev }));
+            })
+            .catch(err => console.error('Failed to load trust scores:', err));
+
+        api.get(`/room-scans/exams/${id}`)
+            .then(res => {
+                const stored = Object.fromEntries(res.scans.map(s => [s.studentId, s]));
+                setScans(prev => ({ ...stored, ...prev }));
+            })
+            .catch(err => console.error('Failed to load room scans:', err));
+
+        api.get(`/identity/exams/${id}`)
+            .then(res => {
+                const stored = Object.fromEntries(res.checks.map(c => [c.studentId, c]));
+                setIdentities(prev => ({ ...stored, ...prev }));
+            })
+            .catch(err => console.error('Failed to load identity checks:', err));
+
+        api.get(`/interventions/exams/${id}`)
+            .then(res => {
+                const stored = Object.fromEntries(res.attempts.map(a => [a.studentId, a]));
+                setAttempts(prev => ({ ...stored, ...prev }));
+            })
+            .catch(err => console.error('Failed to load attempt states:', err));
+
+        api.get(`/chat/exams/${id}`)
+            .then(res => {
+                const stored = Object.fromEntries(res.threads.map(t => [t.studentId, t]));
+                setThreads(prev => ({ ...stored, ...prev }));
+            })
+            .catch(err => console.error('Failed to load chat inbox:', err));
+
+        api.get(`/announcements/exams/${id}`)
+            .then(res => setAnnouncements(prev => [...res.announcements, ...prev.filter(a => !res.announcements.some(s => s.id === a.id))]))
+            .catch(err => console.error('Failed to load announcements:', err));
+
         // Connect to Socket
-        const token = localStorage.getItem('token');
+        const token = localStorage.getItem('parallax_token');
         const socket = connectSocket(token);
 
         if (socket) {
-            socket.emit('join-exam', { examId: id, device: 'admin-monitor' });
+            socket.emit('exam:join', { examId: id, device: 'admin-monitor' });
 
             socket.on('exam:state', (data) => {
                 // Initial state
@@ -30,25 +192,81 @@ export default function AdminMonitor() {
                     // Filter only students (if needed, or just show all connections)
                     setStudents(data.users.filter(u => u.device !== 'admin-monitor'));
                 }
+                if (data.tethers) {
+                    setTethers(Object.fromEntries(data.tethers.map(t => [t.studentId, t])));
+                }
             });
 
             socket.on('exam:user_joined', (data) => {
                 if (data.device === 'admin-monitor') return;
                 setStudents(prev => {
-                    if (prev.find(s => s.userId === data.userId)) return prev;
+                    // One row per device — a paired phone joins alongside the laptop
+                    if (prev.find(s => s.userId === data.userId && s.device === data.device)) return prev;
                     return [...prev, { ...data, connectedAt: Date.now() }];
                 });
             });
 
             socket.on('exam:user_left', (data) => {
-                setStudents(prev => prev.filter(s => s.userId !== data.userId));
+                setStudents(prev => prev.filter(s => !(s.userId === data.userId && s.device === data.device)));
             });
 
             socket.on('violation:detected', (data) => {
-                setViolations(prev => [...prev, { ...data, timestamp: Date.now() }]);
+                setViolations(prev => (prev.some(v => v.id === data.id) ? prev : [...prev, data]));
                 // TODO: Flash UI or Sound Alert
             });
 
+            socket.on('violation:evidence', ({ id: violationId }) => {
+                setViolations(prev => prev.map(v => (v.id === violationId ? { ...v, evidence: true } : v)));
+            });
+
+            // Decisions by any proctor on this exam, including our own
+            socket.on('violation:reviewed', ({ id: violationId, review }) => {
+                setViolations(prev => prev.map(v => (v.id === violationId ? { ...v, review } : v)));
+                setReviewing(prev => (prev?.violation.id === violationId && prev.history
+                    ? { ...prev, violation: { ...prev.violation, review }, history: [...prev.history, review] }
+                    : prev));
+            });
+
+            socket.on('trust:updated', ({ studentId, trustScore }) => {
+                setTrust(prev => ({ ...prev, [studentId]: { ...prev[studentId], studentId, trustScore } }));
+            });
+
+            socket.on('audio:level', ({ studentId, level, speaking }) => {
+                setAudioLevels(prev => ({ ...prev, [studentId]: { level, speaking } }));
+            });
+
+            socket.on('tether:status', (data) => {
+                setTethers(prev => ({ ...prev, [data.studentId]: data }));
+            });
+
+            socket.on('roomscan:updated', (scan) => {
+                setScans(prev => ({ ...prev, [scan.studentId]: { ...prev[scan.studentId], ...scan } }));
+            });
+
+            socket.on('identity:updated', (check) => {
+                setIdentities(prev => ({ ...prev, [check.studentId]: { ...prev[check.studentId], ...check } }));
+            });
+
+            // Any proctor's action on a student (including this one's)
+            // `rule` is the label of the exam's violation rule when one acted instead of a proctor
+            socket.on('proctor:applied', ({ studentId, action, reason, message, rule, at, state }) => {
+                setAttempts(prev => ({ ...prev, [studentId]: state }));
+                if (action === 'repair') {
+                    setTethers(prev => {
+                        const { [studentId]: _dropped, ...rest } = prev;
+                        return rest;
+                    });
+                }
+                setActions(prev => (prev?.student.key === studentId && prev.history
+                    ? { ...prev, history: [...prev.history, { action, reason, message, rule, at }] }
+                    : prev));
+            });
+
+            // Includes ones other proctors post
+            socket.on('exam:announcement', (announcement) => {
+                setAnnouncements(prev => (prev.some(a => a.id === announcement.id) ? prev : [...prev, announcement]));
+            });
+
             socket.on('exam:start', () => {
                 setExam(prev => ({ ...prev, status: 'live' }));
             });
@@ -58,11 +276,63 @@ export default function AdminMonitor() {
             });
         }
 
+        // Chat runs on /admin; (re)join the exam's inbox on every connect
+        const adminSocket = connectAdminSocket(token);
+        adminSocketRef.current = adminSocket;
+        const joinChat = () => adminSocket.emit('chat:join', { examId: id }, (res) => {
+            if (!res?.success) console.error('Chat join failed:', res?.message);
+        });
+        adminSocket.on('connect', joinChat);
+        if (adminSocket.connected) joinChat();
+
+        adminSocket.on('chat:message', (message) => {
+            const fromStudent = message.senderRole === 'student';
+            setThreads(prev => {
+                const thread = prev[message.studentId] || { studentId: message.studentId, unread: 0 };
+                return {
+                    ...prev,
+                    [message.studentId]: {
+                        ...thread,
+                        unread: thread.unread + (fromStudent ? 1 : 0),
+                        last: { body: message.body, senderRole: message.senderRole, createdAt: message.createdAt },
+                    },
+                };
+            });
+            setChatThread(prev => (prev?.studentId === message.studentId && prev.messages && !prev.messages.some(m => m.id === message.id)
+                ? { ...prev, messages: [...prev.messages, message] }
+                : prev));
+        });
+
+        // reader 'admin': some proctor read the student's messages · reader 'student': student saw the replies
+        adminSocket.on('chat:read', ({ studentId, reader }) => {
+            if (reader === 'admin') {
+                setThreads(prev => (prev[studentId] ? { ...prev, [studentId]: { ...prev[studentId], unread: 0 } } : prev));
+            }
+            const readAt = new Date().toISOString();
+            setChatThread(prev => (prev?.studentId === studentId && prev.messages
+                ? { ...prev, messages: prev.messages.map(m => (m.senderRole !== reader && !m.readAt ? { ...m, readAt } : m)) }
+                : prev));
+        });
+
         return () => {
+            adminSocket.off('connect', joinChat);
+            adminSocket.off('chat:message');
+            adminSocket.off('chat:read');
+            adminSocketRef.current = null;
+            disconnectAdminSocket();
             socket.off('exam:state');
             socket.off('exam:user_joined');
             socket.off('exam:user_left');
             socket.off('violation:detected');
+            socket.off('violation:evidence');
+            socket.off('violation:reviewed');
+            socket.off('trust:updated');
+            socket.off('tether:status');
+            socket.off('audio:level');
+            socket.off('roomscan:updated');
+            socket.off('identity:updated');
+            socket.off('proctor:applied');
+            socket.off('exam:announcement');
             socket.off('exam:start');
             socket.off('exam:end');
             disconnectSocket();
@@ -80,21 +350,315 @@ export default function AdminMonitor() {
         }
     };
 
-    const handleStartExam = () => {
-        const socket = connectSocket();
-        socket.emit('exam:start', id);
-        // Also update backend status via API for persistence
-        api.patch(`/exams/${id}/status`, { status: 'live' });
+    // The server persists the status and broadcasts exam:start / exam:end to the room
+    const handleStartExam = async () => {
+        try {
+            await api.patch(`/exams/${id}/status`, { status: 'live' });
+        } catch (err) {
+            alert('Failed to start exam: ' + err.message);
+        }
     };
 
-    const handleEndExam = () => {
+    const handleEndExam = async () => {
         if (!window.confirm('End exam for everyone?')) return;
-        const socket = connectSocket();
-        socket.emit('exam:end', id);
-        // API update
-        api.patch(`/exams/${id}/status`, { status: 'completed' });
+        try {
+            await api.patch(`/exams/${id}/status`, { status: 'completed' });
+        } catch (err) {
+            alert('Failed to end exam: ' + err.message);
+        }
+    };
+
+    // Everyone with an attempt or a live connection; offline students stay visible with their score
+    const roster = Object.values(
+        [...Object.values(trust), ...students].reduce((acc, s) => {
+            const key = s.studentId || s.userId;
+            const online = students.filter(c => c.userId === key);
+            acc[key] = {
+                key,
+                name: trust[key]?.name,
+                trustScore: trust[key]?.trustScore ?? 100,
+                devices: online.map(c => c.device),
+                tether: tethers[key],
+                audio: audioLevels[key],
+                scan: scans[key],
+                identity: identities[key],
+                attempt: attempts[key],
+                connectedAt: online[0]?.connectedAt,
+            };
+            return acc;
+        }, {})
+    ).sort((a, b) => (sortBy === 'risk'
+        ? a.trustScore - b.trustScore
+        : (a.connectedAt || Infinity) - (b.connectedAt || Infinity)));
+
+    // Cycle camera pages, unless the proctor is looking at one student
+    useEffect(() => {
+        if (mainView !== 'cameras' || focused) return;
+        const timer = setInterval(() => setCameraTick(t => t + 1), CAMERA_CYCLE_MS);
+        return () => clearInterval(timer);
+    }, [mainView, focused]);
+
+    // Evidence is behind auth, so fetch it as a blob rather than pointing <img> at the API
+    const openEvidence = async (violation) => {
+        setEvidence({ violation });
+        try {
+            const blob = await api.getBlob(`/evidence/violations/${violation.id}`);
+            setEvidence(prev => (prev?.violation.id === violation.id ? { violation, url: URL.createObjectURL(blob) } : prev));
+        } catch (err) {
+            setEvidence(prev => (prev?.violation.id === violation.id ? { violation, error: err.message } : prev));
+        }
+    };
+
+    const openReview = async (violation) => {
+        setReviewing({ violation, note: '' });
+        try {
+            const res = await api.get(`/violations/${violation.id}/reviews`);
+            setReviewing(prev => (prev?.violation.id === violation.id ? { ...prev, history: res.reviews } : prev));
+        } catch (err) {
+            setReviewing(prev => (prev?.violation.id === violation.id ? { ...prev, error: err.message } : prev));
+        }
+    };
+
+    // The feed and the history update from violation:reviewed
+    const submitReview = async (status) => {
+        if (status === 'escalated' && !reviewing.note.trim()) return alert('Say why it needs escalating');
+
+        setReviewing(prev => ({ ...prev, busy: status }));
+        try {
+            await api.patch(`/violations/${reviewing.violation.id}/review`, { status, note: reviewing.note.trim() });
+            setReviewing(prev => (prev ? { ...prev, note: '', busy: null } : prev));
+        } catch (err) {
+            setReviewing(prev => (prev ? { ...prev, busy: null } : prev));
+            alert('Review failed: ' + err.message);
+        }
+    };
+
+    const closeEvidence = () => {
+        if (evidence?.url) URL.revokeObjectURL(evidence.url);
+        setEvidence(null);
+    };
+
+    // Frames are behind auth too; load the whole scan before showing it
+    const openScan = async (scan) => {
+        setScanReview({ scan, note: '' });
+        try {
+            const blobs = await Promise.all(
+                Array.from({ length: scan.frameCount }, (_, i) => api.getBlob(`/room-scans/${scan.id}/frames/${i}`))
+            );
+            const urls = blobs.map(blob => URL.createObjectURL(blob));
+            setScanReview(prev => {
+                if (prev?.scan.id === scan.id) return { ...prev, urls };
+                urls.forEach(url => URL.revokeObjectURL(url));
+                return prev;
+            });
+        } catch (err) {
+            setScanReview(prev => (prev?.scan.id === scan.id ? { ...prev, error: err.message } : prev));
+        }
+    };
+
+    const closeScan = () => {
+        scanReview?.urls?.forEach(url => URL.revokeObjectURL(url));
+        setScanReview(null);
+    };
+
+    const reviewScan = async (decision) => {
+        try {
+            const res = await api.patch(`/room-scans/${scanReview.scan.id}/review`, { decision, note: scanReview.note });
+            setScans(prev => ({ ...prev, [res.scan.studentId]: { ...prev[res.scan.studentId], ...res.scan } }));
+            closeScan();
+        } catch (err) {
+            alert('Failed to review room scan: ' + err.message);
+        }
+    };
+
+    // Reference photo may not exist yet — that's a null, not an error
+    const openIdentity = async (check) => {
+        setIdReview({ check, note: '', saveAsReference: !check.hasReference });
+        try {
+            const [face, idCard, reference] = await Promise.all(
+                ['face', 'id', 'reference'].map(kind => api.getBlob(`/identity/${check.id}/photos/${kind}`)
+                    .then(blob => URL.createObjectURL(blob))
+                    .catch(err => (kind === 'reference' && err.status === 404 ? null : Promise.reject(err))))
+            );
+            const photos = { face, idCard, reference };
+            setIdReview(prev => {
+                if (prev?.check.id === check.id) return { ...prev, photos };
+                Object.values(photos).forEach(url => url && URL.revokeObjectURL(url));
+                return prev;
+            });
+        } catch (err) {
+            setIdReview(prev => (prev?.check.id === check.id ? { ...prev, error: err.message } : prev));
+        }
+    };
+
+    const closeIdentity = () => {
+        Object.values(idReview?.photos || {}).forEach(url => url && URL.revokeObjectURL(url));
+        setIdReview(null);
+    };
+
+    // Set or replace the student's profile reference photo from a JPEG on the proctor's machine
+    const uploadReference = async (file) => {
+        if (!file) return;
+        if (file.type !== 'image/jpeg') {
+            alert('Choose a JPEG image');
+            return;
+        }
+        const { check } = idReview;
+        try {
+            await api.putBlob(`/identity/users/${check.studentId}/reference-photo`, file);
+            const url = URL.createObjectURL(file);
+            setIdReview(prev => {
+                if (prev?.check.id !== check.id) {
+                    URL.revokeObjectURL(url);
+                    return prev;
+                }
+                if (prev.photos?.reference) URL.revokeObjectURL(prev.photos.reference);
+                return { ...prev, saveAsReference: false, photos: { ...prev.photos, reference: url } };
+            });
+            setIdentities(prev => ({ ...prev, [check.studentId]: { ...prev[check.studentId], hasReference: true } }));
+        } catch (err) {
+            alert('Failed to upload reference photo: ' + err.message);
+        }
+    };
+
+    const reviewIdentity = async (decision) => {
+        try {
+            const res = await api.patch(`/identity/${idReview.check.id}/review`, {
+                decision,
+                note: idReview.note,
+                saveAsReference: decision === 'approved' && idReview.saveAsReference,
+            });
+            setIdentities(prev => ({
+                ...prev,
+                [res.check.studentId]: {
+                    ...prev[res.check.studentId],
+                    ...res.check,
+                    hasReference: prev[res.check.studentId]?.hasReference || (decision === 'approved' && idReview.saveAsReference),
+                },
+            }));
+            closeIdentity();
+        } catch (err) {
+            alert('Failed to review identity: ' + err.message);
+        }
+    };
+
+    const openActions = async (student) => {
+        setActions({ student, text: '' });
+        try {
+            const res = await api.get(`/interventions/exams/${id}/students/${student.key}`);
+            setActions(prev => (prev?.student.key === student.key ? { ...prev, history: res.interventions } : prev));
+        } catch (err) {
+            setActions(prev => (prev?.student.key === student.key ? { ...prev, error: err.message } : prev));
+        }
+    };
+
+    // The student's screen follows over the socket; the history fills in from proctor:applied
+    const applyAction = async (action) => {
+        const text = actions.text.trim();
+        if (action === 'warn' && !text) return alert('Write the warning first');
+        if ((action === 'force_submit' || action === 'terminate') && !text) return alert('Give a reason first');
+        if (action === 'force_submit' && !window.confirm('Submit this student\'s answers now?')) return;
+        if (action === 'terminate' && !window.confirm('End this student\'s attempt without submitting?')) return;
+
+        setActions(prev => ({ ...prev, busy: action }));
+        try {
+            const res = await api.post(`/interventions/exams/${id}/students/${actions.student.key}`, {
+                action,
+                reason: action === 'warn' ? '' : text,
+                message: action === 'warn' ? text : '',
+            });
+            setAttempts(prev => ({ ...prev, [actions.student.key]: res.state }));
+            setActions(prev => (prev ? { ...prev, text: '', busy: null } : prev));
+        } catch (err) {
+            setActions(prev => (prev ? { ...prev, busy: null } : prev));
+            alert('Action failed: ' + err.message);
+        }
     };
 
+    // Broadcast to exam:<id>; a questionId turns it into an erratum shown beside that question
+    const sendAnnouncement = async () => {
+        const body = announce.text.trim();
+        if (!body) return alert('Write the announcement first');
+
+        setAnnounce(prev => ({ ...prev, busy: true }));
+        try {
+            const res = await api.post(`/announcements/exams/${id}`, { body, questionId: announce.questionId || null });
+            setAnnouncements(prev => (prev.some(a => a.id === res.announcement.id) ? prev : [...prev, res.announcement]));
+            setAnnounce(prev => (prev ? { ...prev, text: '', busy: false } : prev));
+        } catch (err) {
+            setAnnounce(prev => (prev ? { ...prev, busy: false } : prev));
+            alert('Announcement failed: ' + err.message);
+        }
+    };
+
+    // The open conversation counts as read
+    const openThreadUnread = chatThread ? threads[chatThread.studentId]?.unread || 0 : 0;
+    const openThreadId = chatThread?.studentId;
+    useEffect(() => {
+        if (openThreadId && openThreadUnread > 0) {
+            adminSocketRef.current?.emit('chat:read', { examId: id, studentId: openThreadId });
+        }
+    }, [id, openThreadId, openThreadUnread]);
+
+    const openChat = async (studentId) => {
+        setMainView('chat');
+        setChatThread({ studentId });
+        try {
+            const res = await api.get(`/chat/exams/${id}/students/${studentId}`);
+            setChatThread(prev => (prev?.studentId === studentId ? { ...prev, messages: res.messages } : prev));
+        } catch (err) {
+            setChatThread(prev => (prev?.studentId === studentId ? { ...prev, error: err.message } : prev));
+        }
+    };
+
+    const sendReply = (body) => new Promise((resolve, reject) => {
+        const socket = adminSocketRef.current;
+        const { studentId } = chatThread;
+        if (!socket?.connected) return reject(new Error('Offline — try again in a moment'));
+        socket.timeout(CHAT_ACK_TIMEOUT_MS).emit('chat:send', { examId: id, studentId, body }, (err, res) => {
+            if (err) return reject(new Error('No response — try again'));
+            if (!res?.success) return reject(new Error(res?.message || 'Not sent'));
+            setChatThread(prev => (prev?.studentId === studentId && prev.messages && !prev.messages.some(m => m.id === res.message.id)
+                ? { ...prev, messages: [...prev.messages, { ...res.message, senderName: user?.name }] }
+                : prev));
+            resolve();
+        });
+    });
+
+    // Everyone who wrote, plus everyone on the roster — unread first, then latest
+    const unreadTotal = Object.values(threads).reduce((sum, t) => sum + (t.unread || 0), 0);
+    const inbox = [...new Set([...Object.keys(threads), ...roster.map(s => s.key)])]
+        .map(key => ({
+            key,
+            name: threads[key]?.studentName || trust[key]?.name,
+            unread: threads[key]?.unread || 0,
+            last: threads[key]?.last,
+        }))
+        .sort((a, b) => (b.unread > 0) - (a.unread > 0)
+            || new Date(b.last?.createdAt || 0) - new Date(a.last?.createdAt || 0));
+
+    const violationTypes = [...new Set(violations.map(v => v.violation))].sort();
+    const feed = violations.filter(v => (feedFilter.review === 'all' || (v.review?.status || 'pending') === feedFilter.review)
+        && (feedFilter.type === 'all' || v.violation === feedFilter.type));
+    const unreviewed = violations.filter(v => (v.review?.status || 'pending') === 'pending').length;
+
+    // Unknown until the first action or reload — the server has the final say
+    const actionAttempt = actions && attempts[actions.student.key];
+    const actionOpen = !actionAttempt || actionAttempt.status === 'in_progress';
+
+    const identityQueue = Object.values(identities)
+        .filter(c => c.status !== 'capturing')
+        .sort((a, b) => (a.status === 'pending') === (b.status === 'pending')
+            ? new Date(a.submittedAt) - new Date(b.submittedAt)
+            : a.status === 'pending' ? -1 : 1);
+    const pendingIdentities = identityQueue.filter(c => c.status === 'pending').length;
+
+    const onCamera = roster.filter(s => s.devices.length);
+    const focusedStudent = focused && onCamera.find(s => s.key === focused);
+    const cameraPageCount = Math.max(1, Math.ceil(onCamera.length / CAMERA_PAGE_SIZE));
+    const cameraPageIndex = cameraTick % cameraPageCount;
+    const cameraPage = onCamera.slice(cameraPageIndex * CAMERA_PAGE_SIZE, (cameraPageIndex + 1) * CAMERA_PAGE_SIZE);
+
     if (status === 'loading') return <div className="flex-center" style={{ height: '100vh' }}><span className="spinner" /></div>;
     if (!exam) return <div>Exam not found</div>;
 
@@ -117,6 +681,11 @@ export default function AdminMonitor() {
                     </div>
                 </div>
                 <div style={{ display: 'flex', gap: 12 }}>
+                    {exam.status !== 'completed' && (
+                        <button className="btn btn-secondary" onClick={() => setAnnounce({ text: '', questionId: '' })}>
+                            📢 Announce{announcements.length > 0 && ` (${announcements.length})`}
+                        </button>
+                    )}
                     {exam.status === 'scheduled' || exam.status === 'draft' ? (
                         <button className="btn btn-primary" onClick={handleStartExam}>Start Exam Now</button>
                     ) : exam.status === 'live' ? (
@@ -131,47 +700,279 @@ export default function AdminMonitor() {
 
                 {/* Sidebar: Student List */}
                 <div className="glass-card" style={{ height: 'calc(100vh - 120px)', display: 'flex', flexDirection: 'column' }}>
-                    <div style={{ padding: 16, borderBottom: '1px solid var(--border-subtle)', fontWeight: 600 }}>
-                        Connected Students ({students.length})
+                    <div style={{ padding: 16, borderBottom: '1px solid var(--border-subtle)', fontWeight: 600, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <span>Students ({roster.filter(s => s.devices.length).length} online)</span>
+                        <select className="input-field" value={sortBy} onChange={e => setSortBy(e.target.value)} style={{ width: 'auto', padding: '4px 8px', fontSize: 12 }}>
+                            <option value="risk">Riskiest first</option>
+                            <option value="joined">Join order</option>
+                        </select>
                     </div>
                     <div style={{ overflowY: 'auto', flex: 1 }}>
-                        {students.map(s => (
-                            <div key={s.userId} style={{ padding: '12px 16px', borderBottom: '1px solid var(--border-subtle)', fontSize: 14 }}>
-                                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                                    <span>{s.userId}</span> {/* Ideally fetch Name */}
-                                    <span className="badge badge-success">Online</span>
+                        {roster.map(s => (
+                            <div key={s.key} style={{ padding: '12px 16px', borderBottom: '1px solid var(--border-subtle)', fontSize: 14 }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', gap: 8 }}>
+                                    <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{s.name || s.key}</span>
+                                    <span style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                                        {s.devices.length > 0 && (
+                                            <button className="btn btn-ghost" title="Live cameras" style={{ padding: '0 4px', fontSize: 14 }}
+                                                onClick={() => { setMainView('cameras'); setFocused(s.key); }}>
+                                                📹
+                                            </button>
+                                        )}
+                                        <button className="btn btn-ghost" title="Messages" style={{ padding: '0 4px', fontSize: 14 }}
+                                            onClick={() => openChat(s.key)}>
+                                            💬{threads[s.key]?.unread > 0 && (
+                                                <span className="badge badge-danger" style={{ marginLeft: 2 }}>{threads[s.key].unread}</span>
+                                            )}
+                                        </button>
+                                        {exam.status === 'live' && (
+                                            <button className="btn btn-ghost" title="Proctor actions" style={{ padding: '0 4px', fontSize: 14 }}
+                                                onClick={() => openActions(s)}>
+                                                🛡️
+                                            </button>
+                                        )}
+                                        <span className={`badge ${trustBadge(s.trustScore)}`} title="Trust score">{s.trustScore}</span>
+                                    </span>
                                 </div>
-                                <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>
-                                    {s.device} • Joined {new Date(s.connectedAt).toLocaleTimeString()}
+                                <div style={{ fontSize: 12, color: 'var(--text-muted)', display: 'flex', justifyContent: 'space-between', gap: 8 }}>
+                                    <span>
+                                        {s.devices.length
+                                            ? `${s.devices.join(' + ')} • Joined ${new Date(s.connectedAt).toLocaleTimeString()}`
+                                            : 'Offline'}
+                                    </span>
+                                    {s.attempt && attemptBadge(s.attempt) && (
+                                        <span className={`badge ${attemptBadge(s.attempt).className}`} title={s.attempt.endReason || undefined}>
+                                            {attemptBadge(s.attempt).label}
+                                        </span>
+                                    )}
+                                    {s.identity && IDENTITY_BADGES[s.identity.status] && (
+                                        <span className={`badge ${IDENTITY_BADGES[s.identity.status].className}`}
+                                            title={s.identity.status === 'capturing' ? 'Taking entry photos' : 'Review identity'}
+                                            onClick={() => s.identity.status !== 'capturing' && openIdentity(s.identity)}
+                                            style={{ cursor: s.identity.status === 'capturing' ? 'default' : 'pointer' }}>
+                                            {IDENTITY_BADGES[s.identity.status].label}
+                                        </span>
+                                    )}
+                                    {s.scan && SCAN_BADGES[s.scan.status] && (
+                                        <span className={`badge ${SCAN_BADGES[s.scan.status].className}`}
+                                            title={s.scan.status === 'in_progress' ? 'Room scan in progress' : 'Review room scan'}
+                                            onClick={() => s.scan.status !== 'in_progress' && openScan(s.scan)}
+                                            style={{ cursor: s.scan.status === 'in_progress' ? 'default' : 'pointer' }}>
+                                            {SCAN_BADGES[s.scan.status].label}
+                                        </span>
+                                    )}
+                                    {s.tether && TETHER_BADGES[s.tether.status] && (
+                                        <span className={`badge ${TETHER_BADGES[s.tether.status].className}`} title={tetherTitle(s.tether)}>
+                                            {TETHER_BADGES[s.tether.status].label}
+                                        </span>
+                                    )}
                                 </div>
+                                {s.audio && s.devices.includes('mobile') && (
+                                    <div title={`Phone mic ${s.audio.level} dBFS${s.audio.speaking ? ' • speech' : ''}`}
+                                        style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 6, fontSize: 11 }}>
+                                        🎙️
+                                        <div style={{ flex: 1, height: 4, background: 'var(--bg-elevated)', borderRadius: 2, overflow: 'hidden' }}>
+                                            <div style={{
+                                                width: `${levelPercent(s.audio.level)}%`, height: '100%', transition: 'width 0.3s',
+                                                background: s.audio.speaking ? 'var(--color-danger)' : 'var(--color-success)'
+                                            }} />
+                                        </div>
+                                    </div>
+                                )}
                             </div>
                         ))}
                     </div>
                 </div>
 
-                {/* Main: Violations Feed */}
+                {/* Main: Violations Feed / Cameras */}
                 <div className="glass-card" style={{ padding: 24, overflowY: 'auto', height: 'calc(100vh - 120px)' }}>
-                    <h2 style={{ fontSize: 'var(--text-xl)', fontWeight: 600, marginBottom: 16 }}>Live Integrity Feed</h2>
-                    {violations.length === 0 ? (
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+                        <h2 style={{ fontSize: 'var(--text-xl)', fontWeight: 600 }}>
+                            {mainView === 'feed' ? 'Live Integrity Feed'
+                                : mainView === 'identity' ? 'Identity Verification'
+                                    : mainView === 'chat' ? 'Messages' : 'Live Cameras'}
+                        </h2>
+                        <div style={{ display: 'flex', gap: 8 }}>
+                            <button className={`btn ${mainView === 'feed' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setMainView('feed')}>Feed</button>
+                            <button className={`btn ${mainView === 'cameras' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => { setMainView('cameras'); setFocused(null); }}>Cameras</button>
+                            <button className={`btn ${mainView === 'identity' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setMainView('identity')}>
+                                Verification{pendingIdentities > 0 && ` (${pendingIdentities})`}
+                            </button>
+                            <button className={`btn ${mainView === 'chat' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setMainView('chat')}>
+                                Messages{unreadTotal > 0 && ` (${unreadTotal})`}
+                            </button>
+                        </div>
+                    </div>
+                    {mainView === 'chat' ? (
+                        <div style={{ display: 'grid', gridTemplateColumns: '240px 1fr', gap: 16 }}>
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                                {inbox.length === 0 && <div className="text-muted" style={{ fontSize: 13 }}>No students yet.</div>}
+                                {inbox.map(t => (
+                                    <div key={t.key} onClick={() => openChat(t.key)} style={{
+                                        padding: 10, borderRadius: 4, cursor: 'pointer',
+                                        background: chatThread?.studentId === t.key ? 'var(--bg-elevated)' : 'transparent'
+                                    }}>
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', gap: 8, fontWeight: t.unread ? 700 : 400 }}>
+                                            <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{t.name || t.key}</span>
+                                            {t.unread > 0 && <span className="badge badge-danger">{t.unread}</span>}
+                                        </div>
+                                        {t.last && (
+                                            <div style={{ fontSize: 12, color: 'var(--text-muted)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                                {t.last.senderRole === 'admin' && 'You: '}{t.last.body}
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                            <div>
+                                {!chatThread ? (
+                                    <div className="text-muted" style={{ textAlign: 'center', marginTop: 40 }}>
+                                        Pick a student to read or start a conversation.
+                                    </div>
+                                ) : chatThread.messages ? (
+                                    <>
+                                        <div style={{ fontWeight: 600, marginBottom: 8 }}>
+                                            {threads[chatThread.studentId]?.studentName || trust[chatThread.studentId]?.name || chatThread.studentId}
+                                        </div>
+                                        <ChatThread
+                                            messages={chatThread.messages}
+                                            selfRole="admin"
+                                            onSend={sendReply}
+                                            disabled={exam.status !== 'live'}
+                                            placeholder={exam.status === 'live' ? 'Reply…' : 'Chat is closed — the exam is not live'}
+                                            height={420}
+                                        />
+                                    </>
+                                ) : chatThread.error ? (
+                                    <div className="text-danger" style={{ padding: 24 }}>{chatThread.error}</div>
+                                ) : (
+                                    <div className="flex-center" style={{ padding: 48 }}><span className="spinner" /></div>
+                                )}
+                            </div>
+                        </div>
+                    ) : mainView === 'identity' ? (
+                        identityQueue.length === 0 ? (
+                            <div className="text-muted" style={{ textAlign: 'center', marginTop: 40 }}>
+                                No identity checks submitted yet.
+                            </div>
+                        ) : (
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+                                {identityQueue.map(c => (
+                                    <div key={c.id} onClick={() => openIdentity(c)} style={{
+                                        padding: 12, borderRadius: 4, background: 'var(--bg-elevated)', cursor: 'pointer',
+                                        display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12
+                                    }}>
+                                        <div>
+                                            <div style={{ fontWeight: 600 }}>{c.studentName || trust[c.studentId]?.name || c.studentId}</div>
+                                            <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+                                                {c.submittedAt ? `Submitted ${new Date(c.submittedAt).toLocaleTimeString()}` : '—'}
+                                                {c.idCard?.source === 'mobile' && ' • ID from phone'}
+                                                {!c.hasReference && ' • no reference photo'}
+                                            </div>
+                                        </div>
+                                        <span className={`badge ${IDENTITY_BADGES[c.status].className}`}>{c.status}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )
+                    ) : mainView === 'cameras' ? (
+                        focusedStudent ? (
+                            <div>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+                                    <span style={{ fontWeight: 600 }}>{focusedStudent.name || focusedStudent.key}</span>
+                                    <button className="btn btn-ghost" onClick={() => setFocused(null)}>← All cameras</button>
+                                </div>
+                                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: 16 }}>
+                                    {focusedStudent.devices.map(device => (
+                                        <CameraTile key={device} examId={id} studentId={focusedStudent.key} device={device}
+                                            label={device === 'mobile' ? 'Phone' : 'Laptop'} height={360} />
+                                    ))}
+                                </div>
+                            </div>
+                        ) : cameraPage.length === 0 ? (
+                            <div className="text-muted" style={{ textAlign: 'center', marginTop: 40 }}>
+                                No student cameras online.
+                            </div>
+                        ) : (
+                            <>
+                                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: 12 }}>
+                                    {cameraPage.map(s => (
+                                        <CameraTile key={s.key} examId={id} studentId={s.key}
+                                            device={s.devices.includes('laptop') ? 'laptop' : 'mobile'}
+                                            label={s.name || s.key} onClick={() => setFocused(s.key)} />
+                                    ))}
+                                </div>
+                                {cameraPageCount > 1 && (
+                                    <div className="text-muted" style={{ fontSize: 12, marginTop: 12, textAlign: 'center' }}>
+                                        Page {cameraPageIndex + 1} of {cameraPageCount} • cycling every {CAMERA_CYCLE_MS / 1000}s
+                                    </div>
+                                )}
+                            </>
+                        )
+                    ) : violations.length === 0 ? (
                         <div className="text-muted" style={{ textAlign: 'center', marginTop: 40 }}>
                             No violations detected yet.
                         </div>
                     ) : (
                         <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
-                            {violations.map((v, i) => (
-                                <div key={i} style={{
-                                    padding: 16, borderLeft: '4px solid var(--color-danger)',
-                                    background: 'rgba(239, 68, 68, 0.1)', borderRadius: '0 4px 4px 0'
+                            <div style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 13 }}>
+                                <select className="input-field" value={feedFilter.review} style={{ width: 'auto', padding: '4px 8px', fontSize: 12 }}
+                                    onChange={e => setFeedFilter(prev => ({ ...prev, review: e.target.value }))}>
+                                    <option value="all">All states</option>
+                                    {Object.entries(REVIEW_BADGES).map(([value, badge]) => (
+                                        <option key={value} value={value}>
+                                            {badge.label}{value === 'pending' && unreviewed > 0 ? ` (${unreviewed})` : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                                <select className="input-field" value={feedFilter.type} style={{ width: 'auto', padding: '4px 8px', fontSize: 12 }}
+                                    onChange={e => setFeedFilter(prev => ({ ...prev, type: e.target.value }))}>
+                                    <option value="all">All types</option>
+                                    {violationTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                                </select>
+                                <span className="text-muted">{feed.length} of {violations.length}</span>
+                            </div>
+                            {feed.length === 0 && (
+                                <div className="text-muted" style={{ textAlign: 'center', marginTop: 24 }}>Nothing matches these filters.</div>
+                            )}
+                            {feed.map((v, i) => (
+                                <div key={v.id || i} onClick={() => v.evidence && openEvidence(v)} style={{
+                                    padding: 16, borderLeft: `4px solid ${SEVERITY_COLORS[v.severity] || 'var(--color-danger)'}`,
+                                    background: 'rgba(239, 68, 68, 0.1)', borderRadius: '0 4px 4px 0',
+                                    cursor: v.evidence ? 'pointer' : 'default',
+                                    opacity: v.review?.status === 'dismissed' ? 0.5 : 1
                                 }}>
-                                    <div style={{ fontWeight: 700, color: 'var(--color-danger)' }}>
-                                        {v.violation}
+                                    <div style={{ fontWeight: 700, color: 'var(--color-danger)', display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
+                                        <span style={{ textDecoration: v.review?.status === 'dismissed' ? 'line-through' : 'none' }}>{v.violation}</span>
+                                        <span style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                                            {v.severity && (
+                                                <span style={{ fontSize: 11, textTransform: 'uppercase', color: SEVERITY_COLORS[v.severity] }}>
+                                                    {v.severity}
+                                                </span>
+                                            )}
+                                            {v.id && (
+                                                <button className={`badge ${REVIEW_BADGES[v.review?.status || 'pending'].className}`}
+                                                    title={v.review?.note || 'Review this violation'}
+                                                    onClick={e => { e.stopPropagation(); openReview(v); }}
+                                                    style={{ border: 'none', cursor: 'pointer' }}>
+                                                    {REVIEW_BADGES[v.review?.status || 'pending'].label}
+                                                </button>
+                                            )}
+                                        </span>
                                     </div>
                                     <div style={{ fontSize: 12, marginTop: 4 }}>
                                         Confidence: {(v.confidence * 100).toFixed(0)}% • {new Date(v.timestamp).toLocaleTimeString()}
+                                        {v.source && ` • ${v.source}`}
+                                        {v.evidence && ' • 📷 View snapshot'}
                                     </div>
                                     <div style={{ fontSize: 12, marginTop: 4, fontFamily: 'monospace' }}>
-                                        Session: {v.sessionId}
+                                        {v.studentName || v.studentId} • Session: {v.sessionId || '—'}
                                     </div>
+                                    {v.review?.note && (
+                                        <div className="text-muted" style={{ fontSize: 12, marginTop: 4 }}>
+                                            📝 {v.review.note}{v.review.byName && ` — ${v.review.byName}`}
+                                        </div>
+                                    )}
                                 </div>
                             ))}
                         </div>
@@ -179,6 +980,289 @@ export default function AdminMonitor() {
                 </div>
 
             </div>
+
+            {actions && (
+                <div className="flex-center" onClick={() => setActions(null)} style={{
+                    position: 'fixed', inset: 0, zIndex: 100, background: 'rgba(0,0,0,0.75)', flexDirection: 'column', gap: 12
+                }}>
+                    <div className="glass-card" onClick={e => e.stopPropagation()} style={{ padding: 16, width: 'min(520px, 95vw)', maxHeight: '90vh', overflowY: 'auto' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12, gap: 16 }}>
+                            <div>
+                                <div style={{ fontWeight: 700 }}>Proctor actions — {actions.student.name || actions.student.key}</div>
+                                <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+                                    {actionAttempt?.paused ? 'paused' : (actionAttempt?.status || 'in_progress').replace('_', ' ')}
+                                    {actionAttempt?.endReason && ` • ${actionAttempt.endReason}`}
+                                </div>
+                            </div>
+                            <button className="btn btn-ghost" onClick={() => setActions(null)}>✕</button>
+                        </div>
+                        <textarea className="input-field" rows={3} value={actions.text} disabled={!actionOpen}
+                            placeholder="Warning to show the student, or the reason for a pause / submit / termination"
+                            onChange={e => setActions(prev => ({ ...prev, text: e.target.value }))}
+                            style={{ width: '100%', resize: 'vertical' }} />
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 12 }}>
+                            <button className="btn btn-secondary" disabled={!actionOpen || !!actions.busy} onClick={() => applyAction('warn')}>⚠️ Warn</button>
+                            {actionAttempt?.paused ? (
+                                <button className="btn btn-primary" disabled={!actionOpen || !!actions.busy} onClick={() => applyAction('resume')}>▶️ Resume</button>
+                            ) : (
+                                <button className="btn btn-secondary" disabled={!actionOpen || !!actions.busy} onClick={() => applyAction('pause')}>⏸ Pause</button>
+                            )}
+                            <button className="btn btn-secondary" disabled={!actionOpen || !!actions.busy} onClick={() => applyAction('repair')}>📱 Re-pair phone</button>
+                            <button className="btn btn-secondary" disabled={!actionOpen || !!actions.busy} onClick={() => applyAction('force_submit')}>📤 Force submit</button>
+                            <button className="btn btn-danger" disabled={!actionOpen || !!actions.busy} onClick={() => applyAction('terminate')}>⛔ Terminate</button>
+                        </div>
+                        <div style={{ marginTop: 16, fontSize: 13 }}>
+                            <div style={{ fontWeight: 600, marginBottom: 8 }}>History</div>
+                            {actions.history ? (
+                                actions.history.length ? actions.history.map((h, i) => (
+                                    <div key={i} style={{ padding: '4px 0', borderBottom: '1px solid var(--border-subtle)' }}>
+                                        <span className="text-muted">{new Date(h.at).toLocaleTimeString()}</span>
+                                        {' '}{INTERVENTION_LABELS[h.action] || h.action}
+                                        {h.by && <span className="text-muted"> by {h.by}</span>}
+                                        {h.rule && <span className="text-muted"> by rule “{h.rule}”</span>}
+                                        {(h.message || h.reason) && <div className="text-muted" style={{ fontSize: 12 }}>{h.message || h.reason}</div>}
+                                    </div>
+                                )) : <div className="text-muted">No actions yet</div>
+                            ) : actions.error ? (
+                                <div className="text-danger">{actions.error}</div>
+                            ) : (
+                                <div className="flex-center" style={{ padding: 16 }}><span className="spinner" /></div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {announce && (
+                <div className="flex-center" onClick={() => setAnnounce(null)} style={{
+                    position: 'fixed', inset: 0, zIndex: 100, background: 'rgba(0,0,0,0.75)', flexDirection: 'column', gap: 12
+                }}>
+                    <div className="glass-card" onClick={e => e.stopPropagation()} style={{ padding: 16, width: 'min(560px, 95vw)', maxHeight: '90vh', overflowY: 'auto' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12, gap: 16 }}>
+                            <div>
+                                <div style={{ fontWeight: 700 }}>Announce to everyone</div>
+                                <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+                                    Shown as a banner now and to anyone who joins later
+                                </div>
+                            </div>
+                            <button className="btn btn-ghost" onClick={() => setAnnounce(null)}>✕</button>
+                        </div>
+                        <select className="input-field" value={announce.questionId}
+                            onChange={e => setAnnounce(prev => ({ ...prev, questionId: e.target.value }))}
+                            style={{ width: '100%', marginBottom: 8 }}>
+                            <option value="">General announcement</option>
+                            {(exam.questions || []).map((q, idx) => (
+                                <option key={q.id} value={q.id}>
+                                    Erratum for Q{idx + 1}: {q.text.length > 60 ? `${q.text.slice(0, 60)}…` : q.text}
+                                </option>
+                            ))}
+                        </select>
+                        <textarea className="input-field" rows={3} value={announce.text} maxLength={2000}
+                            placeholder={announce.questionId ? 'The correction, e.g. "Option C should read 4.2 m/s"' : 'Message for every candidate'}
+                            onChange={e => setAnnounce(prev => ({ ...prev, text: e.target.value }))}
+                            style={{ width: '100%', resize: 'vertical' }} />
+                        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 12 }}>
+                            <button className="btn btn-primary" disabled={announce.busy || !announce.text.trim()} onClick={sendAnnouncement}>
+                                Send to all
+                            </button>
+                        </div>
+                        <div style={{ marginTop: 16, fontSize: 13 }}>
+                            <div style={{ fontWeight: 600, marginBottom: 8 }}>Sent</div>
+                            {announcements.length ? [...announcements].reverse().map(a => {
+                                const qIndex = a.questionId ? (exam.questions || []).findIndex(q => q.id === a.questionId) : -1;
+                                return (
+                                    <div key={a.id} style={{ padding: '4px 0', borderBottom: '1px solid var(--border-subtle)' }}>
+                                        <span className="text-muted">{new Date(a.createdAt).toLocaleTimeString()}</span>
+                                        {a.questionId && <span className="badge badge-warning" style={{ marginLeft: 8 }}>Q{qIndex + 1} erratum</span>}
+                                        <div style={{ whiteSpace: 'pre-wrap' }}>{a.body}</div>
+                                    </div>
+                                );
+                            }) : <div className="text-muted">Nothing sent yet</div>}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {idReview && (
+                <div className="flex-center" onClick={closeIdentity} style={{
+                    position: 'fixed', inset: 0, zIndex: 100, background: 'rgba(0,0,0,0.75)', flexDirection: 'column', gap: 12
+                }}>
+                    <div className="glass-card" onClick={e => e.stopPropagation()} style={{ padding: 16, width: 'min(1100px, 95vw)', maxHeight: '90vh', overflowY: 'auto' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12, gap: 16 }}>
+                            <div>
+                                <div style={{ fontWeight: 700 }}>Identity — {idReview.check.studentName || idReview.check.studentId}</div>
+                                <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+                                    {idReview.check.studentEmail && `${idReview.check.studentEmail} • `}{idReview.check.status}
+                                    {idReview.check.submittedAt && ` • submitted ${new Date(idReview.check.submittedAt).toLocaleTimeString()}`}
+                                </div>
+                            </div>
+                            <button className="btn btn-ghost" onClick={closeIdentity}>✕</button>
+                        </div>
+                        {idReview.photos ? (
+                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 12 }}>
+                                {[['reference', 'Reference (profile)'], ['face', 'Face at entry'], ['idCard', `Photo ID${idReview.check.idCard?.source === 'mobile' ? ' (phone)' : ''}`]].map(([key, label]) => (
+                                    <div key={key}>
+                                        <div style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 4 }}>{label}</div>
+                                        {idReview.photos[key] ? (
+                                            <img src={idReview.photos[key]} alt={label} style={{ width: '100%', borderRadius: 4 }} />
+                                        ) : (
+                                            <div className="flex-center text-muted" style={{ height: 160, background: 'var(--bg-elevated)', borderRadius: 4, fontSize: 12 }}>
+                                                No reference photo on file
+                                            </div>
+                                        )}
+                                        {key === 'reference' && (
+                                            <label className="btn btn-ghost" style={{ marginTop: 6, fontSize: 12, cursor: 'pointer' }}>
+                                                {idReview.photos.reference ? 'Replace reference…' : 'Upload reference…'}
+                                                <input type="file" accept="image/jpeg" hidden
+                                                    onChange={e => { uploadReference(e.target.files[0]); e.target.value = ''; }} />
+                                            </label>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        ) : idReview.error ? (
+                            <div className="text-danger" style={{ padding: 24 }}>{idReview.error}</div>
+                        ) : (
+                            <div className="flex-center" style={{ padding: 48 }}><span className="spinner" /></div>
+                        )}
+                        {idReview.photos && !idReview.photos.reference && (
+                            <label style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 12, fontSize: 13, cursor: 'pointer' }}>
+                                <input type="checkbox" checked={idReview.saveAsReference}
+                                    onChange={e => setIdReview(prev => ({ ...prev, saveAsReference: e.target.checked }))} />
+                                Save this face photo as the student's reference when approving
+                            </label>
+                        )}
+                        <div style={{ display: 'flex', gap: 8, marginTop: 16 }}>
+                            <input className="input-field" placeholder="Note for the student (shown if rejected)" value={idReview.note}
+                                onChange={e => setIdReview(prev => ({ ...prev, note: e.target.value }))} style={{ flex: 1 }} />
+                            <button className="btn btn-danger" onClick={() => reviewIdentity('rejected')}>Reject</button>
+                            <button className="btn btn-primary" onClick={() => reviewIdentity('approved')}>Approve</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {scanReview && (
+                <div className="flex-center" onClick={closeScan} style={{
+                    position: 'fixed', inset: 0, zIndex: 100, background: 'rgba(0,0,0,0.75)', flexDirection: 'column', gap: 12
+                }}>
+                    <div className="glass-card" onClick={e => e.stopPropagation()} style={{ padding: 16, width: 'min(960px, 90vw)', maxHeight: '90vh', overflowY: 'auto' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12, gap: 16 }}>
+                            <div>
+                                <div style={{ fontWeight: 700 }}>Room scan — {scanReview.scan.studentName || scanReview.scan.studentId}</div>
+                                <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+                                    {scanReview.scan.frameCount} frames • {scanReview.scan.coverage === null ? 'no compass, coverage unverified' : `${scanReview.scan.coverage}° covered`}
+                                    {scanReview.scan.submittedAt && ` • submitted ${new Date(scanReview.scan.submittedAt).toLocaleTimeString()}`}
+                                    {` • ${scanReview.scan.status}`}
+                                </div>
+                            </div>
+                            <button className="btn btn-ghost" onClick={closeScan}>✕</button>
+                        </div>
+                        {scanReview.urls ? (
+                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: 8 }}>
+                                {scanReview.urls.map((url, i) => (
+                                    <img key={url} src={url} alt={`Room scan frame ${i + 1}`} style={{ width: '100%', borderRadius: 4 }} />
+                                ))}
+                            </div>
+                        ) : scanReview.error ? (
+                            <div className="text-danger" style={{ padding: 24 }}>{scanReview.error}</div>
+                        ) : (
+                            <div className="flex-center" style={{ padding: 48 }}><span className="spinner" /></div>
+                        )}
+                        <div style={{ display: 'flex', gap: 8, marginTop: 16 }}>
+                            <input className="input-field" placeholder="Note for the student (shown if rejected)" value={scanReview.note}
+                                onChange={e => setScanReview(prev => ({ ...prev, note: e.target.value }))} style={{ flex: 1 }} />
+                            <button className="btn btn-danger" onClick={() => reviewScan('rejected')}>Reject</button>
+                            <button className="btn btn-primary" onClick={() => reviewScan('approved')}>Approve</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {reviewing && (
+                <div className="flex-center" onClick={() => setReviewing(null)} style={{
+                    position: 'fixed', inset: 0, zIndex: 100, background: 'rgba(0,0,0,0.75)', flexDirection: 'column', gap: 12
+                }}>
+                    <div className="glass-card" onClick={e => e.stopPropagation()} style={{ padding: 16, width: 'min(520px, 95vw)', maxHeight: '90vh', overflowY: 'auto' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12, gap: 16 }}>
+                            <div>
+                                <div style={{ fontWeight: 700 }}>Review — {reviewing.violation.violation}</div>
+                                <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+                                    {reviewing.violation.studentName || reviewing.violation.studentId} • {new Date(reviewing.violation.timestamp).toLocaleTimeString()}
+                                    {' • '}{Math.round(reviewing.violation.confidence * 100)}% • {reviewing.violation.severity}
+                                </div>
+                            </div>
+                            <button className="btn btn-ghost" onClick={() => setReviewing(null)}>✕</button>
+                        </div>
+                        <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 12, fontSize: 13 }}>
+                            <span className={`badge ${REVIEW_BADGES[reviewing.violation.review?.status || 'pending'].className}`}>
+                                {REVIEW_BADGES[reviewing.violation.review?.status || 'pending'].label}
+                            </span>
+                            {reviewing.violation.evidence && (
+                                <button className="btn btn-ghost" style={{ padding: '2px 8px', fontSize: 13 }}
+                                    onClick={() => openEvidence(reviewing.violation)}>
+                                    📷 View snapshot
+                                </button>
+                            )}
+                        </div>
+                        <textarea className="input-field" rows={3} value={reviewing.note} maxLength={1000}
+                            placeholder="Notes for the record — what you saw and why you decided"
+                            onChange={e => setReviewing(prev => ({ ...prev, note: e.target.value }))}
+                            style={{ width: '100%', resize: 'vertical' }} />
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 12 }}>
+                            <button className="btn btn-danger" disabled={!!reviewing.busy} onClick={() => submitReview('confirmed')}>✓ Confirm</button>
+                            <button className="btn btn-secondary" disabled={!!reviewing.busy} onClick={() => submitReview('dismissed')}>✕ Dismiss (false positive)</button>
+                            <button className="btn btn-secondary" disabled={!!reviewing.busy} onClick={() => submitReview('escalated')}>⬆ Escalate</button>
+                            {(reviewing.violation.review?.status || 'pending') !== 'pending' && (
+                                <button className="btn btn-ghost" disabled={!!reviewing.busy} onClick={() => submitReview('pending')}>Reopen</button>
+                            )}
+                        </div>
+                        <div style={{ marginTop: 16, fontSize: 13 }}>
+                            <div style={{ fontWeight: 600, marginBottom: 8 }}>Decisions</div>
+                            {reviewing.history ? (
+                                reviewing.history.length ? reviewing.history.map((r, i) => (
+                                    <div key={i} style={{ padding: '4px 0', borderBottom: '1px solid var(--border-subtle)' }}>
+                                        <span className="text-muted">{new Date(r.at).toLocaleString()}</span>
+                                        {' '}{REVIEW_BADGES[r.status]?.label || r.status}
+                                        {r.byName && <span className="text-muted"> by {r.byName}</span>}
+                                        {r.note && <div className="text-muted" style={{ fontSize: 12, whiteSpace: 'pre-wrap' }}>{r.note}</div>}
+                                    </div>
+                                )) : <div className="text-muted">Not reviewed yet</div>
+                            ) : reviewing.error ? (
+                                <div className="text-danger">{reviewing.error}</div>
+                            ) : (
+                                <div className="flex-center" style={{ padding: 16 }}><span className="spinner" /></div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {evidence && (
+                <div className="flex-center" onClick={closeEvidence} style={{
+                    position: 'fixed', inset: 0, zIndex: 100, background: 'rgba(0,0,0,0.75)', flexDirection: 'column', gap: 12
+                }}>
+                    <div className="glass-card" onClick={e => e.stopPropagation()} style={{ padding: 16, maxWidth: '90vw' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12, gap: 16 }}>
+                            <div>
+                                <div style={{ fontWeight: 700 }}>{evidence.violation.violation}</div>
+                                <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+                                    {evidence.violation.studentName || evidence.violation.studentId} • {new Date(evidence.violation.timestamp).toLocaleTimeString()}
+                                    {evidence.violation.source && ` • ${evidence.violation.source}`}
+                                </div>
+                            </div>
+                            <button className="btn btn-ghost" onClick={closeEvidence}>✕</button>
+                        </div>
+                        {evidence.url ? (
+                            <img src={evidence.url} alt={`Snapshot for ${evidence.violation.violation}`} style={{ display: 'block', maxWidth: '100%', maxHeight: '70vh', borderRadius: 4 }} />
+                        ) : evidence.error ? (
+                            <div className="text-danger" style={{ padding: 24 }}>{evidence.error}</div>
+                        ) : (
+                            <div className="flex-center" style={{ padding: 48 }}><span className="spinner" /></div>
+                        )}
+                    </div>
+                </div>
+            )}
         </div>
     );
 }
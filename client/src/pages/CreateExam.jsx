@@ -2,8 +2,54 @@ import { useState, useRef, useEffect } from 'react';
 import { useNavigate, useParams, Link } from 'react-router-dom';
 import 'katex/dist/katex.min.css';
 import LatexRenderer from '../components/LatexRenderer.jsx';
+import BankPicker from '../components/BankPicker.jsx';
 import api from '../services/api.js';
 
+// Server defaults (services/trustScore.js), shown as placeholders — blank means "use default"
+const TRUST_DEFAULTS = {
+    defaultWeight: 5, repeatFactor: 0.5, repeatWindowSeconds: 120, tetherDropout: 10,
+};
+const TRUST_TYPE_DEFAULTS = {
+    phone_detected: 15, multiple_faces: 20, no_face: 8, looking_away: 4,
+    talking_detected: 6, tab_switch: 6, fullscreen_exit: 6, window_blur: 3,
+    copy_paste: 8, context_menu: 2, multiple_monitors: 10, second_device: 20,
+    motion_detected: 4, camera_blocked: 15, lighting_change: 3,
+    phone_moved: 8, phone_handled: 10,
+};
+
+// Automatic actions (server services/RulesEngine.js); only tether_lost can use "lost for N seconds"
+const RULE_TYPES = [...Object.keys(TRUST_TYPE_DEFAULTS), 'tether_lost'];
+const RULE_ACTIONS = { warn: 'Warn', pause: 'Pause', force_submit: 'Force submit', terminate: 'Terminate' };
+const NEW_RULE = { type: 'tab_switch', count: 3, windowSeconds: 0, durationSeconds: 0, action: 'warn', message: '', enabled: true };
+const EXAMPLE_RULES = [
+    { ...NEW_RULE },
+    { ...NEW_RULE, type: 'tether_lost', count: 1, durationSeconds: 120, action: 'pause' },
+    { ...NEW_RULE, type: 'no_face', count: 5, action: 'terminate' },
+];
+
+const cleanRules = (rules) => rules.map(({ _id, type, count, windowSeconds, durationSeconds, action, message, enabled }) => ({
+    ...(_id && { _id }), // keeps the rule's firing history linked across edits
+    type,
+    count: Number(count) || 1,
+    windowSeconds: Number(windowSeconds) || 0,
+    durationSeconds: type === 'tether_lost' ? Number(durationSeconds) || 0 : 0,
+    action,
+    message: String(message ?? '').trim(),
+    enabled,
+}));
+
+// Exam.audioMonitoring defaults
+const AUDIO_DEFAULTS = { enabled: true, thresholdDb: -45, sustainSeconds: 3 };
+
+// Drop blank fields so the server falls back to its defaults
+const numericFields = (fields) => Object.fromEntries(
+    Object.entries(fields)
+        .filter(([, v]) => v !== '' && v !== null && v !== undefined)
+        .map(([k, v]) => [k, Number(v)])
+);
+
+const cleanTrustWeights = ({ types = {}, ...scalars }) => ({ ...numericFields(scalars), types: numericFields(types) });
+
 export default function CreateExam() {
     const navigate = useNavigate();
     const { id } = useParams(); // For edit mode
@@ -17,7 +63,20 @@ export default function CreateExam() {
     const [maxStudents, setMaxStudents] = useState(50);
     const [duration, setDuration] = useState(60);
     const [startTime, setStartTime] = useState('');
-    const [marking, setMarking] = useState({ correct: 4, incorrect: -1 });
+    const [gracePeriod, setGracePeriod] = useState(30);
+    const [marking, setMarking] = useState({
+        correct: 4, incorrect: -1,
+        partialPolicy: 'per_option', partialPerOption: 1,
+        numeric: { correct: 4, incorrect: 0 },
+    });
+    const [shuffle, setShuffle] = useState({ questions: false, options: false });
+    const [trustWeights, setTrustWeights] = useState({ types: {} });
+    const [showTrust, setShowTrust] = useState(false);
+    const [rules, setRules] = useState([]);
+    const [showRules, setShowRules] = useState(false);
+    const [audio, setAudio] = useState(AUDIO_DEFAULTS);
+    const [roomScanRequired, setRoomScanRequired] = useState(true);
+    const [identityRequired, setIdentityRequired] = useState(true);
     const [questions, setQuestions] = useState([]);
 
     // File Upload State
@@ -40,6 +99,13 @@ export default function CreateExam() {
             setMaxStudents(exam.maxStudents);
             setDuration(exam.durationMinutes);
             setMarking(exam.markingScheme);
+            setGracePeriod(exam.gracePeriodSeconds ?? 30);
+            setShuffle({ questions: !!exam.shuffle?.questions, options: !!exam.shuffle?.options });
+            setTrustWeights({ ...exam.trustWeights, types: exam.trustWeights?.types || {} });
+            setRules((exam.violationRules || []).map(r => ({ ...NEW_RULE, ...r })));
+            setAudio({ ...AUDIO_DEFAULTS, ...exam.audioMonitoring });
+            setRoomScanRequired(exam.roomScan?.required ?? false);
+            setIdentityRequired(exam.identityVerification?.required ?? false);
             setQuestions(exam.questions || []); // Admin view includes questions
 
             // Format date for datetime-local input
@@ -81,10 +147,35 @@ export default function CreateExam() {
                         if (json.config.title) setTitle(json.config.title);
                         if (json.config.durationMinutes) setDuration(json.config.durationMinutes);
                         if (json.config.maxStudents) setMaxStudents(json.config.maxStudents); // Support if added to standard
+                        if (json.config.gracePeriodSeconds !== undefined) setGracePeriod(json.config.gracePeriodSeconds);
+                        if (json.config.trustWeights) {
+                            setTrustWeights({ ...json.config.trustWeights, types: json.config.trustWeights.types || {} });
+                        }
+                        if (Array.isArray(json.config.violationRules)) {
+                            setRules(json.config.violationRules.map(r => ({ ...NEW_RULE, ...r })));
+                        }
+                        if (json.config.audioMonitoring) {
+                            setAudio({ ...AUDIO_DEFAULTS, ...json.config.audioMonitoring });
+                        }
+                        if (json.config.roomScan?.required !== undefined) {
+                            setRoomScanRequired(!!json.config.roomScan.required);
+                        }
+                        if (json.config.identityVerification?.required !== undefined) {
+                            setIdentityRequired(!!json.config.identityVerification.required);
+                        }
+                        if (json.config.shuffle) {
+                            setShuffle({ questions: !!json.config.shuffle.questions, options: !!json.config.shuffle.options });
+                        }
                         if (json.config.marking) {
                             setMarking({
                                 correct: json.config.marking.correct || 4,
-                                incorrect: json.config.marking.incorrect || -1
+                                incorrect: json.config.marking.incorrect || -1,
+                                partialPolicy: json.config.marking.partialPolicy || 'per_option',
+                                partialPerOption: json.config.marking.partialPerOption ?? 1,
+                                numeric: {
+                                    correct: json.config.marking.numeric?.correct ?? 4,
+                                    incorrect: json.config.marking.numeric?.incorrect ?? 0,
+                                },
                             });
                         }
                     }
@@ -114,7 +205,17 @@ export default function CreateExam() {
             config: {
                 title,
                 durationMinutes: parseInt(duration),
+                gracePeriodSeconds: parseInt(gracePeriod),
                 marking,
+                shuffle,
+                trustWeights: cleanTrustWeights(trustWeights),
+                violationRules: cleanRules(rules),
+                audioMonitoring: {
+                    enabled: audio.enabled,
+                    ...numericFields({ thresholdDb: audio.thresholdDb, sustainSeconds: audio.sustainSeconds }),
+                },
+                roomScan: { required: roomScanRequired },
+                identityVerification: { required: identityRequired },
             },
             maxStudents: parseInt(maxStudents),
             startTime: new Date(startTime).toISOString(),
@@ -190,17 +291,27 @@ export default function CreateExam() {
                         </div>
                     </div>
 
-                    <div style={{ marginBottom: 24 }}>
-                        <label className="label">Start Date & Time</label>
-                        <input
-                            type="datetime-local" className="input-field"
-                            value={startTime} onChange={e => setStartTime(e.target.value)}
-                            required
-                            style={{ colorScheme: 'dark' }}
-                        />
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24, marginBottom: 24 }}>
+                        <div>
+                            <label className="label">Start Date & Time</label>
+                            <input
+                                type="datetime-local" className="input-field"
+                                value={startTime} onChange={e => setStartTime(e.target.value)}
+                                required
+                                style={{ colorScheme: 'dark' }}
+                            />
+                        </div>
+                        <div>
+                            <label className="label">Late Submission Grace (Seconds)</label>
+                            <input
+                                type="number" className="input-field"
+                                value={gracePeriod} onChange={e => setGracePeriod(e.target.value)}
+                                min="0" required
+                            />
+                        </div>
                     </div>
 
-                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24, marginBottom: 32 }}>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24, marginBottom: 24 }}>
                         <div>
                             <label className="label">Marks per Correct</label>
                             <input
@@ -219,6 +330,231 @@ export default function CreateExam() {
                         </div>
                     </div>
 
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24, marginBottom: 24 }}>
+                        <div>
+                            <label className="label">Multi-Select Partial Marking</label>
+                            <select
+                                className="input-field"
+                                value={marking.partialPolicy || 'per_option'}
+                                onChange={e => setMarking(prev => ({ ...prev, partialPolicy: e.target.value }))}
+                            >
+                                <option value="per_option">Per correct option chosen</option>
+                                <option value="none">All or nothing</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label className="label">Marks per Correct Option (Partial)</label>
+                            <input
+                                type="number" className="input-field"
+                                value={marking.partialPerOption ?? 1}
+                                onChange={e => setMarking(prev => ({ ...prev, partialPerOption: Number(e.target.value) }))}
+                                disabled={marking.partialPolicy === 'none'}
+                            />
+                        </div>
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24, marginBottom: 24 }}>
+                        <div>
+                            <label className="label">Numeric: Marks per Correct</label>
+                            <input
+                                type="number" className="input-field"
+                                value={marking.numeric?.correct ?? 4}
+                                onChange={e => setMarking(prev => ({ ...prev, numeric: { ...prev.numeric, correct: Number(e.target.value) } }))}
+                            />
+                        </div>
+                        <div>
+                            <label className="label">Numeric: Marks per Incorrect</label>
+                            <input
+                                type="number" className="input-field"
+                                value={marking.numeric?.incorrect ?? 0}
+                                onChange={e => setMarking(prev => ({ ...prev, numeric: { ...prev.numeric, incorrect: Number(e.target.value) } }))}
+                            />
+                        </div>
+                    </div>
+
+                    <div style={{ display: 'flex', gap: 32, marginBottom: 32 }}>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                checked={shuffle.questions}
+                                onChange={e => setShuffle(prev => ({ ...prev, questions: e.target.checked }))}
+                            />
+                            Shuffle question order per student
+                        </label>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                checked={shuffle.options}
+                                onChange={e => setShuffle(prev => ({ ...prev, options: e.target.checked }))}
+                            />
+                            Shuffle options per student
+                        </label>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                checked={roomScanRequired}
+                                onChange={e => setRoomScanRequired(e.target.checked)}
+                            />
+                            Require 360° room scan before starting
+                        </label>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                checked={identityRequired}
+                                onChange={e => setIdentityRequired(e.target.checked)}
+                            />
+                            Require proctor-approved identity check (face + ID photo)
+                        </label>
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 24, marginBottom: 32, alignItems: 'end' }}>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', paddingBottom: 12 }}>
+                            <input
+                                type="checkbox"
+                                checked={audio.enabled}
+                                onChange={e => setAudio(prev => ({ ...prev, enabled: e.target.checked }))}
+                            />
+                            Monitor phone microphone
+                        </label>
+                        <div>
+                            <label className="label">Speech Threshold (dBFS)</label>
+                            <input
+                                type="number" className="input-field" min="-100" max="0"
+                                disabled={!audio.enabled}
+                                value={audio.thresholdDb}
+                                onChange={e => setAudio(prev => ({ ...prev, thresholdDb: e.target.value }))}
+                            />
+                        </div>
+                        <div>
+                            <label className="label">Sustained Speech (s)</label>
+                            <input
+                                type="number" className="input-field" min="1"
+                                disabled={!audio.enabled}
+                                value={audio.sustainSeconds}
+                                onChange={e => setAudio(prev => ({ ...prev, sustainSeconds: e.target.value }))}
+                            />
+                        </div>
+                    </div>
+
+                    <div style={{ marginBottom: 32 }}>
+                        <button type="button" className="btn btn-ghost" onClick={() => setShowTrust(prev => !prev)} style={{ padding: '4px 0' }}>
+                            {showTrust ? '▾' : '▸'} Trust Score Weights
+                        </button>
+                        {showTrust && (
+                            <div style={{ background: 'var(--bg-elevated)', padding: 16, borderRadius: 8, marginTop: 8 }}>
+                                <p className="text-sm text-muted" style={{ marginBottom: 12 }}>
+                                    Points a student loses per full-confidence violation (score starts at 100).
+                                    Repeats of the same type inside the window cost extra. Leave blank for the default.
+                                </p>
+                                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 12, marginBottom: 16 }}>
+                                    {[
+                                        ['defaultWeight', 'Other types'],
+                                        ['repeatFactor', 'Repeat factor'],
+                                        ['repeatWindowSeconds', 'Repeat window (s)'],
+                                        ['tetherDropout', 'Phone dropout'],
+                                    ].map(([key, label]) => (
+                                        <div key={key}>
+                                            <label className="label">{label}</label>
+                                            <input
+                                                type="number" className="input-field" min="0" step="any"
+                                                placeholder={String(TRUST_DEFAULTS[key])}
+                                                value={trustWeights[key] ?? ''}
+                                                onChange={e => setTrustWeights(prev => ({ ...prev, [key]: e.target.value }))}
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 12 }}>
+                                    {Object.entries(TRUST_TYPE_DEFAULTS).map(([type, weight]) => (
+                                        <div key={type}>
+                                            <label className="label"><code>{type}</code></label>
+                                            <input
+                                                type="number" className="input-field" min="0" step="any"
+                                                placeholder={String(weight)}
+                                                value={trustWeights.types[type] ?? ''}
+                                                onChange={e => setTrustWeights(prev => ({ ...prev, types: { ...prev.types, [type]: e.target.value } }))}
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    <div style={{ marginBottom: 32 }}>
+                        <button type="button" className="btn btn-ghost" onClick={() => setShowRules(prev => !prev)} style={{ padding: '4px 0' }}>
+                            {showRules ? '▾' : '▸'} Automatic Rules ({rules.filter(r => r.enabled).length})
+                        </button>
+                        {showRules && (
+                            <div style={{ background: 'var(--bg-elevated)', padding: 16, borderRadius: 8, marginTop: 8 }}>
+                                <p className="text-sm text-muted" style={{ marginBottom: 12 }}>
+                                    Act on a student without waiting for a proctor. A rule fires once the count is reached
+                                    (within the window, or at any point if the window is 0) and then starts counting again.
+                                    Dismissed violations don't count. The message is shown to the student.
+                                </p>
+                                {rules.map((rule, idx) => {
+                                    const update = (field, value) => setRules(prev => prev.map((r, i) => (i === idx ? { ...r, [field]: value } : r)));
+                                    const byDuration = rule.type === 'tether_lost' && Number(rule.durationSeconds) > 0;
+                                    return (
+                                        <div key={rule._id || idx} style={{
+                                            display: 'grid', gridTemplateColumns: 'auto 1.4fr 0.7fr 0.8fr 0.8fr 1fr auto', gap: 8,
+                                            alignItems: 'end', marginBottom: 8, opacity: rule.enabled ? 1 : 0.5
+                                        }}>
+                                            <input type="checkbox" title="Enabled" checked={rule.enabled}
+                                                onChange={e => update('enabled', e.target.checked)} style={{ marginBottom: 12 }} />
+                                            <div>
+                                                <label className="label">Violation</label>
+                                                <select className="input-field" value={rule.type} onChange={e => update('type', e.target.value)}>
+                                                    {RULE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                                                </select>
+                                            </div>
+                                            <div>
+                                                <label className="label">Count</label>
+                                                <input type="number" className="input-field" min="1" disabled={byDuration}
+                                                    value={rule.count} onChange={e => update('count', e.target.value)} />
+                                            </div>
+                                            <div>
+                                                <label className="label">Within (s)</label>
+                                                <input type="number" className="input-field" min="0" placeholder="any" disabled={byDuration}
+                                                    value={rule.windowSeconds || ''} onChange={e => update('windowSeconds', e.target.value)} />
+                                            </div>
+                                            <div>
+                                                <label className="label">Lost for (s)</label>
+                                                <input type="number" className="input-field" min="0" placeholder="—"
+                                                    disabled={rule.type !== 'tether_lost'}
+                                                    value={rule.type === 'tether_lost' ? rule.durationSeconds || '' : ''}
+                                                    onChange={e => update('durationSeconds', e.target.value)} />
+                                            </div>
+                                            <div>
+                                                <label className="label">Action</label>
+                                                <select className="input-field" value={rule.action} onChange={e => update('action', e.target.value)}>
+                                                    {Object.entries(RULE_ACTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                                </select>
+                                            </div>
+                                            <button type="button" className="btn btn-ghost" title="Remove rule" style={{ marginBottom: 4 }}
+                                                onClick={() => setRules(prev => prev.filter((_, i) => i !== idx))}>
+                                                ✕
+                                            </button>
+                                            <input className="input-field" maxLength={500} style={{ gridColumn: '2 / -1' }}
+                                                placeholder="Message to the student (optional)"
+                                                value={rule.message} onChange={e => update('message', e.target.value)} />
+                                        </div>
+                                    );
+                                })}
+                                <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                                    <button type="button" className="btn btn-secondary" onClick={() => setRules(prev => [...prev, { ...NEW_RULE }])}>
+                                        + Add rule
+                                    </button>
+                                    {rules.length === 0 && (
+                                        <button type="button" className="btn btn-ghost" onClick={() => setRules(EXAMPLE_RULES.map(r => ({ ...r })))}>
+                                            Start from examples
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
                     <div style={{ borderTop: '1px solid var(--border-subtle)', paddingTop: 32, marginBottom: 32 }}>
                         <h2 style={{ fontSize: 'var(--text-xl)', fontWeight: 600, marginBottom: 16 }}>
                             Questions ({questions.length})
@@ -253,6 +589,11 @@ export default function CreateExam() {
                             </div>
                         </div>
 
+                        <BankPicker
+                            existingSourceIds={questions.map(q => q.sourceQuestion).filter(Boolean)}
+                            onAdd={added => setQuestions(prev => [...prev, ...added])}
+                        />
+
                         {questions.length > 0 && (
                             <div style={{
                                 background: 'var(--bg-elevated)', padding: 16, borderRadius: 8,
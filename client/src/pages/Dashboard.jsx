@@ -90,9 +90,17 @@ function AdminView({ user }) {
                         Monitor exams, manage students, and review integrity reports.
                     </p>
                 </div>
-                <Link to="/exams/create" className="btn btn-primary" style={{ whiteSpace: 'nowrap' }}>
-                    + Create Exam
-                </Link>
+                <div style={{ display: 'flex', gap: 12 }}>
+                    <Link to="/questions" className="btn btn-ghost" style={{ whiteSpace: 'nowrap' }}>
+                        🏦 Question Bank
+                    </Link>
+                    <Link to="/grading" className="btn btn-ghost" style={{ whiteSpace: 'nowrap' }}>
+                        📝 Grading Queue
+                    </Link>
+                    <Link to="/exams/create" className="btn btn-primary" style={{ whiteSpace: 'nowrap' }}>
+                        + Create Exam
+                    </Link>
+                </div>
             </div>
 
             {/* Stats Row */}
@@ -1,10 +1,75 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import QRCode from 'react-qr-code';
 import api from '../services/api.js';
 import { connectSocket, disconnectSocket } from '../services/socket.js';
 import { useAuth } from '../context/AuthContext.jsx';
 import LatexRenderer from '../components/LatexRenderer.jsx';
+import NumericKeypad from '../components/NumericKeypad.jsx';
+import { startIntegrityMonitor, isFullscreen, requestFullscreen } from '../services/integrity.js';
+import { reportWithEvidence } from '../services/evidence.js';
+import { startCameraPublisher } from '../services/rtc.js';
+import IdentityCapture from '../components/IdentityCapture.jsx';
+import ChatThread from '../components/ChatThread.jsx';
+
+// Server deadline → "mm:ss" (or "h:mm:ss" for long papers)
+function formatRemaining(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+// Typing is batched; clicks save immediately
+const TEXT_SAVE_DEBOUNCE_MS = 800;
+const SAVE_ACK_TIMEOUT_MS = 5000;
+const CHAT_ACK_TIMEOUT_MS = 5000;
+
+// Pairing codes live ~2 minutes server-side; refresh the QR well before that
+const PAIRING_REFRESH_MS = 90 * 1000;
+
+// Unacked answer changes are mirrored here so a reload or crash while offline keeps them
+const pendingKey = (examId) => `parallax_pending_${examId}`;
+const loadPending = (examId) => {
+    try {
+        return JSON.parse(localStorage.getItem(pendingKey(examId))) || {};
+    } catch {
+        return {};
+    }
+};
+
+const SAVE_LABELS = {
+    saved: '✓ Saved',
+    saving: 'Saving…',
+    offline: '⚠️ Offline — answers kept on this device',
+};
+
+// Phone health problems reported by the server (tether:status issues)
+const TETHER_ISSUES = {
+    camera_off: 'camera is off',
+    hidden: 'proctoring page is in the background',
+    no_wake_lock: 'screen may sleep',
+    battery_low: 'battery is low',
+};
+
+// Copy for a re-pair the proctor asked for (pairing:reset)
+const REPAIR_FALLBACK = 'Your proctor asked you to pair your phone again — scan the new QR code.';
+
+// GET /questions refusals that mean "not yet" rather than failure
+const ENTRY_GATES = ['IDENTITY_REQUIRED', 'ROOM_SCAN_REQUIRED'];
+
+// Room scan statuses that let the student in (see server models/RoomScan.js)
+const SCAN_CLEARED = ['submitted', 'approved'];
+
+const SCAN_LABELS = {
+    none: 'Not started — start it from your phone',
+    in_progress: 'In progress on your phone…',
+    submitted: '✓ Submitted',
+    approved: '✓ Approved by proctor',
+    rejected: '✗ Rejected — redo it on your phone',
+};
 
 export default function ExamRoom() {
     const { id } = useParams();
@@ -15,58 +80,400 @@ export default function ExamRoom() {
     const [error, setError] = useState('');
     const [exam, setExam] = useState(null);
     const [questions, setQuestions] = useState([]);
-    const [status, setStatus] = useState('loading'); // loading, pairing, waiting, live, completed
+    const [status, setStatus] = useState('loading'); // loading, pairing, waiting, gated, live, completed, terminated, ended
     const [answers, setAnswers] = useState({});
     const [currentIndex, setCurrentIndex] = useState(0);
     const [sessionId, setSessionId] = useState('');
+    const [pairingToken, setPairingToken] = useState('');
     const [mobileConnected, setMobileConnected] = useState(false);
+    const [tether, setTether] = useState(null); // { status: healthy | degraded | lost, issues }
+    const [placement, setPlacement] = useState(null); // { placed, displaced }, from the phone
+    const pairingRef = useRef(null);
+    const [roomScan, setRoomScan] = useState(null); // { required, scan }
+    const [identity, setIdentity] = useState(null); // { required, check }
+    const fetchQuestionsRef = useRef(null);
+
+    // Proctor actions aimed at this student (see server services/InterventionService.js)
+    const [warnings, setWarnings] = useState([]); // unacknowledged { message, at }, oldest first
+    const [paused, setPaused] = useState(null); // { reason, remainingMs } while the proctor holds the clock
+    const [endReason, setEndReason] = useState(''); // why the proctor submitted or ended the attempt
+    const [repairMessage, setRepairMessage] = useState(''); // proctor wants a fresh phone pairing
+
+    // Chat with the proctors (see server services/ChatService.js)
+    const [chat, setChat] = useState([]); // Message payloads, oldest first
+    const [chatOpen, setChatOpen] = useState(false);
+
+    // Announcements to the whole room; errata carry a questionId (see server models/Announcement.js)
+    const [announcements, setAnnouncements] = useState([]); // oldest first
+    const [dismissedBanners, setDismissedBanners] = useState([]); // announcement ids closed from the banner
+
+    // Countdown — deadline comes from the server, offset corrects for local clock skew
+    const [deadline, setDeadline] = useState(null);
+    const [clockOffset, setClockOffset] = useState(0);
+    const [now, setNow] = useState(() => Date.now());
+    const answersRef = useRef(answers);
+    const submitRef = useRef(null);
+    const submittingRef = useRef(false);
+    const inPaperRef = useRef(false); // live with the questions loaded — only then is there anything to submit
+
+    // Autosave — unacked changes wait in pendingRef (null = cleared, mirrored to localStorage) until the server confirms
+    const [saveState, setSaveState] = useState('saved');
+    const socketRef = useRef(null);
+    const webcamRef = useRef(null);
+    const pendingRef = useRef({});
+    const textTimersRef = useRef({});
+    const resumedRef = useRef(false);
+
+    // Fullscreen is required while live; losing it blocks the paper until restored
+    const [fullscreen, setFullscreen] = useState(isFullscreen);
+
+    const syncClock = ({ deadline: serverDeadline, serverTime, paused: isPaused, remainingMs }) => {
+        setDeadline(new Date(serverDeadline).getTime());
+        setClockOffset(serverTime - Date.now());
+        if (isPaused !== undefined) {
+            setPaused(prev => (isPaused ? { reason: prev?.reason || '', remainingMs } : null));
+        }
+    };
+
+    const persistPending = () => {
+        if (Object.keys(pendingRef.current).length) {
+            localStorage.setItem(pendingKey(id), JSON.stringify(pendingRef.current));
+        } else {
+            localStorage.removeItem(pendingKey(id));
+        }
+    };
+
+    const sendSave = (payload) => {
+        const socket = socketRef.current;
+        if (!socket?.connected) {
+            setSaveState('offline');
+            return;
+        }
+
+        setSaveState('saving');
+        socket.timeout(SAVE_ACK_TIMEOUT_MS).emit('answer:save', payload, (err, res) => {
+            if (err || !res?.success) {
+                setSaveState(socket.connected ? 'saving' : 'offline');
+                return;
+            }
+            // Only forget the change if nothing newer was queued meanwhile
+            const { questionIndex } = payload;
+            if (questionIndex !== undefined && pendingRef.current[questionIndex] === payload.answer) {
+                delete pendingRef.current[questionIndex];
+                persistPending();
+            }
+            if (!Object.keys(pendingRef.current).length) setSaveState('saved');
+        });
+    };
+
+    const saveAnswer = (qIndex, value, debounce = false) => {
+        pendingRef.current[qIndex] = value ?? null;
+        persistPending();
+        clearTimeout(textTimersRef.current[qIndex]);
+
+        const send = () => sendSave({ questionIndex: qIndex, answer: pendingRef.current[qIndex] });
+        if (debounce) {
+            setSaveState('saving');
+            textTimersRef.current[qIndex] = setTimeout(send, TEXT_SAVE_DEBOUNCE_MS);
+        } else {
+            send();
+        }
+    };
+
+    // Re-send everything the server hasn't confirmed (after a reconnect)
+    const flushPending = () => {
+        Object.entries(pendingRef.current).forEach(([qIndex, answer]) => {
+            sendSave({ questionIndex: Number(qIndex), answer });
+        });
+    };
+
+    // Saved state from the server, with any newer local changes layered on top
+    const applyResume = (state) => {
+        if (!state) return;
+        const merged = { ...state.answers };
+        Object.entries(pendingRef.current).forEach(([qIndex, answer]) => {
+            if (answer === null) delete merged[qIndex];
+            else merged[qIndex] = answer;
+        });
+        setAnswers(merged);
+
+        // Restore position once; after that the student is already where they want to be
+        if (!resumedRef.current) {
+            resumedRef.current = true;
+            setCurrentIndex(state.currentQuestion || 0);
+        }
+        if (state.deadline) syncClock(state);
+    };
+
+    // Server-issued, single-use code for the phone's QR; bound to this laptop socket
+    const requestPairing = async () => {
+        const socket = socketRef.current;
+        if (!socket?.connected) return;
+        try {
+            const data = await api.post(`/exams/${id}/pairing`, { socketId: socket.id });
+            setSessionId(data.sessionId);
+            setPairingToken(data.pairingToken);
+            if (data.mobileConnected) setMobileConnected(true);
+        } catch (err) {
+            console.error('Pairing request failed:', err);
+        }
+    };
 
     useEffect(() => {
-        // 1. Generate Session ID for this exam connection
-        const sessId = `${id}-${user?.userId || 'anon'}-${Math.random().toString(36).substr(2, 5)}`;
-        setSessionId(sessId);
+        // Changes left unsent by a previous load of this page go out on connect
+        pendingRef.current = loadPending(id);
 
-        // 2. Fetch Exam Data
+        // 1. Fetch Exam Data
         fetchExamData();
+        api.get(`/room-scans/exams/${id}/me`)
+            .then(({ required, scan }) => setRoomScan({ required, scan }))
+            .catch(err => console.error('Room scan status failed:', err));
+        api.get(`/identity/exams/${id}/me`)
+            .then(({ required, check }) => setIdentity({ required, check }))
+            .catch(err => console.error('Identity status failed:', err));
+        api.get(`/chat/exams/${id}/me`)
+            .then(({ messages }) => setChat(prev => [...messages, ...prev.filter(m => !messages.some(s => s.id === m.id))]))
+            .catch(err => console.error('Chat history failed:', err));
 
-        // 3. Connect Socket
-        const token = localStorage.getItem('token');
+        // 2. Connect Socket
+        const token = localStorage.getItem('parallax_token');
         const socket = connectSocket(token);
 
+        socketRef.current = socket;
+        const textTimers = textTimersRef.current;
+        let stopPublisher = null;
+
+        // (Re)join on every connect — a reconnect gets a fresh socket id server-side
+        const onConnect = () => {
+            // Join Exam Room (pairing follows once the server confirms, see exam:state)
+            socket.emit('exam:join', { examId: id });
+
+            flushPending();
+        };
+
         if (socket) {
-            // Join Exam Room
-            socket.emit('join-exam', { examId: id });
+            socket.on('connect', onConnect);
+            if (socket.connected) onConnect();
 
-            // Join Private Session Room (for mobile pairing)
-            socket.emit('session:join', sessId);
+            socket.on('disconnect', () => setSaveState('offline'));
+
+            socket.on('exam:resume', applyResume);
+
+            // Proctors can open a live view of the webcam
+            stopPublisher = startCameraPublisher(socket, () => webcamRef.current?.srcObject);
 
             // Listeners
-            socket.on('exam:state', () => { /*ack*/ });
+            // Joined — now this socket can be bound to a pairing session
+            socket.on('exam:state', () => pairingRef.current?.());
 
             socket.on('exam:start', () => {
                 setStatus('live');
                 fetchQuestions(); // Fetch questions when live
             });
 
+            // Force submit from the paper; a student still waiting or at the entry checks just sees it ended
             socket.on('exam:end', () => {
-                handleSubmit(true); // Force submit
+                if (inPaperRef.current) {
+                    submitRef.current?.(true);
+                } else {
+                    setStatus(prev => (prev === 'completed' || prev === 'terminated' ? prev : 'ended'));
+                }
             });
 
+            socket.on('exam:time_sync', syncClock);
+
             socket.on('mobile:connected', () => {
                 setMobileConnected(true);
+                setRepairMessage('');
                 // If exam is already live, we can start. If waiting, we go to waiting.
                 // We do this check in render or effect.
             });
+
+            // Entry photos changed (phone took the ID) or the proctor decided
+            socket.on('identity:updated', (check) => {
+                setIdentity(prev => ({ required: prev?.required ?? true, check }));
+            });
+
+            // The phone's room scan moved on (started, submitted, reviewed)
+            socket.on('roomscan:updated', (scan) => {
+                setRoomScan(prev => ({ required: prev?.required ?? true, scan }));
+            });
+
+            // Phone confirmed where it sits, or has been moved off that spot
+            socket.on('placement:status', ({ placed, displaced }) => setPlacement({ placed, displaced }));
+
+            // ── Proctor actions ──
+            socket.on('proctor:warning', ({ message, at }) => {
+                setWarnings(prev => [...prev, { message, at }]);
+            });
+
+            socket.on('attempt:paused', ({ reason, remainingMs }) => setPaused({ reason, remainingMs }));
+
+            socket.on('attempt:resumed', (data) => {
+                setPaused(null);
+                syncClock(data);
+            });
+
+            // Force-submitted (with the result) or terminated — either way the paper is closed
+            socket.on('attempt:ended', ({ status: endStatus, reason, result }) => {
+                submittingRef.current = true;
+                setPaused(null);
+                setEndReason(reason || '');
+                if (endStatus === 'submitted') {
+                    setExam(prev => ({ ...prev, result }));
+                    setStatus('completed');
+                } else {
+                    setStatus('terminated');
+                }
+            });
+
+            socket.on('pairing:reset', ({ message }) => {
+                setMobileConnected(false);
+                setTether(null);
+                setPlacement(null);
+                setRepairMessage(message || REPAIR_FALLBACK);
+                pairingRef.current?.();
+            });
+
+            // ── Chat ──
+            // A proctor's reply opens the panel so it isn't missed
+            socket.on('chat:message', (message) => {
+                setChat(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+                if (message.senderRole === 'admin') setChatOpen(true);
+            });
+
+            // reader 'student': our other tab caught up · reader 'admin': proctors saw ours
+            socket.on('chat:read', ({ reader }) => {
+                const readAt = new Date().toISOString();
+                setChat(prev => prev.map(m => (m.senderRole !== reader && !m.readAt ? { ...m, readAt } : m)));
+            });
+
+            // ── Announcements ──
+            // The full list arrives on every join, so late joiners and reconnects catch up
+            socket.on('exam:announcements', ({ announcements: all }) => setAnnouncements(all || []));
+            socket.on('exam:announcement', (announcement) => {
+                setAnnouncements(prev => (prev.some(a => a.id === announcement.id) ? prev : [...prev, announcement]));
+            });
+
+            // Phone heartbeat health; a lost tether needs a fresh QR to re-pair
+            socket.on('tether:status', (data) => {
+                setTether({ status: data.status, issues: data.issues || [] });
+                if (data.status === 'lost') {
+                    setMobileConnected(false);
+                    pairingRef.current?.();
+                } else {
+                    setMobileConnected(true);
+                }
+            });
         }
 
         return () => {
+            socket.off('connect', onConnect);
+            socket.off('disconnect');
+            socket.off('exam:resume');
+            socket.off('exam:state');
             socket.off('exam:start');
             socket.off('exam:end');
+            socket.off('exam:time_sync');
             socket.off('mobile:connected');
+            socket.off('tether:status');
+            socket.off('roomscan:updated');
+            socket.off('identity:updated');
+            socket.off('placement:status');
+            socket.off('proctor:warning');
+            socket.off('attempt:paused');
+            socket.off('attempt:resumed');
+            socket.off('attempt:ended');
+            socket.off('pairing:reset');
+            socket.off('chat:message');
+            socket.off('chat:read');
+            socket.off('exam:announcements');
+            socket.off('exam:announcement');
+            stopPublisher?.();
+            Object.values(textTimers).forEach(clearTimeout);
+            socketRef.current = null;
             disconnectSocket();
         };
     }, [id, user]); // Added user to dependency array
 
+    useEffect(() => {
+        answersRef.current = answers;
+        inPaperRef.current = status === 'live' && questions.length > 0;
+        submitRef.current = handleSubmit;
+        pairingRef.current = requestPairing;
+        fetchQuestionsRef.current = fetchQuestions;
+    });
+
+    // Held at the entry checks — go in as soon as they all clear
+    const identityCleared = !identity?.required || identity.check?.status === 'approved';
+    const scanCleared = !roomScan?.required || SCAN_CLEARED.includes(roomScan.scan?.status);
+    useEffect(() => {
+        if (status === 'gated' && identityCleared && scanCleared) {
+            fetchQuestionsRef.current?.();
+        }
+    }, [status, identityCleared, scanCleared]);
+
+    // Proctor replies count as read once the chat panel is open
+    const unreadChat = chat.filter(m => m.senderRole === 'admin' && !m.readAt).length;
+    useEffect(() => {
+        if (chatOpen && unreadChat > 0) socketRef.current?.emit('chat:read');
+    }, [chatOpen, unreadChat]);
+
+    // Nothing left to send once the attempt is closed
+    useEffect(() => {
+        if (status === 'completed' || status === 'terminated') {
+            pendingRef.current = {};
+            localStorage.removeItem(pendingKey(id));
+        }
+    }, [status, id]);
+
+    // Keep the QR fresh until a phone pairs
+    useEffect(() => {
+        if (!pairingToken || mobileConnected) return;
+        const timer = setInterval(() => pairingRef.current?.(), PAIRING_REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [pairingToken, mobileConnected]);
+
+    // Browser integrity signals → server (stored as source: 'laptop')
+    useEffect(() => {
+        if (status !== 'live') return;
+
+        return startIntegrityMonitor({
+            // Each report carries a webcam frame as evidence for the proctor
+            onViolation: (violation) => {
+                if (!socketRef.current) return;
+                reportWithEvidence(socketRef.current, 'violation:laptop', violation, {
+                    video: webcamRef.current,
+                    token: localStorage.getItem('parallax_token'),
+                });
+            },
+            onFullscreenChange: setFullscreen,
+        });
+    }, [status]);
+
+    // Remember where the student is, so a reload lands on the same question
+    useEffect(() => {
+        if (status !== 'live' || !socketRef.current?.connected) return;
+        socketRef.current.emit('answer:save', { currentQuestion: currentIndex });
+    }, [currentIndex, status]);
+
+    // Tick once a second; auto-submit when the server deadline passes (the clock stops while paused)
+    const isPaused = !!paused;
+    useEffect(() => {
+        if (!deadline || status !== 'live' || isPaused) return;
+
+        const timer = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+            if (deadline - (current + clockOffset) <= 0) {
+                clearInterval(timer);
+                submitRef.current?.(true);
+            }
+        }, 1000);
+
+        return () => clearInterval(timer);
+    }, [deadline, clockOffset, status, isPaused]);
+
     const fetchExamData = async () => {
         try {
             setLoading(true);
@@ -80,9 +487,15 @@ export default function ExamRoom() {
                 const data = await api.get(`/exams/${id}/questions`);
                 setExam(data.exam);
                 setQuestions(data.questions);
+                applyResume(data.attempt);
                 setStatus('live'); // Valid questions means live
             } catch (err) {
-                if (err.status === 400 && err.message.includes('not live')) {
+                if (ENTRY_GATES.includes(err.code)) {
+                    setStatus('gated');
+                } else if (err.code === 'ATTEMPT_TERMINATED') {
+                    setEndReason(err.message);
+                    setStatus('terminated');
+                } else if (err.status === 400 && err.message.includes('not live')) {
                     setStatus('waiting');
                     // We need exam title etc. fallback?
                     // For now, we only get it from questions endpoint or we need another endpoint.
@@ -92,7 +505,9 @@ export default function ExamRoom() {
                 }
             }
         } catch (err) {
-            if (err.status !== 400) setError(err.message);
+            if (err.status !== 400 && !ENTRY_GATES.includes(err.code) && err.code !== 'ATTEMPT_TERMINATED') {
+                setError(err.message);
+            }
         } finally {
             setLoading(false);
         }
@@ -103,14 +518,64 @@ export default function ExamRoom() {
             const data = await api.get(`/exams/${id}/questions`);
             setExam(data.exam);
             setQuestions(data.questions);
+            applyResume(data.attempt);
             setStatus('live');
         } catch (err) {
+            if (ENTRY_GATES.includes(err.code)) {
+                setStatus('gated');
+                return;
+            }
+            if (err.code === 'ATTEMPT_TERMINATED') {
+                setEndReason(err.message);
+                setStatus('terminated');
+                return;
+            }
             console.error("Failed to fetch questions on start", err);
         }
     };
 
+    const sendChat = (body) => new Promise((resolve, reject) => {
+        const socket = socketRef.current;
+        if (!socket?.connected) return reject(new Error('Offline — try again in a moment'));
+        socket.timeout(CHAT_ACK_TIMEOUT_MS).emit('chat:send', { body }, (err, res) => {
+            if (err) return reject(new Error('No response — try again'));
+            if (!res?.success) return reject(new Error(res?.message || 'Not sent'));
+            setChat(prev => (prev.some(m => m.id === res.message.id) ? prev : [...prev, res.message]));
+            resolve();
+        });
+    });
+
     const handleOptionSelect = (qIndex, optIndex) => {
         setAnswers(prev => ({ ...prev, [qIndex]: optIndex }));
+        saveAnswer(qIndex, optIndex);
+    };
+
+    // Multi-select: toggle an option in the chosen set (empty set = unattempted)
+    const handleOptionToggle = (qIndex, optIndex) => {
+        const current = Array.isArray(answers[qIndex]) ? answers[qIndex] : [];
+        const next = current.includes(optIndex)
+            ? current.filter(i => i !== optIndex)
+            : [...current, optIndex].sort((a, b) => a - b);
+
+        setAnswers(prev => {
+            const { [qIndex]: _removed, ...rest } = prev;
+            return next.length ? { ...rest, [qIndex]: next } : rest;
+        });
+        saveAnswer(qIndex, next.length ? next : null);
+    };
+
+    // Numeric / subjective: keep the typed string; an empty field counts as unattempted
+    const handleTextChange = (qIndex, value) => {
+        setAnswers(prev => {
+            const { [qIndex]: _removed, ...rest } = prev;
+            return value === '' ? rest : { ...rest, [qIndex]: value };
+        });
+        saveAnswer(qIndex, value === '' ? null : value, true);
+    };
+
+    const isSelected = (qIndex, optIndex) => {
+        const answer = answers[qIndex];
+        return Array.isArray(answer) ? answer.includes(optIndex) : answer === optIndex;
     };
 
     const calculateProgress = () => {
@@ -120,16 +585,29 @@ export default function ExamRoom() {
     };
 
     const handleSubmit = async (force = false) => {
+        if (submittingRef.current) return;
         if (!force && !window.confirm('Are you sure you want to submit your exam? This cannot be undone.')) {
             return;
         }
 
+        submittingRef.current = true;
         setLoading(true);
         try {
-            const { result } = await api.post(`/exams/${id}/submit`, { answers });
+            // Read through the ref — socket/timer callbacks hold a stale `answers`
+            const { result } = await api.post(`/exams/${id}/submit`, { answers: answersRef.current });
             setExam(prev => ({ ...prev, result }));
             setStatus('completed');
         } catch (err) {
+            if (err.code === 'ATTEMPT_TERMINATED') {
+                setStatus('terminated');
+                return;
+            }
+            submittingRef.current = false;
+            // Paused by the proctor (e.g. the exam ended meanwhile) — the overlay says so
+            if (err.code === 'ATTEMPT_PAUSED') {
+                setPaused(prev => prev || { reason: '', remainingMs: null });
+                return;
+            }
             setError(err.message || 'Failed to submit exam');
         } finally {
             setLoading(false);
@@ -151,26 +629,54 @@ export default function ExamRoom() {
         </div>
     );
 
-    if (status === 'waiting') {
+    if (status === 'waiting' || status === 'gated') {
+        const scanStatus = roomScan?.scan?.status || 'none';
         return (
-            <div className="flex-center" style={{ height: '100vh', flexDirection: 'column', gap: 24, textAlign: 'center' }}>
-                <div style={{ fontSize: 64 }}>⏳</div>
-                <h1 style={{ fontSize: 24 }}>Waiting for Exam to Start</h1>
+            <div className="flex-center" style={{ minHeight: '100vh', padding: '32px 0', flexDirection: 'column', gap: 24, textAlign: 'center' }}>
+                <div style={{ fontSize: 64 }}>{status === 'gated' ? '🛂' : '⏳'}</div>
+                <h1 style={{ fontSize: 24 }}>{status === 'gated' ? 'Entry Checks Required' : 'Waiting for Exam to Start'}</h1>
                 <p className="text-muted">
-                    Please wait. The exam will begin shortly.
+                    {status === 'gated'
+                        ? 'The exam has started. Finish the checks below to begin.'
+                        : 'Please wait. The exam will begin shortly.'}
                     <br />
                     Do not close this window.
                 </p>
                 {mobileConnected && (
                     <div style={{ padding: '8px 16px', background: 'var(--bg-elevated)', borderRadius: 8 }}>
                         📱 One device connected
+                        {placement?.placed
+                            ? (placement.displaced ? ' — phone moved, put it back' : ' — placement confirmed')
+                            : ' — place it behind you and keep it still'}
+                    </div>
+                )}
+                {identity?.required && (
+                    <div style={{ padding: 16, background: 'var(--bg-elevated)', borderRadius: 8, maxWidth: 420 }}>
+                        <IdentityCapture
+                            examId={id}
+                            check={identity.check}
+                            mobileConnected={mobileConnected}
+                            onUpdate={(check) => setIdentity(prev => ({ ...prev, check }))}
+                        />
                     </div>
                 )}
-                {sessionId && !mobileConnected && (
+                {roomScan?.required && (
+                    <div style={{ padding: '8px 16px', background: 'var(--bg-elevated)', borderRadius: 8, maxWidth: 420 }}>
+                        <span style={{ color: SCAN_CLEARED.includes(scanStatus) ? 'var(--color-success)' : scanStatus === 'rejected' ? 'var(--color-danger)' : undefined }}>
+                            🔄 Room scan: {SCAN_LABELS[scanStatus]}
+                        </span>
+                        {scanStatus === 'rejected' && roomScan.scan.reviewNote && (
+                            <div className="text-muted" style={{ fontSize: 13, marginTop: 4 }}>
+                                Proctor: {roomScan.scan.reviewNote}
+                            </div>
+                        )}
+                    </div>
+                )}
+                {sessionId && pairingToken && !mobileConnected && (
                     <div style={{ marginTop: 24 }}>
                         <p style={{ marginBottom: 12 }}>Scan to pair your phone:</p>
                         <div style={{ background: 'white', padding: 16, borderRadius: 8, display: 'inline-block' }}>
-                            <QRCode value={`${window.location.origin}/mobile-cam/${sessionId}?token=${localStorage.getItem('token')}`} size={160} />
+                            <QRCode value={`${window.location.origin}/mobile-cam/${sessionId}?pair=${pairingToken}`} size={160} />
                         </div>
                     </div>
                 )}
@@ -184,7 +690,21 @@ export default function ExamRoom() {
                 <div style={{ fontSize: 64 }}>🎉</div>
                 <h1 style={{ fontSize: 32 }}>Exam Completed</h1>
                 <p>Your answers have been submitted.</p>
-                {exam?.result && (
+                {endReason && (
+                    <p className="text-muted" style={{ maxWidth: 420, textAlign: 'center' }}>
+                        Your proctor submitted your exam: {endReason}
+                    </p>
+                )}
+                {exam?.result?.resultStatus === 'pending' && (
+                    <div style={{ padding: 24, background: 'var(--bg-elevated)', borderRadius: 8, textAlign: 'center', maxWidth: 420 }}>
+                        <div style={{ fontSize: 20, fontWeight: 700, marginBottom: 8 }}>Result Pending</div>
+                        <div className="text-muted">
+                            {exam.result.pendingCount} written answer(s) will be graded by your instructor.
+                            Your final score will be available once grading is complete.
+                        </div>
+                    </div>
+                )}
+                {exam?.result && exam.result.resultStatus !== 'pending' && (
                     <div style={{ padding: 24, background: 'var(--bg-elevated)', borderRadius: 8, textAlign: 'center' }}>
                         <div style={{ fontSize: 48, fontWeight: 700, color: 'var(--color-primary)' }}>
                             {exam.result.score} / {exam.result.totalMarks}
@@ -199,16 +719,190 @@ export default function ExamRoom() {
         );
     }
 
+    if (status === 'ended') {
+        return (
+            <div className="flex-center" style={{ height: '100vh', flexDirection: 'column', gap: 24, textAlign: 'center' }}>
+                <div style={{ fontSize: 64 }}>⏹️</div>
+                <h1 style={{ fontSize: 32 }}>Exam Ended</h1>
+                <p className="text-muted" style={{ maxWidth: 420 }}>
+                    The exam closed before you started, so nothing was submitted.
+                    <br />
+                    Contact your instructor if you think this is a mistake.
+                </p>
+                <button className="btn btn-secondary" onClick={() => navigate('/dashboard')}>
+                    Return to Dashboard
+                </button>
+            </div>
+        );
+    }
+
+    if (status === 'terminated') {
+        return (
+            <div className="flex-center" style={{ height: '100vh', flexDirection: 'column', gap: 24, textAlign: 'center' }}>
+                <div style={{ fontSize: 64 }}>⛔</div>
+                <h1 style={{ fontSize: 32 }}>Exam Ended by Proctor</h1>
+                <p className="text-muted" style={{ maxWidth: 420 }}>
+                    {endReason || 'Your proctor has ended your attempt.'}
+                    <br />
+                    Contact your instructor if you think this is a mistake.
+                </p>
+                <button className="btn btn-secondary" onClick={() => navigate('/dashboard')}>
+                    Return to Dashboard
+                </button>
+            </div>
+        );
+    }
+
     // Live Exam View
     const currentQ = questions[currentIndex];
+    const remainingMs = paused?.remainingMs ?? (deadline ? deadline - (now + clockOffset) : null);
+    const timeLow = remainingMs !== null && remainingMs <= 5 * 60 * 1000;
+
+    // Errata point at a question id; the student's shuffled order decides the number shown
+    const questionLabel = (questionId) => {
+        const idx = questions.findIndex(q => q.id === questionId);
+        return idx === -1 ? 'a question' : `Question ${idx + 1}`;
+    };
+    const banner = [...announcements].reverse().find(a => !dismissedBanners.includes(a.id));
+    const currentErrata = currentQ ? announcements.filter(a => a.questionId === currentQ.id) : [];
+    const errataIds = new Set(announcements.map(a => a.questionId).filter(Boolean));
 
     return (
         <div className="exam-layout" style={{ display: 'grid', gridTemplateColumns: '1fr 300px', height: '100vh' }}>
+            {!fullscreen && (
+                <div className="flex-center" style={{
+                    position: 'fixed', inset: 0, zIndex: 100, flexDirection: 'column', gap: 16,
+                    background: 'var(--bg-primary)', textAlign: 'center', padding: 24
+                }}>
+                    <div style={{ fontSize: 48 }}>🖥️</div>
+                    <h1 style={{ fontSize: 24 }}>Fullscreen Required</h1>
+                    <p className="text-muted" style={{ maxWidth: 420 }}>
+                        This exam must be taken in fullscreen. Leaving fullscreen, switching tabs
+                        or windows, and copy/paste are reported to your proctor.
+                    </p>
+                    <button className="btn btn-primary" onClick={requestFullscreen}>
+                        Enter Fullscreen
+                    </button>
+                </div>
+            )}
+
+            {paused && (
+                <div className="flex-center" style={{
+                    position: 'fixed', inset: 0, zIndex: 110, flexDirection: 'column', gap: 16,
+                    background: 'var(--bg-primary)', textAlign: 'center', padding: 24
+                }}>
+                    <div style={{ fontSize: 48 }}>⏸️</div>
+                    <h1 style={{ fontSize: 24 }}>Exam Paused</h1>
+                    <p className="text-muted" style={{ maxWidth: 420 }}>
+                        Your proctor has paused your exam{paused.reason ? `: ${paused.reason}` : '.'}
+                        <br />
+                        Your timer is stopped and will continue when you are resumed. Stay where you are.
+                    </p>
+                    {paused.remainingMs != null && (
+                        <div className="text-muted" style={{ fontVariantNumeric: 'tabular-nums' }}>
+                            Time remaining: {formatRemaining(paused.remainingMs)}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {warnings.length > 0 && (
+                <div className="flex-center" style={{ position: 'fixed', inset: 0, zIndex: 120, background: 'rgba(0,0,0,0.6)' }}>
+                    <div className="glass-card" style={{
+                        padding: 24, maxWidth: 420, textAlign: 'center', border: '1px solid var(--color-warning)'
+                    }}>
+                        <div style={{ fontSize: 40 }}>⚠️</div>
+                        <h2 style={{ fontSize: 20, margin: '8px 0' }}>Warning from your proctor</h2>
+                        <p style={{ marginBottom: 16, whiteSpace: 'pre-wrap' }}>{warnings[0].message}</p>
+                        <button className="btn btn-primary" onClick={() => setWarnings(prev => prev.slice(1))}>
+                            I understand
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {repairMessage && !mobileConnected && tether?.status !== 'lost' && (
+                <div className="glass-card" style={{
+                    position: 'fixed', bottom: 24, left: 24, zIndex: 90, padding: 20, maxWidth: 320,
+                    border: '1px solid var(--color-warning)', textAlign: 'center'
+                }}>
+                    <div style={{ fontWeight: 700, marginBottom: 8 }}>📱 Re-pair your phone</div>
+                    <p className="text-muted" style={{ fontSize: 13, marginBottom: 12 }}>{repairMessage}</p>
+                    {sessionId && pairingToken && (
+                        <div style={{ background: 'white', padding: 12, borderRadius: 8, display: 'inline-block' }}>
+                            <QRCode value={`${window.location.origin}/mobile-cam/${sessionId}?pair=${pairingToken}`} size={140} />
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {tether?.status === 'lost' && (
+                <div className="glass-card" style={{
+                    position: 'fixed', bottom: 24, left: 24, zIndex: 90, padding: 20, maxWidth: 320,
+                    border: '1px solid var(--color-danger)', textAlign: 'center'
+                }}>
+                    <div style={{ fontWeight: 700, marginBottom: 8 }}>📵 Phone disconnected</div>
+                    <p className="text-muted" style={{ fontSize: 13, marginBottom: 12 }}>
+                        Your proctor has been notified. Scan to re-pair your phone and keep it facing you.
+                    </p>
+                    {sessionId && pairingToken && (
+                        <div style={{ background: 'white', padding: 12, borderRadius: 8, display: 'inline-block' }}>
+                            <QRCode value={`${window.location.origin}/mobile-cam/${sessionId}?pair=${pairingToken}`} size={140} />
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {placement?.displaced && tether?.status !== 'lost' && (
+                <div className="glass-card" style={{
+                    position: 'fixed', bottom: 24, left: 24, zIndex: 90, padding: 20, maxWidth: 320,
+                    border: '1px solid var(--color-warning)', textAlign: 'center'
+                }}>
+                    <div style={{ fontWeight: 700, marginBottom: 8 }}>↩️ Phone moved</div>
+                    <p className="text-muted" style={{ fontSize: 13 }}>
+                        Put your phone back where you placed it, camera facing you and your desk.
+                        Your proctor has been notified.
+                    </p>
+                </div>
+            )}
+
             {/* Main Question Area */}
             <div style={{ padding: 40, overflowY: 'auto' }}>
+                {banner && (
+                    <div className="glass-card" style={{
+                        padding: '12px 16px', marginBottom: 24, display: 'flex', gap: 12, alignItems: 'flex-start',
+                        border: `1px solid ${banner.questionId ? 'var(--color-warning)' : 'var(--color-primary)'}`
+                    }}>
+                        <div style={{ fontSize: 20 }}>📢</div>
+                        <div style={{ flex: 1 }}>
+                            <div style={{ fontWeight: 600, fontSize: 14 }}>
+                                {banner.questionId ? `Correction to ${questionLabel(banner.questionId)}` : 'Announcement from your proctor'}
+                            </div>
+                            <div style={{ whiteSpace: 'pre-wrap', fontSize: 14 }}>{banner.body}</div>
+                        </div>
+                        {banner.questionId && questions.some(q => q.id === banner.questionId) && (
+                            <button className="btn btn-secondary" style={{ padding: '4px 10px', fontSize: 12 }}
+                                onClick={() => setCurrentIndex(questions.findIndex(q => q.id === banner.questionId))}>
+                                Go to question
+                            </button>
+                        )}
+                        <button className="btn btn-ghost" style={{ padding: '4px 8px' }} aria-label="Dismiss"
+                            onClick={() => setDismissedBanners(prev => [...prev, banner.id])}>
+                            ✕
+                        </button>
+                    </div>
+                )}
+
                 <div style={{ marginBottom: 24, display: 'flex', justifyContent: 'space-between' }}>
                     <div className="badge badge-info">Question {currentIndex + 1} of {questions.length}</div>
-                    <div className="text-muted">Time Remaining: --:--</div> {/* TODO: Timer */}
+                    <div style={{ display: 'flex', gap: 16, alignItems: 'center' }}>
+                        <span className={saveState === 'offline' ? 'text-danger' : 'text-muted'} style={{ fontSize: 13 }}>
+                            {SAVE_LABELS[saveState]}
+                        </span>
+                        <div className={timeLow ? 'text-danger' : 'text-muted'} style={{ fontVariantNumeric: 'tabular-nums' }}>
+                            Time Remaining: {remainingMs === null ? '--:--' : formatRemaining(remainingMs)}
+                        </div>
+                    </div>
                 </div>
 
                 {currentQ && (
@@ -217,29 +911,65 @@ export default function ExamRoom() {
                             <LatexRenderer>{currentQ.text}</LatexRenderer>
                         </div>
 
-                        <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
-                            {currentQ.options.map((opt, idx) => (
-                                <label
-                                    key={idx}
-                                    className="option-card"
-                                    style={{
-                                        padding: 16, borderRadius: 8, border: '1px solid var(--border-subtle)',
-                                        cursor: 'pointer', display: 'flex', alignItems: 'center', gap: 12,
-                                        background: answers[currentIndex] === idx ? 'rgba(59, 130, 246, 0.1)' : 'transparent',
-                                        borderColor: answers[currentIndex] === idx ? 'var(--color-primary)' : 'var(--border-subtle)'
-                                    }}
-                                >
-                                    <input
-                                        type="radio"
-                                        name={`q-${currentQ.id}`}
-                                        checked={answers[currentIndex] === idx}
-                                        onChange={() => handleOptionSelect(currentIndex, idx)}
-                                        style={{ width: 16, height: 16 }}
-                                    />
-                                    <span><LatexRenderer>{opt}</LatexRenderer></span>
-                                </label>
-                            ))}
-                        </div>
+                        {currentErrata.map(erratum => (
+                            <div key={erratum.id} style={{
+                                marginBottom: 16, padding: '10px 14px', borderRadius: 8, fontSize: 14,
+                                background: 'var(--color-warning-bg)', borderLeft: '3px solid var(--color-warning)'
+                            }}>
+                                <div style={{ fontWeight: 600, marginBottom: 4 }}>
+                                    ✏️ Correction · {new Date(erratum.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                </div>
+                                <div style={{ whiteSpace: 'pre-wrap' }}><LatexRenderer>{erratum.body}</LatexRenderer></div>
+                            </div>
+                        ))}
+
+                        {currentQ.type === 'multiple' && (
+                            <div className="text-muted" style={{ fontSize: 13, marginBottom: 12 }}>
+                                One or more options may be correct. Partial marks apply.
+                            </div>
+                        )}
+
+                        {currentQ.type === 'numeric' ? (
+                            <NumericKeypad
+                                value={answers[currentIndex] ?? ''}
+                                onChange={value => handleTextChange(currentIndex, value)}
+                            />
+                        ) : currentQ.type === 'subjective' ? (
+                            <textarea
+                                className="input-field"
+                                rows={currentQ.answerFormat === 'long' ? 14 : 4}
+                                value={answers[currentIndex] ?? ''}
+                                onChange={e => handleTextChange(currentIndex, e.target.value)}
+                                placeholder={currentQ.answerFormat === 'long' ? 'Write your answer…' : 'Short answer'}
+                                style={{ width: '100%', resize: 'vertical', lineHeight: 1.6 }}
+                            />
+                        ) : (
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+                                {currentQ.options.map((opt, idx) => (
+                                    <label
+                                        key={idx}
+                                        className="option-card"
+                                        style={{
+                                            padding: 16, borderRadius: 8, border: '1px solid var(--border-subtle)',
+                                            cursor: 'pointer', display: 'flex', alignItems: 'center', gap: 12,
+                                            background: isSelected(currentIndex, idx) ? 'rgba(59, 130, 246, 0.1)' : 'transparent',
+                                            borderColor: isSelected(currentIndex, idx) ? 'var(--color-primary)' : 'var(--border-subtle)'
+                                        }}
+                                    >
+                                        <input
+                                            type={currentQ.type === 'multiple' ? 'checkbox' : 'radio'}
+                                            name={`q-${currentQ.id}`}
+                                            checked={isSelected(currentIndex, idx)}
+                                            onChange={() => currentQ.type === 'multiple'
+                                                ? handleOptionToggle(currentIndex, idx)
+                                                : handleOptionSelect(currentIndex, idx)}
+                                            style={{ width: 16, height: 16 }}
+                                        />
+                                        <span><LatexRenderer>{opt}</LatexRenderer></span>
+                                    </label>
+                                ))}
+                            </div>
+                        )}
                     </div>
                 )}
 
@@ -281,8 +1011,9 @@ export default function ExamRoom() {
                         display: 'flex', alignItems: 'center', justifyContent: 'center',
                         color: '#666', fontSize: 12, position: 'relative', overflow: 'hidden'
                     }}>
-                        {/* We would render local webcam here */}
+                        {/* Local webcam — also the source of laptop violation snapshots */}
                         <video id="local-webcam" autoPlay muted playsInline style={{ width: '100%', height: '100%', objectFit: 'cover' }} ref={el => {
+                            webcamRef.current = el;
                             if (el && !el.srcObject) {
                                 navigator.mediaDevices.getUserMedia({ video: true }).then(stream => el.srcObject = stream).catch(e => console.error(e));
                             }
@@ -291,17 +1022,64 @@ export default function ExamRoom() {
                             {mobileConnected ? '📱+💻' : '💻 Only'}
                         </div>
                     </div>
+                    {tether?.status === 'degraded' && (
+                        <div className="text-danger" style={{ fontSize: 12, marginTop: 8 }}>
+                            ⚠️ Phone: {tether.issues.map(issue => TETHER_ISSUES[issue] || issue).join(', ')}
+                        </div>
+                    )}
                 </div>
 
+                <div className="glass-card" style={{ padding: 16 }}>
+                    <button className="btn btn-ghost" onClick={() => setChatOpen(open => !open)} style={{
+                        width: '100%', padding: 0, display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontWeight: 600
+                    }}>
+                        <span>💬 Message proctor</span>
+                        <span style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                            {unreadChat > 0 && <span className="badge badge-danger">{unreadChat}</span>}
+                            {chatOpen ? '▾' : '▸'}
+                        </span>
+                    </button>
+                    {chatOpen && (
+                        <div style={{ marginTop: 12 }}>
+                            <ChatThread
+                                messages={chat}
+                                selfRole="student"
+                                onSend={sendChat}
+                                height={200}
+                                placeholder="Report a problem…"
+                            />
+                        </div>
+                    )}
+                </div>
+
+                {announcements.length > 0 && (
+                    <div className="glass-card" style={{ padding: 16 }}>
+                        <div style={{ marginBottom: 12, fontWeight: 600 }}>📢 Announcements</div>
+                        <div style={{ maxHeight: 200, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 10, fontSize: 13 }}>
+                            {[...announcements].reverse().map(a => (
+                                <div key={a.id} style={{ borderLeft: `3px solid ${a.questionId ? 'var(--color-warning)' : 'var(--color-primary)'}`, paddingLeft: 8 }}>
+                                    <div className="text-muted" style={{ fontSize: 11 }}>
+                                        {new Date(a.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                        {a.questionId && ` · ${questionLabel(a.questionId)}`}
+                                    </div>
+                                    <div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{a.body}</div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 <div className="glass-card" style={{ padding: 16 }}>
                     <div style={{ marginBottom: 16, fontWeight: 600 }}>Question Map</div>
                     <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 8 }}>
-                        {questions.map((_, idx) => (
+                        {questions.map((q, idx) => (
                             <button
                                 key={idx}
                                 onClick={() => setCurrentIndex(idx)}
+                                title={errataIds.has(q.id) ? 'This question has a correction' : undefined}
                                 style={{
-                                    width: 32, height: 32, borderRadius: 4, border: 'none',
+                                    width: 32, height: 32, borderRadius: 4,
+                                    border: errataIds.has(q.id) ? '2px solid var(--color-warning)' : 'none',
                                     background: answers[idx] !== undefined ? 'var(--color-primary)' : 'var(--bg-elevated)',
                                     color: answers[idx] !== undefined ? 'white' : 'var(--text-primary)',
                                     cursor: 'pointer', fontSize: 12
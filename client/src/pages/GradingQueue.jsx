@@ -0,0 +1,155 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import LatexRenderer from '../components/LatexRenderer.jsx';
+import api from '../services/api.js';
+
+export default function GradingQueue() {
+    const [items, setItems] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [selected, setSelected] = useState(null);
+    const [awards, setAwards] = useState([]);
+    const [feedback, setFeedback] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        const fetchQueue = async () => {
+            try {
+                const data = await api.get('/grading/queue');
+                setItems(data.items || []);
+            } catch (err) {
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchQueue();
+    }, []);
+
+    const itemKey = (item) => `${item.submissionId}:${item.questionId}`;
+
+    const selectItem = (item) => {
+        setSelected(item);
+        setAwards(item.rubric.map(() => 0));
+        setFeedback('');
+        setError('');
+    };
+
+    const handleGrade = async () => {
+        setSaving(true);
+        setError('');
+        try {
+            await api.post(
+                `/grading/submissions/${selected.submissionId}/questions/${selected.questionId}`,
+                { awards, feedback }
+            );
+            setItems(prev => prev.filter(i => itemKey(i) !== itemKey(selected)));
+            setSelected(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const total = awards.reduce((sum, a) => sum + (Number(a) || 0), 0);
+
+    return (
+        <div className="dashboard-layout">
+            <div style={{ padding: 24, display: 'grid', gridTemplateColumns: '360px 1fr', gap: 24 }}>
+
+                {/* Queue */}
+                <div className="glass-card" style={{ height: 'calc(100vh - 48px)', display: 'flex', flexDirection: 'column' }}>
+                    <div style={{ padding: 16, borderBottom: '1px solid var(--border-subtle)' }}>
+                        <Link to="/dashboard" className="text-sm">← Back to Dashboard</Link>
+                        <div style={{ fontWeight: 600, marginTop: 8 }}>Grading Queue ({items.length})</div>
+                    </div>
+                    <div style={{ overflowY: 'auto', flex: 1 }}>
+                        {loading ? (
+                            <div style={{ display: 'flex', justifyContent: 'center', padding: 32 }}>
+                                <span className="spinner" />
+                            </div>
+                        ) : items.length === 0 ? (
+                            <div className="text-muted" style={{ textAlign: 'center', marginTop: 40 }}>
+                                Nothing left to grade.
+                            </div>
+                        ) : items.map(item => (
+                            <div
+                                key={itemKey(item)}
+                                onClick={() => selectItem(item)}
+                                style={{
+                                    padding: '12px 16px', borderBottom: '1px solid var(--border-subtle)', fontSize: 14,
+                                    cursor: 'pointer',
+                                    background: selected && itemKey(selected) === itemKey(item) ? 'rgba(99, 102, 241, 0.1)' : 'transparent',
+                                }}
+                            >
+                                <div style={{ fontWeight: 600 }}>{item.student?.name || 'Unknown student'}</div>
+                                <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+                                    {item.exam.title} • {item.questionId} • {item.maxMarks} marks
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Grader */}
+                <div className="glass-card" style={{ padding: 24, overflowY: 'auto', height: 'calc(100vh - 48px)' }}>
+                    {error && <div className="text-danger" style={{ marginBottom: 16 }}>⚠️ {error}</div>}
+
+                    {!selected ? (
+                        <div className="text-muted" style={{ textAlign: 'center', marginTop: 40 }}>
+                            Select a response to grade.
+                        </div>
+                    ) : (
+                        <>
+                            <div className="text-sm text-muted" style={{ marginBottom: 8 }}>
+                                {selected.student?.name} ({selected.student?.email}) • {selected.exam.title}
+                            </div>
+                            <div style={{ fontSize: 18, marginBottom: 16, lineHeight: 1.6 }}>
+                                <LatexRenderer>{selected.questionText}</LatexRenderer>
+                            </div>
+
+                            <div style={{
+                                padding: 16, background: 'var(--bg-elevated)', borderRadius: 8,
+                                whiteSpace: 'pre-wrap', lineHeight: 1.6, marginBottom: 24
+                            }}>
+                                {selected.answer || <span className="text-muted">(empty)</span>}
+                            </div>
+
+                            <h2 style={{ fontSize: 'var(--text-xl)', fontWeight: 600, marginBottom: 12 }}>Rubric</h2>
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: 12, marginBottom: 24 }}>
+                                {selected.rubric.map((c, i) => (
+                                    <div key={i} style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+                                        <div style={{ flex: 1 }}>{c.criterion}</div>
+                                        <input
+                                            type="number" className="input-field"
+                                            min="0" max={c.points} step="0.5"
+                                            value={awards[i]}
+                                            onChange={e => setAwards(prev => prev.map((a, j) => (j === i ? Number(e.target.value) : a)))}
+                                            style={{ width: 90 }}
+                                        />
+                                        <div className="text-muted" style={{ width: 48 }}>/ {c.points}</div>
+                                    </div>
+                                ))}
+                            </div>
+
+                            <label className="label">Feedback (optional)</label>
+                            <textarea
+                                className="input-field" rows={3}
+                                value={feedback} onChange={e => setFeedback(e.target.value)}
+                                style={{ width: '100%', resize: 'vertical', marginBottom: 24 }}
+                            />
+
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                                <div style={{ fontWeight: 700 }}>Total: {total} / {selected.maxMarks}</div>
+                                <button className="btn btn-primary" onClick={handleGrade} disabled={saving}>
+                                    {saving ? <span className="spinner" /> : 'Save Grade'}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
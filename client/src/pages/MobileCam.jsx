@@ -1,42 +1,142 @@
 import { useState, useEffect, useRef } from 'react';
 import { useParams } from 'react-router-dom';
 import { io } from 'socket.io-client';
+import { startCameraPublisher } from '../services/rtc.js';
+import { startFrameAnalysis } from '../services/frameAnalysis.js';
+import { createDefaultDetectors } from '../services/detectors.js';
+import { reportWithEvidence } from '../services/evidence.js';
+import { startAudioMonitor, MIC_CONSTRAINTS } from '../services/audioMonitor.js';
+import { startPlacementMonitor } from '../services/placementMonitor.js';
+import { captureIdentityPhoto } from '../services/identity.js';
+import { startRoomScan, createScanClient, requestOrientationPermission, REQUIRED_COVERAGE } from '../services/roomScan.js';
 
 const URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
+// Stable per phone, so the server can tell a reconnect from a second phone
+function getDeviceId() {
+    let deviceId = localStorage.getItem('parallax_device_id');
+    if (!deviceId) {
+        // randomUUID needs a secure context; phones often reach the hall server over plain http
+        deviceId = crypto.randomUUID?.() ?? Date.now().toString(36) + Math.random().toString(36).slice(2);
+        localStorage.setItem('parallax_device_id', deviceId);
+    }
+    return deviceId;
+}
+
+const resumeKey = (sessionId) => `parallax_device_token:${sessionId}`;
+
+// The server marks the tether lost after ~3 missed beats
+const HEARTBEAT_INTERVAL_MS = 5000;
+
+// Frames per second the on-device detectors look at
+const ANALYSIS_FPS = 2;
+
+// Room scan statuses that let the student start (see server models/RoomScan.js)
+const SCAN_CLEARED = ['submitted', 'approved'];
+
+// Battery Manager is Chromium-only; elsewhere we just don't report it
+async function readBattery() {
+    try {
+        const battery = await navigator.getBattery?.();
+        return battery ? { level: battery.level, charging: battery.charging } : null;
+    } catch {
+        return null;
+    }
+}
+
 export default function MobileCam() {
     const { sessionId } = useParams();
     const [status, setStatus] = useState('connecting'); // connecting, connected, error
+    const [errorMessage, setErrorMessage] = useState('');
     const [socket, setSocket] = useState(null);
     const videoRef = useRef(null);
     const [streamError, setStreamError] = useState('');
+    const [wakeLockHeld, setWakeLockHeld] = useState(null); // null = unsupported
+    const [audioConfig, setAudioConfig] = useState(null); // exam's audioMonitoring, from mobile:paired
+    const [audioSuspended, setAudioSuspended] = useState(false);
+    const [micError, setMicError] = useState('');
+    const audioRef = useRef(null);
+    const [roomScan, setRoomScan] = useState(null); // { required, scan }, from mobile:paired
+    const [scanState, setScanState] = useState('idle'); // idle, starting, scanning
+    const [scanProgress, setScanProgress] = useState(null);
+    const [scanError, setScanError] = useState('');
+    const [placed, setPlaced] = useState(false); // phone has settled into position (placement baseline taken)
+    const [displaced, setDisplaced] = useState(false);
+    const [sensorError, setSensorError] = useState('');
+    const [examId, setExamId] = useState('');
+    const [identity, setIdentity] = useState(null); // { required, check }, from mobile:paired
+    const [idState, setIdState] = useState(''); // '', uploading, or an error message
 
     useEffect(() => {
-        if (!sessionId) {
+        // The QR carries a single-use pairing code; after pairing we reconnect with a resume token
+        const pairingToken = new URLSearchParams(window.location.search).get('pair');
+        const resumeToken = sessionId && localStorage.getItem(resumeKey(sessionId));
+
+        if (!sessionId || (!pairingToken && !resumeToken)) {
             setStatus('error');
             return;
         }
 
         const newSocket = io(`${URL}/exam`, {
             transports: ['websocket'],
-            auth: {
-                token: new URLSearchParams(window.location.search).get('token')
-            }
+            auth: resumeToken ? { token: resumeToken } : { pairingToken },
         });
 
         newSocket.on('connect', () => {
+            newSocket.emit('mobile:join', { deviceId: getDeviceId() });
+        });
+
+        newSocket.on('mobile:paired', (data) => {
+            localStorage.setItem(resumeKey(sessionId), data.resumeToken);
+            newSocket.auth = { token: data.resumeToken }; // used by automatic reconnects
+            setAudioConfig(data.audio);
+            setRoomScan(data.roomScan);
+            setIdentity(data.identity);
+            setExamId(data.examId);
             setStatus('connected');
-            newSocket.emit('mobile:join', sessionId);
+        });
+
+        newSocket.on('roomscan:updated', (scan) => {
+            setRoomScan(prev => prev && { ...prev, scan });
+        });
+
+        newSocket.on('identity:updated', (check) => {
+            setIdentity(prev => prev && { ...prev, check });
+        });
+
+        newSocket.on('mobile:pair_rejected', ({ message }) => {
+            localStorage.removeItem(resumeKey(sessionId));
+            setErrorMessage(message);
+            setStatus('error');
+        });
+
+        // Proctor asked for a fresh pairing — this phone's token is dead, scan the laptop's new QR
+        newSocket.on('pairing:reset', ({ message }) => {
+            localStorage.removeItem(resumeKey(sessionId));
+            setErrorMessage(message);
+            setStatus('error');
         });
 
         newSocket.on('connect_error', (err) => {
             console.error(err);
+            // A stale resume token — fall back to the QR's pairing code once
+            if (newSocket.auth.token && pairingToken) {
+                localStorage.removeItem(resumeKey(sessionId));
+                newSocket.auth = { pairingToken };
+                newSocket.connect();
+                return;
+            }
+            setErrorMessage(err.message);
             setStatus('error');
         });
 
+        // Proctors can open a live view of this camera
+        const stopPublisher = startCameraPublisher(newSocket, () => videoRef.current?.srcObject);
+
         setSocket(newSocket);
 
         return () => {
+            stopPublisher();
             newSocket.disconnect();
         };
     }, [sessionId]);
@@ -67,6 +167,214 @@ export default function MobileCam() {
         };
     }, []);
 
+    // Keep the screen on — a sleeping phone stops the camera
+    useEffect(() => {
+        if (!navigator.wakeLock) return;
+        let sentinel = null;
+
+        const acquire = async () => {
+            if (document.hidden) return;
+            try {
+                sentinel = await navigator.wakeLock.request('screen');
+                setWakeLockHeld(true);
+                sentinel.addEventListener('release', () => setWakeLockHeld(false));
+            } catch (err) {
+                console.error('Wake lock failed:', err);
+                setWakeLockHeld(false);
+            }
+        };
+
+        // The browser drops the lock whenever the page is hidden
+        document.addEventListener('visibilitychange', acquire);
+        acquire();
+
+        return () => {
+            document.removeEventListener('visibilitychange', acquire);
+            sentinel?.release().catch(() => {});
+        };
+    }, []);
+
+    // Heartbeat: tell the server the phone is alive and actually watching
+    useEffect(() => {
+        if (!socket || status !== 'connected') return;
+
+        const beat = async () => {
+            const track = videoRef.current?.srcObject?.getVideoTracks()[0];
+            socket.emit('tether:heartbeat', {
+                cameraLive: !!track && track.readyState === 'live' && track.enabled && !track.muted,
+                visible: !document.hidden,
+                wakeLock: wakeLockHeld,
+                battery: await readBattery(),
+            });
+        };
+
+        beat();
+        const interval = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+        document.addEventListener('visibilitychange', beat);
+
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', beat);
+        };
+    }, [socket, status, wakeLockHeld]);
+
+    // On-device detectors → violation:alert, each with a snapshot as evidence.
+    // Paused during the room scan, where turning around is the whole point.
+    useEffect(() => {
+        if (!socket || status !== 'connected' || !videoRef.current || scanState !== 'idle') return;
+
+        const video = videoRef.current;
+        return startFrameAnalysis({
+            video,
+            detectors: createDefaultDetectors(),
+            fps: ANALYSIS_FPS,
+            onViolation: (violation) => reportWithEvidence(socket, 'violation:alert', violation, {
+                video,
+                token: localStorage.getItem(resumeKey(sessionId)),
+                baseUrl: `${URL}/api`,
+            }),
+        });
+    }, [socket, status, sessionId, scanState]);
+
+    // Room scan: follow the pan, upload frames as they're taken, then submit
+    useEffect(() => {
+        if (scanState !== 'scanning' || !videoRef.current) return;
+
+        const client = createScanClient(`${URL}/api`, localStorage.getItem(resumeKey(sessionId)));
+        const fail = (err) => {
+            setScanError(err.message);
+            setScanState('idle');
+        };
+
+        return startRoomScan({
+            video: videoRef.current,
+            onFrame: (blob, heading) => client.uploadFrame(blob, heading),
+            onProgress: setScanProgress,
+            onDone: ({ coverage }) => client.complete(coverage).then(({ scan }) => {
+                setRoomScan(prev => prev && { ...prev, scan });
+                setScanState('idle');
+            }, fail),
+            onError: fail,
+        });
+    }, [scanState, sessionId]);
+
+    const needsScan = roomScan?.required && !SCAN_CLEARED.includes(roomScan.scan?.status);
+    const scanning = needsScan || scanState !== 'idle';
+
+    // Placement: from pairing on (the room scan pans the phone, so not during it) — baseline once
+    // the phone settles, then phone_moved / phone_handled; the laptop shows the prompt
+    useEffect(() => {
+        if (!socket || status !== 'connected' || scanning) return;
+
+        const stop = startPlacementMonitor({
+            onViolation: (violation) => reportWithEvidence(socket, 'violation:alert', violation, {
+                video: videoRef.current,
+                token: localStorage.getItem(resumeKey(sessionId)),
+                baseUrl: `${URL}/api`,
+            }),
+            onPlaced: () => {
+                setPlaced(true);
+                socket.emit('placement:status', { placed: true, displaced: false });
+            },
+            onDisplacedChange: (value) => {
+                setDisplaced(value);
+                socket.emit('placement:status', { placed: true, displaced: value });
+            },
+        });
+        return () => {
+            stop();
+            setPlaced(false);
+            setDisplaced(false);
+        };
+    }, [socket, status, scanning, sessionId]);
+
+    // iOS only delivers motion events after a tap grants them; elsewhere placement starts on its own
+    const needsMotionPermission = typeof window.DeviceOrientationEvent?.requestPermission === 'function';
+    const enableSensors = async () => {
+        if (!(await requestOrientationPermission())) {
+            setSensorError('Motion sensors are blocked — allow them so placement can be checked.');
+        }
+    };
+
+    // The rear camera is usually sharper than the webcam for reading an ID
+    const photographId = async () => {
+        setIdState('uploading');
+        try {
+            const { check } = await captureIdentityPhoto(videoRef.current, {
+                kind: 'id',
+                examId,
+                token: localStorage.getItem(resumeKey(sessionId)),
+                baseUrl: `${URL}/api`,
+            });
+            setIdentity(prev => prev && { ...prev, check });
+            setIdState('');
+        } catch (err) {
+            setIdState(err.message);
+        }
+    };
+
+    const canPhotographId = identity?.required && ['capturing', 'rejected', undefined].includes(identity.check?.status);
+
+    const startScan = async () => {
+        setScanError('');
+        setScanState('starting');
+        // Must run inside the tap; a refusal just means the timed fallback
+        await requestOrientationPermission();
+        try {
+            await createScanClient(`${URL}/api`, localStorage.getItem(resumeKey(sessionId))).begin();
+            setScanProgress({ coverage: 0, heading: null, frames: 0, verified: true });
+            setScanState('scanning');
+        } catch (err) {
+            setScanError(err.message);
+            setScanState('idle');
+        }
+    };
+
+    // Microphone: levels to the proctor, sustained speech → talking_detected. Nothing is recorded.
+    useEffect(() => {
+        if (!socket || status !== 'connected' || !audioConfig?.enabled) return;
+
+        let cancelled = false;
+        let micStream = null;
+
+        navigator.mediaDevices.getUserMedia(MIC_CONSTRAINTS)
+            .then(stream => {
+                if (cancelled) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                micStream = stream;
+                audioRef.current = startAudioMonitor({
+                    stream,
+                    thresholdDb: audioConfig.thresholdDb,
+                    sustainSeconds: audioConfig.sustainSeconds,
+                    onLevel: (level) => socket.emit('audio:level', level),
+                    onTalking: ({ confidence, detail }) => reportWithEvidence(socket, 'violation:alert', {
+                        violation: 'talking_detected',
+                        confidence,
+                        detail,
+                        timestamp: Date.now(),
+                    }, {
+                        video: videoRef.current,
+                        token: localStorage.getItem(resumeKey(sessionId)),
+                        baseUrl: `${URL}/api`,
+                    }),
+                    onSuspendedChange: setAudioSuspended,
+                });
+            })
+            .catch(err => {
+                console.error('Microphone Error:', err);
+                setMicError('Enable microphone access to continue.');
+            });
+
+        return () => {
+            cancelled = true;
+            audioRef.current?.stop();
+            audioRef.current = null;
+            micStream?.getTracks().forEach(track => track.stop());
+        };
+    }, [socket, status, audioConfig, sessionId]);
+
     return (
         <div style={{
             height: '100vh', width: '100vw', background: '#000', color: '#fff',
@@ -99,16 +407,120 @@ export default function MobileCam() {
                     </>
                 )}
 
-                {status === 'connected' && !streamError && (
+                {status === 'connected' && !streamError && scanning && (
+                    <>
+                        <div style={{ fontSize: 48 }}>🔄</div>
+                        <h1 style={{ fontSize: 20, fontWeight: 700, margin: '8px 0' }}>Room Scan</h1>
+
+                        {scanState === 'scanning' && scanProgress ? (
+                            <>
+                                <p style={{ fontSize: 14, color: 'rgba(255,255,255,0.8)' }}>
+                                    {scanProgress.coverage >= REQUIRED_COVERAGE
+                                        ? 'Finishing up…'
+                                        : 'Slowly turn a full circle, camera facing out — show the desk, walls and floor.'}
+                                </p>
+                                <div style={{ height: 8, background: 'rgba(255,255,255,0.2)', borderRadius: 4, margin: '12px 0 6px', overflow: 'hidden' }}>
+                                    <div style={{
+                                        height: '100%', background: '#4ade80', transition: 'width 0.3s',
+                                        width: `${Math.min(100, Math.round((scanProgress.coverage / 360) * 100))}%`
+                                    }} />
+                                </div>
+                                <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.6)' }}>
+                                    {Math.min(100, Math.round((scanProgress.coverage / 360) * 100))}% covered · {scanProgress.frames} frames
+                                    {!scanProgress.verified && ' · no compass, keep turning steadily'}
+                                </p>
+                            </>
+                        ) : (
+                            <>
+                                <p style={{ fontSize: 14, color: 'rgba(255,255,255,0.8)' }}>
+                                    Before the exam, show your surroundings: hold the phone up and turn around once.
+                                </p>
+                                {roomScan?.scan?.status === 'rejected' && (
+                                    <p style={{ color: '#ffb86b', fontSize: 13, marginTop: 8 }}>
+                                        The proctor asked for a new scan{roomScan.scan.reviewNote ? `: ${roomScan.scan.reviewNote}` : '.'}
+                                    </p>
+                                )}
+                                <button onClick={startScan} disabled={scanState === 'starting'} style={{
+                                    marginTop: 12, padding: '10px 20px', borderRadius: 8, border: 'none',
+                                    background: '#fff', color: '#000', fontWeight: 600
+                                }}>
+                                    {scanState === 'starting' ? 'Starting…' : scanError ? 'Try again' : 'Start room scan'}
+                                </button>
+                            </>
+                        )}
+
+                        {scanError && (
+                            <p style={{ color: '#ff6b6b', fontWeight: 600, marginTop: 8 }}>{scanError}</p>
+                        )}
+                    </>
+                )}
+
+                {status === 'connected' && !streamError && !scanning && (
                     <>
-                        <div style={{ fontSize: 48 }}>✅</div>
-                        <h1 style={{ fontSize: 20, fontWeight: 700, margin: '8px 0' }}>Device Connected</h1>
+                        {roomScan?.scan?.status === 'submitted' && (
+                            <p style={{ fontSize: 12, color: '#4ade80', marginBottom: 8 }}>Room scan submitted ✓</p>
+                        )}
+                        <div style={{ fontSize: 48 }}>{displaced ? '↩️' : '✅'}</div>
+                        <h1 style={{ fontSize: 20, fontWeight: 700, margin: '8px 0' }}>
+                            {displaced ? 'Phone Moved' : 'Device Connected'}
+                        </h1>
                         <p style={{ fontSize: 14, color: 'rgba(255,255,255,0.8)' }}>
-                            Place phone behind you. Do not close tab.
+                            {displaced
+                                ? 'Put the phone back where it was.'
+                                : 'Place phone behind you. Do not close tab.'}
                         </p>
+                        {!placed && !needsMotionPermission && (
+                            <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.6)', marginTop: 8 }}>Checking placement — keep the phone still…</p>
+                        )}
+                        {!placed && needsMotionPermission && (
+                            <button onClick={enableSensors} style={{
+                                marginTop: 12, padding: '10px 20px', borderRadius: 8, border: 'none',
+                                background: '#fff', color: '#000', fontWeight: 600
+                            }}>
+                                Phone is in place
+                            </button>
+                        )}
+                        {sensorError && (
+                            <p style={{ fontSize: 12, color: '#ffb86b', marginTop: 8 }}>{sensorError}</p>
+                        )}
+                        {canPhotographId && (
+                            <div style={{ marginTop: 12 }}>
+                                <button onClick={photographId} disabled={idState === 'uploading'} style={{
+                                    padding: '8px 16px', borderRadius: 8, border: '1px solid #fff',
+                                    background: 'transparent', color: '#fff', fontWeight: 600
+                                }}>
+                                    {idState === 'uploading'
+                                        ? 'Uploading…'
+                                        : identity.check?.idCard ? '📇 Retake ID photo' : '📇 Photograph your ID'}
+                                </button>
+                                {identity.check?.idCard?.source === 'mobile' && idState !== 'uploading' && (
+                                    <p style={{ fontSize: 12, color: '#4ade80', marginTop: 6 }}>ID photo sent ✓ — finish on the laptop</p>
+                                )}
+                                {idState && idState !== 'uploading' && (
+                                    <p style={{ fontSize: 12, color: '#ff6b6b', marginTop: 6 }}>{idState}</p>
+                                )}
+                            </div>
+                        )}
+                        {audioConfig?.enabled && !micError && (
+                            <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.6)', marginTop: 8 }}>
+                                🎙️ Sound levels are monitored — nothing is recorded.
+                            </p>
+                        )}
+                        {audioSuspended && (
+                            <button onClick={() => audioRef.current?.resume()} style={{
+                                marginTop: 12, padding: '8px 16px', borderRadius: 8, border: 'none',
+                                background: '#fff', color: '#000', fontWeight: 600
+                            }}>
+                                Tap to enable microphone
+                            </button>
+                        )}
                     </>
                 )}
 
+                {micError && (
+                    <p style={{ color: '#ff6b6b', fontWeight: 600, marginTop: 8 }}>{micError}</p>
+                )}
+
                 {streamError && (
                     <>
                         <div style={{ fontSize: 48 }}>📸</div>
@@ -121,7 +533,7 @@ export default function MobileCam() {
                         <div style={{ fontSize: 48 }}>⚠️</div>
                         <p style={{ marginTop: 16 }}>Connection Failed</p>
                         <p style={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', marginTop: 8 }}>
-                            Invalid session or network error.
+                            {errorMessage || 'Invalid session or network error.'}
                         </p>
                     </>
                 )}
@@ -0,0 +1,249 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import 'katex/dist/katex.min.css';
+import LatexRenderer from '../components/LatexRenderer.jsx';
+import api from '../services/api.js';
+
+const DIFFICULTY_BADGES = {
+    easy: 'badge-success',
+    medium: 'badge-warning',
+    hard: 'badge-danger',
+};
+
+const EMPTY_FILTERS = { q: '', subject: '', topic: '', difficulty: '', tags: '' };
+
+export default function QuestionBank() {
+    const [questions, setQuestions] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [facets, setFacets] = useState({ subjects: [], topics: [], tags: [] });
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [editing, setEditing] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const search = useCallback(async (criteria) => {
+        setLoading(true);
+        try {
+            const params = new URLSearchParams(
+                Object.entries(criteria).filter(([, v]) => v !== '')
+            );
+            const data = await api.get(`/questions?${params}`);
+            setQuestions(data.questions);
+            setTotal(data.total);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const fetchFacets = useCallback(async () => {
+        try {
+            const data = await api.get('/questions/facets');
+            setFacets(data);
+        } catch (err) {
+            console.error('Failed to fetch facets:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        search(EMPTY_FILTERS);
+        fetchFacets();
+    }, [search, fetchFacets]);
+
+    const handleImport = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (event) => {
+            try {
+                const json = JSON.parse(event.target.result);
+                const list = Array.isArray(json) ? json : json.questions;
+                if (!Array.isArray(list)) {
+                    setError('Invalid JSON format. Expected an array of questions or { questions: [...] }.');
+                    return;
+                }
+                const data = await api.post('/questions', { questions: list });
+                alert(`Imported ${data.count} question(s)`);
+                setError('');
+                search(filters);
+                fetchFacets();
+            } catch (err) {
+                setError(err instanceof SyntaxError ? 'Error parsing JSON file. Please check syntax.' : err.message);
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    const handleDelete = async (qid) => {
+        if (!window.confirm('Delete this question from the bank? Published exams keep their copy.')) return;
+        try {
+            await api.delete(`/questions/${qid}`);
+            setQuestions(prev => prev.filter(q => q._id !== qid));
+            setTotal(prev => prev - 1);
+        } catch (err) {
+            alert('Failed to delete question: ' + err.message);
+        }
+    };
+
+    const handleSaveEdit = async (e) => {
+        e.preventDefault();
+        try {
+            const { question } = await api.put(`/questions/${editing._id}`, {
+                text: editing.text,
+                subject: editing.subject,
+                topic: editing.topic,
+                difficulty: editing.difficulty,
+                tags: editing.tagsInput.split(','),
+            });
+            setQuestions(prev => prev.map(q => (q._id === question._id ? question : q)));
+            setEditing(null);
+            fetchFacets();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const setFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+    return (
+        <div className="dashboard-layout">
+            <div className="dashboard-content animate-fade-in">
+                <Link to="/dashboard" className="text-sm" style={{ display: 'inline-flex', alignItems: 'center', gap: 4, marginBottom: 16 }}>
+                    ← Back to Dashboard
+                </Link>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 24 }}>
+                    <div>
+                        <h1 style={{ fontSize: 'var(--text-3xl)', fontWeight: 800, marginBottom: 4 }}>Question Bank</h1>
+                        <p className="text-muted">{total} question(s). Exams keep a snapshot, so edits here never change published papers.</p>
+                    </div>
+                    <input type="file" accept=".json" ref={fileInputRef} style={{ display: 'none' }} onChange={handleImport} />
+                    <button className="btn btn-primary" onClick={() => fileInputRef.current?.click()}>
+                        📄 Import JSON
+                    </button>
+                </div>
+
+                {error && (
+                    <div style={{
+                        padding: 16, background: 'rgba(239, 68, 68, 0.1)',
+                        border: '1px solid var(--color-danger)', borderRadius: 8,
+                        marginBottom: 24, color: 'var(--color-danger)'
+                    }}>
+                        ⚠️ {error}
+                    </div>
+                )}
+
+                {/* Filters */}
+                <form
+                    className="glass-card"
+                    onSubmit={(e) => { e.preventDefault(); search(filters); }}
+                    style={{ padding: 16, marginBottom: 24, display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr auto', gap: 12 }}
+                >
+                    <input className="input-field" placeholder="Search text…" value={filters.q} onChange={setFilter('q')} />
+                    <select className="input-field" value={filters.subject} onChange={setFilter('subject')}>
+                        <option value="">All subjects</option>
+                        {facets.subjects.map(s => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                    <select className="input-field" value={filters.topic} onChange={setFilter('topic')}>
+                        <option value="">All topics</option>
+                        {facets.topics.map(t => <option key={t} value={t}>{t}</option>)}
+                    </select>
+                    <select className="input-field" value={filters.difficulty} onChange={setFilter('difficulty')}>
+                        <option value="">Any difficulty</option>
+                        <option value="easy">Easy</option>
+                        <option value="medium">Medium</option>
+                        <option value="hard">Hard</option>
+                    </select>
+                    <input className="input-field" placeholder="tags, comma separated" value={filters.tags} onChange={setFilter('tags')} list="bank-tags" />
+                    <datalist id="bank-tags">
+                        {facets.tags.map(t => <option key={t} value={t} />)}
+                    </datalist>
+                    <button type="submit" className="btn btn-primary">Search</button>
+                </form>
+
+                {/* Results */}
+                <div className="glass-card" style={{ padding: 24 }}>
+                    {loading ? (
+                        <div style={{ display: 'flex', justifyContent: 'center', padding: 32 }}>
+                            <span className="spinner" style={{ width: 28, height: 28 }} />
+                        </div>
+                    ) : questions.length === 0 ? (
+                        <div className="text-muted" style={{ textAlign: 'center', padding: 40 }}>
+                            No questions match. Import a JSON file to get started.
+                        </div>
+                    ) : (
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+                            {questions.map(q => (
+                                <div key={q._id} style={{
+                                    padding: '16px 20px', background: 'var(--bg-primary)',
+                                    borderRadius: 'var(--radius-md)', border: '1px solid var(--border-subtle)'
+                                }}>
+                                    {editing?._id === q._id ? (
+                                        <form onSubmit={handleSaveEdit} style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+                                            <textarea
+                                                className="input-field" rows={3}
+                                                value={editing.text}
+                                                onChange={e => setEditing(prev => ({ ...prev, text: e.target.value }))}
+                                            />
+                                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 2fr', gap: 12 }}>
+                                                <input className="input-field" placeholder="Subject" value={editing.subject}
+                                                    onChange={e => setEditing(prev => ({ ...prev, subject: e.target.value }))} />
+                                                <input className="input-field" placeholder="Topic" value={editing.topic}
+                                                    onChange={e => setEditing(prev => ({ ...prev, topic: e.target.value }))} />
+                                                <select className="input-field" value={editing.difficulty}
+                                                    onChange={e => setEditing(prev => ({ ...prev, difficulty: e.target.value }))}>
+                                                    <option value="easy">Easy</option>
+                                                    <option value="medium">Medium</option>
+                                                    <option value="hard">Hard</option>
+                                                </select>
+                                                <input className="input-field" placeholder="tags, comma separated" value={editing.tagsInput}
+                                                    onChange={e => setEditing(prev => ({ ...prev, tagsInput: e.target.value }))} />
+                                            </div>
+                                            <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end' }}>
+                                                <button type="button" className="btn btn-ghost" onClick={() => setEditing(null)}>Cancel</button>
+                                                <button type="submit" className="btn btn-primary">Save</button>
+                                            </div>
+                                        </form>
+                                    ) : (
+                                        <div style={{ display: 'flex', gap: 16, alignItems: 'flex-start' }}>
+                                            <div style={{ flex: 1 }}>
+                                                <div style={{ marginBottom: 8 }}><LatexRenderer>{q.text}</LatexRenderer></div>
+                                                <div className="text-sm text-muted" style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+                                                    <span className={`badge ${DIFFICULTY_BADGES[q.difficulty]}`}>{q.difficulty}</span>
+                                                    <span className="badge badge-info">{q.type}</span>
+                                                    {q.subject && <span>{q.subject}</span>}
+                                                    {q.topic && <span>› {q.topic}</span>}
+                                                    {q.tags.map(t => <code key={t}>#{t}</code>)}
+                                                    <span>• v{q.version} • used {q.usageCount}×</span>
+                                                </div>
+                                            </div>
+                                            <button
+                                                className="btn btn-ghost"
+                                                style={{ padding: '4px 8px', fontSize: 16 }}
+                                                title="Edit Question"
+                                                onClick={() => setEditing({ ...q, tagsInput: q.tags.join(', ') })}
+                                            >
+                                                ✏️
+                                            </button>
+                                            <button
+                                                className="btn btn-ghost"
+                                                style={{ padding: '4px 8px', fontSize: 16, color: 'var(--color-danger)' }}
+                                                title="Delete Question"
+                                                onClick={() => handleDelete(q._id)}
+                                            >
+                                                🗑️
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -26,7 +26,55 @@ async function request(endpoint, options = {}) {
     const data = await response.json();
 
     if (!response.ok) {
-        throw new Error(data.message || 'Something went wrong');
+        const error = new Error(data.message || 'Something went wrong');
+        error.status = response.status;
+        error.code = data.code;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * GET a binary resource (evidence images) as a Blob.
+ */
+async function requestBlob(endpoint) {
+    const token = localStorage.getItem('parallax_token');
+
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.message || 'Something went wrong');
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.blob();
+}
+
+/**
+ * PUT a binary body (an image/jpeg upload) as-is.
+ */
+async function putBlob(endpoint, blob) {
+    const token = localStorage.getItem('parallax_token');
+
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': blob.type || 'application/octet-stream',
+            ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        body: blob,
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(data.message || 'Something went wrong');
+        error.status = response.status;
+        throw error;
     }
 
     return data;
@@ -35,6 +83,10 @@ async function request(endpoint, options = {}) {
 export const api = {
     get: (endpoint) => request(endpoint, { method: 'GET' }),
 
+    getBlob: requestBlob,
+
+    putBlob,
+
     post: (endpoint, body) =>
         request(endpoint, {
             method: 'POST',
@@ -47,6 +99,12 @@ export const api = {
             body: JSON.stringify(body),
         }),
 
+    patch: (endpoint, body) =>
+        request(endpoint, {
+            method: 'PATCH',
+            body: JSON.stringify(body),
+        }),
+
     delete: (endpoint) => request(endpoint, { method: 'DELETE' }),
 };
 
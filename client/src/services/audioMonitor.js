@@ -0,0 +1,114 @@
+/**
+ * Microphone level monitoring on the phone.
+ *
+ * Runs a Web Audio analyser over the mic stream and never records:
+ * each tick looks at the current RMS level (dBFS) and how much of the
+ * energy sits in the voice band (300–3400 Hz). A tick is speech-like
+ * when it is both loud enough and voice-heavy; enough speech-like time
+ * (a leaky count, so short pauses between words don't reset it) is
+ * reported as talking.
+ */
+
+const TICK_MS = 100;
+const LEVEL_REPORT_MS = 1000;
+const VOICE_BAND_HZ = [300, 3400];
+const MIN_VOICE_RATIO = 0.6;
+const TALKING_COOLDOWN_MS = 30 * 1000;
+
+// Microphone processing would flatten exactly what we want to measure
+export const MIC_CONSTRAINTS = {
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+    video: false,
+};
+
+/**
+ * Start analysing a microphone stream. Returns a controller.
+ * @param {object} params
+ * @param {MediaStream} params.stream
+ * @param {number} params.thresholdDb      - RMS level that counts as speech
+ * @param {number} params.sustainSeconds   - speech needed before reporting
+ * @param {(level: { level: number, speaking: boolean }) => void} params.onLevel  - about once a second
+ * @param {(talk: { confidence: number, detail: string }) => void} params.onTalking
+ * @param {(suspended: boolean) => void} [params.onSuspendedChange] - browsers may need a tap to start audio
+ * @returns {{ stop: () => void, resume: () => Promise<void> }}
+ */
+export function startAudioMonitor({ stream, thresholdDb, sustainSeconds, onLevel, onTalking, onSuspendedChange }) {
+    const context = new AudioContext();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    context.createMediaStreamSource(stream).connect(analyser);
+
+    const samples = new Float32Array(analyser.fftSize);
+    const spectrum = new Float32Array(analyser.frequencyBinCount);
+    const binHz = context.sampleRate / analyser.fftSize;
+    const [voiceFrom, voiceTo] = VOICE_BAND_HZ.map(hz => Math.round(hz / binHz));
+
+    const sustainMs = sustainSeconds * 1000;
+    let speechMs = 0;
+    let speechDbSum = 0;
+    let speechTicks = 0;
+    let lastTalking = 0;
+    let windowPeak = -Infinity;
+    let windowSpeaking = false;
+    let lastLevelAt = Date.now();
+
+    const tick = () => {
+        analyser.getFloatTimeDomainData(samples);
+        let sumSquares = 0;
+        for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+        const level = Math.max(-100, 20 * Math.log10(Math.sqrt(sumSquares / samples.length) || 1e-5));
+
+        analyser.getFloatFrequencyData(spectrum);
+        let total = 0;
+        let voice = 0;
+        for (let i = 1; i < spectrum.length; i++) {
+            const power = 10 ** (spectrum[i] / 10);
+            total += power;
+            if (i >= voiceFrom && i <= voiceTo) voice += power;
+        }
+
+        const speaking = level >= thresholdDb && total > 0 && voice / total >= MIN_VOICE_RATIO;
+        if (speaking) {
+            speechMs += TICK_MS;
+            speechDbSum += level;
+            speechTicks++;
+        } else {
+            speechMs = Math.max(0, speechMs - TICK_MS / 2);
+            if (speechMs === 0) speechDbSum = speechTicks = 0;
+        }
+
+        const now = Date.now();
+        if (speechMs >= sustainMs && now - lastTalking >= TALKING_COOLDOWN_MS) {
+            lastTalking = now;
+            const averageDb = speechDbSum / speechTicks;
+            onTalking({
+                // 20 dB over the threshold reads as certain
+                confidence: Math.min(1, 0.5 + (averageDb - thresholdDb) / 40),
+                detail: `speech for ${Math.round(speechMs / 1000)}s at ${Math.round(averageDb)} dBFS`,
+            });
+            speechMs = speechDbSum = speechTicks = 0;
+        }
+
+        windowPeak = Math.max(windowPeak, level);
+        windowSpeaking ||= speaking;
+        if (now - lastLevelAt >= LEVEL_REPORT_MS) {
+            onLevel({ level: Math.round(windowPeak), speaking: windowSpeaking });
+            windowPeak = -Infinity;
+            windowSpeaking = false;
+            lastLevelAt = now;
+        }
+    };
+
+    context.onstatechange = () => onSuspendedChange?.(context.state === 'suspended');
+    queueMicrotask(() => onSuspendedChange?.(context.state === 'suspended'));
+
+    const timer = setInterval(tick, TICK_MS);
+
+    return {
+        stop: () => {
+            clearInterval(timer);
+            context.close().catch(() => {});
+        },
+        resume: () => context.resume(),
+    };
+}
@@ -0,0 +1,143 @@
+/**
+ * Built-in detectors for services/frameAnalysis.js.
+ *
+ *   motion_detected   large share of the frame changed between samples
+ *                     (someone walking behind the student, notes passed)
+ *   camera_blocked    frame dark and flat — lens covered or phone face down
+ *   lighting_change   average brightness jumped (lights switched, screen glare)
+ *
+ * Thresholds are on 0–255 luma at the pipeline's small analysis size;
+ * every factory takes overrides.
+ */
+
+/**
+ * Frame differencing against the previous sample.
+ * @param {object} [options]
+ * @param {number} [options.pixelThreshold] - luma change that counts a pixel as moved
+ * @param {number} [options.minChangedRatio] - share of moved pixels that counts as motion
+ * @param {number} [options.sustainFrames]  - consecutive moving samples before reporting
+ */
+export function createMotionDetector({ pixelThreshold = 30, minChangedRatio = 0.12, sustainFrames = 2, cooldownMs = 15000 } = {}) {
+    let previous = null;
+    let streak = 0;
+
+    return {
+        type: 'motion_detected',
+        cooldownMs,
+        reset() {
+            previous = null;
+            streak = 0;
+        },
+        analyze({ luma }) {
+            if (!previous) {
+                previous = Uint8ClampedArray.from(luma);
+                return null;
+            }
+
+            let changed = 0;
+            for (let i = 0; i < luma.length; i++) {
+                if (Math.abs(luma[i] - previous[i]) > pixelThreshold) changed++;
+            }
+            previous.set(luma);
+
+            const ratio = changed / luma.length;
+            streak = ratio >= minChangedRatio ? streak + 1 : 0;
+            if (streak < sustainFrames) return null;
+
+            // Twice the threshold reads as certain
+            return {
+                confidence: Math.min(1, 0.5 + (ratio - minChangedRatio) / (2 * minChangedRatio)),
+                detail: `${Math.round(ratio * 100)}% of frame changed`,
+            };
+        },
+    };
+}
+
+/**
+ * Covered / face-down camera: very dark and almost uniform for a while.
+ * @param {object} [options]
+ * @param {number} [options.maxMeanLuma] - darker than this…
+ * @param {number} [options.maxStdDev]   - …and flatter than this
+ * @param {number} [options.sustainMs]   - for at least this long
+ */
+export function createBlackoutDetector({ maxMeanLuma = 20, maxStdDev = 10, sustainMs = 2000, cooldownMs = 20000 } = {}) {
+    let since = null;
+
+    return {
+        type: 'camera_blocked',
+        cooldownMs,
+        reset() {
+            since = null;
+        },
+        analyze({ luma, meanLuma, timestamp }) {
+            if (meanLuma > maxMeanLuma) {
+                since = null;
+                return null;
+            }
+
+            let variance = 0;
+            for (let i = 0; i < luma.length; i++) variance += (luma[i] - meanLuma) ** 2;
+            const stdDev = Math.sqrt(variance / luma.length);
+            if (stdDev > maxStdDev) {
+                since = null;
+                return null;
+            }
+
+            since ??= timestamp;
+            if (timestamp - since < sustainMs) return null;
+
+            return {
+                confidence: Math.min(1, 0.6 + 0.4 * (1 - meanLuma / maxMeanLuma)),
+                detail: `mean luma ${Math.round(meanLuma)}`,
+            };
+        },
+    };
+}
+
+/**
+ * Sudden brightness change against a slowly moving baseline.
+ * @param {object} [options]
+ * @param {number} [options.minDelta]  - luma jump that counts
+ * @param {number} [options.smoothing] - baseline weight per sample (0..1); low = slow
+ * @param {number} [options.ignoreBelow] - near-black frames are camera_blocked's call
+ */
+export function createLightingChangeDetector({ minDelta = 50, smoothing = 0.05, ignoreBelow = 20, cooldownMs = 30000 } = {}) {
+    let baseline = null;
+
+    return {
+        type: 'lighting_change',
+        cooldownMs,
+        reset() {
+            baseline = null;
+        },
+        analyze({ meanLuma }) {
+            if (meanLuma <= ignoreBelow) return null;
+            if (baseline === null) {
+                baseline = meanLuma;
+                return null;
+            }
+
+            const delta = meanLuma - baseline;
+            if (Math.abs(delta) < minDelta) {
+                baseline += smoothing * delta;
+                return null;
+            }
+
+            // New lighting is the new normal
+            baseline = meanLuma;
+            return {
+                confidence: Math.min(1, 0.4 + Math.abs(delta) / 255),
+                detail: `${delta > 0 ? 'brighter' : 'darker'} by ${Math.round(Math.abs(delta))}`,
+            };
+        },
+    };
+}
+
+/**
+ * The default set MobileCam runs.
+ */
+export const createDefaultDetectors = () => [
+    createMotionDetector(),
+    createBlackoutDetector(),
+    createLightingChangeDetector(),
+];
@@ -0,0 +1,79 @@
+/**
+ * Violation evidence — a JPEG frame from the camera at the moment a
+ * violation is reported.
+ *
+ * The frame is grabbed first, the violation is emitted with an ack that
+ * carries its stored id, then the frame is uploaded to
+ * POST /api/evidence/violations/:id. Used by the laptop (its webcam) and
+ * the paired phone (with its device token against the server URL).
+ */
+
+const ACK_TIMEOUT_MS = 5000;
+const MAX_WIDTH = 640;
+const JPEG_QUALITY = 0.7;
+
+/**
+ * Current frame of a playing <video> as a JPEG Blob (null if nothing to grab).
+ * @param {HTMLVideoElement} video
+ * @param {{ maxWidth?: number, quality?: number }} [options] - ID photos want more detail
+ * @returns {Promise<Blob|null>}
+ */
+export function captureFrame(video, { maxWidth = MAX_WIDTH, quality = JPEG_QUALITY } = {}) {
+    if (!video || !video.videoWidth || video.readyState < 2) return Promise.resolve(null);
+
+    const scale = Math.min(1, maxWidth / video.videoWidth);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+}
+
+/**
+ * Upload a frame for a stored violation.
+ * @param {object} params
+ * @param {string} params.violationId
+ * @param {Blob} params.blob
+ * @param {string} params.token - user JWT (laptop) or device resume token (phone)
+ * @param {string} [params.baseUrl] - '/api' through the Vite proxy; the phone passes the server URL
+ */
+export async function uploadEvidence({ violationId, blob, token, baseUrl = '/api' }) {
+    const response = await fetch(`${baseUrl}/evidence/violations/${violationId}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'image/jpeg',
+            Authorization: `Bearer ${token}`,
+        },
+        body: blob,
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `Evidence upload failed (${response.status})`);
+    }
+}
+
+/**
+ * Emit a violation and attach a snapshot from `video` once the server has stored it.
+ * @param {import('socket.io-client').Socket} socket
+ * @param {string} event - 'violation:laptop' | 'violation:alert'
+ * @param {object} payload
+ * @param {object} options
+ * @param {HTMLVideoElement} [options.video]
+ * @param {string} options.token
+ * @param {string} [options.baseUrl]
+ */
+export async function reportWithEvidence(socket, event, payload, { video, token, baseUrl }) {
+    const frame = captureFrame(video);
+
+    try {
+        const ack = await socket.timeout(ACK_TIMEOUT_MS).emitWithAck(event, payload);
+        const blob = await frame;
+        if (!ack?.success || !blob || !token) return;
+
+        await uploadEvidence({ violationId: ack.id, blob, token, baseUrl });
+    } catch (err) {
+        console.error('Violation evidence failed:', err);
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * On-device frame analysis for the phone camera.
+ *
+ * Samples the <video> at a fixed rate into a small canvas, converts the
+ * frame to luma once, and hands it to every detector. A detector is a
+ * plain object:
+ *
+ *   {
+ *     type: 'motion_detected',        // violation type sent to the server
+ *     cooldownMs: 10000,              // min gap between two reports
+ *     analyze(frame) → null | { confidence: 0..1, detail?: string },
+ *     reset?()                        // camera restarted, forget history
+ *   }
+ *
+ * frame = { luma: Uint8ClampedArray, width, height, meanLuma, timestamp }
+ * (luma is reused between samples — copy it to keep history)
+ *
+ * The pipeline owns cooldowns, so detectors just say what they see.
+ * Built-in detectors live in services/detectors.js; everything runs on
+ * the CPU with no network.
+ */
+
+const DEFAULT_FPS = 2;
+const DEFAULT_WIDTH = 160;
+
+// ITU-R BT.601 luma
+const toLuma = (rgba, out) => {
+    let sum = 0;
+    for (let i = 0, j = 0; j < out.length; i += 4, j++) {
+        out[j] = (rgba[i] * 299 + rgba[i + 1] * 587 + rgba[i + 2] * 114) / 1000;
+        sum += out[j];
+    }
+    return sum / out.length;
+};
+
+/**
+ * Start sampling. Returns a stop function.
+ * @param {object} params
+ * @param {HTMLVideoElement} params.video
+ * @param {object[]} params.detectors
+ * @param {(violation: { violation: string, confidence: number, detail?: string, timestamp: number }) => void} params.onViolation
+ * @param {number} [params.fps]   - frames analysed per second
+ * @param {number} [params.width] - analysis width in px (height keeps the aspect ratio)
+ */
+export function startFrameAnalysis({ video, detectors, onViolation, fps = DEFAULT_FPS, width = DEFAULT_WIDTH }) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const lastReported = new Map(); // type → timestamp
+    let luma = null;
+
+    const sample = () => {
+        // Hidden pages don't paint video frames; the tether heartbeat reports that case
+        if (document.hidden || video.readyState < 2 || !video.videoWidth) return;
+
+        const height = Math.round(width * (video.videoHeight / video.videoWidth));
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+            luma = new Uint8ClampedArray(width * height);
+            detectors.forEach(d => d.reset?.());
+        }
+
+        ctx.drawImage(video, 0, 0, width, height);
+        const meanLuma = toLuma(ctx.getImageData(0, 0, width, height).data, luma);
+        const frame = { luma, width, height, meanLuma, timestamp: Date.now() };
+
+        for (const detector of detectors) {
+            const result = detector.analyze(frame);
+            if (!result) continue;
+
+            const last = lastReported.get(detector.type) || 0;
+            if (frame.timestamp - last < (detector.cooldownMs || 0)) continue;
+            lastReported.set(detector.type, frame.timestamp);
+
+            onViolation({
+                violation: detector.type,
+                confidence: Math.min(Math.max(result.confidence, 0), 1),
+                detail: result.detail,
+                timestamp: frame.timestamp,
+            });
+        }
+    };
+
+    const timer = setInterval(sample, 1000 / fps);
+    return () => clearInterval(timer);
+}
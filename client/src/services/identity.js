@@ -0,0 +1,47 @@
+/**
+ * Identity verification at exam entry — photo capture and upload.
+ *
+ * The laptop takes the face photo (and the ID, held up to the webcam);
+ * the paired phone can take the ID instead, with its device token. The
+ * proctor approves or rejects in AdminMonitor; see server
+ * routes/identity.routes.js.
+ */
+
+import { captureFrame } from './evidence.js';
+
+// Enough detail to read the name on an ID card
+export const ID_PHOTO_OPTIONS = { maxWidth: 1280, quality: 0.85 };
+
+/**
+ * Upload one entry photo.
+ * @param {object} params
+ * @param {string} params.examId
+ * @param {'face'|'id'} params.kind
+ * @param {Blob} params.blob
+ * @param {string} params.token - user JWT (laptop) or device resume token (phone)
+ * @param {string} [params.baseUrl] - '/api' through the Vite proxy; the phone passes the server URL
+ * @returns {Promise<object>} the updated check summary
+ */
+export async function uploadIdentityPhoto({ examId, kind, blob, token, baseUrl = '/api' }) {
+    const response = await fetch(`${baseUrl}/identity/exams/${examId}/photos/${kind}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'image/jpeg',
+            Authorization: `Bearer ${token}`,
+        },
+        body: blob,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || `Photo upload failed (${response.status})`);
+    return data.check;
+}
+
+/**
+ * Grab a frame and upload it. Throws if the camera has nothing to give yet.
+ */
+export async function captureIdentityPhoto(video, { kind, ...params }) {
+    const blob = await captureFrame(video, kind === 'id' ? ID_PHOTO_OPTIONS : undefined);
+    if (!blob) throw new Error('Camera is not ready yet');
+    return { blob, check: await uploadIdentityPhoto({ kind, blob, ...params }) };
+}
@@ -0,0 +1,87 @@
+/**
+ * Laptop integrity telemetry for the exam room.
+ *
+ * Watches the browser for signs the student left the paper and reports
+ * each one as a typed violation (the server stores them with
+ * source: 'laptop'):
+ *
+ *   tab_switch         page hidden (tab/app switch, minimise)
+ *   window_blur        focus moved to another window while still visible
+ *   fullscreen_exit    left fullscreen
+ *   copy_paste         copy / cut / paste (blocked)
+ *   context_menu       right-click menu (blocked)
+ *   multiple_monitors  screen.isExtended, where the browser exposes it
+ */
+
+// Same type inside this window is reported once (blur + visibility fire together)
+const COOLDOWN_MS = 3000;
+
+export const isFullscreen = () => !!document.fullscreenElement;
+
+export const requestFullscreen = () =>
+    document.documentElement.requestFullscreen?.().catch(err => {
+        console.error('Fullscreen request failed:', err);
+    });
+
+/**
+ * Start listening. Returns a stop function that removes every listener.
+ * @param {object} params
+ * @param {(violation: { type: string, detail?: string, timestamp: number }) => void} params.onViolation
+ * @param {(fullscreen: boolean) => void} [params.onFullscreenChange]
+ */
+export function startIntegrityMonitor({ onViolation, onFullscreenChange }) {
+    const lastReported = {};
+
+    const report = (type, detail) => {
+        const now = Date.now();
+        if (now - (lastReported[type] || 0) < COOLDOWN_MS) return;
+        lastReported[type] = now;
+        onViolation({ type, detail, timestamp: now });
+    };
+
+    const onVisibility = () => {
+        if (document.hidden) report('tab_switch');
+    };
+
+    const onBlur = () => {
+        // A hidden page is already a tab_switch
+        if (!document.hidden) report('window_blur');
+    };
+
+    const onFullscreen = () => {
+        const fullscreen = isFullscreen();
+        onFullscreenChange?.(fullscreen);
+        if (!fullscreen) report('fullscreen_exit');
+    };
+
+    const onClipboard = (e) => {
+        e.preventDefault();
+        report('copy_paste', e.type);
+    };
+
+    const onContextMenu = (e) => {
+        e.preventDefault();
+        report('context_menu');
+    };
+
+    const checkScreens = () => {
+        if (window.screen.isExtended) report('multiple_monitors', 'screen.isExtended');
+    };
+
+    document.addEventListener('visibilitychange', onVisibility);
+    window.addEventListener('blur', onBlur);
+    document.addEventListener('fullscreenchange', onFullscreen);
+    ['copy', 'cut', 'paste'].forEach(evt => document.addEventListener(evt, onClipboard));
+    document.addEventListener('contextmenu', onContextMenu);
+    window.screen.addEventListener?.('change', checkScreens);
+    checkScreens();
+
+    return () => {
+        document.removeEventListener('visibilitychange', onVisibility);
+        window.removeEventListener('blur', onBlur);
+        document.removeEventListener('fullscreenchange', onFullscreen);
+        ['copy', 'cut', 'paste'].forEach(evt => document.removeEventListener(evt, onClipboard));
+        document.removeEventListener('contextmenu', onContextMenu);
+        window.screen.removeEventListener?.('change', checkScreens);
+    };
+}
@@ -0,0 +1,144 @@
+/**
+ * Phone placement drift on the paired phone.
+ *
+ * Runs from pairing on; the first orientation the phone holds still at
+ * for a few seconds becomes the baseline (it may still be on its way
+ * into position when the monitor starts). Then:
+ *
+ *   phone_moved     orientation stays more than driftDegrees off the
+ *                   baseline — turned, tilted, laid flat
+ *   phone_handled   a burst of movement (acceleration or spin) — picked
+ *                   up or knocked
+ *
+ * Drift is the larger of how far the camera axis and the phone's "up"
+ * axis have swung, so rotating the phone in place counts too. Coming
+ * back within the threshold (less a margin) counts as put back.
+ */
+
+const BASELINE_STILL_MS = 3000;
+const RETURN_MARGIN_DEG = 5;
+const DEG = Math.PI / 180;
+
+/**
+ * Device axes in world space (W3C DeviceOrientation rotation matrix, Z-X'-Y'').
+ * @returns {{ back: number[], up: number[] }} rear camera direction and top edge direction
+ */
+function orientationAxes({ alpha, beta, gamma }) {
+    const [sZ, cZ] = [Math.sin(alpha * DEG), Math.cos(alpha * DEG)];
+    const [sX, cX] = [Math.sin(beta * DEG), Math.cos(beta * DEG)];
+    const [sY, cY] = [Math.sin(gamma * DEG), Math.cos(gamma * DEG)];
+
+    return {
+        back: [-(cY * sZ * sX + cZ * sY), -(sZ * sY - cZ * cY * sX), -(cX * cY)],
+        up: [-cX * sZ, cZ * cX, sX],
+    };
+}
+
+const angleBetween = (a, b) => {
+    const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    return Math.acos(Math.min(1, Math.max(-1, dot))) / DEG;
+};
+
+// How far the phone has swung between two orientations, in degrees
+const swing = (from, to) => Math.max(angleBetween(from.back, to.back), angleBetween(from.up, to.up));
+
+/**
+ * Watch the phone stay where it was put. Returns a stop function.
+ * @param {object} params
+ * @param {(violation: { violation: string, confidence: number, detail: string, timestamp: number }) => void} params.onViolation
+ * @param {() => void} [params.onPlaced]  - baseline taken; the phone is in position
+ * @param {(displaced: boolean) => void} [params.onDisplacedChange]
+ * @param {number} [params.driftDegrees]  - swing from the baseline that counts as moved
+ * @param {number} [params.sustainMs]     - …for at least this long
+ * @param {number} [params.handleAccel]   - m/s² (gravity excluded) that counts as handling
+ * @param {number} [params.handleSpin]    - deg/s that counts as handling
+ * @param {number} [params.cooldownMs]    - per violation type
+ */
+export function startPlacementMonitor({
+    onViolation,
+    onPlaced,
+    onDisplacedChange,
+    driftDegrees = 20,
+    sustainMs = 2000,
+    handleAccel = 3,
+    handleSpin = 90,
+    cooldownMs = 30000,
+}) {
+    const lastReported = {};
+    let still = null; // { axes, since } — baseline candidate
+    let baseline = null;
+    let driftSince = null;
+    let displaced = false;
+    let handledStreak = 0;
+
+    const report = (violation, confidence, detail) => {
+        const now = Date.now();
+        if (now - (lastReported[violation] || 0) < cooldownMs) return;
+        lastReported[violation] = now;
+        onViolation({ violation, confidence, detail, timestamp: now });
+    };
+
+    const setDisplaced = (value) => {
+        if (value === displaced) return;
+        displaced = value;
+        onDisplacedChange?.(value);
+    };
+
+    const onOrientation = (e) => {
+        if (e.alpha === null || e.beta === null || e.gamma === null) return;
+        const latest = orientationAxes(e);
+
+        const now = Date.now();
+
+        if (!baseline) {
+            if (!still || swing(still.axes, latest) > RETURN_MARGIN_DEG) {
+                still = { axes: latest, since: now };
+            } else if (now - still.since >= BASELINE_STILL_MS) {
+                baseline = still.axes;
+                onPlaced?.();
+            }
+            return;
+        }
+
+        const drift = swing(baseline, latest);
+
+        if (drift <= driftDegrees - RETURN_MARGIN_DEG) {
+            driftSince = null;
+            setDisplaced(false);
+            return;
+        }
+        if (drift <= driftDegrees) return;
+
+        driftSince ??= now;
+        if (now - driftSince < sustainMs) return;
+
+        setDisplaced(true);
+        // Twice the threshold reads as certain
+        report('phone_moved', Math.min(1, 0.5 + (drift - driftDegrees) / (2 * driftDegrees)), `${Math.round(drift)}° from placement`);
+    };
+
+    const onMotion = (e) => {
+        if (!baseline) return;
+
+        const a = e.acceleration;
+        const accel = a && a.x !== null ? Math.hypot(a.x, a.y, a.z) : 0;
+        const r = e.rotationRate;
+        const spin = r && r.alpha !== null ? Math.hypot(r.alpha, r.beta, r.gamma) : 0;
+
+        // A few samples in a row, so one bump of the desk doesn't count
+        handledStreak = accel >= handleAccel || spin >= handleSpin ? handledStreak + 1 : 0;
+        if (handledStreak < 3) return;
+        handledStreak = 0;
+
+        const ratio = Math.max(accel / handleAccel, spin / handleSpin);
+        report('phone_handled', Math.min(1, 0.5 + (ratio - 1) / 2), `${accel.toFixed(1)} m/s², ${Math.round(spin)}°/s`);
+    };
+
+    window.addEventListener('deviceorientation', onOrientation);
+    window.addEventListener('devicemotion', onMotion);
+
+    return () => {
+        window.removeEventListener('deviceorientation', onOrientation);
+        window.removeEventListener('devicemotion', onMotion);
+    };
+}
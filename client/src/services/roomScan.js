@@ -0,0 +1,130 @@
+/**
+ * Pre-exam 360° room scan on the paired phone.
+ *
+ * Tracks the compass heading (DeviceOrientation alpha) in 10° buckets
+ * and grabs a frame each time the phone turns into a new 30° sector;
+ * the scan is done once the buckets cover REQUIRED_COVERAGE degrees.
+ * Without orientation readings (no sensor, permission denied) it falls
+ * back to timed frames and reports coverage as null — the server then
+ * wants more frames and the proctor sees the pan as unverified.
+ *
+ * Frames go to /api/room-scans with the phone's device token.
+ */
+
+import { captureFrame } from './evidence.js';
+
+// Matches MIN_COVERAGE_DEGREES in server/src/routes/roomScan.routes.js
+export const REQUIRED_COVERAGE = 330;
+
+const BUCKET_DEG = 10;
+const SECTOR_DEG = 30;
+const SENSOR_WAIT_MS = 1500;
+const TIMED_FRAMES = 12;
+const TIMED_INTERVAL_MS = 2000;
+
+/**
+ * iOS Safari only delivers orientation after a tap-triggered permission prompt.
+ * @returns {Promise<boolean>}
+ */
+export async function requestOrientationPermission() {
+    if (typeof window.DeviceOrientationEvent?.requestPermission !== 'function') return true;
+    try {
+        return (await window.DeviceOrientationEvent.requestPermission()) === 'granted';
+    } catch {
+        return false;
+    }
+}
+
+async function scanRequest(baseUrl, token, path, { body, contentType = 'application/json' } = {}) {
+    const response = await fetch(`${baseUrl}/room-scans${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType, Authorization: `Bearer ${token}` },
+        body: contentType === 'application/json' ? JSON.stringify(body || {}) : body,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || `Room scan request failed (${response.status})`);
+    return data;
+}
+
+/**
+ * Server calls for the phone. baseUrl is the API root ('<server>/api').
+ */
+export const createScanClient = (baseUrl, token) => ({
+    begin: () => scanRequest(baseUrl, token, '/start'),
+    uploadFrame: (blob, heading) => scanRequest(baseUrl, token, `/frames${heading === null ? '' : `?heading=${heading}`}`, {
+        body: blob,
+        contentType: 'image/jpeg',
+    }),
+    complete: (coverage) => scanRequest(baseUrl, token, '/complete', { body: { coverage } }),
+});
+
+/**
+ * Follow the pan and capture frames. Returns a cancel function.
+ * @param {object} params
+ * @param {HTMLVideoElement} params.video
+ * @param {(blob: Blob, heading: number|null) => Promise<void>} params.onFrame - upload; awaited before onDone
+ * @param {(progress: { coverage: number, heading: number|null, frames: number, verified: boolean }) => void} params.onProgress
+ * @param {(result: { coverage: number|null }) => void} params.onDone
+ * @param {(err: Error) => void} params.onError
+ */
+export function startRoomScan({ video, onFrame, onProgress, onDone, onError }) {
+    const buckets = new Set();
+    const sectors = new Set();
+    const uploads = [];
+    let frames = 0;
+    let finished = false;
+    let sawSensor = false;
+    let timedTimer = null;
+
+    const grab = (heading) => {
+        frames++;
+        uploads.push(
+            captureFrame(video).then(blob => (blob ? onFrame(blob, heading) : null))
+        );
+    };
+
+    const stop = () => {
+        finished = true;
+        window.removeEventListener('deviceorientation', onOrientation);
+        clearTimeout(sensorCheck);
+        clearInterval(timedTimer);
+    };
+
+    const finish = (coverage) => {
+        if (finished) return;
+        stop();
+        Promise.all(uploads).then(() => onDone({ coverage }), onError);
+    };
+
+    function onOrientation(e) {
+        if (finished || e.alpha === null || e.alpha === undefined) return;
+        sawSensor = true;
+
+        // alpha grows anticlockwise; flip it so turning right counts up like a compass
+        const heading = Math.round((360 - e.alpha) % 360);
+        buckets.add(Math.floor(heading / BUCKET_DEG));
+
+        const sector = Math.floor(heading / SECTOR_DEG);
+        if (!sectors.has(sector)) {
+            sectors.add(sector);
+            grab(heading);
+        }
+
+        const coverage = buckets.size * BUCKET_DEG;
+        onProgress({ coverage, heading, frames, verified: true });
+        if (coverage >= REQUIRED_COVERAGE) finish(coverage);
+    }
+
+    // Nothing from the sensor → timed frames while the student turns
+    const sensorCheck = setTimeout(() => {
+        if (sawSensor || finished) return;
+        timedTimer = setInterval(() => {
+            grab(null);
+            onProgress({ coverage: Math.round((frames / TIMED_FRAMES) * 360), heading: null, frames, verified: false });
+            if (frames >= TIMED_FRAMES) finish(null);
+        }, TIMED_INTERVAL_MS);
+    }, SENSOR_WAIT_MS);
+
+    window.addEventListener('deviceorientation', onOrientation);
+    return stop;
+}
@@ -0,0 +1,177 @@
+/**
+ * Live camera view over WebRTC, signaled through the /exam socket
+ * (server/src/socket/rtcHandler.js relays rtc:* events between peers).
+ *
+ *  - Student devices publish: startCameraPublisher() answers a proctor's
+ *    view request with an offer carrying the camera's video track.
+ *  - The proctor watches: getCameraViewer(socket).watch(...) returns a
+ *    stop function; the stream arrives through onStream.
+ *
+ * There is no TURN server — iceServers is empty, so peers connect over
+ * host candidates, which is what the exam-hall LAN gives us.
+ */
+
+const RTC_CONFIG = { iceServers: [] };
+
+const logError = (err) => console.error('WebRTC error:', err);
+
+// crypto.randomUUID only exists in secure contexts, and the hall LAN may be plain http
+const newViewId = () => crypto.randomUUID?.() ?? Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+/**
+ * Serve view requests from proctors with the given camera stream.
+ * @param {import('socket.io-client').Socket} socket
+ * @param {() => MediaStream|null} getStream - read lazily; the camera may start after the socket
+ * @returns {() => void} stop — closes every peer connection and removes listeners
+ */
+export function startCameraPublisher(socket, getStream) {
+    const peers = new Map(); // viewId → { pc, viewer }
+
+    const close = (viewId) => {
+        peers.get(viewId)?.pc.close();
+        peers.delete(viewId);
+    };
+
+    const onRequest = async ({ viewId, from }) => {
+        const stream = getStream();
+        if (!stream?.getVideoTracks().length) {
+            socket.emit('rtc:view_stop', { to: from, viewId, reason: 'Camera not ready' });
+            return;
+        }
+
+        close(viewId);
+        const pc = new RTCPeerConnection(RTC_CONFIG);
+        peers.set(viewId, { pc, viewer: from });
+
+        stream.getVideoTracks().forEach(track => pc.addTrack(track, stream));
+        pc.onicecandidate = ({ candidate }) => {
+            if (candidate) socket.emit('rtc:ice_candidate', { to: from, viewId, candidate });
+        };
+        pc.onconnectionstatechange = () => {
+            if (pc.connectionState === 'failed') close(viewId);
+        };
+
+        try {
+            await pc.setLocalDescription(await pc.createOffer());
+            socket.emit('rtc:offer', { to: from, viewId, sdp: pc.localDescription });
+        } catch (err) {
+            logError(err);
+            close(viewId);
+        }
+    };
+
+    const onAnswer = ({ viewId, sdp }) => {
+        peers.get(viewId)?.pc.setRemoteDescription(sdp).catch(logError);
+    };
+
+    const onCandidate = ({ viewId, candidate }) => {
+        peers.get(viewId)?.pc.addIceCandidate(candidate).catch(logError);
+    };
+
+    // A stop without a viewId means the proctor's socket went away
+    const onStop = ({ viewId, from }) => {
+        if (viewId) return close(viewId);
+        for (const [id, peer] of peers) {
+            if (peer.viewer === from) close(id);
+        }
+    };
+
+    socket.on('rtc:view_request', onRequest);
+    socket.on('rtc:answer', onAnswer);
+    socket.on('rtc:ice_candidate', onCandidate);
+    socket.on('rtc:view_stop', onStop);
+
+    return () => {
+        socket.off('rtc:view_request', onRequest);
+        socket.off('rtc:answer', onAnswer);
+        socket.off('rtc:ice_candidate', onCandidate);
+        socket.off('rtc:view_stop', onStop);
+        [...peers.keys()].forEach(close);
+    };
+}
+
+function createCameraViewer(socket) {
+    // viewId → { peer, pc, ready (promise chain: remote description before ICE), onStream, onEnd }
+    const views = new Map();
+
+    const end = (viewId, reason) => {
+        const view = views.get(viewId);
+        if (!view) return;
+        view.pc?.close();
+        views.delete(viewId);
+        view.onEnd?.(reason);
+    };
+
+    socket.on('rtc:offer', ({ viewId, sdp, from }) => {
+        const view = views.get(viewId);
+        if (!view) {
+            socket.emit('rtc:view_stop', { to: from, viewId });
+            return;
+        }
+
+        const pc = new RTCPeerConnection(RTC_CONFIG);
+        Object.assign(view, { peer: from, pc });
+
+        pc.ontrack = ({ streams }) => view.onStream(streams[0]);
+        pc.onicecandidate = ({ candidate }) => {
+            if (candidate) socket.emit('rtc:ice_candidate', { to: from, viewId, candidate });
+        };
+        pc.onconnectionstatechange = () => {
+            if (pc.connectionState === 'failed') end(viewId, 'Connection failed');
+        };
+
+        view.ready = pc.setRemoteDescription(sdp)
+            .then(() => pc.createAnswer())
+            .then(answer => pc.setLocalDescription(answer))
+            .then(() => socket.emit('rtc:answer', { to: from, viewId, sdp: pc.localDescription }))
+            .catch(err => {
+                logError(err);
+                end(viewId, 'Connection failed');
+            });
+    });
+
+    socket.on('rtc:ice_candidate', ({ viewId, candidate }) => {
+        const view = views.get(viewId);
+        view?.ready?.then(() => view.pc.addIceCandidate(candidate)).catch(logError);
+    });
+
+    socket.on('rtc:view_stop', ({ viewId, from, reason }) => {
+        if (viewId) return end(viewId, reason);
+        for (const [id, view] of views) {
+            if (view.peer === from) end(id, reason);
+        }
+    });
+
+    return {
+        /**
+         * Ask one student device for its camera.
+         * @param {{ examId: string, studentId: string, device: 'laptop'|'mobile' }} target
+         * @param {{ onStream: (stream: MediaStream) => void, onEnd?: (reason?: string) => void }} handlers
+         * @returns {() => void} stop
+         */
+        watch(target, { onStream, onEnd }) {
+            const viewId = newViewId();
+            views.set(viewId, { onStream, onEnd });
+            socket.emit('rtc:view_request', { viewId, ...target });
+
+            return () => {
+                const view = views.get(viewId);
+                if (!view) return;
+                if (view.peer) socket.emit('rtc:view_stop', { to: view.peer, viewId });
+                view.onEnd = null; // the caller is leaving, don't call back
+                end(viewId);
+            };
+        },
+    };
+}
+
+const viewers = new WeakMap();
+
+/**
+ * The proctor-side viewer for a socket (one set of listeners per socket).
+ * @param {import('socket.io-client').Socket} socket
+ */
+export function getCameraViewer(socket) {
+    if (!viewers.has(socket)) viewers.set(socket, createCameraViewer(socket));
+    return viewers.get(socket);
+}
@@ -37,3 +37,29 @@ export const disconnectSocket = () => {
         socket = null;
     }
 };
+
+// ─── /admin — proctors only (chat inbox), alongside the /exam socket ───
+let adminSocket;
+
+export const connectAdminSocket = (token) => {
+    if (adminSocket?.connected) return adminSocket;
+
+    adminSocket = io(`${URL}/admin`, {
+        auth: { token },
+        transports: ['websocket'],
+        reconnection: true,
+    });
+
+    adminSocket.on('connect_error', (err) => {
+        console.error('❌ Admin socket connection error:', err.message);
+    });
+
+    return adminSocket;
+};
+
+export const disconnectAdminSocket = () => {
+    if (adminSocket) {
+        adminSocket.disconnect();
+        adminSocket = null;
+    }
+};
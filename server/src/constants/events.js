@@ -18,11 +18,54 @@ export const EXAM_USER_JOINED = 'exam:user_joined';
 export const EXAM_USER_LEFT = 'exam:user_left';
 export const EXAM_START = 'exam:start';
 export const EXAM_END = 'exam:end';
+export const EXAM_TIME_SYNC = 'exam:time_sync'; // Server → client deadline push (client may also request)
+export const EXAM_RESUME = 'exam:resume'; // Server → student on join: saved answers, position, time left
+export const EXAM_ANNOUNCEMENT = 'exam:announcement'; // Server → exam room: Announcement payload (general or erratum)
+export const EXAM_ANNOUNCEMENTS = 'exam:announcements'; // Server → student on join: { examId, announcements } — everything so far
+
+// ─── Answers ─────────────────────────────────────────────────
+export const ANSWER_SAVE = 'answer:save'; // Student → server, acked with { success, savedAt }
 
 // ─── Phase 2+: Device Tethering & Mobile ─────────────────────
-export const MOBILE_JOIN = 'mobile:join';
+export const MOBILE_JOIN = 'mobile:join'; // Phone → server: { deviceId }, after connecting with a pairing/resume token
 export const MOBILE_CONNECTED = 'mobile:connected';
+export const MOBILE_PAIRED = 'mobile:paired'; // Server → phone: { sessionId, examId, resumeToken }
+export const MOBILE_PAIR_REJECTED = 'mobile:pair_rejected'; // Server → phone: { message }
+export const TETHER_HEARTBEAT = 'tether:heartbeat'; // Phone → server: { cameraLive, visible, wakeLock, battery }
+export const AUDIO_LEVEL = 'audio:level'; // Phone → server → monitor, ~1/s: { level (dBFS), speaking }
+export const PLACEMENT_STATUS = 'placement:status'; // Phone → server → laptop: { placed, displaced } — baseline set / moved off it
+export const ROOM_SCAN_UPDATED = 'roomscan:updated'; // Server → laptop + phone + monitor: RoomScan summary
+export const IDENTITY_UPDATED = 'identity:updated'; // Server → laptop + phone + monitor: IdentityCheck summary
+export const TETHER_STATUS = 'tether:status'; // Server → laptop + monitor: { sessionId, studentId, status, issues }
+
+// ─── Proctor Interventions (one student; see services/InterventionService.js) ─
+export const PROCTOR_WARNING = 'proctor:warning'; // Server → student laptop: { message, at }
+export const ATTEMPT_PAUSED = 'attempt:paused'; // Server → student laptop: { reason, remainingMs }
+export const ATTEMPT_RESUMED = 'attempt:resumed'; // Server → student laptop: { deadline, remainingMs, serverTime }
+export const ATTEMPT_ENDED = 'attempt:ended'; // Server → student laptop: { status: 'submitted' | 'terminated', reason, result? }
+export const PAIRING_RESET = 'pairing:reset'; // Server → student laptop + phone: { message } — scan a fresh QR
+export const INTERVENTION_APPLIED = 'proctor:applied'; // Server → monitor: { studentId, action, reason, message, rule, at, state } — rule is set when a violation rule fired
+
+// ─── Chat (one thread per attempt; see services/ChatService.js) ──
+// Students talk on /exam, proctors on /admin.
+export const CHAT_JOIN = 'chat:join'; // Proctor → /admin: { examId }, acked with { success }
+export const CHAT_SEND = 'chat:send'; // Student: { body } · proctor: { examId, studentId, body }; acked with { success, message }
+export const CHAT_MESSAGE = 'chat:message'; // Server → student laptop + proctors: Message payload
+export const CHAT_READ = 'chat:read'; // Student: {} · proctor: { examId, studentId }; server → both: { examId, studentId, reader }
+
+// ─── Live Camera View (WebRTC signaling relay) ───────────────
+// Proctor asks a student device to stream; the device offers, the proctor answers.
+// Payloads carry { viewId } to match the stream to the request and { to } / { from } socket ids.
+export const RTC_VIEW_REQUEST = 'rtc:view_request'; // Proctor → server: { viewId, examId, studentId, device }; server → device: { viewId, from }
+export const RTC_OFFER = 'rtc:offer'; // Device → proctor: { to, viewId, sdp }
+export const RTC_ANSWER = 'rtc:answer'; // Proctor → device: { to, viewId, sdp }
+export const RTC_ICE_CANDIDATE = 'rtc:ice_candidate'; // Either way: { to, viewId, candidate }
+export const RTC_VIEW_STOP = 'rtc:view_stop'; // Either way: { to, viewId } — peer closed / not available
 
 // ─── Phase 3: AI Violation Events ────────────────────────────
 export const VIOLATION_ALERT = 'violation:alert';
 export const VIOLATION_DETECTED = 'violation:detected'; // For admin/laptop
+export const LAPTOP_VIOLATION = 'violation:laptop'; // Laptop → server: browser integrity signal
+export const VIOLATION_EVIDENCE = 'violation:evidence'; // Monitor: { id, examId, studentId } — snapshot attached
+export const TRUST_SCORE_UPDATED = 'trust:updated'; // Monitor: { examId, studentId, trustScore }
+export const VIOLATION_REVIEWED = 'violation:reviewed'; // Monitor: { id, examId, studentId, review: { status, note, by, byName, at } }
@@ -5,8 +5,19 @@ import { createServer } from 'http';
 import connectDB from './config/db.js';
 import { initSocket } from './socket.js';
 import connectionManager from './services/ConnectionManager.js';
+import examScheduler from './services/ExamScheduler.js';
+import tetherMonitor from './services/TetherMonitor.js';
 import authRoutes from './routes/auth.routes.js';
 import examRoutes from './routes/exam.routes.js';
+import gradingRoutes from './routes/grading.routes.js';
+import questionRoutes from './routes/question.routes.js';
+import violationRoutes from './routes/violation.routes.js';
+import evidenceRoutes from './routes/evidence.routes.js';
+import roomScanRoutes from './routes/roomScan.routes.js';
+import identityRoutes from './routes/identity.routes.js';
+import interventionRoutes from './routes/intervention.routes.js';
+import chatRoutes from './routes/chat.routes.js';
+import announcementRoutes from './routes/announcement.routes.js';
 
 dotenv.config();
 
@@ -24,6 +35,15 @@ app.use(express.urlencoded({ extended: true }));
 // ─── Routes ─────────────────────────────────────────────────
 app.use('/api/auth', authRoutes);
 app.use('/api/exams', examRoutes);
+app.use('/api/grading', gradingRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/violations', violationRoutes);
+app.use('/api/evidence', evidenceRoutes);
+app.use('/api/room-scans', roomScanRoutes);
+app.use('/api/identity', identityRoutes);
+app.use('/api/interventions', interventionRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/announcements', announcementRoutes);
 
 // Health check (includes live connection stats)
 app.get('/api/health', (req, res) => {
@@ -32,14 +52,17 @@ app.get('/api/health', (req, res) => {
         service: 'parallax-server',
         timestamp: new Date().toISOString(),
         connections: connectionManager.getStats(),
+        scheduledExams: examScheduler.getPendingCount(),
     });
 });
 
-// Initialize Socket.io on the HTTP server
+// Initialize Socket.io on the HTTP server, then start watching phone heartbeats
 initSocket(httpServer);
+tetherMonitor.start();
 
-// Connect to MongoDB, then start server
-connectDB().then(() => {
+// Connect to MongoDB, re-arm lifecycle timers, then start server
+connectDB().then(async () => {
+    await examScheduler.init();
     httpServer.listen(PORT, () => {
         console.log(`🚀 Parallax Server listening on port ${PORT}`);
     });
@@ -1,9 +1,10 @@
 /**
  * Auth Middleware
  * 
- * Two middleware functions for Express route protection:
- *  - authenticate: Verify JWT from Authorization header
- *  - authorize:    Check user role against allowed roles
+ * Middleware functions for Express route protection:
+ *  - authenticate:           Verify JWT from Authorization header
+ *  - authenticateWithDevice: Same, but also lets a paired phone's device token through
+ *  - authorize:              Check user role against allowed roles
  * 
  * Usage in routes:
  *   router.get('/admin-only', authenticate, authorize('admin'), handler)
@@ -12,6 +13,7 @@
 
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import pairingService from '../services/PairingService.js';
 
 /**
  * Verify JWT token and attach user to request.
@@ -33,6 +35,14 @@ export const authenticate = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Paired phones get a device-scoped token for the socket only
+        if (decoded.scope === 'device') {
+            return res.status(401).json({
+                success: false,
+                message: 'Device tokens cannot access the API',
+            });
+        }
+
         // Fetch user (exclude password)
         const user = await User.findById(decoded.userId);
         if (!user) {
@@ -65,6 +75,41 @@ export const authenticate = async (req, res, next) => {
     }
 };
 
+/**
+ * authenticate, plus paired phones. A device token sets req.device
+ * ({ studentId, examId, sessionId, deviceId, epoch }) and no req.user — only
+ * mount this on endpoints the phone itself must reach (evidence upload).
+ */
+export const authenticateWithDevice = (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        try {
+            const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+            if (decoded.scope === 'device') {
+                // Same rule as the phone's socket: a re-pair bumps the epoch and retires older tokens
+                const epoch = decoded.epoch ?? 0;
+                if (pairingService.getSession(decoded.sessionId)?.epoch !== epoch) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Pairing expired — scan the QR on your laptop again',
+                    });
+                }
+                req.device = {
+                    studentId: decoded.userId,
+                    examId: decoded.examId,
+                    sessionId: decoded.sessionId,
+                    deviceId: decoded.deviceId,
+                    epoch,
+                };
+                return next();
+            }
+        } catch {
+            // Fall through — authenticate reports expired/invalid tokens
+        }
+    }
+    return authenticate(req, res, next);
+};
+
 /**
  * Role-based authorization.
  * Must be used AFTER authenticate middleware.
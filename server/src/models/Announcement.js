@@ -0,0 +1,63 @@
+/**
+ * Announcement Model — A proctor's message to everyone sitting an exam.
+ *
+ * General announcements have no questionId; errata point at one question
+ * by its stable id (Exam.questions[].id), so each student sees the
+ * correction beside that question whatever their shuffled order.
+ * Broadcast to exam:<examId> when posted and replayed to every student
+ * on join (see routes/announcement.routes.js, socket/examHandler.js).
+ */
+
+import mongoose from 'mongoose';
+
+export const MAX_ANNOUNCEMENT_LENGTH = 2000;
+
+const announcementSchema = new mongoose.Schema(
+    {
+        exam: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Exam',
+            required: true,
+        },
+        questionId: {
+            type: String, // set for errata
+            default: null,
+        },
+        body: {
+            type: String,
+            required: true,
+            maxlength: MAX_ANNOUNCEMENT_LENGTH,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+announcementSchema.index({ exam: 1, createdAt: 1 });
+
+// ─── Static: Everything posted so far, oldest first ──────
+announcementSchema.statics.forExam = async function (examId) {
+    const announcements = await this.find({ exam: examId }).sort({ createdAt: 1 });
+    return announcements.map((a) => a.toPayload());
+};
+
+// ─── Method: Shape sent to the exam room ─────────────────
+announcementSchema.methods.toPayload = function () {
+    return {
+        id: this._id,
+        examId: this.exam,
+        kind: this.questionId ? 'erratum' : 'announcement',
+        questionId: this.questionId,
+        body: this.body,
+        createdAt: this.createdAt,
+    };
+};
+
+const Announcement = mongoose.model('Announcement', announcementSchema);
+export default Announcement;
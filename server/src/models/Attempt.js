@@ -0,0 +1,232 @@
+/**
+ * Attempt Model
+ *
+ * One document per student per exam, created on the student's first
+ * question fetch. Holds the server-authoritative deadline that both the
+ * client countdown and the submit route work from.
+ *
+ * Deadline: startedAt + durationMinutes, capped at the exam's own end
+ *           time so a late joiner cannot outlast the exam window.
+ *
+ * Shuffle:  questionOrder / optionOrders map the student's view back
+ *           to the canonical paper (see services/shuffle.js).
+ *
+ * Room scan: the pre-exam scan is taken before this document exists;
+ *           GET /questions links the two (see models/RoomScan.js).
+ *           The identity check is linked the same way (models/IdentityCheck.js).
+ *
+ * Autosave: answers are saved here as the student works (answer:save),
+ *           keyed by display index like the submit body, so a reload or
+ *           crash resumes where the student left off.
+ *
+ * Proctor actions: every warn / pause / resume / force-submit / terminate /
+ *           re-pair is appended to `interventions` (services/InterventionService.js).
+ *           While paused the clock is frozen at pausedAt; resuming pushes the
+ *           deadline out by the time spent paused (still capped at the exam's
+ *           end). A terminated attempt is closed without a submission.
+ *           Actions taken by the exam's violation rules carry `rule` instead
+ *           of `by` (services/RulesEngine.js).
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { buildOrders } from '../services/shuffle.js';
+
+// A phone that paired (or tried to) for this attempt — see services/PairingService.js
+const deviceSchema = new mongoose.Schema(
+    {
+        kind: { type: String, enum: ['mobile'], default: 'mobile' },
+        deviceId: { type: String, required: true },
+        userAgent: { type: String, default: '' },
+        pairedAt: { type: Date, default: Date.now },
+        status: { type: String, enum: ['paired', 'replaced', 'rejected'], default: 'paired' },
+    },
+    { _id: false }
+);
+
+// One proctor action against this attempt
+const interventionSchema = new mongoose.Schema(
+    {
+        action: {
+            type: String,
+            enum: ['warn', 'pause', 'resume', 'force_submit', 'terminate', 'repair'],
+            required: true,
+        },
+        reason: { type: String, maxlength: 500, default: '' }, // recorded for review
+        message: { type: String, maxlength: 500, default: '' }, // shown to the student (warn)
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // proctor, unless a rule fired
+        rule: {
+            type: new mongoose.Schema({ id: mongoose.Schema.Types.ObjectId, label: String }, { _id: false }),
+            default: null,
+        },
+        at: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
+
+const attemptSchema = new mongoose.Schema(
+    {
+        exam: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Exam',
+            required: true,
+        },
+        student: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['in_progress', 'submitted', 'terminated'],
+            default: 'in_progress',
+        },
+        startedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        deadline: {
+            type: Date,
+            required: true,
+        },
+        submittedAt: {
+            type: Date,
+            default: null,
+        },
+        pausedAt: {
+            type: Date, // set while a proctor has the student paused
+            default: null,
+        },
+        endReason: {
+            type: String, // proctor's reason for a force-submit or termination
+            maxlength: 500,
+            default: '',
+        },
+        seed: {
+            type: String,
+        },
+        questionOrder: {
+            type: [Number], // display index → canonical question index
+            default: [],
+        },
+        optionOrders: {
+            type: [[Number]], // [canonical question][display option] → canonical option
+            default: [],
+        },
+        answers: {
+            type: Map,
+            of: mongoose.Schema.Types.Mixed, // display index → answer, as the client holds it
+            default: {},
+        },
+        currentQuestion: {
+            type: Number, // display index the student was last on
+            default: 0,
+        },
+        lastSavedAt: {
+            type: Date,
+            default: null,
+        },
+        trustScore: {
+            type: Number, // 0–100, recomputed on every violation (see services/trustScore.js)
+            default: 100,
+        },
+        devices: {
+            type: [deviceSchema], // Pairing history, oldest first
+            default: [],
+        },
+        roomScan: {
+            type: mongoose.Schema.Types.ObjectId, // Pre-exam scan, linked when the attempt starts
+            ref: 'RoomScan',
+            default: null,
+        },
+        identityCheck: {
+            type: mongoose.Schema.Types.ObjectId, // Entry photos, linked when the attempt starts
+            ref: 'IdentityCheck',
+            default: null,
+        },
+        interventions: {
+            type: [interventionSchema], // Proctor actions, oldest first
+            default: [],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One attempt per exam/student
+attemptSchema.index({ exam: 1, student: 1 }, { unique: true });
+
+// Cap on stored free-text answers (characters)
+attemptSchema.statics.MAX_TEXT_ANSWER_LENGTH = 20000;
+
+// ─── Static: Get or create the attempt for a student ─────
+attemptSchema.statics.startFor = async function (exam, studentId) {
+    const existing = await this.findOne({ exam: exam._id, student: studentId });
+    if (existing) return existing;
+
+    const now = Date.now();
+    const deadline = Math.min(
+        now + exam.durationMinutes * 60 * 1000,
+        exam.getEndTime().getTime()
+    );
+
+    const seed = `${exam._id}:${studentId}:${crypto.randomBytes(8).toString('hex')}`;
+
+    try {
+        return await this.create({
+            exam: exam._id,
+            student: studentId,
+            startedAt: new Date(now),
+            deadline: new Date(deadline),
+            seed,
+            ...buildOrders(exam, seed),
+        });
+    } catch (error) {
+        // Two tabs racing on the first fetch — the unique index picks a winner
+        if (error.code === 11000) {
+            return this.findOne({ exam: exam._id, student: studentId });
+        }
+        throw error;
+    }
+};
+
+// ─── Method: Milliseconds left before the deadline ───────
+// Frozen while paused
+attemptSchema.methods.getRemainingMs = function (now = Date.now()) {
+    const clock = this.pausedAt ? this.pausedAt.getTime() : now;
+    return Math.max(0, this.deadline.getTime() - clock);
+};
+
+// ─── Method: Is a submission at `now` still accepted? ────
+attemptSchema.methods.acceptsSubmission = function (graceSeconds = 0, now = Date.now()) {
+    return now <= this.deadline.getTime() + graceSeconds * 1000;
+};
+
+// ─── Method: Stop / restart the student's clock ──────────
+attemptSchema.methods.pause = function (now = Date.now()) {
+    if (!this.pausedAt) this.pausedAt = new Date(now);
+};
+
+attemptSchema.methods.resume = function (exam, now = Date.now()) {
+    if (!this.pausedAt) return;
+    const pausedMs = now - this.pausedAt.getTime();
+    this.deadline = new Date(Math.min(this.deadline.getTime() + pausedMs, exam.getEndTime().getTime()));
+    this.pausedAt = null;
+};
+
+// ─── Method: Snapshot for a resuming client ──────────────
+attemptSchema.methods.toResumeState = function (now = Date.now()) {
+    return {
+        status: this.status,
+        answers: Object.fromEntries(this.answers || []),
+        currentQuestion: this.currentQuestion,
+        deadline: this.deadline,
+        remainingMs: this.getRemainingMs(now),
+        paused: !!this.pausedAt,
+        serverTime: now,
+    };
+};
+
+const Attempt = mongoose.model('Attempt', attemptSchema);
+export default Attempt;
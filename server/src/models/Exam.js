@@ -5,8 +5,15 @@
  * marking scheme, access codes, and lifecycle status.
  *
  * Lifecycle: draft → scheduled → live → completed
+ *            (scheduled → live → completed is driven by ExamScheduler)
  *
- * Security: answerIndex and explanation are NEVER sent to students.
+ * Question types:
+ *  - single:   one correct option (answerIndex)
+ *  - multiple: one or more correct options (answerIndices), partial marking
+ *  - numeric:  typed value, exact (answerValue) or tolerance (answerRange)
+ *  - subjective: free text, graded manually against a rubric
+ *
+ * Security: answer keys and explanation are NEVER sent to students.
  *           Use Exam.sanitizeQuestions() to strip sensitive fields.
  */
 
@@ -22,18 +29,70 @@ const mediaSchema = new mongoose.Schema(
     { _id: false }
 );
 
+const rangeSchema = new mongoose.Schema(
+    {
+        min: { type: Number, required: true },
+        max: { type: Number, required: true },
+    },
+    { _id: false }
+);
+
+const rubricCriterionSchema = new mongoose.Schema(
+    {
+        criterion: { type: String, required: true },
+        points: { type: Number, required: true, min: [0, 'Rubric points cannot be negative'] },
+    },
+    { _id: false }
+);
+
+// Option-less types skip the options requirement
+const hasOptions = (type) => type !== 'numeric' && type !== 'subjective';
+
 const questionSchema = new mongoose.Schema(
     {
         id: { type: String, required: true },
+        type: { type: String, enum: ['single', 'multiple', 'numeric', 'subjective'], default: 'single' },
         text: { type: String, required: true },
         options: {
             type: [String],
-            required: true,
-            validate: [arr => arr.length >= 2, 'At least 2 options required'],
+            required: function () { return hasOptions(this.type); },
+            validate: {
+                validator: function (arr) { return !hasOptions(this.type) || arr.length >= 2; },
+                message: 'At least 2 options required',
+            },
+        },
+        answerIndex: {
+            type: Number,
+            required: function () { return this.type === 'single'; },
+        },
+        answerIndices: {
+            type: [Number],
+            default: undefined,
+            validate: {
+                validator: function (arr) { return this.type !== 'multiple' || arr?.length >= 1; },
+                message: 'Multi-select questions need at least 1 correct option',
+            },
+        },
+        answerValue: { type: Number },
+        answerRange: {
+            type: rangeSchema,
+            default: undefined,
+            validate: [r => !r || r.min <= r.max, 'answerRange min cannot exceed max'],
+        },
+        answerFormat: { type: String, enum: ['short', 'long'], default: undefined },
+        rubric: {
+            type: [rubricCriterionSchema],
+            default: undefined,
+            validate: {
+                validator: function (arr) { return this.type !== 'subjective' || arr?.length >= 1; },
+                message: 'Subjective questions need at least 1 rubric criterion',
+            },
         },
-        answerIndex: { type: Number, required: true },
         explanation: { type: String, default: '' },
         media: { type: mediaSchema, default: null },
+        // Bank provenance — the question is a frozen copy, edits to the bank don't flow back
+        sourceQuestion: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', default: undefined },
+        sourceVersion: { type: Number, default: undefined },
     },
     { _id: false }
 );
@@ -42,10 +101,62 @@ const markingSchema = new mongoose.Schema(
     {
         correct: { type: Number, default: 4 },
         incorrect: { type: Number, default: -1 },
+        // Multi-select: 'per_option' awards partialPerOption for each correct
+        // option chosen (no wrong ones); 'none' is all-or-nothing
+        partialPolicy: { type: String, enum: ['per_option', 'none'], default: 'per_option' },
+        partialPerOption: { type: Number, default: 1 },
+        // Numeric answers are usually not negatively marked
+        numeric: {
+            correct: { type: Number, default: 4 },
+            incorrect: { type: Number, default: 0 },
+        },
     },
     { _id: false }
 );
 
+// Trust score overrides — unset fields use the defaults in services/trustScore.js
+const trustWeightsSchema = new mongoose.Schema(
+    {
+        types: { type: Map, of: { type: Number, min: 0 } }, // violation type → points per occurrence
+        defaultWeight: { type: Number, min: 0 },
+        repeatFactor: { type: Number, min: 0 },
+        repeatWindowSeconds: { type: Number, min: 0 },
+        tetherDropout: { type: Number, min: 0 },
+    },
+    { _id: false }
+);
+
+// Automatic proctor action (see services/RulesEngine.js): `count` violations of
+// `type` within `windowSeconds` (0 = since the last time the rule fired), or for
+// tether_lost only, the phone staying lost for `durationSeconds`
+export const RULE_ACTIONS = ['warn', 'pause', 'force_submit', 'terminate'];
+
+// Phone microphone settings a new exam starts with — also fills fields an edit leaves blank
+export const AUDIO_MONITORING_DEFAULTS = { enabled: true, thresholdDb: -45, sustainSeconds: 3 };
+
+const violationRuleSchema = new mongoose.Schema({
+    type: { type: String, required: [true, 'Rule needs a violation type'], trim: true, maxlength: 64 },
+    count: { type: Number, min: 1, default: 1 },
+    windowSeconds: { type: Number, min: 0, default: 0 },
+    durationSeconds: {
+        type: Number,
+        min: 0,
+        default: 0,
+        validate: {
+            // TETHER_DROPOUT_TYPE — the only violation with a duration
+            validator: function (v) { return !v || this.type === 'tether_lost'; },
+            message: 'Only tether_lost rules can have a duration',
+        },
+    },
+    action: {
+        type: String,
+        enum: { values: RULE_ACTIONS, message: 'Rule action must be one of: ' + RULE_ACTIONS.join(', ') },
+        required: true,
+    },
+    message: { type: String, maxlength: 500, default: '' }, // shown to the student; the rule's label if blank
+    enabled: { type: Boolean, default: true },
+});
+
 // ─── Main Exam Schema ────────────────────────────────────
 const examSchema = new mongoose.Schema(
     {
@@ -79,11 +190,53 @@ const examSchema = new mongoose.Schema(
             type: Date,
             required: [true, 'Start time is required'],
         },
+        gracePeriodSeconds: {
+            type: Number, // Late-submission allowance past each student's deadline
+            default: 30,
+            min: [0, 'Grace period cannot be negative'],
+        },
         status: {
             type: String,
             enum: ['draft', 'scheduled', 'live', 'completed'],
             default: 'draft',
         },
+        startedAt: {
+            type: Date, // Set when the exam goes live (manual or scheduled)
+            default: null,
+        },
+        endedAt: {
+            type: Date,
+            default: null,
+        },
+        shuffle: {
+            // Per-student order, seeded on the attempt (see services/shuffle.js)
+            questions: { type: Boolean, default: false },
+            options: { type: Boolean, default: false },
+        },
+        trustWeights: {
+            type: trustWeightsSchema,
+            default: () => ({}),
+        },
+        violationRules: {
+            type: [violationRuleSchema],
+            default: [],
+        },
+        audioMonitoring: {
+            // Phone microphone, analysed on the device — no audio is recorded
+            enabled: { type: Boolean, default: AUDIO_MONITORING_DEFAULTS.enabled },
+            thresholdDb: { type: Number, default: AUDIO_MONITORING_DEFAULTS.thresholdDb, min: -100, max: 0 }, // level (dBFS) that counts as speech
+            sustainSeconds: { type: Number, default: AUDIO_MONITORING_DEFAULTS.sustainSeconds, min: 1 }, // speech this long → talking_detected
+        },
+        roomScan: {
+            // 360° pan with the paired phone before the paper opens (see models/RoomScan.js);
+            // off unless the exam asks for it, so exams created before the scan existed aren't gated
+            required: { type: Boolean, default: false },
+        },
+        identityVerification: {
+            // Face + ID photo approved by a proctor before the paper opens (see models/IdentityCheck.js);
+            // opt-in like roomScan, so older exams keep letting students straight in
+            required: { type: Boolean, default: false },
+        },
         markingScheme: {
             type: markingSchema,
             default: () => ({ correct: 4, incorrect: -1 }),
@@ -119,15 +272,26 @@ examSchema.pre('save', async function () {
     }
 });
 
+// ─── Method: Scheduled end of the exam window ────────────
+examSchema.methods.getEndTime = function () {
+    const start = this.startedAt || this.startTime;
+    return new Date(new Date(start).getTime() + this.durationMinutes * 60 * 1000);
+};
+
 // ─── Static: Strip answers from questions ────────────────
 examSchema.statics.sanitizeQuestions = function (questions) {
     return questions.map(q => ({
         id: q.id,
+        type: q.type || 'single',
         text: q.text,
-        options: q.options,
+        options: hasOptions(q.type) ? q.options : [],
+        ...(q.type === 'subjective' && { answerFormat: q.answerFormat || 'short' }),
         media: q.media || null,
     }));
 };
 
 const Exam = mongoose.model('Exam', examSchema);
+
+// Shared with the question bank so both store the same question shape
+export { mediaSchema, rangeSchema, rubricCriterionSchema, hasOptions };
 export default Exam;
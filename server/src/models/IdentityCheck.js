@@ -0,0 +1,123 @@
+/**
+ * IdentityCheck Model — Who is actually sitting the exam.
+ *
+ * At entry the student takes a face photo with the laptop webcam and
+ * a photo of their ID (webcam or paired phone). A proctor compares the
+ * face against the reference photo on the User profile and approves or
+ * rejects; until approved the paper stays closed.
+ *
+ * Like RoomScan this happens before the Attempt exists, so it is keyed
+ * by exam + student and linked to the attempt when the attempt starts.
+ *
+ * Lifecycle: capturing → pending → approved | rejected
+ *            New photos on a rejected check send it back to capturing.
+ */
+
+import mongoose from 'mongoose';
+
+// URL kind → document field
+export const PHOTO_FIELDS = { face: 'face', id: 'idCard' };
+
+const photoSchema = new mongoose.Schema(
+    {
+        key: { type: String, required: true }, // evidence storage key
+        source: { type: String, enum: ['laptop', 'mobile'], default: 'laptop' },
+        capturedAt: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
+
+const identityCheckSchema = new mongoose.Schema(
+    {
+        exam: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Exam',
+            required: true,
+        },
+        student: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        attempt: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Attempt',
+            default: null,
+        },
+        status: {
+            type: String,
+            enum: ['capturing', 'pending', 'approved', 'rejected'],
+            default: 'capturing',
+        },
+        face: {
+            type: photoSchema,
+            default: null,
+        },
+        idCard: {
+            type: photoSchema,
+            default: null,
+        },
+        submittedAt: {
+            type: Date,
+            default: null,
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+        reviewNote: {
+            type: String,
+            maxlength: 500,
+            default: '',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One check per exam/student (retaken in place)
+identityCheckSchema.index({ exam: 1, student: 1 }, { unique: true });
+
+// ─── Static: Has a proctor let this student in? ───────────
+identityCheckSchema.statics.isApproved = async function (examId, studentId) {
+    return !!(await this.exists({ exam: examId, student: studentId, status: 'approved' }));
+};
+
+// ─── Static: Point the check and the new attempt at each other
+identityCheckSchema.statics.linkAttempt = async function (attempt) {
+    if (attempt.identityCheck) return;
+
+    const check = await this.findOneAndUpdate(
+        { exam: attempt.exam, student: attempt.student },
+        { attempt: attempt._id }
+    );
+    if (check) {
+        attempt.identityCheck = check._id;
+        await attempt.constructor.updateOne({ _id: attempt._id }, { identityCheck: check._id });
+    }
+};
+
+// ─── Method: Shape sent to the laptop, phone and monitor ─
+identityCheckSchema.methods.toSummary = function () {
+    const photo = (p) => (p ? { source: p.source, capturedAt: p.capturedAt } : null);
+    return {
+        id: this._id,
+        examId: this.exam,
+        studentId: this.student,
+        status: this.status,
+        face: photo(this.face),
+        idCard: photo(this.idCard),
+        submittedAt: this.submittedAt,
+        reviewedAt: this.reviewedAt,
+        reviewNote: this.reviewNote,
+    };
+};
+
+const IdentityCheck = mongoose.model('IdentityCheck', identityCheckSchema);
+export default IdentityCheck;
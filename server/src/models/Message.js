@@ -0,0 +1,109 @@
+/**
+ * Message Model — Chat between a student and the exam's proctors.
+ *
+ * One thread per exam + student: the student writes to "the proctors",
+ * any proctor of the exam can reply. Kept for the audit trail alongside
+ * violations and interventions (see services/ChatService.js).
+ *
+ * readAt: set when the other side has seen the message — a proctor for
+ *         student messages, the student for proctor replies.
+ */
+
+import mongoose from 'mongoose';
+
+export const MAX_MESSAGE_LENGTH = 1000;
+
+const messageSchema = new mongoose.Schema(
+    {
+        exam: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Exam',
+            required: true,
+        },
+        student: {
+            type: mongoose.Schema.Types.ObjectId, // whose thread this is
+            ref: 'User',
+            required: true,
+        },
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        senderRole: {
+            type: String,
+            enum: ['student', 'admin'],
+            required: true,
+        },
+        body: {
+            type: String,
+            required: true,
+            maxlength: MAX_MESSAGE_LENGTH,
+        },
+        readAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+messageSchema.index({ exam: 1, student: 1, createdAt: 1 });
+
+// ─── Static: Per-student thread summary for the proctor inbox
+messageSchema.statics.inbox = async function (examId) {
+    const rows = await this.aggregate([
+        { $match: { exam: new mongoose.Types.ObjectId(String(examId)) } },
+        { $sort: { createdAt: 1 } },
+        {
+            $group: {
+                _id: '$student',
+                unread: {
+                    $sum: { $cond: [{ $and: [{ $eq: ['$senderRole', 'student'] }, { $eq: ['$readAt', null] }] }, 1, 0] },
+                },
+                lastBody: { $last: '$body' },
+                lastRole: { $last: '$senderRole' },
+                lastAt: { $last: '$createdAt' },
+            },
+        },
+        { $sort: { lastAt: -1 } },
+    ]);
+
+    return rows.map((r) => ({
+        studentId: r._id,
+        unread: r.unread,
+        last: { body: r.lastBody, senderRole: r.lastRole, createdAt: r.lastAt },
+    }));
+};
+
+// ─── Static: Mark the other side's messages in a thread read
+messageSchema.statics.markRead = async function (examId, studentId, readerRole) {
+    const { modifiedCount } = await this.updateMany(
+        {
+            exam: examId,
+            student: studentId,
+            senderRole: readerRole === 'admin' ? 'student' : 'admin',
+            readAt: null,
+        },
+        { readAt: new Date() }
+    );
+    return modifiedCount;
+};
+
+// ─── Method: Shape sent to the student and the proctors ──
+messageSchema.methods.toPayload = function () {
+    return {
+        id: this._id,
+        examId: this.exam,
+        studentId: this.student,
+        senderRole: this.senderRole,
+        body: this.body,
+        createdAt: this.createdAt,
+        readAt: this.readAt,
+    };
+};
+
+const Message = mongoose.model('Message', messageSchema);
+export default Message;
@@ -0,0 +1,108 @@
+/**
+ * Question Model — Reusable question bank.
+ *
+ * Owned by the admin who created it. Same answer format as exam
+ * questions (see Exam.js), plus classification for search and
+ * rule-based paper building:
+ *   subject / topic, difficulty, free-form tags
+ *
+ * Exams never reference bank questions live — they store a snapshot
+ * tagged with sourceQuestion + sourceVersion. `version` bumps on
+ * every edit so a paper can tell it was built from an older copy.
+ */
+
+import mongoose from 'mongoose';
+import { mediaSchema, rangeSchema, rubricCriterionSchema, hasOptions } from './Exam.js';
+
+const usageSchema = new mongoose.Schema(
+    {
+        exam: { type: mongoose.Schema.Types.ObjectId, ref: 'Exam', required: true },
+        version: { type: Number },
+        usedAt: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
+
+const questionSchema = new mongoose.Schema(
+    {
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        type: { type: String, enum: ['single', 'multiple', 'numeric', 'subjective'], default: 'single' },
+        text: { type: String, required: [true, 'Question text is required'] },
+        options: {
+            type: [String],
+            required: function () { return hasOptions(this.type); },
+            validate: {
+                validator: function (arr) { return !hasOptions(this.type) || arr.length >= 2; },
+                message: 'At least 2 options required',
+            },
+        },
+        answerIndex: { type: Number },
+        answerIndices: { type: [Number], default: undefined },
+        answerValue: { type: Number },
+        answerRange: { type: rangeSchema, default: undefined },
+        answerFormat: { type: String, enum: ['short', 'long'], default: undefined },
+        rubric: { type: [rubricCriterionSchema], default: undefined },
+        explanation: { type: String, default: '' },
+        media: { type: mediaSchema, default: null },
+
+        // ── Classification ──
+        subject: { type: String, trim: true, default: '' },
+        topic: { type: String, trim: true, default: '' },
+        difficulty: {
+            type: String,
+            enum: ['easy', 'medium', 'hard'],
+            default: 'medium',
+        },
+        tags: {
+            type: [String],
+            set: (tags) => [...new Set([].concat(tags ?? []).map((t) => String(t).trim().toLowerCase()).filter(Boolean))],
+            default: [],
+        },
+
+        // ── History ──
+        version: { type: Number, default: 1 },
+        usageCount: { type: Number, default: 0 },
+        usage: { type: [usageSchema], default: [] },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+questionSchema.index({ createdBy: 1, subject: 1, topic: 1, difficulty: 1 });
+questionSchema.index({ createdBy: 1, tags: 1 });
+
+// ─── Fields an admin may set (everything else is managed) ─
+questionSchema.statics.EDITABLE_FIELDS = [
+    'type', 'text', 'options', 'answerIndex', 'answerIndices', 'answerValue',
+    'answerRange', 'answerFormat', 'rubric', 'explanation', 'media',
+    'subject', 'topic', 'difficulty', 'tags',
+];
+
+// ─── Method: Frozen copy for embedding in an exam ────────
+questionSchema.methods.toExamQuestion = function () {
+    const q = this.toObject();
+    return {
+        id: q._id.toString(),
+        type: q.type,
+        text: q.text,
+        options: q.options,
+        answerIndex: q.answerIndex,
+        answerIndices: q.answerIndices,
+        answerValue: q.answerValue,
+        answerRange: q.answerRange,
+        answerFormat: q.answerFormat,
+        rubric: q.rubric,
+        explanation: q.explanation,
+        media: q.media,
+        sourceQuestion: q._id,
+        sourceVersion: q.version,
+    };
+};
+
+const Question = mongoose.model('Question', questionSchema);
+export default Question;
@@ -0,0 +1,132 @@
+/**
+ * RoomScan Model — The pre-exam 360° pan a student does with the paired phone.
+ *
+ * The scan usually happens in the waiting room, before the student's
+ * Attempt exists, so it is keyed by exam + student and linked to the
+ * attempt (both ways) when the attempt starts.
+ *
+ * Lifecycle: in_progress → submitted → approved | rejected
+ *            A rejected scan can be redone (back to in_progress); a
+ *            rejection after the attempt started pauses it (heldAt)
+ *            until the redo is approved.
+ *
+ * Coverage: degrees of heading the phone swept (DeviceOrientation);
+ *           null when the phone has no orientation sensor, in which
+ *           case the proctor only has the frames to go on.
+ */
+
+import mongoose from 'mongoose';
+
+// Statuses that let the student into the paper
+export const CLEARED_STATUSES = ['submitted', 'approved'];
+
+const frameSchema = new mongoose.Schema(
+    {
+        key: { type: String, required: true }, // evidence storage key
+        heading: { type: Number, default: null }, // compass heading (deg) when captured
+        capturedAt: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
+
+const roomScanSchema = new mongoose.Schema(
+    {
+        exam: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Exam',
+            required: true,
+        },
+        student: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        attempt: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Attempt',
+            default: null,
+        },
+        status: {
+            type: String,
+            enum: ['in_progress', 'submitted', 'approved', 'rejected'],
+            default: 'in_progress',
+        },
+        frames: {
+            type: [frameSchema],
+            default: [],
+        },
+        coverage: {
+            type: Number,
+            default: null,
+        },
+        startedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        submittedAt: {
+            type: Date,
+            default: null,
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+        reviewNote: {
+            type: String,
+            maxlength: 500,
+            default: '',
+        },
+        heldAt: {
+            type: Date, // when rejecting this scan paused the attempt; cleared once a redo is approved
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One scan per exam/student (redone in place)
+roomScanSchema.index({ exam: 1, student: 1 }, { unique: true });
+
+// ─── Static: Has this student done an acceptable scan? ───
+roomScanSchema.statics.isCleared = async function (examId, studentId) {
+    return !!(await this.exists({ exam: examId, student: studentId, status: { $in: CLEARED_STATUSES } }));
+};
+
+// ─── Static: Point the scan and the new attempt at each other ─
+roomScanSchema.statics.linkAttempt = async function (attempt) {
+    if (attempt.roomScan) return;
+
+    const scan = await this.findOneAndUpdate(
+        { exam: attempt.exam, student: attempt.student },
+        { attempt: attempt._id }
+    );
+    if (scan) {
+        attempt.roomScan = scan._id;
+        await attempt.constructor.updateOne({ _id: attempt._id }, { roomScan: scan._id });
+    }
+};
+
+// ─── Method: Shape sent to the laptop, phone and monitor ─
+roomScanSchema.methods.toSummary = function () {
+    return {
+        id: this._id,
+        examId: this.exam,
+        studentId: this.student,
+        status: this.status,
+        frameCount: this.frames.length,
+        coverage: this.coverage,
+        submittedAt: this.submittedAt,
+        reviewedAt: this.reviewedAt,
+        reviewNote: this.reviewNote,
+    };
+};
+
+const RoomScan = mongoose.model('RoomScan', roomScanSchema);
+export default RoomScan;
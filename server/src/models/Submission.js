@@ -1,5 +1,28 @@
 import mongoose from 'mongoose';
 
+// One rubric-graded subjective answer; created 'ungraded' at submit time
+const manualGradeSchema = new mongoose.Schema(
+    {
+        questionId: { type: String, required: true },
+        questionIndex: { type: Number, required: true },
+        status: { type: String, enum: ['ungraded', 'graded'], default: 'ungraded' },
+        criteria: [
+            {
+                _id: false,
+                criterion: { type: String },
+                awarded: { type: Number },
+                max: { type: Number },
+            },
+        ],
+        marks: { type: Number, default: 0 },
+        maxMarks: { type: Number, required: true },
+        feedback: { type: String, default: '' },
+        gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        gradedAt: { type: Date, default: null },
+    },
+    { _id: false }
+);
+
 const submissionSchema = new mongoose.Schema({
     exam: {
         type: mongoose.Schema.Types.ObjectId,
@@ -12,22 +35,45 @@ const submissionSchema = new mongoose.Schema({
         required: true,
     },
     answers: {
-        // Map of question index (string) to selected option index (number)
+        // Map of question index (string) to the answer: option index (single),
+        // array of option indices (multiple), or string (numeric / subjective)
         type: Map,
-        of: Number,
+        of: mongoose.Schema.Types.Mixed,
         required: true,
     },
     score: {
         type: Number,
         required: true,
     },
+    autoScore: {
+        type: Number, // Marks from auto-scored questions only
+        default: 0,
+    },
+    resultStatus: {
+        type: String,
+        enum: ['pending', 'final'], // pending until every manual item is graded
+        default: 'final',
+    },
+    manualGrades: {
+        type: [manualGradeSchema],
+        default: [],
+    },
     totalMarks: {
         type: Number,
         required: true,
     },
     flags: {
         type: Number,
-        default: 0, // Trust Score violations count (future proofing)
+        default: 0, // Stored proctoring violations at submit time, less any a proctor dismisses later
+    },
+    flagSeverity: {
+        type: String,
+        enum: ['none', 'low', 'medium', 'high'], // Worst severity among `flags`
+        default: 'none',
+    },
+    trustScore: {
+        type: Number, // 0–100 integrity score, frozen at submit time (revised only by violation reviews)
+        default: 100,
     },
     submittedAt: {
         type: Date,
@@ -35,6 +81,19 @@ const submissionSchema = new mongoose.Schema({
     },
 });
 
+// ─── Method: Fold manual grades into the final score ─────
+submissionSchema.methods.recomputeScore = function () {
+    const allGraded = this.manualGrades.every((g) => g.status === 'graded');
+    const manualMarks = this.manualGrades.reduce((sum, g) => sum + (g.status === 'graded' ? g.marks : 0), 0);
+
+    this.score = this.autoScore + manualMarks;
+    this.resultStatus = allGraded ? 'final' : 'pending';
+    return this;
+};
+
+// Grading queue lookups
+submissionSchema.index({ exam: 1, resultStatus: 1 });
+
 // Prevent multiple submissions for same exam/student
 submissionSchema.index({ exam: 1, student: 1 }, { unique: true });
 
@@ -1,16 +1,18 @@
 /**
  * User Model
  * 
- * Schema: name, email, password, role (student|admin)
+ * Schema: name, email, password, role (student|admin), referencePhoto
  * 
  * Features:
  *  - Pre-save hook: bcrypt password hashing
  *  - Instance method: comparePassword() for login verification
  *  - Instance method: generateToken() for JWT creation
+ *  - referencePhoto: face photo proctors compare against at exam
+ *    entry (see models/IdentityCheck.js); set by an admin
  * 
  * Future extensions:
  *  - P2: deviceId field for tether pairing
- *  - P5: trustScore field for admin dashboard
+ *  - P5: trustScore — kept per attempt instead (Attempt / Submission)
  *  - P6: examState field for resume tokens
  */
 
@@ -45,9 +47,12 @@ const userSchema = new mongoose.Schema(
             enum: ['student', 'admin'],
             default: 'student',
         },
+        referencePhoto: {
+            key: { type: String, default: null }, // evidence storage key
+            uploadedAt: { type: Date, default: null },
+        },
         // ── Future Phase Fields (uncomment when needed) ──
         // deviceId: { type: String },        // P2: tethered mobile device
-        // trustScore: { type: Number },       // P5: integrity score
         // examState: { type: Object },        // P6: resume token state
     },
     {
@@ -0,0 +1,182 @@
+/**
+ * Violation Model — One proctoring alert, as raised by a device.
+ *
+ * Every VIOLATION_ALERT is written here before it's relayed, so the
+ * monitor feed can be rebuilt after a refresh and the student's
+ * submission can carry a count + worst severity.
+ *
+ * Severity: set by server-side callers that know better (the laptop's
+ *           signal table, system checks); phone alerts get it from type
+ *           and confidence (see severityFor), never from the device.
+ * Review:   a proctor's verdict. Dismissed violations are false positives
+ *           and don't count towards the trust score or the submission's
+ *           flag count; every decision is kept in reviewHistory for audit.
+ */
+
+import mongoose from 'mongoose';
+
+// Ordered low → high; index is used for "worst severity" comparisons
+export const SEVERITY_LEVELS = ['low', 'medium', 'high'];
+
+// Signals that are weak evidence on their own, however sure the detector is
+const SEVERITY_CEILING = {
+    looking_away: 'medium',
+    no_face: 'medium',
+    motion_detected: 'medium',
+    lighting_change: 'low',
+};
+
+// Confidence thresholds, capped per type, used when the caller doesn't set a severity
+export function severityFor(confidence, type) {
+    const level = confidence >= 0.85 ? 'high' : confidence >= 0.6 ? 'medium' : 'low';
+    const ceiling = SEVERITY_CEILING[type];
+    return ceiling && SEVERITY_LEVELS.indexOf(level) > SEVERITY_LEVELS.indexOf(ceiling) ? ceiling : level;
+}
+
+// 'pending' until a proctor decides; a decision can be changed later
+export const REVIEW_STATUSES = ['pending', 'confirmed', 'dismissed', 'escalated'];
+
+// Matches violations that still count (documents from before reviews have no review.status)
+export const NOT_DISMISSED = { 'review.status': { $ne: 'dismissed' } };
+
+const reviewSchema = new mongoose.Schema(
+    {
+        status: {
+            type: String,
+            enum: REVIEW_STATUSES,
+            required: true,
+        },
+        note: {
+            type: String,
+            maxlength: 1000,
+            default: '',
+        },
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const violationSchema = new mongoose.Schema(
+    {
+        exam: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Exam',
+            required: true,
+        },
+        student: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        sessionId: {
+            type: String,
+            default: null,
+        },
+        type: {
+            type: String, // e.g. 'phone_detected', 'multiple_faces', 'tab_switch'
+            required: [true, 'Violation type is required'],
+            trim: true,
+            maxlength: 64,
+        },
+        confidence: {
+            type: Number,
+            min: 0,
+            max: 1,
+            default: 1,
+        },
+        severity: {
+            type: String,
+            enum: SEVERITY_LEVELS,
+        },
+        source: {
+            type: String,
+            enum: ['mobile', 'laptop', 'system'],
+            default: 'mobile',
+        },
+        timestamp: {
+            type: Date, // When the device saw it (createdAt is when we stored it)
+            default: Date.now,
+        },
+        evidence: {
+            type: String, // Storage key / URL of a snapshot, if one was captured
+            default: null,
+        },
+        detail: {
+            type: String, // Short detector note, e.g. 'paste' for copy_paste
+            maxlength: 200,
+            default: null,
+        },
+        review: {
+            type: reviewSchema, // Latest decision
+            default: () => ({ status: 'pending' }),
+        },
+        reviewHistory: [reviewSchema], // Every decision, oldest first
+    },
+    {
+        timestamps: true,
+    }
+);
+
+violationSchema.pre('validate', function () {
+    if (!this.severity) this.severity = severityFor(this.confidence, this.type);
+});
+
+// Per-exam feed and per-student timelines
+violationSchema.index({ exam: 1, timestamp: -1 });
+violationSchema.index({ exam: 1, student: 1, timestamp: -1 });
+
+// ─── Static: Count + worst severity for one student (dismissed ones excluded) ─
+violationSchema.statics.summarize = async function (examId, studentId) {
+    const violations = await this.find({ exam: examId, student: studentId, ...NOT_DISMISSED }).select('severity');
+
+    const worst = violations.reduce(
+        (max, v) => Math.max(max, SEVERITY_LEVELS.indexOf(v.severity)),
+        -1
+    );
+
+    return {
+        count: violations.length,
+        severity: worst === -1 ? 'none' : SEVERITY_LEVELS[worst],
+    };
+};
+
+// ─── Method: Record a proctor's decision ─────────────────
+violationSchema.methods.applyReview = function ({ status, note, by }) {
+    const review = { status, note: note || '', by, at: new Date() };
+    this.review = review;
+    this.reviewHistory.push(review);
+    return this;
+};
+
+// ─── Method: Shape relayed to laptop / monitor ───────────
+violationSchema.methods.toAlert = function () {
+    return {
+        id: this._id,
+        examId: this.exam,
+        studentId: this.student,
+        sessionId: this.sessionId,
+        violation: this.type,
+        confidence: this.confidence,
+        severity: this.severity,
+        source: this.source,
+        timestamp: this.timestamp,
+        evidence: this.evidence,
+        detail: this.detail,
+        review: {
+            status: this.review?.status || 'pending',
+            note: this.review?.note || '',
+            by: this.review?.by || null,
+            at: this.review?.at || null,
+        },
+    };
+};
+
+const Violation = mongoose.model('Violation', violationSchema);
+export default Violation;
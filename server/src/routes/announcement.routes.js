@@ -0,0 +1,93 @@
+/**
+ * Announcement Routes — exam-wide announcements and errata (see models/Announcement.js)
+ *
+ *   GET  /api/announcements/exams/:examId  — Participant or owning admin: all, oldest first
+ *   POST /api/announcements/exams/:examId  — Admin: { body, questionId? } — questionId makes it an erratum
+ *
+ * New announcements are broadcast as EXAM_ANNOUNCEMENT to exam:<examId>;
+ * students get the full list as EXAM_ANNOUNCEMENTS whenever they join.
+ */
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Exam from '../models/Exam.js';
+import Announcement, { MAX_ANNOUNCEMENT_LENGTH } from '../models/Announcement.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { getIO } from '../socket.js';
+import { EXAM_ANNOUNCEMENT } from '../constants/events.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+/**
+ * GET /api/announcements/exams/:examId
+ */
+router.get('/exams/:examId', async (req, res) => {
+    try {
+        const exam = mongoose.isValidObjectId(req.params.examId)
+            && (await Exam.findById(req.params.examId).select('createdBy participants'));
+        const allowed = exam && (req.user.role === 'admin'
+            ? String(exam.createdBy) === String(req.user.userId)
+            : exam.participants.some((p) => String(p) === String(req.user.userId)));
+        if (!allowed) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        res.json({ success: true, announcements: await Announcement.forExam(exam._id) });
+    } catch (error) {
+        console.error('List announcements error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/announcements/exams/:examId — Post and broadcast
+ */
+router.post('/exams/:examId', authorize('admin'), async (req, res) => {
+    try {
+        const exam = mongoose.isValidObjectId(req.params.examId)
+            && (await Exam.findOne({ _id: req.params.examId, createdBy: req.user.userId }).select('status questions.id'));
+        if (!exam) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        if (exam.status === 'completed') {
+            return res.status(400).json({ success: false, message: 'Exam has ended' });
+        }
+
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+        if (!body) {
+            return res.status(400).json({ success: false, message: 'Write the announcement first' });
+        }
+        if (body.length > MAX_ANNOUNCEMENT_LENGTH) {
+            return res.status(400).json({ success: false, message: `Keep it under ${MAX_ANNOUNCEMENT_LENGTH} characters` });
+        }
+
+        const questionId = req.body.questionId || null;
+        if (questionId && !exam.questions.some((q) => q.id === questionId)) {
+            return res.status(400).json({ success: false, message: 'Question not found in this exam' });
+        }
+
+        const announcement = await Announcement.create({
+            exam: exam._id,
+            questionId,
+            body,
+            createdBy: req.user.userId,
+        });
+
+        const payload = announcement.toPayload();
+        try {
+            getIO().of('/exam').to(`exam:${exam._id}`).emit(EXAM_ANNOUNCEMENT, payload);
+        } catch (err) {
+            console.error('Announcement broadcast failed:', err.message);
+        }
+
+        res.status(201).json({ success: true, announcement: payload });
+    } catch (error) {
+        console.error('Post announcement error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
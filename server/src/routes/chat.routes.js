@@ -0,0 +1,98 @@
+/**
+ * Chat Routes — message history (live traffic is on the sockets, see socket/chatHandler.js)
+ *
+ *   GET /api/chat/exams/:examId/me                      — Student: own thread, oldest first
+ *   GET /api/chat/exams/:examId                         — Admin: inbox, one row per student with unread count
+ *   GET /api/chat/exams/:examId/students/:studentId     — Admin: one student's thread, oldest first
+ */
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Exam from '../models/Exam.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+// 404 unless the exam exists and belongs to the requesting admin
+async function findOwnedExam(req, res) {
+    const exam = mongoose.isValidObjectId(req.params.examId)
+        && (await Exam.findOne({ _id: req.params.examId, createdBy: req.user.userId }).select('_id'));
+    if (!exam) {
+        res.status(404).json({ success: false, message: 'Exam not found' });
+        return null;
+    }
+    return exam;
+}
+
+/**
+ * GET /api/chat/exams/:examId/me — The exam room's chat panel on load
+ */
+router.get('/exams/:examId/me', authorize('student'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.examId)) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        const messages = await Message.find({ exam: req.params.examId, student: req.user.userId })
+            .sort({ createdAt: 1 });
+
+        res.json({ success: true, messages: messages.map((m) => m.toPayload()) });
+    } catch (error) {
+        console.error('Get own chat error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/chat/exams/:examId — Latest thread first
+ */
+router.get('/exams/:examId', authorize('admin'), async (req, res) => {
+    try {
+        const exam = await findOwnedExam(req, res);
+        if (!exam) return;
+
+        const inbox = await Message.inbox(exam._id);
+        const students = await User.find({ _id: { $in: inbox.map((t) => t.studentId) } }).select('name');
+        const names = Object.fromEntries(students.map((s) => [String(s._id), s.name]));
+
+        res.json({
+            success: true,
+            threads: inbox.map((t) => ({ ...t, studentName: names[String(t.studentId)] || null })),
+        });
+    } catch (error) {
+        console.error('Chat inbox error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/chat/exams/:examId/students/:studentId — Full thread (read receipts are set over the socket)
+ */
+router.get('/exams/:examId/students/:studentId', authorize('admin'), async (req, res) => {
+    try {
+        const exam = await findOwnedExam(req, res);
+        if (!exam) return;
+
+        if (!mongoose.isValidObjectId(req.params.studentId)) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+
+        const messages = await Message.find({ exam: exam._id, student: req.params.studentId })
+            .populate('sender', 'name')
+            .sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            messages: messages.map((m) => ({ ...m.toPayload(), senderName: m.sender?.name || null })),
+        });
+    } catch (error) {
+        console.error('Get chat thread error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
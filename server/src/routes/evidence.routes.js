@@ -0,0 +1,110 @@
+/**
+ * Evidence Routes — JPEG snapshots attached to stored violations
+ *
+ *   POST /api/evidence/violations/:violationId  — Upload the frame (raw image/jpeg body; the device that reported it)
+ *   GET  /api/evidence/violations/:violationId  — View it (admin who owns the exam)
+ *
+ * The client gets the violation id from the socket ack when it reports
+ * the violation, then uploads the frame it captured at that moment.
+ */
+
+import express, { Router } from 'express';
+import mongoose from 'mongoose';
+import Exam from '../models/Exam.js';
+import Violation from '../models/Violation.js';
+import violationService from '../services/ViolationService.js';
+import { getEvidenceStorage } from '../services/evidenceStorage.js';
+import { authenticate, authenticateWithDevice, authorize } from '../middleware/auth.js';
+
+const router = Router();
+
+const MAX_EVIDENCE_BYTES = 2 * 1024 * 1024;
+// Late uploads can't be tied to what the camera saw when the violation fired
+const UPLOAD_WINDOW_MS = 2 * 60 * 1000;
+
+const isJpeg = (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+
+async function findViolation(req, res) {
+    if (!mongoose.isValidObjectId(req.params.violationId)) {
+        res.status(404).json({ success: false, message: 'Violation not found' });
+        return null;
+    }
+
+    const violation = await Violation.findById(req.params.violationId);
+    if (!violation) {
+        res.status(404).json({ success: false, message: 'Violation not found' });
+    }
+    return violation;
+}
+
+/**
+ * POST /api/evidence/violations/:violationId — Attach a snapshot (once)
+ */
+router.post(
+    '/violations/:violationId',
+    authenticateWithDevice,
+    express.raw({ type: 'image/jpeg', limit: MAX_EVIDENCE_BYTES }),
+    async (req, res) => {
+        try {
+            if (!Buffer.isBuffer(req.body) || !isJpeg(req.body)) {
+                return res.status(400).json({ success: false, message: 'Body must be a JPEG image' });
+            }
+
+            const violation = await findViolation(req, res);
+            if (!violation) return;
+
+            // Only the device that reported it: the phone paired in that session, or the student's laptop
+            const reporter = violation.source === 'mobile'
+                ? Boolean(req.device) && req.device.sessionId === violation.sessionId
+                : violation.source === 'laptop' && req.user?.role === 'student'
+                    && String(req.user.userId) === String(violation.student);
+            if (!reporter) {
+                return res.status(403).json({ success: false, message: 'Not your violation' });
+            }
+
+            if (violation.evidence) {
+                return res.status(409).json({ success: false, message: 'Evidence already attached' });
+            }
+            if (Date.now() - violation.createdAt.getTime() > UPLOAD_WINDOW_MS) {
+                return res.status(410).json({ success: false, message: 'Upload window has passed' });
+            }
+
+            const key = `${violation.exam}/${violation._id}.jpg`;
+            await getEvidenceStorage().save(key, req.body, 'image/jpeg');
+            await violationService.attachEvidence(violation, key);
+
+            res.status(201).json({ success: true, message: 'Evidence stored' });
+        } catch (error) {
+            console.error('Upload evidence error:', error);
+            res.status(500).json({ success: false, message: 'Server error' });
+        }
+    }
+);
+
+/**
+ * GET /api/evidence/violations/:violationId — The JPEG itself
+ */
+router.get('/violations/:violationId', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const violation = await findViolation(req, res);
+        if (!violation) return;
+
+        const owned = await Exam.exists({ _id: violation.exam, createdBy: req.user.userId });
+        if (!owned) {
+            return res.status(404).json({ success: false, message: 'Violation not found' });
+        }
+
+        const file = violation.evidence && (await getEvidenceStorage().read(violation.evidence));
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'No evidence for this violation' });
+        }
+
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.type(file.contentType).send(file.buffer);
+    } catch (error) {
+        console.error('Get evidence error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
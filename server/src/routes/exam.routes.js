@@ -11,15 +11,38 @@
  *
  * Student:
  *   POST   /api/exams/join         — Join exam via access code
- *   GET    /api/exams/:id/questions — Get questions (answers stripped)
+ *   POST   /api/exams/:id/pairing  — Single-use phone pairing token for the QR code
+ *   GET    /api/exams/:id/questions — Get questions (answers stripped), starts attempt
+ *   POST   /api/exams/:id/submit    — Submit answers (deadline + grace enforced)
+ *   GET    /api/exams/:id/result    — Own result (pending until manual grading is done)
  */
 
 import { Router } from 'express';
-import Exam from '../models/Exam.js';
+import Exam, { AUDIO_MONITORING_DEFAULTS } from '../models/Exam.js';
+import Attempt from '../models/Attempt.js';
+import Submission from '../models/Submission.js';
+import RoomScan from '../models/RoomScan.js';
+import IdentityCheck from '../models/IdentityCheck.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import examScheduler from '../services/ExamScheduler.js';
+import connectionManager from '../services/ConnectionManager.js';
+import pairingService from '../services/PairingService.js';
+import { getIO } from '../socket.js';
+import { validateQuestion } from '../services/questionValidator.js';
+import { recordUsage } from '../services/questionBank.js';
+import { toStudentView } from '../services/shuffle.js';
+import { submitAttempt } from '../services/submission.js';
 
 const router = Router();
 
+// Lifecycle moves an admin may make by hand (the scheduler makes the same two at startTime / end)
+const STATUS_TRANSITIONS = {
+    draft: ['scheduled', 'live'],
+    scheduled: ['draft', 'live'],
+    live: ['completed'],
+    completed: [],
+};
+
 // ═══════════════════════════════════════════════════════════
 // ADMIN ROUTES
 // ═══════════════════════════════════════════════════════════
@@ -55,20 +78,11 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
             });
         }
 
-        // Validate each question has required fields
+        // Validate each question against its type
         for (let i = 0; i < questions.length; i++) {
-            const q = questions[i];
-            if (!q.id || !q.text || !q.options || q.answerIndex === undefined) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Question ${i + 1} is missing required fields (id, text, options, answerIndex)`,
-                });
-            }
-            if (q.answerIndex < 0 || q.answerIndex >= q.options.length) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Question "${q.id}": answerIndex out of range`,
-                });
+            const message = validateQuestion(questions[i], i);
+            if (message) {
+                return res.status(400).json({ success: false, message });
             }
         }
 
@@ -78,11 +92,21 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
             maxStudents,
             durationMinutes: config.durationMinutes,
             startTime: new Date(startTime),
+            gracePeriodSeconds: config.gracePeriodSeconds,
             markingScheme: config.marking || { correct: 4, incorrect: -1 },
+            shuffle: config.shuffle,
+            trustWeights: config.trustWeights,
+            violationRules: config.violationRules,
+            audioMonitoring: config.audioMonitoring,
+            roomScan: config.roomScan,
+            identityVerification: config.identityVerification,
             questions,
             status: 'scheduled',
         });
 
+        examScheduler.schedule(exam);
+        await recordUsage(exam._id, exam.questions);
+
         res.status(201).json({
             success: true,
             exam: {
@@ -197,6 +221,13 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
         if (config?.title) exam.title = config.title;
         if (config?.durationMinutes) exam.durationMinutes = config.durationMinutes;
         if (config?.marking) exam.markingScheme = config.marking;
+        if (config?.gracePeriodSeconds !== undefined) exam.gracePeriodSeconds = config.gracePeriodSeconds;
+        if (config?.shuffle) exam.shuffle = config.shuffle;
+        if (config?.trustWeights) exam.trustWeights = config.trustWeights;
+        if (config?.violationRules) exam.violationRules = config.violationRules;
+        if (config?.audioMonitoring) exam.audioMonitoring = { ...AUDIO_MONITORING_DEFAULTS, ...config.audioMonitoring };
+        if (config?.roomScan) exam.roomScan = config.roomScan;
+        if (config?.identityVerification) exam.identityVerification = config.identityVerification;
         if (maxStudents) exam.maxStudents = maxStudents;
         if (startTime) exam.startTime = new Date(startTime);
 
@@ -205,12 +236,22 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
             exam.status = 'scheduled';
         }
 
+        // Bank questions already on the paper were counted when first added
+        const previousSources = exam.questions.map(q => q.sourceQuestion).filter(Boolean);
+
         if (questions && questions.length > 0) {
-            // Validate questions similar to create... (simplified for now as schema handles some)
+            for (let i = 0; i < questions.length; i++) {
+                const message = validateQuestion(questions[i], i);
+                if (message) {
+                    return res.status(400).json({ success: false, message });
+                }
+            }
             exam.questions = questions;
         }
 
         await exam.save();
+        examScheduler.schedule(exam);
+        await recordUsage(exam._id, exam.questions, previousSources);
 
         res.json({
             success: true,
@@ -218,6 +259,13 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
             exam,
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map((e) => e.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', '),
+            });
+        }
         console.error('Update exam error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
@@ -225,18 +273,11 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
 
 /**
  * PATCH /api/exams/:id/status — Update exam status (lifecycle)
+ * Body: { status: 'draft' | 'scheduled' | 'live' | 'completed' }
  */
 router.patch('/:id/status', authenticate, authorize('admin'), async (req, res) => {
     try {
         const { status } = req.body;
-        const validStatuses = ['draft', 'scheduled', 'live', 'completed'];
-
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
-            });
-        }
 
         const exam = await Exam.findOne({
             _id: req.params.id,
@@ -247,8 +288,33 @@ router.patch('/:id/status', authenticate, authorize('admin'), async (req, res) =
             return res.status(404).json({ success: false, message: 'Exam not found' });
         }
 
-        exam.status = status;
-        await exam.save();
+        // A live exam only ends, and an ended one stays ended — sending it back to
+        // scheduled would re-arm a startTime in the past while attempts are running
+        if (!STATUS_TRANSITIONS[exam.status]?.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot transition from "${exam.status}" to "${status}"`,
+            });
+        }
+
+        // live/completed go through the scheduler so the room is notified
+        let updated = exam;
+        if (status === 'live') {
+            updated = await examScheduler.start(exam._id);
+        } else if (status === 'completed') {
+            updated = await examScheduler.end(exam._id);
+        } else {
+            exam.status = status;
+            await exam.save();
+            examScheduler.schedule(exam);
+        }
+
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                message: 'Exam status changed meanwhile — reload and try again',
+            });
+        }
 
         res.json({ success: true, message: `Exam status updated to ${status}`, status });
     } catch (error) {
@@ -274,6 +340,8 @@ router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
             });
         }
 
+        examScheduler.cancel(exam._id);
+
         res.json({ success: true, message: 'Exam deleted' });
     } catch (error) {
         console.error('Delete exam error:', error);
@@ -281,52 +349,6 @@ router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
     }
 });
 
-/**
- * PATCH /api/exams/:id/status — Change exam lifecycle status
- * Body: { status: 'scheduled' | 'live' | 'completed' }
- */
-router.patch('/:id/status', authenticate, authorize('admin'), async (req, res) => {
-    try {
-        const { status } = req.body;
-        const validTransitions = {
-            draft: ['scheduled'],
-            scheduled: ['live', 'draft'],
-            live: ['completed'],
-            completed: [],
-        };
-
-        const exam = await Exam.findOne({
-            _id: req.params.id,
-            createdBy: req.user.userId,
-        });
-
-        if (!exam) {
-            return res.status(404).json({
-                success: false,
-                message: 'Exam not found',
-            });
-        }
-
-        if (!validTransitions[exam.status]?.includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: `Cannot transition from "${exam.status}" to "${status}"`,
-            });
-        }
-
-        exam.status = status;
-        await exam.save();
-
-        res.json({
-            success: true,
-            exam: { id: exam._id, title: exam.title, status: exam.status },
-        });
-    } catch (error) {
-        console.error('Status change error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
-    }
-});
-
 // ═══════════════════════════════════════════════════════════
 // STUDENT ROUTES
 // ═══════════════════════════════════════════════════════════
@@ -405,6 +427,59 @@ router.post('/join', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/exams/:id/pairing — Issue a phone pairing token for the QR code
+ * Body: { socketId } — the laptop's /exam socket, which must have joined this exam.
+ * Tokens are single-use and short-lived; ask again to refresh the QR.
+ */
+router.post('/:id/pairing', authenticate, async (req, res) => {
+    try {
+        const { socketId } = req.body;
+        const exam = await Exam.findById(req.params.id).select('participants status');
+
+        if (!exam) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        if (!exam.participants.includes(req.user.userId)) {
+            return res.status(403).json({ success: false, message: 'Not joined this exam' });
+        }
+
+        if (exam.status === 'completed') {
+            return res.status(400).json({ success: false, message: 'Exam has ended' });
+        }
+
+        const attempt = await Attempt.findOne({ exam: exam._id, student: req.user.userId }).select('status');
+        if (attempt && attempt.status !== 'in_progress') {
+            return res.status(400).json({ success: false, message: `Attempt is already ${attempt.status}` });
+        }
+
+        // Bind to a laptop socket this student actually owns, in this exam's room
+        const laptop = connectionManager.getUser(socketId);
+        if (!laptop || String(laptop.userId) !== String(req.user.userId)
+            || laptop.examId !== req.params.id || laptop.device !== 'laptop') {
+            return res.status(400).json({ success: false, message: 'Join the exam room before pairing' });
+        }
+
+        const session = pairingService.openSession(exam._id, req.user.userId, socketId);
+        getIO().of('/exam').sockets.get(socketId)?.join(`session:${session.sessionId}`);
+
+        const { token, expiresAt } = pairingService.issueToken(session);
+        const mobileConnected = !!session.mobile && getIO().of('/exam').sockets.has(session.mobile.socketId);
+
+        res.json({
+            success: true,
+            sessionId: session.sessionId,
+            pairingToken: token,
+            expiresAt,
+            mobileConnected,
+        });
+    } catch (error) {
+        console.error('Pairing error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
 /**
  * GET /api/exams/:id/questions — Get questions WITHOUT answers
  * Only for participants of the exam
@@ -442,16 +517,48 @@ router.get('/:id/questions', authenticate, async (req, res) => {
             });
         }
 
-        // If auto-starting, we should ideally update status to live, 
-        // to avoid repeated time checks or inconsistent states.
-        // However, updating in a GET request is side-effectual but acceptable here for "lazy" state transition.
-        if (isAutoStart && exam.status === 'scheduled') {
-            exam.status = 'live';
-            await exam.save();
+        // The scheduler normally flips this at startTime; if a student gets here
+        // first, start it now so the room is notified and the end timer is armed.
+        if (isAutoStart) {
+            await examScheduler.start(exam._id);
+        }
+
+        // The paper stays closed until identity is approved and the room scan is in
+        // (a started attempt is never locked out — rejecting the scan later pauses it instead)
+        if (exam.identityVerification?.required || exam.roomScan?.required) {
+            const started = await Attempt.exists({ exam: exam._id, student: req.user.userId });
+            if (!started && exam.identityVerification?.required
+                && !(await IdentityCheck.isApproved(exam._id, req.user.userId))) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'IDENTITY_REQUIRED',
+                    message: 'Your identity must be approved by a proctor before starting',
+                });
+            }
+            if (!started && exam.roomScan?.required && !(await RoomScan.isCleared(exam._id, req.user.userId))) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'ROOM_SCAN_REQUIRED',
+                    message: 'Complete the room scan on your phone before starting',
+                });
+            }
+        }
+
+        // First fetch starts the student's clock
+        const attempt = await Attempt.startFor(exam, req.user.userId);
+        if (attempt.status === 'terminated') {
+            return res.status(403).json({
+                success: false,
+                code: 'ATTEMPT_TERMINATED',
+                message: `Your attempt was ended by the proctor${attempt.endReason ? `: ${attempt.endReason}` : ''}`,
+            });
         }
+        await pairingService.flushPendingDevices(exam._id, req.user.userId);
+        await RoomScan.linkAttempt(attempt);
+        await IdentityCheck.linkAttempt(attempt);
 
-        // Strip answers and explanations
-        const safeQuestions = Exam.sanitizeQuestions(exam.questions);
+        // Strip answers and explanations, then apply this student's order
+        const safeQuestions = toStudentView(Exam.sanitizeQuestions(exam.questions), attempt);
 
         res.json({
             success: true,
@@ -461,6 +568,10 @@ router.get('/:id/questions', authenticate, async (req, res) => {
                 durationMinutes: exam.durationMinutes,
                 markingScheme: exam.markingScheme,
             },
+            attempt: {
+                ...attempt.toResumeState(),
+                startedAt: attempt.startedAt,
+            },
             questions: safeQuestions,
         });
     } catch (error) {
@@ -469,17 +580,14 @@ router.get('/:id/questions', authenticate, async (req, res) => {
     }
 });
 
-import Submission from '../models/Submission.js';
-
-// ... (existing routes)
-
 /**
  * POST /api/exams/:id/submit — Submit exam answers
- * Body: { answers: { "0": 1, "1": 3, ... } }
+ * Body: { answers: { "0": 1, "1": [0, 2], "2": "3.14", ... } }
+ *       Keys/option indices are as displayed to the student (shuffled view).
+ *       Without `answers`, the attempt's autosaved answers are submitted.
  */
 router.post('/:id/submit', authenticate, async (req, res) => {
     try {
-        const { answers } = req.body;
         const exam = await Exam.findById(req.params.id);
 
         if (!exam) {
@@ -491,12 +599,32 @@ router.post('/:id/submit', authenticate, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Not joined this exam' });
         }
 
-        // Allow submission if status is live or recently completed (grace period handled by client/admin)
-        // For strictness, only 'live'.
-        if (exam.status !== 'live') {
+        // 'completed' is still accepted here — the per-student deadline below is the real gate
+        if (exam.status !== 'live' && exam.status !== 'completed') {
             return res.status(400).json({ success: false, message: `Exam is not live (${exam.status})` });
         }
 
+        const attempt = await Attempt.findOne({ exam: exam._id, student: req.user.userId });
+        if (!attempt) {
+            return res.status(400).json({ success: false, message: 'No attempt found — open the exam before submitting' });
+        }
+
+        if (attempt.status === 'terminated') {
+            return res.status(403).json({ success: false, code: 'ATTEMPT_TERMINATED', message: 'Your attempt was ended by the proctor' });
+        }
+
+        // A paused student has no clock running — and no submit until resumed
+        if (attempt.pausedAt) {
+            return res.status(409).json({ success: false, code: 'ATTEMPT_PAUSED', message: 'Your attempt is paused by the proctor' });
+        }
+
+        if (!attempt.acceptsSubmission(exam.gracePeriodSeconds)) {
+            return res.status(403).json({
+                success: false,
+                message: `Submission window closed — deadline was ${attempt.deadline.toLocaleString()}`,
+            });
+        }
+
         // Check if already submitted
         const existingSubmission = await Submission.findOne({
             exam: exam._id,
@@ -507,49 +635,57 @@ router.post('/:id/submit', authenticate, async (req, res) => {
             return res.status(400).json({ success: false, message: 'Already submitted' });
         }
 
-        // Calculate Score
-        let score = 0;
-        let correctCount = 0;
-        let incorrectCount = 0;
+        const { result } = await submitAttempt(exam, attempt, req.body.answers);
 
-        const { correct, incorrect } = exam.markingScheme;
-        const totalMarks = exam.questions.length * correct;
-
-        exam.questions.forEach((q, index) => {
-            const studentAnswer = answers[index]; // array index or q.id if map is key-based
-            if (studentAnswer !== undefined && studentAnswer !== null) {
-                if (studentAnswer === q.answerIndex) {
-                    score += correct;
-                    correctCount++;
-                } else {
-                    score += incorrect;
-                    incorrectCount++;
-                }
-            }
+        res.json({
+            success: true,
+            message: 'Exam submitted successfully',
+            result,
         });
 
-        const submission = await Submission.create({
-            exam: exam._id,
+    } catch (error) {
+        console.error('Submit exam error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/exams/:id/result — Student's own result
+ * Score is withheld while any subjective answer is still ungraded.
+ */
+router.get('/:id/result', authenticate, async (req, res) => {
+    try {
+        const submission = await Submission.findOne({
+            exam: req.params.id,
             student: req.user.userId,
-            answers,
-            score,
-            totalMarks,
-            submittedAt: new Date(),
         });
 
+        if (!submission) {
+            return res.status(404).json({ success: false, message: 'No submission found' });
+        }
+
+        const isFinal = submission.resultStatus === 'final';
+
         res.json({
             success: true,
-            message: 'Exam submitted successfully',
             result: {
-                score,
-                totalMarks,
-                correctCount,
-                incorrectCount,
+                resultStatus: submission.resultStatus,
+                score: isFinal ? submission.score : null,
+                totalMarks: submission.totalMarks,
+                pendingCount: submission.manualGrades.filter(g => g.status === 'ungraded').length,
+                feedback: isFinal
+                    ? submission.manualGrades.map(g => ({
+                        questionId: g.questionId,
+                        marks: g.marks,
+                        maxMarks: g.maxMarks,
+                        feedback: g.feedback,
+                    }))
+                    : [],
+                submittedAt: submission.submittedAt,
             },
         });
-
     } catch (error) {
-        console.error('Submit exam error:', error);
+        console.error('Get result error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
@@ -0,0 +1,136 @@
+/**
+ * Grading Routes (admin only)
+ *
+ *   GET  /api/grading/queue                                    — Ungraded subjective answers
+ *   POST /api/grading/submissions/:submissionId/questions/:questionId — Grade one answer
+ *
+ * Queue is scoped to exams created by the requesting admin.
+ * Optional filter: ?examId=<id>
+ */
+
+import { Router } from 'express';
+import Exam from '../models/Exam.js';
+import Submission from '../models/Submission.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use(authenticate, authorize('admin'));
+
+/**
+ * GET /api/grading/queue — List every ungraded response across students
+ */
+router.get('/queue', async (req, res) => {
+    try {
+        const examFilter = { createdBy: req.user.userId };
+        if (req.query.examId) examFilter._id = req.query.examId;
+
+        const exams = await Exam.find(examFilter).select('title questions');
+        const examsById = new Map(exams.map((e) => [e._id.toString(), e]));
+
+        const submissions = await Submission.find({
+            exam: { $in: exams.map((e) => e._id) },
+            resultStatus: 'pending',
+        })
+            .populate('student', 'name email')
+            .sort({ submittedAt: 1 });
+
+        const items = [];
+        for (const sub of submissions) {
+            const exam = examsById.get(sub.exam.toString());
+
+            sub.manualGrades
+                .filter((g) => g.status === 'ungraded')
+                .forEach((g) => {
+                    const question = exam.questions[g.questionIndex];
+                    items.push({
+                        submissionId: sub._id,
+                        exam: { id: exam._id, title: exam.title },
+                        student: sub.student,
+                        questionId: g.questionId,
+                        questionText: question?.text,
+                        answerFormat: question?.answerFormat || 'short',
+                        rubric: question?.rubric || [],
+                        maxMarks: g.maxMarks,
+                        answer: sub.answers.get(String(g.questionIndex)) ?? '',
+                        submittedAt: sub.submittedAt,
+                    });
+                });
+        }
+
+        res.json({ success: true, count: items.length, items });
+    } catch (error) {
+        console.error('Grading queue error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/grading/submissions/:submissionId/questions/:questionId
+ * Body: { awards: [points per rubric criterion, in order], feedback? }
+ */
+router.post('/submissions/:submissionId/questions/:questionId', async (req, res) => {
+    try {
+        const { awards, feedback = '' } = req.body;
+
+        const submission = await Submission.findById(req.params.submissionId);
+        if (!submission) {
+            return res.status(404).json({ success: false, message: 'Submission not found' });
+        }
+
+        const exam = await Exam.findOne({ _id: submission.exam, createdBy: req.user.userId });
+        if (!exam) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        const grade = submission.manualGrades.find((g) => g.questionId === req.params.questionId);
+        if (!grade) {
+            return res.status(404).json({ success: false, message: 'No gradable answer for this question' });
+        }
+
+        const rubric = exam.questions[grade.questionIndex]?.rubric || [];
+        if (!Array.isArray(awards) || awards.length !== rubric.length) {
+            return res.status(400).json({
+                success: false,
+                message: `awards must have one entry per rubric criterion (${rubric.length})`,
+            });
+        }
+
+        for (let i = 0; i < rubric.length; i++) {
+            const awarded = Number(awards[i]);
+            if (!Number.isFinite(awarded) || awarded < 0 || awarded > rubric[i].points) {
+                return res.status(400).json({
+                    success: false,
+                    message: `"${rubric[i].criterion}": award must be between 0 and ${rubric[i].points}`,
+                });
+            }
+        }
+
+        grade.criteria = rubric.map((c, i) => ({
+            criterion: c.criterion,
+            awarded: Number(awards[i]),
+            max: c.points,
+        }));
+        grade.marks = grade.criteria.reduce((sum, c) => sum + c.awarded, 0);
+        grade.feedback = String(feedback).slice(0, 2000);
+        grade.status = 'graded';
+        grade.gradedBy = req.user.userId;
+        grade.gradedAt = new Date();
+
+        // Final score lands only once the last manual item is graded
+        submission.recomputeScore();
+        await submission.save();
+
+        res.json({
+            success: true,
+            grade,
+            resultStatus: submission.resultStatus,
+            score: submission.resultStatus === 'final' ? submission.score : null,
+        });
+    } catch (error) {
+        console.error('Grade answer error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,334 @@
+/**
+ * Identity Routes — entry photos and the proctor's verification queue (see models/IdentityCheck.js)
+ *
+ *   POST  /api/identity/exams/:examId/photos/:kind       — Student (laptop) or paired phone: raw image/jpeg;
+ *                                                          kind 'face' (laptop only) or 'id'
+ *   POST  /api/identity/exams/:examId/submit             — Student: both photos in → pending review
+ *   GET   /api/identity/exams/:examId/me                 — Student: own check status
+ *   GET   /api/identity/exams/:examId                    — Admin: verification queue, pending first
+ *   GET   /api/identity/:checkId/photos/:kind            — Admin: 'face', 'id' or 'reference' (User profile)
+ *   PATCH /api/identity/:checkId/review                  — Admin: { decision: 'approved' | 'rejected', note, saveAsReference }
+ *   PUT   /api/identity/users/:userId/reference-photo    — Admin: set the reference photo (raw image/jpeg) of a
+ *                                                          student in one of their exams
+ *
+ * Every change is pushed as IDENTITY_UPDATED to the student's session
+ * room (laptop + phone) and the monitor.
+ */
+
+import express, { Router } from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Exam from '../models/Exam.js';
+import User from '../models/User.js';
+import IdentityCheck, { PHOTO_FIELDS } from '../models/IdentityCheck.js';
+import pairingService from '../services/PairingService.js';
+import { getEvidenceStorage } from '../services/evidenceStorage.js';
+import { authenticate, authenticateWithDevice, authorize } from '../middleware/auth.js';
+import { getIO } from '../socket.js';
+import { IDENTITY_UPDATED } from '../constants/events.js';
+
+const router = Router();
+
+const MAX_PHOTO_BYTES = 4 * 1024 * 1024;
+const rawJpeg = express.raw({ type: 'image/jpeg', limit: MAX_PHOTO_BYTES });
+
+const isJpeg = (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+
+function broadcast(check) {
+    try {
+        const nsp = getIO().of('/exam');
+        const summary = check.toSummary();
+        const session = pairingService.findSession(check.exam, check.student);
+
+        if (session) nsp.to(`session:${session.sessionId}`).emit(IDENTITY_UPDATED, summary);
+        nsp.to(`monitor:${check.exam}`).emit(IDENTITY_UPDATED, summary);
+    } catch (error) {
+        console.error('Identity relay failed:', error.message);
+    }
+}
+
+async function findOwnedCheck(req, res) {
+    const check = mongoose.isValidObjectId(req.params.checkId) && (await IdentityCheck.findById(req.params.checkId));
+    const owned = check && (await Exam.exists({ _id: check.exam, createdBy: req.user.userId }));
+    if (!owned) {
+        res.status(404).json({ success: false, message: 'Identity check not found' });
+        return null;
+    }
+    return check;
+}
+
+/**
+ * POST /api/identity/exams/:examId/photos/:kind — Replace one entry photo
+ */
+router.post('/exams/:examId/photos/:kind', authenticateWithDevice, rawJpeg, async (req, res) => {
+    try {
+        const { examId, kind } = req.params;
+        const field = PHOTO_FIELDS[kind];
+        if (!field || !mongoose.isValidObjectId(examId)) {
+            return res.status(404).json({ success: false, message: 'Unknown photo' });
+        }
+
+        // The face photo must come from the laptop the student sits at
+        let studentId;
+        if (req.device) {
+            if (req.device.examId !== examId || kind !== 'id') {
+                return res.status(403).json({ success: false, message: 'The phone can only photograph the ID' });
+            }
+            studentId = req.device.studentId;
+        } else if (req.user.role === 'student') {
+            studentId = req.user.userId;
+        } else {
+            return res.status(403).json({ success: false, message: 'Only students can submit entry photos' });
+        }
+
+        if (!Buffer.isBuffer(req.body) || !isJpeg(req.body)) {
+            return res.status(400).json({ success: false, message: 'Body must be a JPEG image' });
+        }
+
+        // Only for students enrolled in an exam that is about to run or running, and asks for it
+        const exam = await Exam.findOne({ _id: examId, participants: studentId })
+            .select('status identityVerification');
+        if (!exam) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+        if (!['scheduled', 'live'].includes(exam.status)) {
+            return res.status(400).json({ success: false, message: 'Exam is not open' });
+        }
+        if (!exam.identityVerification?.required) {
+            return res.status(400).json({ success: false, message: 'This exam does not verify identity' });
+        }
+
+        const existing = await IdentityCheck.findOne({ exam: examId, student: studentId });
+        if (existing?.status === 'approved') {
+            return res.status(409).json({ success: false, message: 'Identity already approved' });
+        }
+
+        const storage = getEvidenceStorage();
+        const key = `${examId}/identity/${studentId}/${kind}-${crypto.randomUUID()}.jpg`;
+        await storage.save(key, req.body, 'image/jpeg');
+
+        // New photos need a new look from the proctor
+        const check = await IdentityCheck.findOneAndUpdate(
+            { exam: examId, student: studentId },
+            {
+                $set: {
+                    [field]: { key, source: req.device ? 'mobile' : 'laptop', capturedAt: new Date() },
+                    status: 'capturing',
+                    submittedAt: null,
+                    reviewedBy: null,
+                    reviewedAt: null,
+                },
+            },
+            { upsert: true, new: true }
+        );
+
+        const previousKey = existing?.[field]?.key;
+        if (previousKey) await storage.remove(previousKey).catch(() => {});
+
+        broadcast(check);
+        res.status(201).json({ success: true, check: check.toSummary() });
+    } catch (error) {
+        console.error('Identity photo error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/identity/exams/:examId/submit — Into the proctor's queue
+ */
+router.post('/exams/:examId/submit', authenticate, authorize('student'), async (req, res) => {
+    try {
+        const check = mongoose.isValidObjectId(req.params.examId)
+            && (await IdentityCheck.findOne({ exam: req.params.examId, student: req.user.userId }));
+        if (!check?.face || !check?.idCard) {
+            return res.status(400).json({ success: false, message: 'Take both the face photo and the ID photo first' });
+        }
+        if (check.status !== 'capturing') {
+            return res.status(409).json({ success: false, message: `Identity check is already ${check.status}` });
+        }
+
+        check.status = 'pending';
+        check.submittedAt = new Date();
+        await check.save();
+
+        broadcast(check);
+        res.json({ success: true, check: check.toSummary() });
+    } catch (error) {
+        console.error('Submit identity error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/identity/exams/:examId/me — The laptop's waiting screen checks this
+ */
+router.get('/exams/:examId/me', authenticate, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.examId)) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        const [exam, check] = await Promise.all([
+            Exam.findById(req.params.examId).select('identityVerification'),
+            IdentityCheck.findOne({ exam: req.params.examId, student: req.user.userId }),
+        ]);
+        if (!exam) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        res.json({
+            success: true,
+            required: !!exam.identityVerification?.required,
+            check: check ? check.toSummary() : null,
+        });
+    } catch (error) {
+        console.error('Get own identity check error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/identity/exams/:examId — Verification queue: pending first, oldest submission first
+ */
+router.get('/exams/:examId', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const owned = mongoose.isValidObjectId(req.params.examId)
+            && (await Exam.exists({ _id: req.params.examId, createdBy: req.user.userId }));
+        if (!owned) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        const checks = await IdentityCheck.find({ exam: req.params.examId })
+            .populate('student', 'name email referencePhoto')
+            .sort({ submittedAt: 1 });
+
+        const order = { pending: 0, capturing: 1, rejected: 2, approved: 3 };
+        checks.sort((a, b) => order[a.status] - order[b.status]);
+
+        res.json({
+            success: true,
+            checks: checks.map((check) => ({
+                ...check.toSummary(),
+                studentId: check.student._id,
+                studentName: check.student.name,
+                studentEmail: check.student.email,
+                hasReference: !!check.student.referencePhoto?.key,
+            })),
+        });
+    } catch (error) {
+        console.error('List identity checks error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/identity/:checkId/photos/:kind — Entry photo, or the student's reference photo
+ */
+router.get('/:checkId/photos/:kind', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const check = await findOwnedCheck(req, res);
+        if (!check) return;
+
+        let key = null;
+        if (req.params.kind === 'reference') {
+            const student = await User.findById(check.student).select('referencePhoto');
+            key = student?.referencePhoto?.key;
+        } else if (PHOTO_FIELDS[req.params.kind]) {
+            key = check[PHOTO_FIELDS[req.params.kind]]?.key;
+        }
+
+        const file = key && (await getEvidenceStorage().read(key));
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Photo not found' });
+        }
+
+        res.set('Cache-Control', 'private, no-cache');
+        res.type(file.contentType).send(file.buffer);
+    } catch (error) {
+        console.error('Get identity photo error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * PATCH /api/identity/:checkId/review — Let the student in, or send them back to retake
+ * Body: { decision, note?, saveAsReference? } — saveAsReference keeps the approved face
+ *       photo as the student's reference when they don't have one yet
+ */
+router.patch('/:checkId/review', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const { decision, note, saveAsReference } = req.body;
+        if (!['approved', 'rejected'].includes(decision)) {
+            return res.status(400).json({ success: false, message: "decision must be 'approved' or 'rejected'" });
+        }
+
+        const check = await findOwnedCheck(req, res);
+        if (!check) return;
+
+        if (check.status === 'capturing') {
+            return res.status(409).json({ success: false, message: 'Identity check has not been submitted yet' });
+        }
+
+        check.status = decision;
+        check.reviewNote = note ? String(note).slice(0, 500) : '';
+        check.reviewedBy = req.user.userId;
+        check.reviewedAt = new Date();
+        await check.save();
+
+        if (decision === 'approved' && saveAsReference && check.face) {
+            // Copied, so clearing exam evidence never takes the reference with it
+            const storage = getEvidenceStorage();
+            const file = await storage.read(check.face.key);
+            if (file) {
+                const key = `references/${check.student}-${crypto.randomUUID()}.jpg`;
+                await storage.save(key, file.buffer, file.contentType);
+                const { modifiedCount } = await User.updateOne(
+                    { _id: check.student, 'referencePhoto.key': null },
+                    { referencePhoto: { key, uploadedAt: new Date() } }
+                );
+                if (!modifiedCount) await storage.remove(key); // already had one
+            }
+        }
+
+        broadcast(check);
+        res.json({ success: true, check: check.toSummary() });
+    } catch (error) {
+        console.error('Review identity error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * PUT /api/identity/users/:userId/reference-photo — Replace a student's reference photo
+ */
+router.put('/users/:userId/reference-photo', authenticate, authorize('admin'), rawJpeg, async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || !isJpeg(req.body)) {
+            return res.status(400).json({ success: false, message: 'Body must be a JPEG image' });
+        }
+
+        // Only students sitting one of this proctor's exams
+        const student = mongoose.isValidObjectId(req.params.userId)
+            && (await Exam.exists({ createdBy: req.user.userId, participants: req.params.userId }))
+            && (await User.findOne({ _id: req.params.userId, role: 'student' }));
+        if (!student) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+
+        const storage = getEvidenceStorage();
+        const previousKey = student.referencePhoto?.key;
+        const key = `references/${student._id}-${crypto.randomUUID()}.jpg`;
+        await storage.save(key, req.body, 'image/jpeg');
+
+        student.referencePhoto = { key, uploadedAt: new Date() };
+        await student.save();
+        if (previousKey) await storage.remove(previousKey).catch(() => {});
+
+        res.json({ success: true, message: 'Reference photo updated' });
+    } catch (error) {
+        console.error('Reference photo error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+/**
+ * Intervention Routes (admin only, scoped to exams the admin created)
+ *
+ *   GET  /api/interventions/exams/:examId                      — Attempt state per student (paused, ended, last action)
+ *   GET  /api/interventions/exams/:examId/students/:studentId  — One student's action history
+ *   POST /api/interventions/exams/:examId/students/:studentId  — { action, reason?, message? }
+ *        action: 'warn' | 'pause' | 'resume' | 'force_submit' | 'terminate' | 'repair'
+ *
+ * Applied through services/InterventionService.js, which persists the
+ * action to the attempt and pushes it to the student and the monitor.
+ */
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Exam from '../models/Exam.js';
+import Attempt from '../models/Attempt.js';
+import interventionService from '../services/InterventionService.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use(authenticate, authorize('admin'));
+
+// 404 unless the exam exists and belongs to the requesting admin
+async function findOwnedExam(req, res) {
+    if (!mongoose.isValidObjectId(req.params.examId)) {
+        res.status(404).json({ success: false, message: 'Exam not found' });
+        return null;
+    }
+
+    const exam = await Exam.findOne({ _id: req.params.examId, createdBy: req.user.userId });
+    if (!exam) {
+        res.status(404).json({ success: false, message: 'Exam not found' });
+    }
+    return exam;
+}
+
+async function findAttempt(exam, req, res) {
+    const attempt = mongoose.isValidObjectId(req.params.studentId)
+        && (await Attempt.findOne({ exam: exam._id, student: req.params.studentId }));
+    if (!attempt) {
+        res.status(404).json({ success: false, message: 'This student has not started the exam' });
+        return null;
+    }
+    return attempt;
+}
+
+/**
+ * GET /api/interventions/exams/:examId — For the monitor's roster badges
+ */
+router.get('/exams/:examId', async (req, res) => {
+    try {
+        const exam = await findOwnedExam(req, res);
+        if (!exam) return;
+
+        const attempts = await Attempt.find({ exam: exam._id })
+            .select('student status pausedAt endReason interventions');
+
+        res.json({ success: true, attempts: attempts.map((a) => interventionService.stateOf(a)) });
+    } catch (error) {
+        console.error('List interventions error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/interventions/exams/:examId/students/:studentId — Oldest first
+ */
+router.get('/exams/:examId/students/:studentId', async (req, res) => {
+    try {
+        const exam = await findOwnedExam(req, res);
+        if (!exam) return;
+        const attempt = await findAttempt(exam, req, res);
+        if (!attempt) return;
+
+        await attempt.populate('interventions.by', 'name');
+
+        res.json({
+            success: true,
+            state: interventionService.stateOf(attempt),
+            interventions: attempt.interventions.map((i) => ({
+                action: i.action,
+                reason: i.reason,
+                message: i.message,
+                by: i.by?.name || null,
+                rule: i.rule?.label || null,
+                at: i.at,
+            })),
+        });
+    } catch (error) {
+        console.error('Get interventions error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/interventions/exams/:examId/students/:studentId — Apply one action
+ */
+router.post('/exams/:examId/students/:studentId', async (req, res) => {
+    try {
+        const exam = await findOwnedExam(req, res);
+        if (!exam) return;
+
+        if (exam.status !== 'live') {
+            return res.status(400).json({ success: false, message: `Exam is not live (${exam.status})` });
+        }
+
+        const attempt = await findAttempt(exam, req, res);
+        if (!attempt) return;
+
+        const { action, reason, message } = req.body;
+        const { state, result, error } = await interventionService.apply({
+            exam,
+            attempt,
+            adminId: req.user.userId,
+            action,
+            reason,
+            message,
+        });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        res.json({ success: true, message: 'Action applied', state, result });
+    } catch (error) {
+        console.error('Apply intervention error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,244 @@
+/**
+ * Question Bank Routes (admin only, scoped to the requesting admin)
+ *
+ *   GET    /api/questions           — Search (?q, subject, topic, difficulty, type, tags, page, limit)
+ *   GET    /api/questions/facets    — Distinct subjects / topics / tags for filters
+ *   POST   /api/questions           — Create one ({ ...question }) or many ({ questions: [...] })
+ *   POST   /api/questions/resolve   — Build a paper: { questionIds, rules } → exam-ready snapshots
+ *   GET    /api/questions/:id       — Get one (with usage history)
+ *   PUT    /api/questions/:id       — Update (bumps version)
+ *   DELETE /api/questions/:id       — Delete
+ */
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Question from '../models/Question.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateQuestion } from '../services/questionValidator.js';
+import { buildQuestionFilter, resolveSelection } from '../services/questionBank.js';
+
+const router = Router();
+
+router.use(authenticate, authorize('admin'));
+
+const MAX_PAGE_SIZE = 100;
+
+// Copy only admin-settable fields from the request body
+const pickEditable = (body) =>
+    Object.fromEntries(
+        Question.EDITABLE_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]])
+    );
+
+const handleValidationError = (error, res) => {
+    const messages = Object.values(error.errors).map((e) => e.message);
+    return res.status(400).json({ success: false, message: messages.join(', ') });
+};
+
+/**
+ * GET /api/questions — Search the bank
+ */
+router.get('/', async (req, res) => {
+    try {
+        const filter = buildQuestionFilter(req.user.userId, req.query);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 25, MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [questions, total] = await Promise.all([
+            Question.find(filter)
+                .select('-usage')
+                .sort({ updatedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Question.countDocuments(filter),
+        ]);
+
+        res.json({ success: true, total, page, limit, questions });
+    } catch (error) {
+        console.error('Search questions error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/questions/facets — Values to populate filter dropdowns
+ */
+router.get('/facets', async (req, res) => {
+    try {
+        const owner = { createdBy: req.user.userId };
+        const [subjects, topics, tags] = await Promise.all([
+            Question.distinct('subject', owner),
+            Question.distinct('topic', owner),
+            Question.distinct('tags', owner),
+        ]);
+
+        res.json({
+            success: true,
+            subjects: subjects.filter(Boolean).sort(),
+            topics: topics.filter(Boolean).sort(),
+            tags: tags.sort(),
+        });
+    } catch (error) {
+        console.error('Question facets error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/questions — Create one question, or bulk import { questions: [...] }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const isBulk = Array.isArray(req.body.questions);
+        const input = isBulk ? req.body.questions : [req.body];
+
+        for (let i = 0; i < input.length; i++) {
+            const message = validateQuestion(input[i], i, { requireId: false });
+            if (message) {
+                return res.status(400).json({ success: false, message });
+            }
+        }
+
+        const questions = await Question.create(
+            input.map((q) => ({ ...pickEditable(q), createdBy: req.user.userId }))
+        );
+
+        res.status(201).json({
+            success: true,
+            count: questions.length,
+            ...(isBulk ? { questions } : { question: questions[0] }),
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') return handleValidationError(error, res);
+        console.error('Create question error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/questions/resolve — Pick and/or rule-sample bank questions
+ * Body: { questionIds: [...], rules: [{ subject, topic, difficulty, tags, type, count }], excludeIds? }
+ * Returns exam-ready snapshots; send them as `questions` when creating the exam.
+ */
+router.post('/resolve', async (req, res) => {
+    try {
+        const { questionIds = [], rules = [], excludeIds = [] } = req.body;
+
+        if (![questionIds, rules, excludeIds].every(Array.isArray)) {
+            return res.status(400).json({
+                success: false,
+                message: 'questionIds, rules and excludeIds must be arrays',
+            });
+        }
+
+        const { questions, shortfalls } = await resolveSelection(req.user.userId, { questionIds, rules, excludeIds });
+
+        if (shortfalls.length) {
+            const details = shortfalls.map((s) => `${s.found}/${s.requested}`).join(', ');
+            return res.status(400).json({
+                success: false,
+                message: `Not enough matching questions in the bank (${details})`,
+                shortfalls,
+            });
+        }
+
+        res.json({
+            success: true,
+            count: questions.length,
+            questions: questions.map((q) => q.toExamQuestion()),
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid question id' });
+        }
+        console.error('Resolve questions error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/questions/:id — One question with usage history
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Question not found' });
+        }
+
+        const question = await Question.findOne({
+            _id: req.params.id,
+            createdBy: req.user.userId,
+        }).populate('usage.exam', 'title startTime status');
+
+        if (!question) {
+            return res.status(404).json({ success: false, message: 'Question not found' });
+        }
+
+        res.json({ success: true, question });
+    } catch (error) {
+        console.error('Get question error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * PUT /api/questions/:id — Update; published exams keep their snapshot
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Question not found' });
+        }
+
+        const question = await Question.findOne({
+            _id: req.params.id,
+            createdBy: req.user.userId,
+        });
+
+        if (!question) {
+            return res.status(404).json({ success: false, message: 'Question not found' });
+        }
+
+        const merged = { ...question.toObject(), ...pickEditable(req.body) };
+        const message = validateQuestion(merged, 0, { requireId: false });
+        if (message) {
+            return res.status(400).json({ success: false, message });
+        }
+
+        question.set(pickEditable(req.body));
+        question.version += 1;
+        await question.save();
+
+        res.json({ success: true, question });
+    } catch (error) {
+        if (error.name === 'ValidationError') return handleValidationError(error, res);
+        console.error('Update question error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/questions/:id — Remove from the bank (exam snapshots are unaffected)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Question not found' });
+        }
+
+        const question = await Question.findOneAndDelete({
+            _id: req.params.id,
+            createdBy: req.user.userId,
+        });
+
+        if (!question) {
+            return res.status(404).json({ success: false, message: 'Question not found' });
+        }
+
+        res.json({ success: true, message: 'Question deleted' });
+    } catch (error) {
+        console.error('Delete question error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,331 @@
+/**
+ * Room Scan Routes — the pre-exam 360° pan (see models/RoomScan.js)
+ *
+ *   POST  /api/room-scans/start                  — Paired phone: begin (or redo) the scan
+ *   POST  /api/room-scans/frames?heading=N       — Paired phone: one frame (raw image/jpeg body)
+ *   POST  /api/room-scans/complete               — Paired phone: { coverage } → submitted
+ *   GET   /api/room-scans/exams/:examId/me       — Student: own scan status
+ *   GET   /api/room-scans/exams/:examId          — Admin: every scan for the exam
+ *   GET   /api/room-scans/:scanId/frames/:index  — Admin: one frame
+ *   PATCH /api/room-scans/:scanId/review         — Admin: { decision: 'approved' | 'rejected', note }
+ *
+ * Phone endpoints take the device resume token; every change is pushed
+ * as ROOM_SCAN_UPDATED to the student's session room and the monitor.
+ * A submitted scan lets the student in; rejecting it once they are in
+ * pauses their attempt, and approving the redo resumes it.
+ */
+
+import express, { Router } from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Exam from '../models/Exam.js';
+import RoomScan from '../models/RoomScan.js';
+import Attempt from '../models/Attempt.js';
+import pairingService from '../services/PairingService.js';
+import interventionService from '../services/InterventionService.js';
+import { getEvidenceStorage } from '../services/evidenceStorage.js';
+import { authenticate, authenticateWithDevice, authorize } from '../middleware/auth.js';
+import { getIO } from '../socket.js';
+import { ROOM_SCAN_UPDATED } from '../constants/events.js';
+
+const router = Router();
+
+const MAX_FRAMES = 24;
+const MIN_FRAMES = 8;
+const MIN_COVERAGE_DEGREES = 330;
+// Without an orientation sensor we can't confirm the pan, so ask for more frames
+const MIN_FRAMES_UNVERIFIED = 12;
+const MAX_FRAME_BYTES = 2 * 1024 * 1024;
+
+const isJpeg = (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+
+function broadcast(scan) {
+    try {
+        const nsp = getIO().of('/exam');
+        const summary = scan.toSummary();
+        const session = pairingService.findSession(scan.exam, scan.student);
+
+        if (session) nsp.to(`session:${session.sessionId}`).emit(ROOM_SCAN_UPDATED, summary);
+        nsp.to(`monitor:${scan.exam}`).emit(ROOM_SCAN_UPDATED, summary);
+    } catch (error) {
+        console.error('Room scan relay failed:', error.message);
+    }
+}
+
+// Scanning is the phone's job — the laptop's user token can't do it
+function requireDevice(req, res, next) {
+    if (!req.device) {
+        return res.status(403).json({ success: false, message: 'Only the paired phone can run the room scan' });
+    }
+    next();
+}
+
+async function findOwnedScan(req, res) {
+    const scan = mongoose.isValidObjectId(req.params.scanId) && (await RoomScan.findById(req.params.scanId));
+    const owned = scan && (await Exam.exists({ _id: scan.exam, createdBy: req.user.userId }));
+    if (!owned) {
+        res.status(404).json({ success: false, message: 'Room scan not found' });
+        return null;
+    }
+    return scan;
+}
+
+/**
+ * POST /api/room-scans/start — Fresh scan; earlier frames are discarded
+ */
+router.post('/start', authenticateWithDevice, requireDevice, async (req, res) => {
+    try {
+        const { examId, studentId } = req.device;
+
+        const exam = await Exam.findById(examId).select('status');
+        if (!exam || exam.status === 'completed') {
+            return res.status(400).json({ success: false, message: 'Exam is not open' });
+        }
+
+        const existing = await RoomScan.findOne({ exam: examId, student: studentId });
+        if (existing?.status === 'approved') {
+            return res.status(409).json({ success: false, message: 'Room scan already approved' });
+        }
+
+        const storage = getEvidenceStorage();
+        await Promise.all((existing?.frames || []).map((f) => storage.remove(f.key).catch(() => {})));
+
+        const scan = await RoomScan.findOneAndUpdate(
+            { exam: examId, student: studentId },
+            {
+                $set: {
+                    status: 'in_progress',
+                    frames: [],
+                    coverage: null,
+                    startedAt: new Date(),
+                    submittedAt: null,
+                    reviewedBy: null,
+                    reviewedAt: null,
+                    reviewNote: '',
+                },
+            },
+            { upsert: true, new: true }
+        );
+
+        broadcast(scan);
+        res.json({ success: true, scan: scan.toSummary() });
+    } catch (error) {
+        console.error('Start room scan error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/room-scans/frames — Append one frame to the scan in progress
+ */
+router.post(
+    '/frames',
+    authenticateWithDevice,
+    requireDevice,
+    express.raw({ type: 'image/jpeg', limit: MAX_FRAME_BYTES }),
+    async (req, res) => {
+        try {
+            if (!Buffer.isBuffer(req.body) || !isJpeg(req.body)) {
+                return res.status(400).json({ success: false, message: 'Body must be a JPEG image' });
+            }
+
+            const { examId, studentId } = req.device;
+            const scan = await RoomScan.findOne({ exam: examId, student: studentId, status: 'in_progress' });
+            if (!scan) {
+                return res.status(409).json({ success: false, message: 'Start the room scan first' });
+            }
+
+            const heading = Number(req.query.heading);
+            const key = `${examId}/room-scans/${scan._id}/${crypto.randomUUID()}.jpg`;
+            await getEvidenceStorage().save(key, req.body, 'image/jpeg');
+
+            // Capped atomically — the phone uploads frames in parallel
+            const { modifiedCount } = await RoomScan.updateOne(
+                { _id: scan._id, status: 'in_progress', [`frames.${MAX_FRAMES - 1}`]: { $exists: false } },
+                { $push: { frames: { key, heading: Number.isFinite(heading) ? heading % 360 : null } } }
+            );
+            if (!modifiedCount) {
+                await getEvidenceStorage().remove(key);
+                return res.status(409).json({ success: false, message: `At most ${MAX_FRAMES} frames per scan` });
+            }
+
+            res.status(201).json({ success: true, message: 'Frame stored' });
+        } catch (error) {
+            console.error('Room scan frame error:', error);
+            res.status(500).json({ success: false, message: 'Server error' });
+        }
+    }
+);
+
+/**
+ * POST /api/room-scans/complete — Submit the scan for review
+ * Body: { coverage } — degrees swept, or null without an orientation sensor
+ */
+router.post('/complete', authenticateWithDevice, requireDevice, async (req, res) => {
+    try {
+        const { examId, studentId } = req.device;
+        const scan = await RoomScan.findOne({ exam: examId, student: studentId, status: 'in_progress' });
+        if (!scan) {
+            return res.status(409).json({ success: false, message: 'Start the room scan first' });
+        }
+
+        const coverage = typeof req.body.coverage === 'number' ? Math.min(Math.max(req.body.coverage, 0), 360) : null;
+        const frames = scan.frames.length;
+
+        if (coverage === null ? frames < MIN_FRAMES_UNVERIFIED : frames < MIN_FRAMES || coverage < MIN_COVERAGE_DEGREES) {
+            return res.status(400).json({
+                success: false,
+                message: 'Scan incomplete — turn a full circle so every side of the room is captured',
+            });
+        }
+
+        scan.status = 'submitted';
+        scan.coverage = coverage;
+        scan.submittedAt = new Date();
+        await scan.save();
+
+        broadcast(scan);
+        res.json({ success: true, scan: scan.toSummary() });
+    } catch (error) {
+        console.error('Complete room scan error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/room-scans/exams/:examId/me — The laptop's gate checks this
+ */
+router.get('/exams/:examId/me', authenticate, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.examId)) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        const [exam, scan] = await Promise.all([
+            Exam.findById(req.params.examId).select('roomScan'),
+            RoomScan.findOne({ exam: req.params.examId, student: req.user.userId }),
+        ]);
+        if (!exam) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        res.json({
+            success: true,
+            required: !!exam.roomScan?.required,
+            scan: scan ? scan.toSummary() : null,
+        });
+    } catch (error) {
+        console.error('Get own room scan error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/room-scans/exams/:examId — Review queue, oldest submission first
+ */
+router.get('/exams/:examId', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const owned = mongoose.isValidObjectId(req.params.examId)
+            && (await Exam.exists({ _id: req.params.examId, createdBy: req.user.userId }));
+        if (!owned) {
+            return res.status(404).json({ success: false, message: 'Exam not found' });
+        }
+
+        const scans = await RoomScan.find({ exam: req.params.examId })
+            .populate('student', 'name email')
+            .sort({ submittedAt: 1 });
+
+        res.json({
+            success: true,
+            scans: scans.map((scan) => ({
+                ...scan.toSummary(),
+                studentId: scan.student._id,
+                studentName: scan.student.name,
+                frames: scan.frames.map((f) => ({ heading: f.heading, capturedAt: f.capturedAt })),
+            })),
+        });
+    } catch (error) {
+        console.error('List room scans error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/room-scans/:scanId/frames/:index — The JPEG itself
+ */
+router.get('/:scanId/frames/:index', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const scan = await findOwnedScan(req, res);
+        if (!scan) return;
+
+        const frame = scan.frames[Number(req.params.index)];
+        const file = frame && (await getEvidenceStorage().read(frame.key));
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Frame not found' });
+        }
+
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.type(file.contentType).send(file.buffer);
+    } catch (error) {
+        console.error('Get room scan frame error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * PATCH /api/room-scans/:scanId/review — Approve, or reject so the student redoes it
+ */
+router.patch('/:scanId/review', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const { decision, note } = req.body;
+        if (!['approved', 'rejected'].includes(decision)) {
+            return res.status(400).json({ success: false, message: "decision must be 'approved' or 'rejected'" });
+        }
+
+        const scan = await findOwnedScan(req, res);
+        if (!scan) return;
+
+        if (scan.status === 'in_progress') {
+            return res.status(409).json({ success: false, message: 'Scan has not been submitted yet' });
+        }
+
+        scan.status = decision;
+        scan.reviewNote = note ? String(note).slice(0, 500) : '';
+        scan.reviewedBy = req.user.userId;
+        scan.reviewedAt = new Date();
+        await scan.save();
+
+        broadcast(scan);
+
+        // A student already in the paper is held there until a redo is approved;
+        // heldAt remembers our pause, so a pause from anything else is left alone
+        const attempt = await Attempt.findOne({ exam: scan.exam, student: scan.student, status: 'in_progress' });
+        if (attempt && decision === 'rejected' && !attempt.pausedAt) {
+            const { error } = await interventionService.apply({
+                exam: await Exam.findById(scan.exam),
+                attempt,
+                adminId: req.user.userId,
+                action: 'pause',
+                reason: `Room scan rejected${scan.reviewNote ? `: ${scan.reviewNote}` : ''} — redo it on your phone`,
+            });
+            if (!error) await RoomScan.updateOne({ _id: scan._id }, { heldAt: attempt.pausedAt });
+        } else if (attempt && decision === 'approved' && scan.heldAt
+            && attempt.pausedAt?.getTime() === scan.heldAt.getTime()) {
+            await interventionService.apply({
+                exam: await Exam.findById(scan.exam),
+                attempt,
+                adminId: req.user.userId,
+                action: 'resume',
+                reason: 'Room scan approved',
+            });
+        }
+        if (decision === 'approved' && scan.heldAt) await RoomScan.updateOne({ _id: scan._id }, { heldAt: null });
+
+        res.json({ success: true, scan: scan.toSummary() });
+    } catch (error) {
+        console.error('Review room scan error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
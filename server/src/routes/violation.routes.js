@@ -0,0 +1,271 @@
+/**
+ * Violation Routes (admin only, scoped to exams the admin created)
+ *
+ *   GET   /api/violations/exams/:examId                      — List (?studentId, type, severity, source, review, since, until, page, limit)
+ *   GET   /api/violations/exams/:examId/summary              — Per-student count + worst severity (dismissed excluded)
+ *   GET   /api/violations/exams/:examId/students/:studentId  — One student's timeline
+ *   GET   /api/violations/exams/:examId/trust                — Trust score per attempt, riskiest first
+ *   PATCH /api/violations/:violationId/review                — { status, note } — confirm / dismiss / escalate / reopen
+ *   GET   /api/violations/:violationId/reviews               — Audit trail: every decision with reviewer and time
+ */
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Exam from '../models/Exam.js';
+import Attempt from '../models/Attempt.js';
+import Violation, { SEVERITY_LEVELS, REVIEW_STATUSES, NOT_DISMISSED } from '../models/Violation.js';
+import violationService from '../services/ViolationService.js';
+import { computeTrustScore, resolveTrustWeights } from '../services/trustScore.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use(authenticate, authorize('admin'));
+
+const MAX_PAGE_SIZE = 200;
+
+// 404 unless the exam exists and belongs to the requesting admin
+async function findOwnedExam(req, res) {
+    if (!mongoose.isValidObjectId(req.params.examId)) {
+        res.status(404).json({ success: false, message: 'Exam not found' });
+        return null;
+    }
+
+    const exam = await Exam.findOne({ _id: req.params.examId, createdBy: req.user.userId }).select('title trustWeights');
+    if (!exam) {
+        res.status(404).json({ success: false, message: 'Exam not found' });
+    }
+    return exam;
+}
+
+// Query-string filters → Mongo filter (unknown values are ignored, not errors)
+function buildViolationFilter(examId, { studentId, type, severity, source, review, since, until }) {
+    const filter = { exam: examId };
+
+    if (studentId && mongoose.isValidObjectId(studentId)) filter.student = studentId;
+    if (type) filter.type = { $in: String(type).split(',') };
+    if (severity) {
+        const levels = String(severity).split(',').filter((s) => SEVERITY_LEVELS.includes(s));
+        if (levels.length) filter.severity = { $in: levels };
+    }
+    if (source) filter.source = source;
+    if (review) {
+        const statuses = String(review).split(',').filter((s) => REVIEW_STATUSES.includes(s));
+        // Violations stored before reviews existed have no status and count as pending
+        if (statuses.length) {
+            filter['review.status'] = { $in: statuses.includes('pending') ? [...statuses, null] : statuses };
+        }
+    }
+
+    const range = {};
+    if (since && !isNaN(new Date(since))) range.$gte = new Date(since);
+    if (until && !isNaN(new Date(until))) range.$lte = new Date(until);
+    if (Object.keys(range).length) filter.timestamp = range;
+
+    return filter;
+}
+
+/**
+ * GET /api/violations/exams/:examId — Filterable, newest first
+ */
+router.get('/exams/:examId', async (req, res) => {
+    try {
+        const exam = await findOwnedExam(req, res);
+        if (!exam) return;
+
+        const filter = buildViolationFilter(exam._id, req.query);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [violations, total] = await Promise.all([
+            Violation.find(filter)
+                .populate('student', 'name email')
+                .populate('review.by', 'name')
+                .sort({ timestamp: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Violation.countDocuments(filter),
+        ]);
+
+        res.json({ success: true, total, page, limit, violations });
+    } catch (error) {
+        console.error('List violations error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/violations/exams/:examId/summary — One row per flagged student
+ */
+router.get('/exams/:examId/summary', async (req, res) => {
+    try {
+        const exam = await findOwnedExam(req, res);
+        if (!exam) return;
+
+        const rows = await Violation.aggregate([
+            { $match: { exam: exam._id, ...NOT_DISMISSED } },
+            {
+                $group: {
+                    _id: { student: '$student', severity: '$severity' },
+                    count: { $sum: 1 },
+                    lastAt: { $max: '$timestamp' },
+                },
+            },
+        ]);
+
+        // Fold per-severity rows into one entry per student
+        const byStudent = new Map();
+        for (const row of rows) {
+            const key = row._id.student.toString();
+            const entry = byStudent.get(key) || {
+                studentId: key,
+                count: 0,
+                bySeverity: { low: 0, medium: 0, high: 0 },
+                severity: 'none',
+                lastAt: null,
+            };
+
+            entry.count += row.count;
+            entry.bySeverity[row._id.severity] = row.count;
+            if (SEVERITY_LEVELS.indexOf(row._id.severity) > SEVERITY_LEVELS.indexOf(entry.severity)) {
+                entry.severity = row._id.severity;
+            }
+            if (!entry.lastAt || row.lastAt > entry.lastAt) entry.lastAt = row.lastAt;
+
+            byStudent.set(key, entry);
+        }
+
+        const students = [...byStudent.values()].sort((a, b) => b.count - a.count);
+        res.json({ success: true, students });
+    } catch (error) {
+        console.error('Violation summary error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/violations/exams/:examId/students/:studentId — Oldest first, for a timeline
+ */
+router.get('/exams/:examId/students/:studentId', async (req, res) => {
+    try {
+        const exam = await findOwnedExam(req, res);
+        if (!exam) return;
+
+        if (!mongoose.isValidObjectId(req.params.studentId)) {
+            return res.status(400).json({ success: false, message: 'Invalid student id' });
+        }
+
+        const filter = buildViolationFilter(exam._id, { ...req.query, studentId: req.params.studentId });
+        const violations = await Violation.find(filter).sort({ timestamp: 1 });
+        const summary = await Violation.summarize(exam._id, req.params.studentId);
+
+        // Breakdown shows proctors which types cost the most points
+        const all = await Violation.find({ exam: exam._id, student: req.params.studentId, ...NOT_DISMISSED })
+            .select('type confidence createdAt');
+        const trust = computeTrustScore(all, resolveTrustWeights(exam.trustWeights));
+
+        res.json({ success: true, ...summary, trust, violations });
+    } catch (error) {
+        console.error('Student violations error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/violations/exams/:examId/trust — Snapshot for the monitor; live updates follow over the socket
+ */
+router.get('/exams/:examId/trust', async (req, res) => {
+    try {
+        const exam = await findOwnedExam(req, res);
+        if (!exam) return;
+
+        const attempts = await Attempt.find({ exam: exam._id })
+            .select('student status trustScore')
+            .populate('student', 'name email')
+            .sort({ trustScore: 1 });
+
+        res.json({
+            success: true,
+            students: attempts.map((a) => ({
+                studentId: a.student?._id,
+                name: a.student?.name,
+                email: a.student?.email,
+                status: a.status,
+                trustScore: a.trustScore,
+            })),
+        });
+    } catch (error) {
+        console.error('Trust scores error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// 404 unless the violation exists and its exam belongs to the requesting admin
+async function findOwnedViolation(req, res) {
+    const violation = mongoose.isValidObjectId(req.params.violationId)
+        && (await Violation.findById(req.params.violationId));
+    const owned = violation
+        && (await Exam.exists({ _id: violation.exam, createdBy: req.user.userId }));
+    if (!owned) {
+        res.status(404).json({ success: false, message: 'Violation not found' });
+        return null;
+    }
+    return violation;
+}
+
+/**
+ * PATCH /api/violations/:violationId/review — Record a decision (the latest one stands)
+ */
+router.patch('/:violationId/review', async (req, res) => {
+    try {
+        const violation = await findOwnedViolation(req, res);
+        if (!violation) return;
+
+        const outcome = await violationService.review(violation, {
+            status: req.body.status,
+            note: req.body.note,
+            reviewer: { userId: req.user.userId, name: req.user.name },
+        });
+        if (outcome.error) {
+            return res.status(400).json({ success: false, message: outcome.error });
+        }
+
+        res.json({
+            success: true,
+            review: { ...violation.toAlert().review, byName: req.user.name },
+            trustScore: outcome.trustScore,
+        });
+    } catch (error) {
+        console.error('Review violation error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/violations/:violationId/reviews — Oldest first, reviewer names resolved
+ */
+router.get('/:violationId/reviews', async (req, res) => {
+    try {
+        const violation = await findOwnedViolation(req, res);
+        if (!violation) return;
+
+        await violation.populate('reviewHistory.by', 'name email');
+
+        res.json({
+            success: true,
+            reviews: violation.reviewHistory.map((r) => ({
+                status: r.status,
+                note: r.note,
+                by: r.by?._id || null,
+                byName: r.by?.name || null,
+                byEmail: r.by?.email || null,
+                at: r.at,
+            })),
+        });
+    } catch (error) {
+        console.error('Violation reviews error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
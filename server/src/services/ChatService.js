@@ -0,0 +1,72 @@
+/**
+ * ChatService — Student ↔ proctor messages during a live exam.
+ *
+ * Like ViolationService, every message is stored first and then relayed
+ * as CHAT_MESSAGE to:
+ *  - the student's laptop sockets on /exam (via ConnectionManager)
+ *  - monitor:<examId> on /admin → every proctor with the exam's inbox open
+ * Read receipts (CHAT_READ) go the same two ways, so a reply from one
+ * proctor clears the unread count for the others.
+ */
+
+import Message, { MAX_MESSAGE_LENGTH } from '../models/Message.js';
+import { getIO } from '../socket.js';
+import connectionManager from './ConnectionManager.js';
+import { CHAT_MESSAGE, CHAT_READ } from '../constants/events.js';
+
+class ChatService {
+    /**
+     * Store a message and relay it.
+     * @param {object} params
+     * @param {string} params.examId
+     * @param {string} params.studentId   - whose thread
+     * @param {string} params.senderId
+     * @param {string} params.senderRole  - 'student' | 'admin'
+     * @param {string} params.body
+     * @returns {Promise<Message|null>} null for an empty body
+     */
+    async send({ examId, studentId, senderId, senderRole, body }) {
+        const text = typeof body === 'string' ? body.trim().slice(0, MAX_MESSAGE_LENGTH) : '';
+        if (!text) return null;
+
+        const message = await Message.create({
+            exam: examId,
+            student: studentId,
+            sender: senderId,
+            senderRole,
+            body: text,
+        });
+
+        this._relay(examId, studentId, CHAT_MESSAGE, message.toPayload());
+        return message;
+    }
+
+    /**
+     * Mark the other side's messages in a thread read.
+     * @param {string} readerRole - 'student' | 'admin'
+     */
+    async markRead(examId, studentId, readerRole) {
+        const count = await Message.markRead(examId, studentId, readerRole);
+        if (count) {
+            this._relay(examId, studentId, CHAT_READ, { examId, studentId, reader: readerRole });
+        }
+        return count;
+    }
+
+    _relay(examId, studentId, event, payload) {
+        try {
+            const io = getIO();
+            const examNsp = io.of('/exam');
+            connectionManager
+                .getStudentSockets(examId, studentId, 'laptop')
+                .forEach(({ socketId }) => examNsp.to(socketId).emit(event, payload));
+            io.of('/admin').to(`monitor:${examId}`).emit(event, payload);
+        } catch (error) {
+            console.error('ChatService relay failed:', error.message);
+        }
+    }
+}
+
+// Singleton instance — shared across the server
+const chatService = new ChatService();
+export default chatService;
@@ -6,15 +6,22 @@
  * designed with a clean interface for future Redis migration.
  * 
  * Used across phases:
- *  - P2: Tether status (is mobile connected alongside laptop?)
+ *  - P2: Tether status (is mobile connected alongside laptop, and is
+ *        its camera actually up?) — fed by phone heartbeats, swept by
+ *        TetherMonitor
  *  - P5: Admin dashboard (who's online in which exam?)
  *  - P6: Reconnect detection (was this user previously connected?)
  */
 
+// Phone health below which a live tether counts as degraded
+const LOW_BATTERY_LEVEL = 0.15;
+
 class ConnectionManager {
     constructor() {
         /** @type {Map<string, UserConnection>} socketId → user info */
         this._connections = new Map();
+        /** @type {Map<string, Tether>} pairing sessionId → phone health */
+        this._tethers = new Map();
     }
 
     /**
@@ -74,6 +81,19 @@ class ConnectionManager {
         return users;
     }
 
+    /**
+     * A student's own sockets in an exam (laptop tabs and the paired phone).
+     * @param {string} examId
+     * @param {string} studentId
+     * @param {string} [device] - 'laptop' | 'mobile'; both if omitted
+     * @returns {object[]}
+     */
+    getStudentSockets(examId, studentId, device) {
+        return this.getUsersByExam(String(examId)).filter(
+            (u) => u.role === 'student' && String(u.userId) === String(studentId) && (!device || u.device === device)
+        );
+    }
+
     /**
      * Get all users with a specific role.
      * @param {string} role - 'student' | 'admin'
@@ -97,6 +117,124 @@ class ConnectionManager {
         return this._connections.size;
     }
 
+    // ─── Tethers (one per paired attempt) ───────────────────
+
+    /**
+     * Record a phone heartbeat.
+     * @param {string} sessionId
+     * @param {object} params
+     * @param {string} params.examId
+     * @param {string} params.studentId
+     * @param {string} params.socketId
+     * @param {object} params.health - { cameraLive, visible, wakeLock, battery: { level, charging } }
+     * @returns {{ tether: object, changed: boolean }} changed = status or issues differ from before
+     */
+    recordHeartbeat(sessionId, { examId, studentId, socketId, health = {} }) {
+        const previous = this._tethers.get(sessionId);
+        const issues = [];
+
+        if (health.cameraLive === false) issues.push('camera_off');
+        if (health.visible === false) issues.push('hidden');
+        if (health.wakeLock === false) issues.push('no_wake_lock');
+        if (health.battery && !health.battery.charging && health.battery.level < LOW_BATTERY_LEVEL) {
+            issues.push('battery_low');
+        }
+
+        // Camera or visibility problems mean the phone isn't watching; the rest are warnings
+        const status = issues.some((i) => i === 'camera_off' || i === 'hidden') ? 'degraded' : 'healthy';
+
+        const tether = {
+            sessionId,
+            examId,
+            studentId,
+            socketId,
+            status,
+            issues,
+            health,
+            lastHeartbeatAt: Date.now(),
+            lostAt: null,
+        };
+        this._tethers.set(sessionId, tether);
+
+        return {
+            tether,
+            changed: !previous || previous.status !== status || previous.issues.join() !== issues.join(),
+        };
+    }
+
+    /**
+     * Mark a tether lost (heartbeat stopped past the grace period).
+     * @returns {object|null} The tether, or null if unknown / already lost.
+     */
+    markTetherLost(sessionId) {
+        const tether = this._tethers.get(sessionId);
+        if (!tether || tether.status === 'lost') return null;
+
+        tether.status = 'lost';
+        tether.lostAt = Date.now();
+        return tether;
+    }
+
+    /**
+     * @param {string} sessionId
+     * @returns {object|null}
+     */
+    getTether(sessionId) {
+        return this._tethers.get(sessionId) || null;
+    }
+
+    /**
+     * Every tether in an exam (for the monitor's initial state).
+     * @param {string} examId
+     * @returns {object[]}
+     */
+    getTethersByExam(examId) {
+        return [...this._tethers.values()].filter((t) => t.examId === examId);
+    }
+
+    /**
+     * Tethers whose last heartbeat is older than graceMs and not yet marked lost.
+     * @param {number} graceMs
+     * @param {number} [now]
+     * @returns {object[]}
+     */
+    getStaleTethers(graceMs, now = Date.now()) {
+        return [...this._tethers.values()].filter(
+            (t) => t.status !== 'lost' && now - t.lastHeartbeatAt > graceMs
+        );
+    }
+
+    /**
+     * Tethers currently marked lost (for rules on how long a phone stays away).
+     * @returns {object[]}
+     */
+    getLostTethers() {
+        return [...this._tethers.values()].filter((t) => t.status === 'lost');
+    }
+
+    /**
+     * Forget a tether (attempt submitted, exam over).
+     * @param {string} sessionId
+     */
+    removeTether(sessionId) {
+        this._tethers.delete(sessionId);
+    }
+
+    /**
+     * Forget the tethers of one student's attempt, or of a whole exam when
+     * studentId is omitted — once nothing is in progress there is no phone to watch.
+     * @param {string} examId
+     * @param {string} [studentId]
+     */
+    removeTethers(examId, studentId) {
+        for (const [sessionId, t] of this._tethers) {
+            if (String(t.examId) !== String(examId)) continue;
+            if (studentId === undefined || String(t.studentId) === String(studentId)) {
+                this._tethers.delete(sessionId);
+            }
+        }
+    }
+
     /**
      * Summary snapshot — useful for health check / debugging.
      * @returns {object}
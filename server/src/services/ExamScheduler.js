@@ -0,0 +1,156 @@
+/**
+ * ExamScheduler — Drives the exam lifecycle from the server clock.
+ *
+ * Arms one timer per pending exam:
+ *  - scheduled → live       at startTime
+ *  - live      → completed  at startTime + durationMinutes
+ *
+ * Every transition is persisted to Mongo first, then broadcast as
+ * EXAM_START / EXAM_END to the exam:<examId> room on /exam.
+ * Timers are in-memory, so init() re-reads pending exams from the
+ * database on boot to pick up where a previous process left off.
+ */
+
+import Exam from '../models/Exam.js';
+import connectionManager from './ConnectionManager.js';
+import { getIO } from '../socket.js';
+import { EXAM_START, EXAM_END } from '../constants/events.js';
+
+// setTimeout overflows past ~24.8 days; longer waits are re-armed in hops
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+class ExamScheduler {
+    constructor() {
+        /** @type {Map<string, NodeJS.Timeout>} examId → pending timer */
+        this._timers = new Map();
+    }
+
+    /**
+     * Load every scheduled/live exam and arm its next transition.
+     * Call once after the database connection is up.
+     */
+    async init() {
+        const exams = await Exam.find({ status: { $in: ['scheduled', 'live'] } })
+            .select('status startTime startedAt durationMinutes');
+
+        exams.forEach((exam) => this.schedule(exam));
+        console.log(`⏰ ExamScheduler armed ${this._timers.size} exam timer(s)`);
+    }
+
+    /**
+     * (Re)arm the next lifecycle transition for an exam.
+     * Safe to call after any create/update — replaces an existing timer.
+     * @param {import('mongoose').Document} exam
+     */
+    schedule(exam) {
+        const examId = exam._id.toString();
+        this.cancel(examId);
+
+        if (exam.status === 'scheduled') {
+            this._arm(examId, exam.startTime, () => this.start(examId));
+        } else if (exam.status === 'live') {
+            this._arm(examId, exam.getEndTime(), () => this.end(examId));
+        }
+    }
+
+    /**
+     * Drop any pending timer for an exam (deleted, unpublished, ...).
+     * @param {string} examId
+     */
+    cancel(examId) {
+        const key = examId.toString();
+        const timer = this._timers.get(key);
+        if (timer) {
+            clearTimeout(timer);
+            this._timers.delete(key);
+        }
+    }
+
+    /**
+     * Move an exam to live and notify the room.
+     * @param {string} examId
+     * @returns {Promise<object|null>} The updated exam, or null if it was not startable.
+     */
+    async start(examId) {
+        const startable = { _id: examId, status: { $in: ['draft', 'scheduled'] } };
+        const pending = await Exam.findOne(startable).select('startTime');
+        if (!pending) {
+            this.cancel(examId);
+            return null;
+        }
+
+        // An early manual start opens the window now; otherwise it opens at startTime.
+        // The status filter makes the flip atomic, so only one caller broadcasts.
+        const now = new Date();
+        const exam = await Exam.findOneAndUpdate(
+            startable,
+            { $set: { status: 'live', startedAt: now < pending.startTime ? now : pending.startTime } },
+            { new: true }
+        );
+        if (!exam) return null;
+
+        this._broadcast(examId, EXAM_START, {
+            examId,
+            timestamp: Date.now(),
+            endsAt: exam.getEndTime(),
+        });
+        console.log(`▶️  Exam ${examId} is live`);
+
+        this.schedule(exam);
+        return exam;
+    }
+
+    /**
+     * Move an exam to completed and notify the room.
+     * @param {string} examId
+     * @returns {Promise<object|null>} The updated exam, or null if it was not live.
+     */
+    async end(examId) {
+        const exam = await Exam.findOneAndUpdate(
+            { _id: examId, status: 'live' },
+            { status: 'completed', endedAt: new Date() },
+            { new: true }
+        );
+        this.cancel(examId);
+        if (!exam) return null;
+
+        connectionManager.removeTethers(examId);
+
+        this._broadcast(examId, EXAM_END, { examId, timestamp: Date.now() });
+        console.log(`⏹️  Exam ${examId} completed`);
+        return exam;
+    }
+
+    /**
+     * Pending timer count — useful for health check / debugging.
+     * @returns {number}
+     */
+    getPendingCount() {
+        return this._timers.size;
+    }
+
+    _arm(examId, at, fn) {
+        const delay = Math.max(0, new Date(at).getTime() - Date.now());
+
+        const timer = delay > MAX_TIMEOUT_MS
+            ? setTimeout(() => this._arm(examId, at, fn), MAX_TIMEOUT_MS)
+            : setTimeout(() => {
+                this._timers.delete(examId);
+                fn().catch((error) => console.error(`ExamScheduler error (${examId}):`, error));
+            }, delay);
+
+        this._timers.set(examId, timer);
+    }
+
+    _broadcast(examId, event, payload) {
+        try {
+            getIO().of('/exam').to(`exam:${examId}`).emit(event, payload);
+        } catch (error) {
+            console.error(`ExamScheduler broadcast failed (${event}):`, error.message);
+        }
+    }
+}
+
+// Singleton instance — shared across the server
+const examScheduler = new ExamScheduler();
+export default examScheduler;
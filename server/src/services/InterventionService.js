@@ -0,0 +1,168 @@
+/**
+ * InterventionService — Proctor actions against one student's attempt.
+ *
+ *   warn          — message shown as a modal in the exam room
+ *   pause/resume  — stop and restart the student's clock (see models/Attempt.js)
+ *   force_submit  — score and submit the attempt as it stands
+ *   terminate     — close the attempt without a submission
+ *   repair        — drop the paired phone; the student scans a fresh QR
+ *
+ * Each action is appended to attempt.interventions first, then pushed to
+ * the student's own sockets (found through ConnectionManager) and to the
+ * monitor as INTERVENTION_APPLIED. Like PairingService.attach(), refusals
+ * come back as { error } rather than throwing. The exam's violation rules
+ * act through here too, passing `rule` in place of a proctor.
+ */
+
+import { getIO } from '../socket.js';
+import connectionManager from './ConnectionManager.js';
+import pairingService from './PairingService.js';
+import { submitAttempt } from './submission.js';
+import {
+    PROCTOR_WARNING,
+    ATTEMPT_PAUSED,
+    ATTEMPT_RESUMED,
+    ATTEMPT_ENDED,
+    PAIRING_RESET,
+    INTERVENTION_APPLIED
+} from '../constants/events.js';
+
+export const INTERVENTION_ACTIONS = ['warn', 'pause', 'resume', 'force_submit', 'terminate', 'repair'];
+
+// Actions that need the proctor to say why
+const REASON_REQUIRED = new Set(['force_submit', 'terminate']);
+
+const clip = (text) => (text ? String(text).trim().slice(0, 500) : '');
+
+class InterventionService {
+    /**
+     * Apply one action.
+     * @param {object} params
+     * @param {Exam} params.exam
+     * @param {Attempt} params.attempt
+     * @param {string} [params.adminId]  - the proctor; omitted when a rule fired
+     * @param {object} [params.rule]     - { id, label } of the violation rule that fired
+     * @param {string} params.action     - one of INTERVENTION_ACTIONS
+     * @param {string} [params.reason]   - recorded; required to force-submit or terminate
+     * @param {string} [params.message]  - shown to the student (warn)
+     * @returns {Promise<{ state?: object, result?: object, error?: string }>}
+     */
+    async apply({ exam, attempt, adminId, rule, action, reason, message }) {
+        reason = clip(reason);
+        message = clip(message);
+
+        if (!INTERVENTION_ACTIONS.includes(action)) return { error: 'Unknown action' };
+        if (attempt.status !== 'in_progress') return { error: `Attempt is already ${attempt.status}` };
+        if (REASON_REQUIRED.has(action) && !reason) return { error: 'A reason is required' };
+        if (action === 'warn' && !message) return { error: 'Write the warning to show the student' };
+        if (action === 'pause' && attempt.pausedAt) return { error: 'Attempt is already paused' };
+        if (action === 'resume' && !attempt.pausedAt) return { error: 'Attempt is not paused' };
+
+        const studentId = String(attempt.student);
+        const at = new Date();
+        attempt.interventions.push({ action, reason, message, by: adminId || null, rule: rule || null, at });
+
+        let result;
+        if (action === 'pause') {
+            attempt.pause(at.getTime());
+        } else if (action === 'resume') {
+            attempt.resume(exam, at.getTime());
+        } else if (action === 'terminate') {
+            attempt.status = 'terminated';
+            attempt.pausedAt = null;
+            attempt.endReason = reason;
+        }
+
+        if (action === 'force_submit') {
+            attempt.endReason = reason;
+            ({ result } = await submitAttempt(exam, attempt)); // saves the attempt
+        } else {
+            await attempt.save();
+        }
+        if (action === 'terminate') connectionManager.removeTethers(exam._id, studentId); // submitAttempt does its own
+
+        switch (action) {
+            case 'warn':
+                this._toStudent(exam._id, studentId, PROCTOR_WARNING, { message, at });
+                break;
+            case 'pause':
+                this._toStudent(exam._id, studentId, ATTEMPT_PAUSED, { reason, remainingMs: attempt.getRemainingMs() });
+                break;
+            case 'resume':
+                this._toStudent(exam._id, studentId, ATTEMPT_RESUMED, {
+                    deadline: attempt.deadline,
+                    remainingMs: attempt.getRemainingMs(),
+                    serverTime: Date.now(),
+                });
+                break;
+            case 'force_submit':
+            case 'terminate':
+                this._toStudent(exam._id, studentId, ATTEMPT_ENDED, { status: attempt.status, reason, result });
+                break;
+            case 'repair':
+                this._resetPairing(exam._id, studentId);
+                break;
+        }
+
+        const state = this.stateOf(attempt);
+        this._toMonitor(exam._id, { studentId, action, reason, message, rule: rule?.label || null, at, state });
+        return { state, result };
+    }
+
+    /**
+     * What the monitor shows per student.
+     * @param {Attempt} attempt
+     */
+    stateOf(attempt) {
+        const last = attempt.interventions[attempt.interventions.length - 1];
+        return {
+            studentId: attempt.student,
+            status: attempt.status,
+            paused: !!attempt.pausedAt,
+            pausedAt: attempt.pausedAt,
+            endReason: attempt.endReason,
+            interventions: attempt.interventions.length,
+            lastAction: last ? { action: last.action, at: last.at } : null,
+        };
+    }
+
+    _resetPairing(examId, studentId) {
+        const session = pairingService.findSession(examId, studentId);
+        const payload = { message: 'Your proctor asked you to pair your phone again — scan the new QR code.' };
+
+        if (session) {
+            const phoneSocketId = pairingService.resetMobile(session);
+            connectionManager.removeTether(session.sessionId); // the old phone going quiet isn't a dropout
+            if (phoneSocketId) {
+                const phone = getIO().of('/exam').sockets.get(phoneSocketId);
+                phone?.emit(PAIRING_RESET, payload);
+                phone?.disconnect(true);
+            }
+        }
+        this._toStudent(examId, studentId, PAIRING_RESET, payload);
+    }
+
+    // The student's laptop tabs; the phone only hears about a re-pair (_resetPairing)
+    _toStudent(examId, studentId, event, payload) {
+        try {
+            const nsp = getIO().of('/exam');
+            connectionManager
+                .getStudentSockets(examId, studentId, 'laptop')
+                .forEach(({ socketId }) => nsp.to(socketId).emit(event, { examId, ...payload }));
+        } catch (error) {
+            console.error('InterventionService relay failed:', error.message);
+        }
+    }
+
+    _toMonitor(examId, payload) {
+        try {
+            getIO().of('/exam').to(`monitor:${examId}`).emit(INTERVENTION_APPLIED, { examId, ...payload });
+        } catch (error) {
+            console.error('InterventionService relay failed:', error.message);
+        }
+    }
+}
+
+// Singleton instance — shared across the server
+const interventionService = new InterventionService();
+export default interventionService;
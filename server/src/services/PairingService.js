@@ -0,0 +1,218 @@
+/**
+ * PairingService — Laptop ↔ phone pairing for an exam attempt.
+ *
+ * Flow:
+ *  1. Laptop calls POST /api/exams/:id/pairing with its /exam socket id.
+ *     We issue a short-lived, single-use pairing token bound to
+ *     (exam, student, laptop socket) and put it in the QR code.
+ *  2. The phone connects with { pairingToken } and emits MOBILE_JOIN
+ *     with its deviceId. redeem() consumes the token and attaches the
+ *     phone to the session; the phone gets a device-scoped resume
+ *     token so it can reconnect without a new QR.
+ *  3. A different phone trying to join while the paired one is still
+ *     connected is rejected and flagged.
+ *
+ * Sessions are keyed by exam + student, so the session id stays stable
+ * across laptop reconnects. In-memory, like ConnectionManager.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Attempt from '../models/Attempt.js';
+
+const PAIRING_TOKEN_TTL_MS = 2 * 60 * 1000;
+const DEVICE_TOKEN_EXPIRE = '8h';
+
+class PairingService {
+    constructor() {
+        /** @type {Map<string, PairingToken>} token → binding */
+        this._tokens = new Map();
+        /** @type {Map<string, PairingSession>} sessionId → session */
+        this._sessions = new Map();
+    }
+
+    /**
+     * Get or create the session for a student's attempt and point it at the laptop socket.
+     * @returns {object} session
+     */
+    openSession(examId, studentId, laptopSocketId) {
+        examId = String(examId);
+        studentId = String(studentId);
+
+        let session = this.findSession(examId, studentId);
+        if (!session) {
+            session = {
+                sessionId: crypto.randomUUID(),
+                examId,
+                studentId,
+                laptopSocketId: null,
+                mobile: null, // { deviceId, socketId, userAgent, pairedAt }
+                epoch: 0, // bumped by resetMobile() — older device tokens stop working
+                pendingDevices: [], // attempt doesn't exist yet — written on first question fetch
+            };
+            this._sessions.set(session.sessionId, session);
+        }
+
+        session.laptopSocketId = laptopSocketId;
+        return session;
+    }
+
+    /**
+     * Issue a fresh pairing token; any unused earlier token for the session dies.
+     * @returns {{ token: string, expiresAt: number }}
+     */
+    issueToken(session) {
+        for (const [token, binding] of this._tokens) {
+            if (binding.sessionId === session.sessionId) this._tokens.delete(token);
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = Date.now() + PAIRING_TOKEN_TTL_MS;
+        this._tokens.set(token, { sessionId: session.sessionId, expiresAt });
+
+        return { token, expiresAt };
+    }
+
+    /**
+     * Look a token up without using it (socket handshake).
+     * @returns {object|null} session, or null if unknown/expired
+     */
+    peekToken(token) {
+        const binding = this._tokens.get(token);
+        if (!binding) return null;
+        if (binding.expiresAt < Date.now()) {
+            this._tokens.delete(token);
+            return null;
+        }
+        return this._sessions.get(binding.sessionId) || null;
+    }
+
+    /**
+     * Consume a pairing token for a phone.
+     * @returns {{ session?: object, error?: string, conflict?: boolean }}
+     */
+    redeem(token, { deviceId, socketId, userAgent }, isConnected) {
+        const session = this.peekToken(token);
+        if (!session) return { error: 'Pairing code expired — refresh the QR on your laptop' };
+
+        const result = this.attach(session, { deviceId, socketId, userAgent }, isConnected);
+        if (!result.error) this._tokens.delete(token);
+        return result;
+    }
+
+    /**
+     * Attach a phone to a session (first pairing, re-pair, or reconnect with a resume token).
+     * @param {function(string, object): boolean} isConnected - is this socket id still live
+     *   (and still heartbeating) for the session?
+     * @returns {{ session?: object, error?: string, conflict?: boolean, replacedSocketId?: string }}
+     */
+    attach(session, { deviceId, socketId, userAgent }, isConnected) {
+        if (!deviceId) return { error: 'Missing device id' };
+
+        const current = session.mobile;
+        if (current && current.deviceId !== deviceId && isConnected(current.socketId, session)) {
+            return { error: 'Another phone is already paired for this exam', conflict: true, session };
+        }
+
+        const isNewDevice = current?.deviceId !== deviceId;
+        const replacedSocketId = current && current.socketId !== socketId ? current.socketId : null;
+        session.mobile = {
+            deviceId,
+            socketId,
+            userAgent: userAgent || '',
+            pairedAt: isNewDevice ? new Date() : current.pairedAt,
+        };
+
+        if (isNewDevice) {
+            this._persistDevice(session, { ...session.mobile, status: current ? 'replaced' : 'paired' });
+        }
+        return { session, replacedSocketId };
+    }
+
+    /**
+     * Signed token the phone reconnects with. Scoped to this device — the REST
+     * API rejects it (see middleware/auth.js).
+     */
+    createDeviceToken(session) {
+        return jwt.sign(
+            {
+                userId: session.studentId,
+                role: 'student',
+                scope: 'device',
+                examId: session.examId,
+                sessionId: session.sessionId,
+                deviceId: session.mobile.deviceId,
+                epoch: session.epoch,
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: DEVICE_TOKEN_EXPIRE }
+        );
+    }
+
+    /**
+     * Drop the paired phone so the student has to scan a fresh QR (proctor re-pair).
+     * @returns {string|null} the dropped phone's socket id
+     */
+    resetMobile(session) {
+        const socketId = session.mobile?.socketId || null;
+        session.mobile = null;
+        session.epoch += 1;
+        for (const [token, binding] of this._tokens) {
+            if (binding.sessionId === session.sessionId) this._tokens.delete(token);
+        }
+        return socketId;
+    }
+
+    /**
+     * Record a rejected second phone on the attempt.
+     */
+    recordRejected(session, { deviceId, userAgent }) {
+        this._persistDevice(session, { deviceId, userAgent: userAgent || '', pairedAt: new Date(), status: 'rejected' });
+    }
+
+    getSession(sessionId) {
+        return this._sessions.get(sessionId) || null;
+    }
+
+    findSession(examId, studentId) {
+        for (const session of this._sessions.values()) {
+            if (session.examId === String(examId) && session.studentId === String(studentId)) {
+                return session;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Write device records that arrived before the attempt existed.
+     * Call right after Attempt.startFor().
+     */
+    async flushPendingDevices(examId, studentId) {
+        const session = this.findSession(examId, studentId);
+        if (!session?.pendingDevices.length) return;
+
+        const devices = session.pendingDevices.splice(0);
+        await Attempt.updateOne(
+            { exam: examId, student: studentId },
+            { $push: { devices: { $each: devices } } }
+        );
+    }
+
+    _persistDevice(session, device) {
+        const record = { kind: 'mobile', ...device };
+        delete record.socketId;
+
+        Attempt.updateOne(
+            { exam: session.examId, student: session.studentId },
+            { $push: { devices: record } }
+        )
+            .then(({ matchedCount }) => {
+                if (!matchedCount) session.pendingDevices.push(record);
+            })
+            .catch((error) => console.error('PairingService device save failed:', error.message));
+    }
+}
+
+// Singleton instance — shared across the server
+const pairingService = new PairingService();
+export default pairingService;
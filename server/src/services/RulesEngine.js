@@ -0,0 +1,155 @@
+/**
+ * RulesEngine — Per-exam automatic actions (exam.violationRules).
+ *
+ * Count rules are checked whenever ViolationService stores a violation:
+ * once `count` violations of the rule's type (dismissed ones excluded)
+ * have been stored within `windowSeconds` — or at all, when the window
+ * is 0 — the rule fires. Counting restarts after each firing, so
+ * "3 tab switches → warn" warns on the 3rd, 6th, …
+ *
+ * Duration rules (tether_lost with durationSeconds) are checked on each
+ * TetherMonitor sweep and fire once per dropout that lasts that long.
+ *
+ * Actions go through InterventionService with the rule attached, so the
+ * student sees them exactly as a proctor's and attempt.interventions
+ * records which rule fired.
+ */
+
+import Exam from '../models/Exam.js';
+import Attempt from '../models/Attempt.js';
+import Violation, { NOT_DISMISSED } from '../models/Violation.js';
+import interventionService from './InterventionService.js';
+import { TETHER_DROPOUT_TYPE } from './trustScore.js';
+
+/**
+ * Human-readable rule, used as its label in logs and intervention history.
+ * @param {object} rule - exam.violationRules entry
+ * @returns {string} e.g. "3× tab_switch in 60s → warn"
+ */
+export function describeRule(rule) {
+    const trigger = rule.durationSeconds
+        ? `${rule.type} for ${rule.durationSeconds}s`
+        : `${rule.count}× ${rule.type}${rule.windowSeconds ? ` in ${rule.windowSeconds}s` : ''}`;
+    return `${trigger} → ${rule.action.replace('_', ' ')}`;
+}
+
+const lastFiredAt = (attempt, rule) => {
+    const fired = attempt.interventions.filter((i) => String(i.rule?.id) === String(rule._id));
+    return fired.length ? fired[fired.length - 1].at.getTime() : 0;
+};
+
+class RulesEngine {
+    constructor() {
+        // examId:studentId → tail of that student's checks, so a burst can't fire a rule twice
+        this._queues = new Map();
+    }
+
+    /**
+     * Check the exam's count rules against a newly stored violation.
+     * Never throws; errors are logged.
+     * @param {Violation} violation
+     * @returns {Promise<void>}
+     */
+    onViolation(violation) {
+        return this._serialize(`${violation.exam}:${violation.student}`, () => this._checkCounts(violation));
+    }
+
+    /**
+     * Check duration rules against every lost tether (called by TetherMonitor).
+     * @param {object[]} tethers - from ConnectionManager.getLostTethers()
+     * @param {number} [now]
+     * @returns {Promise<void>}
+     */
+    async checkTethers(tethers, now = Date.now()) {
+        await Promise.all(tethers.map((tether) => this._serialize(
+            `${tether.examId}:${tether.studentId}`,
+            () => this._checkTether(tether, now)
+        )));
+    }
+
+    async _checkCounts(violation) {
+        const config = await Exam.findById(violation.exam).select('violationRules');
+        const rules = (config?.violationRules || [])
+            .filter((r) => r.enabled && !r.durationSeconds && r.type === violation.type);
+        if (!rules.length) return;
+
+        const attempt = await Attempt.findOne({ exam: violation.exam, student: violation.student, status: 'in_progress' });
+        if (!attempt) return;
+
+        const now = Date.now();
+        for (const rule of rules) {
+            const since = Math.max(lastFiredAt(attempt, rule), rule.windowSeconds ? now - rule.windowSeconds * 1000 : 0);
+            const count = await Violation.countDocuments({
+                exam: violation.exam,
+                student: violation.student,
+                type: rule.type,
+                ...NOT_DISMISSED,
+                createdAt: { $gt: new Date(since) },
+            });
+
+            if (count >= rule.count && !(await this._fire(attempt, rule))) break;
+        }
+    }
+
+    async _checkTether(tether, now) {
+        if (!tether.lostAt) return;
+
+        const config = await Exam.findById(tether.examId).select('violationRules');
+        const rules = (config?.violationRules || []).filter((r) => r.enabled && r.type === TETHER_DROPOUT_TYPE
+            && r.durationSeconds && now - tether.lostAt >= r.durationSeconds * 1000);
+        if (!rules.length) return;
+
+        const attempt = await Attempt.findOne({ exam: tether.examId, student: tether.studentId, status: 'in_progress' });
+        if (!attempt) return;
+
+        for (const rule of rules) {
+            // Once per dropout
+            if (lastFiredAt(attempt, rule) >= tether.lostAt) continue;
+            if (!(await this._fire(attempt, rule))) break;
+        }
+    }
+
+    /**
+     * Run a rule's action. Returns false once the attempt can take no more actions.
+     */
+    async _fire(attempt, rule) {
+        // Already held — InterventionService would refuse, and a dropout rule would retry every sweep
+        if (rule.action === 'pause' && attempt.pausedAt) return true;
+
+        const exam = await Exam.findById(attempt.exam); // force_submit scores against the full paper
+        const label = describeRule(rule);
+        const text = rule.message?.trim() || `Automatic action: ${label}`;
+
+        const outcome = await interventionService.apply({
+            exam,
+            attempt,
+            rule: { id: rule._id, label },
+            action: rule.action,
+            reason: text,
+            message: rule.action === 'warn' ? text : '',
+        });
+
+        if (outcome.error) {
+            console.warn(`⚙️ Rule "${label}" skipped for ${attempt.student}: ${outcome.error}`);
+        } else {
+            console.log(`⚙️ Rule "${label}" fired for ${attempt.student} in exam ${attempt.exam}`);
+        }
+        return attempt.status === 'in_progress';
+    }
+
+    _serialize(key, task) {
+        const next = (this._queues.get(key) || Promise.resolve())
+            .then(task)
+            .catch((error) => console.error('RulesEngine error:', error));
+
+        this._queues.set(key, next);
+        next.then(() => {
+            if (this._queues.get(key) === next) this._queues.delete(key);
+        });
+        return next;
+    }
+}
+
+// Singleton instance — shared across the server
+const rulesEngine = new RulesEngine();
+export default rulesEngine;
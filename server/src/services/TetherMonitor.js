@@ -0,0 +1,114 @@
+/**
+ * TetherMonitor — Watches phone heartbeats for every paired attempt.
+ *
+ * The phone sends TETHER_HEARTBEAT every few seconds (camera track live,
+ * page visible, wake lock held, battery). ConnectionManager keeps the
+ * latest health per pairing session; this service sweeps it on an
+ * interval and, once a heartbeat is overdue past the grace period:
+ *  - marks the tether lost and pushes TETHER_STATUS to the laptop
+ *    (session:<sessionId>) and the proctors (monitor:<examId>)
+ *  - records a tether_lost violation, which counts against the trust score
+ * and then lets the exam's "lost for N seconds" rules act (RulesEngine).
+ *
+ * A lost tether recovers on the next heartbeat (reconnect or re-pair).
+ */
+
+import Attempt from '../models/Attempt.js';
+import connectionManager from './ConnectionManager.js';
+import violationService from './ViolationService.js';
+import rulesEngine from './RulesEngine.js';
+import { TETHER_DROPOUT_TYPE } from './trustScore.js';
+import { getIO } from '../socket.js';
+import { TETHER_STATUS } from '../constants/events.js';
+
+// Phone beats every 5s — three missed beats is a dropout
+const GRACE_MS = 15000;
+const SWEEP_INTERVAL_MS = 5000;
+
+class TetherMonitor {
+    constructor() {
+        this._timer = null;
+    }
+
+    /**
+     * Start the sweep. Call once after the socket server is up.
+     */
+    start() {
+        if (this._timer) return;
+        this._timer = setInterval(() => {
+            this.sweep().catch((error) => console.error('TetherMonitor sweep error:', error));
+        }, SWEEP_INTERVAL_MS);
+        this._timer.unref();
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Mark every overdue tether lost and flag it.
+     */
+    async sweep() {
+        for (const stale of connectionManager.getStaleTethers(GRACE_MS)) {
+            // Nothing to guard once the attempt is submitted
+            const active = await Attempt.exists({
+                exam: stale.examId,
+                student: stale.studentId,
+                status: 'in_progress',
+            });
+            if (!active) {
+                connectionManager.removeTether(stale.sessionId);
+                continue;
+            }
+
+            const tether = connectionManager.markTetherLost(stale.sessionId);
+            if (!tether) continue;
+
+            this.broadcast(tether);
+            console.warn(`📵 Tether lost for session ${tether.sessionId}`);
+
+            await violationService.record({
+                examId: tether.examId,
+                studentId: tether.studentId,
+                sessionId: tether.sessionId,
+                type: TETHER_DROPOUT_TYPE,
+                severity: 'high',
+                source: 'system',
+                detail: `No phone heartbeat for ${Math.round((tether.lostAt - tether.lastHeartbeatAt) / 1000)}s`,
+            });
+        }
+
+        await rulesEngine.checkTethers(connectionManager.getLostTethers());
+    }
+
+    /**
+     * Push a tether's status to the student's laptop and the exam monitor.
+     * @param {object} tether - from ConnectionManager
+     */
+    broadcast(tether) {
+        const payload = {
+            examId: tether.examId,
+            studentId: tether.studentId,
+            sessionId: tether.sessionId,
+            status: tether.status,
+            issues: tether.issues,
+            battery: tether.health.battery || null,
+            lastHeartbeatAt: tether.lastHeartbeatAt,
+        };
+
+        try {
+            getIO()
+                .of('/exam')
+                .to(`session:${tether.sessionId}`)
+                .to(`monitor:${tether.examId}`)
+                .emit(TETHER_STATUS, payload);
+        } catch (error) {
+            console.error('TetherMonitor broadcast error:', error);
+        }
+    }
+}
+
+// Singleton instance — shared across the server
+const tetherMonitor = new TetherMonitor();
+export default tetherMonitor;
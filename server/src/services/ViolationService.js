@@ -0,0 +1,172 @@
+/**
+ * ViolationService — Single entry point for proctoring alerts.
+ *
+ * Persists each alert to the Violation collection first, then relays
+ * the stored copy (with its id and severity) as VIOLATION_DETECTED to:
+ *  - session:<sessionId>  → the student's laptop
+ *  - monitor:<examId>     → proctors watching the exam
+ * and pushes the student's recomputed trust score (TRUST_SCORE_UPDATED)
+ * to the monitor room. Snapshots arrive afterwards over REST
+ * (routes/evidence.routes.js) and are announced with VIOLATION_EVIDENCE.
+ *
+ * Socket handlers and server-side detectors (tether loss, etc.) should
+ * all go through record() so nothing reaches the monitor unstored.
+ *
+ * Every stored violation is then checked against the exam's rules
+ * (services/RulesEngine.js), which may warn, pause or end the attempt.
+ *
+ * Proctor verdicts go through review(): it stores the decision, rescores
+ * the student (dismissed violations don't count) and tells the monitor
+ * with VIOLATION_REVIEWED + TRUST_SCORE_UPDATED.
+ */
+
+import mongoose from 'mongoose';
+import Violation, { REVIEW_STATUSES } from '../models/Violation.js';
+import Submission from '../models/Submission.js';
+import { getIO } from '../socket.js';
+import { updateTrustScore } from './trustScore.js';
+import rulesEngine from './RulesEngine.js';
+import { VIOLATION_DETECTED, VIOLATION_EVIDENCE, VIOLATION_REVIEWED, TRUST_SCORE_UPDATED } from '../constants/events.js';
+
+class ViolationService {
+    /**
+     * Store an alert and relay it.
+     * @param {object} alert
+     * @param {string} alert.examId
+     * @param {string} alert.studentId
+     * @param {string} alert.type           - e.g. 'phone_detected'
+     * @param {number} [alert.confidence]   - 0..1
+     * @param {string} [alert.severity]     - server-side callers only; derived from type + confidence if omitted
+     * @param {string} [alert.source]       - 'mobile' | 'laptop' | 'system'
+     * @param {string} [alert.sessionId]
+     * @param {number|string} [alert.timestamp] - device time, for display; scoring uses createdAt
+     * @param {string} [alert.evidence]
+     * @param {string} [alert.detail]
+     * @returns {Promise<Violation|null>} null when the alert can't be attributed
+     */
+    async record({ examId, studentId, type, confidence, severity, source, sessionId, timestamp, evidence, detail }) {
+        if (!mongoose.isValidObjectId(examId) || !mongoose.isValidObjectId(studentId)) {
+            return null;
+        }
+
+        const violation = await Violation.create({
+            exam: examId,
+            student: studentId,
+            type,
+            confidence,
+            severity,
+            source,
+            sessionId: sessionId || null,
+            timestamp: timestamp ? new Date(timestamp) : undefined,
+            evidence: evidence || null,
+            detail: detail ? String(detail).slice(0, 200) : null,
+        });
+
+        const trust = await updateTrustScore(examId, studentId);
+
+        this._relay(violation, trust.score);
+        rulesEngine.onViolation(violation); // not awaited — the device's ack shouldn't wait on actions
+        return violation;
+    }
+
+    /**
+     * Link an uploaded snapshot to a stored violation and tell the monitor.
+     * @param {Violation} violation
+     * @param {string} key - evidence storage key
+     */
+    async attachEvidence(violation, key) {
+        violation.evidence = key;
+        await violation.save();
+
+        try {
+            getIO().of('/exam').to(`monitor:${violation.exam}`).emit(VIOLATION_EVIDENCE, {
+                id: violation._id,
+                examId: violation.exam,
+                studentId: violation.student,
+            });
+        } catch (error) {
+            console.error('ViolationService relay failed:', error.message);
+        }
+        return violation;
+    }
+
+    /**
+     * Record a proctor's decision on a stored violation.
+     * @param {Violation} violation
+     * @param {object} review
+     * @param {string} review.status    - confirmed | dismissed | escalated | pending (reopen)
+     * @param {string} [review.note]
+     * @param {object} review.reviewer  - { userId, name }
+     * @returns {Promise<{ violation: Violation, trustScore: number } | { error: string }>}
+     */
+    async review(violation, { status, note, reviewer }) {
+        if (!REVIEW_STATUSES.includes(status)) {
+            return { error: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` };
+        }
+        if (note && String(note).length > 1000) {
+            return { error: 'Keep the note under 1000 characters' };
+        }
+
+        const wasDismissed = violation.review?.status === 'dismissed';
+        violation.applyReview({ status, note: note ? String(note).trim() : '', by: reviewer.userId });
+        await violation.save();
+
+        // Only a change in or out of 'dismissed' moves the score; a review may
+        // come after submit, so the frozen submission record is revised as well
+        let trustScore;
+        if (wasDismissed !== (status === 'dismissed')) {
+            const examId = violation.exam;
+            const studentId = violation.student;
+            const [trust, flags] = await Promise.all([
+                updateTrustScore(examId, studentId, { anyStatus: true }),
+                Violation.summarize(examId, studentId),
+            ]);
+            trustScore = trust.score;
+            await Submission.updateOne(
+                { exam: examId, student: studentId },
+                { $set: { trustScore, flags: flags.count, flagSeverity: flags.severity } }
+            );
+        }
+
+        try {
+            const nsp = getIO().of('/exam').to(`monitor:${violation.exam}`);
+            nsp.emit(VIOLATION_REVIEWED, {
+                id: violation._id,
+                examId: violation.exam,
+                studentId: violation.student,
+                review: { ...violation.toAlert().review, byName: reviewer.name || null },
+            });
+            if (trustScore !== undefined) {
+                nsp.emit(TRUST_SCORE_UPDATED, { examId: violation.exam, studentId: violation.student, trustScore });
+            }
+        } catch (error) {
+            console.error('ViolationService relay failed:', error.message);
+        }
+
+        return { violation, trustScore };
+    }
+
+    _relay(violation, trustScore) {
+        try {
+            const nsp = getIO().of('/exam');
+            const alert = violation.toAlert();
+
+            if (violation.sessionId) {
+                nsp.to(`session:${violation.sessionId}`).emit(VIOLATION_DETECTED, alert);
+            }
+            // The score is for proctors only
+            nsp.to(`monitor:${violation.exam}`).emit(VIOLATION_DETECTED, { ...alert, trustScore });
+            nsp.to(`monitor:${violation.exam}`).emit(TRUST_SCORE_UPDATED, {
+                examId: violation.exam,
+                studentId: violation.student,
+                trustScore,
+            });
+        } catch (error) {
+            console.error('ViolationService relay failed:', error.message);
+        }
+    }
+}
+
+// Singleton instance — shared across the server
+const violationService = new ViolationService();
+export default violationService;
@@ -0,0 +1,68 @@
+/**
+ * Evidence storage — where violation snapshots (JPEG frames) live.
+ *
+ * A storage backend is any object with:
+ *   save(key, buffer, contentType) → Promise<void>
+ *   read(key)                      → Promise<{ buffer, contentType } | null>
+ *   remove(key)                    → Promise<void>
+ *
+ * Keys look like '<examId>/<violationId>.jpg' and are what gets stored on
+ * Violation.evidence. Only local disk ships today (EVIDENCE_DIR, default
+ * server/uploads/evidence); call setEvidenceStorage() at boot to swap in
+ * object storage without touching the routes.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../uploads/evidence');
+
+const CONTENT_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+export class LocalDiskStorage {
+    constructor(rootDir = process.env.EVIDENCE_DIR || DEFAULT_DIR) {
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    // Keys come from our own ids, but never let one climb out of the root
+    _resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid evidence key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async save(key, buffer) {
+        const filePath = this._resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+    }
+
+    async read(key) {
+        try {
+            const buffer = await fs.readFile(this._resolve(key));
+            return { buffer, contentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream' };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        await fs.rm(this._resolve(key), { force: true });
+    }
+}
+
+let storage = new LocalDiskStorage();
+
+export const getEvidenceStorage = () => storage;
+
+/**
+ * Replace the active backend (e.g. an S3 adapter with the same three methods).
+ * @param {{ save: Function, read: Function, remove: Function }} backend
+ */
+export function setEvidenceStorage(backend) {
+    storage = backend;
+}
@@ -0,0 +1,120 @@
+/**
+ * Question Bank — Paper building on top of the Question collection.
+ *
+ *  - resolveSelection(): hand-picked ids + rules like
+ *      { topic: 'kinetics', difficulty: 'easy', count: 5 }
+ *    → bank questions, never the same one twice
+ *  - recordUsage(): append the exam to each source question's history
+ *
+ * Rules are filled in order, each drawing a random sample from what
+ * earlier picks/rules left over.
+ */
+
+import mongoose from 'mongoose';
+import Question from '../models/Question.js';
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match for free-text classification fields
+const exactMatch = (value) => new RegExp(`^${escapeRegex(String(value).trim())}$`, 'i');
+
+/**
+ * Build a Mongo filter from search/rule criteria.
+ * @param {string} ownerId
+ * @param {object} criteria - { subject, topic, difficulty, type, tags, q }
+ */
+export function buildQuestionFilter(ownerId, { subject, topic, difficulty, type, tags, q } = {}) {
+    const filter = { createdBy: new mongoose.Types.ObjectId(String(ownerId)) };
+
+    if (subject) filter.subject = exactMatch(subject);
+    if (topic) filter.topic = exactMatch(topic);
+    if (difficulty) filter.difficulty = difficulty;
+    if (type) filter.type = type;
+
+    const tagList = (Array.isArray(tags) ? tags : String(tags || '').split(','))
+        .map((t) => t.trim().toLowerCase())
+        .filter(Boolean);
+    if (tagList.length) filter.tags = { $all: tagList };
+
+    if (q) filter.text = new RegExp(escapeRegex(String(q)), 'i');
+
+    return filter;
+}
+
+/**
+ * Resolve picked ids and rules into bank questions.
+ * @param {string} ownerId
+ * @param {object} selection
+ * @param {string[]} [selection.questionIds]
+ * @param {object[]} [selection.rules] - criteria + count
+ * @param {string[]} [selection.excludeIds] - Already on the paper; rules won't draw these
+ * @returns {Promise<{ questions: object[], shortfalls: object[] }>}
+ */
+export async function resolveSelection(ownerId, { questionIds = [], rules = [], excludeIds = [] } = {}) {
+    const picked = await Question.find({
+        _id: { $in: questionIds },
+        createdBy: ownerId,
+    });
+
+    // Keep the admin's chosen order
+    const byId = new Map(picked.map((q) => [q._id.toString(), q]));
+    const questions = questionIds.map((id) => byId.get(String(id))).filter(Boolean);
+    const usedIds = new Set([
+        ...excludeIds.filter((id) => mongoose.isValidObjectId(id)).map(String),
+        ...questions.map((q) => q._id.toString()),
+    ]);
+    const shortfalls = [];
+
+    if (questions.length !== new Set(questionIds.map(String)).size) {
+        shortfalls.push({ rule: 'questionIds', requested: questionIds.length, found: questions.length });
+    }
+
+    for (const rule of rules) {
+        const count = Math.max(0, parseInt(rule.count, 10) || 0);
+        if (!count) continue;
+
+        const match = buildQuestionFilter(ownerId, rule);
+        match._id = { $nin: [...usedIds].map((id) => new mongoose.Types.ObjectId(id)) };
+
+        const sampled = await Question.aggregate([
+            { $match: match },
+            { $sample: { size: count } },
+            { $project: { _id: 1 } },
+        ]);
+
+        const docs = await Question.find({ _id: { $in: sampled.map((s) => s._id) } });
+        docs.forEach((doc) => {
+            usedIds.add(doc._id.toString());
+            questions.push(doc);
+        });
+
+        if (docs.length < count) {
+            shortfalls.push({ rule, requested: count, found: docs.length });
+        }
+    }
+
+    return { questions, shortfalls };
+}
+
+/**
+ * Record that an exam now uses these bank questions.
+ * @param {string} examId
+ * @param {object[]} examQuestions - Exam snapshots (only those with sourceQuestion count)
+ * @param {string[]} [alreadyRecorded] - Source ids the exam already used (skip on re-save)
+ */
+export async function recordUsage(examId, examQuestions, alreadyRecorded = []) {
+    const skip = new Set(alreadyRecorded.map(String));
+    const ops = examQuestions
+        .filter((q) => q.sourceQuestion && !skip.has(String(q.sourceQuestion)))
+        .map((q) => ({
+            updateOne: {
+                filter: { _id: q.sourceQuestion },
+                update: {
+                    $inc: { usageCount: 1 },
+                    $push: { usage: { exam: examId, version: q.sourceVersion, usedAt: new Date() } },
+                },
+            },
+        }));
+
+    if (ops.length) await Question.bulkWrite(ops);
+}
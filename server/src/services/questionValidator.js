@@ -0,0 +1,71 @@
+/**
+ * Question Validator — Shape checks for uploaded questions.
+ *
+ * Shared by exam uploads and the question bank so both accept
+ * exactly the same question format. Mongoose re-checks on save;
+ * this gives the admin a readable, per-question error first.
+ */
+
+/**
+ * Validate one uploaded question against its type.
+ * @param {object} q
+ * @param {number} i - Position in the upload, for error messages
+ * @param {object} [opts]
+ * @param {boolean} [opts.requireId=true] - Exam questions need an id; bank questions use _id
+ * @returns {string|null} Error message, or null if valid.
+ */
+export function validateQuestion(q, i, { requireId = true } = {}) {
+    const type = q.type || 'single';
+
+    if ((requireId && !q.id) || !q.text) {
+        return `Question ${i + 1} is missing required fields (${requireId ? 'id, ' : ''}text)`;
+    }
+
+    if (type === 'numeric') {
+        const range = q.answerRange;
+        if (range) {
+            if (!Number.isFinite(range.min) || !Number.isFinite(range.max) || range.min > range.max) {
+                return `Question "${q.id || i + 1}": answerRange must be { min, max } with min <= max`;
+            }
+        } else if (!Number.isFinite(q.answerValue)) {
+            return `Question "${q.id || i + 1}": numeric questions need answerValue or answerRange`;
+        }
+        return null;
+    }
+
+    if (type === 'subjective') {
+        if (!Array.isArray(q.rubric) || q.rubric.length === 0) {
+            return `Question "${q.id || i + 1}": subjective questions need a rubric`;
+        }
+        if (!q.rubric.every(c => c.criterion && Number.isFinite(c.points) && c.points >= 0)) {
+            return `Question "${q.id || i + 1}": each rubric item needs a criterion and non-negative points`;
+        }
+        return null;
+    }
+
+    if (!Array.isArray(q.options)) {
+        return `Question ${i + 1} is missing options`;
+    }
+
+    const inRange = (idx) => Number.isInteger(idx) && idx >= 0 && idx < q.options.length;
+
+    if (type === 'single') {
+        if (q.answerIndex === undefined) {
+            return `Question "${q.id || i + 1}": answerIndex is required`;
+        }
+        if (!inRange(q.answerIndex)) {
+            return `Question "${q.id || i + 1}": answerIndex out of range`;
+        }
+    } else if (type === 'multiple') {
+        if (!Array.isArray(q.answerIndices) || q.answerIndices.length === 0) {
+            return `Question "${q.id || i + 1}": answerIndices must list at least one option`;
+        }
+        if (!q.answerIndices.every(inRange)) {
+            return `Question "${q.id || i + 1}": answerIndices out of range`;
+        }
+    } else {
+        return `Question "${q.id || i + 1}": unknown type "${type}"`;
+    }
+
+    return null;
+}
@@ -0,0 +1,137 @@
+/**
+ * Scoring — Pure marking functions shared by the submit route.
+ *
+ * Each question type gets its own scorer; scoreAnswers() walks the
+ * paper and totals the result. No DB access here, so the same code
+ * can re-score a stored submission later.
+ *
+ * Outcomes: 'correct' | 'partial' | 'incorrect' | 'unattempted'
+ *           | 'pending' (subjective — waits for a human grader)
+ */
+
+const isAnswered = (answer) =>
+    answer !== undefined && answer !== null &&
+    !(typeof answer === 'string' && answer.trim() === '') &&
+    !(Array.isArray(answer) && answer.length === 0);
+
+// ─── Single choice ───────────────────────────────────────
+function scoreSingle(question, answer, scheme) {
+    if (Number(answer) === question.answerIndex) {
+        return { marks: scheme.correct, outcome: 'correct' };
+    }
+    return { marks: scheme.incorrect, outcome: 'incorrect' };
+}
+
+// ─── Multiple correct (JEE-style partial marking) ───────
+function scoreMultiple(question, answer, scheme) {
+    const chosen = [...new Set([].concat(answer).map(Number))];
+    const key = new Set(question.answerIndices);
+
+    // Any wrong option chosen → negative mark, regardless of the rest
+    if (chosen.some((idx) => !key.has(idx))) {
+        return { marks: scheme.incorrect, outcome: 'incorrect' };
+    }
+    if (chosen.length === key.size) {
+        return { marks: scheme.correct, outcome: 'correct' };
+    }
+    if (scheme.partialPolicy === 'none') {
+        return { marks: 0, outcome: 'partial' };
+    }
+    return { marks: chosen.length * (scheme.partialPerOption ?? 1), outcome: 'partial' };
+}
+
+// ─── Numeric (exact value or [min, max] tolerance) ──────
+const NUMERIC_EPSILON = 1e-9;
+// Plain decimals only — Number() would also take hex, exponents and "Infinity"
+const DECIMAL = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+const parseNumeric = (answer) => {
+    if (typeof answer === 'number') return answer;
+    const text = String(answer).trim();
+    return DECIMAL.test(text) ? Number(text) : NaN;
+};
+
+function scoreNumeric(question, answer, scheme) {
+    const { correct = 4, incorrect = 0 } = scheme.numeric || {};
+    const value = parseNumeric(answer);
+
+    if (!Number.isFinite(value)) {
+        return { marks: incorrect, outcome: 'incorrect' };
+    }
+
+    const range = question.answerRange;
+    const isCorrect = range
+        ? value >= range.min - NUMERIC_EPSILON && value <= range.max + NUMERIC_EPSILON
+        : Math.abs(value - question.answerValue) <= NUMERIC_EPSILON;
+
+    return isCorrect
+        ? { marks: correct, outcome: 'correct' }
+        : { marks: incorrect, outcome: 'incorrect' };
+}
+
+// ─── Subjective (manual, rubric-based) ───────────────────
+function scoreSubjective() {
+    return { marks: 0, outcome: 'pending' };
+}
+
+const scorers = {
+    single: scoreSingle,
+    multiple: scoreMultiple,
+    numeric: scoreNumeric,
+    subjective: scoreSubjective,
+};
+
+/**
+ * Score one answer against its question.
+ * @returns {{ marks: number, outcome: string }}
+ */
+export function scoreQuestion(question, answer, scheme) {
+    if (!isAnswered(answer)) return { marks: 0, outcome: 'unattempted' };
+    const scorer = scorers[question.type || 'single'];
+    return scorer(question, answer, scheme);
+}
+
+/**
+ * Sum of the points available across a rubric.
+ */
+export function rubricTotal(rubric = []) {
+    return rubric.reduce((sum, c) => sum + c.points, 0);
+}
+
+/**
+ * Highest marks a question can award.
+ */
+export function maxMarks(question, scheme) {
+    if (question.type === 'numeric') return scheme.numeric?.correct ?? 4;
+    if (question.type === 'subjective') return rubricTotal(question.rubric);
+    return scheme.correct;
+}
+
+/**
+ * Score a full answer sheet.
+ * @param {object[]} questions - Canonical question order
+ * @param {object} answers     - { [questionIndex]: answer }
+ * @param {object} scheme      - exam.markingScheme
+ */
+export function scoreAnswers(questions, answers = {}, scheme) {
+    const result = {
+        score: 0,
+        totalMarks: 0,
+        correctCount: 0,
+        partialCount: 0,
+        incorrectCount: 0,
+        pendingIndices: [], // subjective answers awaiting manual grading
+    };
+
+    questions.forEach((q, index) => {
+        const { marks, outcome } = scoreQuestion(q, answers[index], scheme);
+        result.score += marks;
+        result.totalMarks += maxMarks(q, scheme);
+        if (outcome === 'correct') result.correctCount++;
+        if (outcome === 'partial') result.partialCount++;
+        if (outcome === 'incorrect') result.incorrectCount++;
+        if (outcome === 'pending') result.pendingIndices.push(index);
+    });
+
+    return result;
+}
@@ -0,0 +1,115 @@
+/**
+ * Shuffle — Per-student question/option order with a reversible mapping.
+ *
+ * Orders are generated once from the attempt's seed and stored on the
+ * Attempt, so the student sees the same paper after every reload and
+ * answers can always be mapped back to the canonical paper:
+ *
+ *   questionOrder[displayIndex]             → canonical question index
+ *   optionOrders[canonicalQ][displayOption] → canonical option index
+ *
+ * An empty order means "not shuffled" (identity).
+ */
+
+import crypto from 'crypto';
+import { hasOptions } from '../models/Exam.js';
+
+/**
+ * Deterministic PRNG (mulberry32) seeded from an arbitrary string.
+ * @param {string} seed
+ * @returns {() => number} Uniform floats in [0, 1)
+ */
+export function seededRandom(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fisher–Yates over [0..n)
+function shuffledIndices(n, rand) {
+    const order = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+/**
+ * Build a student's orders from the exam's shuffle settings.
+ * @param {object} exam
+ * @param {string} seed
+ * @returns {{ questionOrder: number[], optionOrders: number[][] }}
+ */
+export function buildOrders(exam, seed) {
+    const { questions: shuffleQuestions, options: shuffleOptions } = exam.shuffle || {};
+    const rand = seededRandom(seed);
+
+    const questionOrder = shuffleQuestions ? shuffledIndices(exam.questions.length, rand) : [];
+    const optionOrders = shuffleOptions
+        ? exam.questions.map((q) => (hasOptions(q.type) ? shuffledIndices(q.options.length, rand) : []))
+        : [];
+
+    return { questionOrder, optionOrders };
+}
+
+const canonicalQuestionIndex = (attempt, displayIndex) =>
+    attempt.questionOrder?.length ? attempt.questionOrder[displayIndex] : displayIndex;
+
+const canonicalOptionIndex = (attempt, qIndex, displayOption) => {
+    const order = attempt.optionOrders?.[qIndex];
+    return order?.length ? order[displayOption] : displayOption;
+};
+
+/**
+ * Reorder sanitized questions (and their options) into the student's view.
+ * @param {object[]} questions - Canonical order, answers already stripped
+ * @param {object} attempt
+ */
+export function toStudentView(questions, attempt) {
+    const order = attempt.questionOrder?.length
+        ? attempt.questionOrder
+        : questions.map((_, i) => i);
+
+    return order.map((qIndex) => {
+        const q = questions[qIndex];
+        const optionOrder = attempt.optionOrders?.[qIndex];
+        if (!optionOrder?.length) return q;
+        return { ...q, options: optionOrder.map((o) => q.options[o]) };
+    });
+}
+
+/**
+ * Map answers keyed by display index / display option back to the canonical paper.
+ * Unknown indices are dropped rather than guessed.
+ * @param {object} answers - { [displayIndex]: answer }
+ * @param {object} attempt
+ * @param {object[]} questions - Canonical questions (for type lookups)
+ * @returns {object} { [canonicalIndex]: answer }
+ */
+export function toCanonicalAnswers(answers, attempt, questions) {
+    const canonical = {};
+
+    for (const [key, answer] of Object.entries(answers || {})) {
+        const qIndex = canonicalQuestionIndex(attempt, Number(key));
+        const question = questions[qIndex];
+        if (!question) continue;
+
+        if (question.type === 'multiple' && Array.isArray(answer)) {
+            canonical[qIndex] = answer
+                .map((o) => canonicalOptionIndex(attempt, qIndex, Number(o)))
+                .filter((o) => o !== undefined);
+        } else if (hasOptions(question.type) && answer !== null && answer !== '' && !Array.isArray(answer)) {
+            const option = canonicalOptionIndex(attempt, qIndex, Number(answer));
+            if (option !== undefined) canonical[qIndex] = option;
+        } else {
+            canonical[qIndex] = answer;
+        }
+    }
+
+    return canonical;
+}
@@ -0,0 +1,96 @@
+/**
+ * Submission — Turn an in-progress attempt into a scored Submission.
+ *
+ * Shared by the student's submit route and the proctor's force-submit
+ * (services/InterventionService.js). Callers check who may submit and
+ * when; this only does the marking and the bookkeeping.
+ */
+
+import Attempt from '../models/Attempt.js';
+import Submission from '../models/Submission.js';
+import Violation from '../models/Violation.js';
+import { updateTrustScore } from './trustScore.js';
+import { scoreAnswers, rubricTotal } from './scoring.js';
+import { toCanonicalAnswers } from './shuffle.js';
+import connectionManager from './ConnectionManager.js';
+
+/**
+ * Score and store the attempt, then mark it submitted.
+ * @param {Exam} exam
+ * @param {Attempt} attempt
+ * @param {object} [displayAnswers] - as shown to the student; defaults to the autosaved answers
+ * @returns {Promise<{ submission: Submission, result: object }>} result is what the student may see
+ */
+export async function submitAttempt(exam, attempt, displayAnswers) {
+    // Answers arrive in the student's shuffled view — score and store canonically
+    const answers = toCanonicalAnswers(displayAnswers ?? Object.fromEntries(attempt.answers), attempt, exam.questions);
+
+    // Free-text answers are stored as-is, within a sane size
+    exam.questions.forEach((q, index) => {
+        if (q.type === 'subjective' && typeof answers[index] === 'string') {
+            answers[index] = answers[index].slice(0, Attempt.MAX_TEXT_ANSWER_LENGTH);
+        }
+    });
+
+    // Calculate Score (per question type — see services/scoring.js)
+    const scored = scoreAnswers(exam.questions, answers, exam.markingScheme);
+    const { score, totalMarks, pendingIndices } = scored;
+    let { correctCount, partialCount, incorrectCount } = scored;
+
+    // Answered subjective questions go to the manual grading queue
+    const manualGrades = pendingIndices.map((index) => {
+        const q = exam.questions[index];
+        return { questionId: q.id, questionIndex: index, maxMarks: rubricTotal(q.rubric) };
+    });
+    const resultStatus = manualGrades.length ? 'pending' : 'final';
+
+    // Freeze the proctoring record as it stands at submit time
+    const [flags, trust] = await Promise.all([
+        Violation.summarize(exam._id, attempt.student),
+        updateTrustScore(exam._id, attempt.student),
+    ]);
+
+    let submission;
+    try {
+        submission = await Submission.create({
+            exam: exam._id,
+            student: attempt.student,
+            answers,
+            score,
+            autoScore: score,
+            totalMarks,
+            resultStatus,
+            manualGrades,
+            flags: flags.count,
+            flagSeverity: flags.severity,
+            trustScore: trust.score,
+            submittedAt: new Date(),
+        });
+    } catch (error) {
+        // The student's submit racing a proctor's force-submit — the unique index picks
+        // a winner, and both callers report the submission that landed
+        if (error.code !== 11000) throw error;
+        submission = await Submission.findOne({ exam: exam._id, student: attempt.student });
+        ({ correctCount, partialCount, incorrectCount } =
+            scoreAnswers(exam.questions, Object.fromEntries(submission.answers), exam.markingScheme));
+    }
+
+    attempt.status = 'submitted';
+    attempt.submittedAt = submission.submittedAt;
+    attempt.pausedAt = null;
+    await attempt.save();
+    connectionManager.removeTethers(exam._id, attempt.student);
+
+    return {
+        submission,
+        result: {
+            resultStatus: submission.resultStatus,
+            score: submission.resultStatus === 'final' ? submission.score : null,
+            totalMarks: submission.totalMarks,
+            correctCount,
+            partialCount,
+            incorrectCount,
+            pendingCount: submission.manualGrades.length,
+        },
+    };
+}
@@ -0,0 +1,135 @@
+/**
+ * Trust Score — 0–100 integrity score per attempt.
+ *
+ * Starts at 100; every stored violation a proctor hasn't dismissed takes off
+ *
+ *   weight(type) × confidence × (1 + repeatFactor × earlierSameType)
+ *
+ * where earlierSameType counts violations of the same type in the
+ * preceding repeatWindowSeconds, so a burst costs more than scattered
+ * one-offs. Time is when the server stored each violation (createdAt),
+ * not the device's timestamp, which a client could spread out.
+ * Tether dropouts ('tether_lost') use their own weight.
+ *
+ * Exams store only overrides (exam.trustWeights); anything unset falls
+ * back to DEFAULT_TRUST_WEIGHTS.
+ */
+
+import Exam from '../models/Exam.js';
+import Attempt from '../models/Attempt.js';
+import Violation, { NOT_DISMISSED } from '../models/Violation.js';
+
+export const TETHER_DROPOUT_TYPE = 'tether_lost';
+
+export const DEFAULT_TRUST_WEIGHTS = {
+    // Points lost for one full-confidence violation of each type
+    types: {
+        phone_detected: 15,
+        multiple_faces: 20,
+        no_face: 8,
+        looking_away: 4,
+        talking_detected: 6,
+        tab_switch: 6,
+        fullscreen_exit: 6,
+        window_blur: 3,
+        copy_paste: 8,
+        context_menu: 2,
+        multiple_monitors: 10,
+        second_device: 20,
+        motion_detected: 4,
+        camera_blocked: 15,
+        lighting_change: 3,
+        phone_moved: 8,
+        phone_handled: 10,
+    },
+    defaultWeight: 5, // Types not listed above
+    repeatFactor: 0.5,
+    repeatWindowSeconds: 120,
+    tetherDropout: 10,
+};
+
+/**
+ * Merge an exam's overrides onto the defaults.
+ * @param {object} [overrides] - exam.trustWeights (Mongoose subdoc or plain object)
+ */
+export function resolveTrustWeights(overrides) {
+    const plain = overrides?.toObject ? overrides.toObject() : overrides || {};
+    const types = plain.types instanceof Map ? Object.fromEntries(plain.types) : plain.types || {};
+
+    const scalars = Object.fromEntries(
+        ['defaultWeight', 'repeatFactor', 'repeatWindowSeconds', 'tetherDropout']
+            .filter((key) => typeof plain[key] === 'number')
+            .map((key) => [key, plain[key]])
+    );
+
+    return {
+        ...DEFAULT_TRUST_WEIGHTS,
+        ...scalars,
+        types: { ...DEFAULT_TRUST_WEIGHTS.types, ...types },
+    };
+}
+
+const weightFor = (type, weights) => {
+    if (type === TETHER_DROPOUT_TYPE) return weights.tetherDropout;
+    return weights.types[type] ?? weights.defaultWeight;
+};
+
+/**
+ * Score a set of violations.
+ * @param {object[]} violations - { type, confidence, createdAt }
+ * @param {object} weights      - resolved weights
+ * @returns {{ score: number, penalty: number, byType: object }}
+ */
+export function computeTrustScore(violations, weights) {
+    const sorted = [...violations].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const windowMs = weights.repeatWindowSeconds * 1000;
+    const seen = {}; // type → timestamps (ms) so far
+    const byType = {};
+    let penalty = 0;
+
+    for (const v of sorted) {
+        const at = new Date(v.createdAt).getTime();
+        const earlier = (seen[v.type] || []).filter((t) => at - t <= windowMs).length;
+        const confidence = typeof v.confidence === 'number' ? v.confidence : 1;
+
+        const cost = weightFor(v.type, weights) * confidence * (1 + weights.repeatFactor * earlier);
+        penalty += cost;
+
+        seen[v.type] = [...(seen[v.type] || []), at];
+        byType[v.type] = byType[v.type] || { count: 0, penalty: 0 };
+        byType[v.type].count += 1;
+        byType[v.type].penalty += cost;
+    }
+
+    Object.values(byType).forEach((t) => { t.penalty = Math.round(t.penalty * 10) / 10; });
+
+    return {
+        score: Math.max(0, Math.round(100 - penalty)),
+        penalty: Math.round(penalty * 10) / 10,
+        byType,
+    };
+}
+
+/**
+ * Recompute one student's score from stored violations and save it on the attempt.
+ * @param {string} examId
+ * @param {string} studentId
+ * @param {object} [options]
+ * @param {boolean} [options.anyStatus] - also rewrite a finished attempt (proctor reviews)
+ * @returns {Promise<{ score: number, penalty: number, byType: object }>}
+ */
+export async function updateTrustScore(examId, studentId, { anyStatus = false } = {}) {
+    const [exam, violations] = await Promise.all([
+        Exam.findById(examId).select('trustWeights'),
+        Violation.find({ exam: examId, student: studentId, ...NOT_DISMISSED }).select('type confidence createdAt'),
+    ]);
+
+    const result = computeTrustScore(violations, resolveTrustWeights(exam?.trustWeights));
+
+    await Attempt.updateOne(
+        { exam: examId, student: studentId, ...(anyStatus ? {} : { status: 'in_progress' }) },
+        { $set: { trustScore: result.score } }
+    );
+
+    return result;
+}
@@ -7,17 +7,38 @@
  * 
  * Each namespace has its own connection handlers. Rooms are used
  * within /exam to scope events per exam session (exam:<examId>).
+ * On /admin, monitor:<examId> carries the exam's chat inbox.
  */
 
 import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import connectionManager from './services/ConnectionManager.js';
+import pairingService from './services/PairingService.js';
 import examHandler from './socket/examHandler.js';
 import mobileHandler from './socket/mobileHandler.js';
+import rtcHandler from './socket/rtcHandler.js';
+import chatHandler, { adminChatHandler } from './socket/chatHandler.js';
 import { EXAM_STATE, EXAM_USER_LEFT } from './constants/events.js';
 
+/**
+ * Handshake auth. Accepts:
+ *  - { token }         login JWT, or a phone's device-scoped resume JWT
+ *  - { pairingToken }  single-use code from the laptop's QR (phones only;
+ *                      consumed by MOBILE_JOIN, see PairingService)
+ * Phones carry socket.user.scope ('pairing' | 'device') and are kept out of
+ * laptop-only events.
+ */
 function socketAuthMiddleware(socket, next) {
-    const token = socket.handshake.auth?.token;
+    const { token, pairingToken } = socket.handshake.auth || {};
+
+    if (pairingToken) {
+        const session = pairingService.peekToken(pairingToken);
+        if (!session) {
+            return next(new Error('Pairing code expired — refresh the QR on your laptop'));
+        }
+        socket.user = { userId: session.studentId, role: 'student', scope: 'pairing', pairingToken };
+        return next();
+    }
 
     if (!token) {
         return next(new Error('Authentication required — provide token in handshake auth'));
@@ -26,6 +47,14 @@ function socketAuthMiddleware(socket, next) {
     try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         socket.user = { userId: decoded.userId, role: decoded.role };
+        if (decoded.scope === 'device') {
+            Object.assign(socket.user, {
+                scope: 'device',
+                sessionId: decoded.sessionId,
+                deviceId: decoded.deviceId,
+                epoch: decoded.epoch ?? 0,
+            });
+        }
         next();
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
@@ -58,6 +87,8 @@ export function initSocket(httpServer) {
         // Attach modules
         examHandler(examNamespace, socket);
         mobileHandler(examNamespace, socket);
+        rtcHandler(examNamespace, socket);
+        chatHandler(examNamespace, socket);
 
         socket.on('disconnect', (reason) => {
             console.log(`📡 [/exam] Disconnected: ${socket.id} (${reason})`);
@@ -99,8 +130,8 @@ export function initSocket(httpServer) {
             message: 'Admin connected — receiving live updates',
         });
 
-        // TODO: Admin monitor rooms logic if needed
-        // e.g. socket.join('monitor:<examId>') 
+        // Chat inbox — joins monitor:<examId> on this namespace (CHAT_JOIN)
+        adminChatHandler(adminNamespace, socket);
 
         socket.on('disconnect', (reason) => {
             console.log(`🛡️  [/admin] Disconnected: ${socket.id} (${reason})`);
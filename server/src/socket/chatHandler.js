@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import { CHAT_JOIN, CHAT_SEND, CHAT_READ } from '../constants/events.js';
+import connectionManager from '../services/ConnectionManager.js';
+import chatService from '../services/ChatService.js';
+import Exam from '../models/Exam.js';
+import { isPlainObject, toAck } from './payload.js';
+
+// A student can't send faster than this (Enter held down, double submits)
+const STUDENT_SEND_INTERVAL_MS = 1000;
+
+// /exam — the student's side, from the exam room laptop
+export default (io, socket) => {
+    // CHAT_SEND: Student writes to the proctors
+    // Payload: { body } — acked with { success, message }
+    socket.on(CHAT_SEND, async (payload, callback) => {
+        const ack = toAck(callback);
+        const user = connectionManager.getUser(socket.id);
+        if (!user?.examId || socket.user.role !== 'student' || socket.user.scope) {
+            return ack({ success: false, message: 'Join the exam first' });
+        }
+        if (!isPlainObject(payload)) {
+            return ack({ success: false, message: 'Invalid payload' });
+        }
+
+        const now = Date.now();
+        if (now - (socket.data.lastChatAt || 0) < STUDENT_SEND_INTERVAL_MS) {
+            return ack({ success: false, message: 'Slow down' });
+        }
+        socket.data.lastChatAt = now;
+
+        try {
+            const exam = mongoose.isValidObjectId(user.examId)
+                && (await Exam.findOne({ _id: user.examId, participants: user.userId }).select('status'));
+            if (!exam || exam.status !== 'live') {
+                return ack({ success: false, message: 'Chat is open while the exam is live' });
+            }
+
+            const message = await chatService.send({
+                examId: user.examId,
+                studentId: user.userId,
+                senderId: user.userId,
+                senderRole: 'student',
+                body: payload.body,
+            });
+            ack(message ? { success: true, message: message.toPayload() } : { success: false, message: 'Empty message' });
+        } catch (error) {
+            console.error(`Chat send failed for ${socket.id}:`, error.message);
+            ack({ success: false, message: 'Server error' });
+        }
+    });
+
+    // CHAT_READ: Student has seen the proctors' replies
+    socket.on(CHAT_READ, async () => {
+        const user = connectionManager.getUser(socket.id);
+        if (!user?.examId || socket.user.role !== 'student' || socket.user.scope) return;
+
+        try {
+            await chatService.markRead(user.examId, user.userId, 'student');
+        } catch (error) {
+            console.error(`Chat read failed for ${socket.id}:`, error.message);
+        }
+    });
+};
+
+// /admin — the proctors' inbox
+export function adminChatHandler(io, socket) {
+    // Exams this proctor may read and answer (joined through CHAT_JOIN)
+    const joined = (socket.data.chatExams ||= new Set());
+
+    // CHAT_JOIN: Start receiving an exam's chat — acked with { success }; history is REST (routes/chat.routes.js)
+    socket.on(CHAT_JOIN, async (payload, callback) => {
+        const ack = toAck(callback);
+        try {
+            if (!isPlainObject(payload)) return ack({ success: false, message: 'Invalid payload' });
+            const { examId } = payload;
+
+            const owned = mongoose.isValidObjectId(examId)
+                && (await Exam.exists({ _id: examId, createdBy: socket.user.userId }));
+            if (!owned) return ack({ success: false, message: 'Exam not found' });
+
+            joined.add(String(examId));
+            socket.join(`monitor:${examId}`);
+            ack({ success: true });
+        } catch (error) {
+            console.error(`Chat join failed for ${socket.id}:`, error.message);
+            ack({ success: false, message: 'Server error' });
+        }
+    });
+
+    // CHAT_SEND: Proctor replies in a student's thread
+    // Payload: { examId, studentId, body } — acked with { success, message }
+    socket.on(CHAT_SEND, async (payload, callback) => {
+        const ack = toAck(callback);
+        try {
+            if (!isPlainObject(payload)) return ack({ success: false, message: 'Invalid payload' });
+            const { examId, studentId, body } = payload;
+            if (!joined.has(String(examId)) || !mongoose.isValidObjectId(studentId)) {
+                return ack({ success: false, message: 'Open the exam inbox first' });
+            }
+
+            const exam = await Exam.findOne({ _id: examId, participants: studentId }).select('status');
+            if (!exam) return ack({ success: false, message: 'Student is not in this exam' });
+            if (exam.status !== 'live') return ack({ success: false, message: 'Chat is open while the exam is live' });
+
+            const message = await chatService.send({
+                examId,
+                studentId,
+                senderId: socket.user.userId,
+                senderRole: 'admin',
+                body,
+            });
+            if (!message) return ack({ success: false, message: 'Empty message' });
+
+            // Replying means the proctor has read the thread
+            await chatService.markRead(examId, studentId, 'admin');
+            ack({ success: true, message: message.toPayload() });
+        } catch (error) {
+            console.error(`Chat reply failed for ${socket.id}:`, error.message);
+            ack({ success: false, message: 'Server error' });
+        }
+    });
+
+    // CHAT_READ: Proctor opened a student's thread
+    socket.on(CHAT_READ, async (payload) => {
+        try {
+            if (!isPlainObject(payload)) return;
+            const { examId, studentId } = payload;
+            if (!joined.has(String(examId)) || !mongoose.isValidObjectId(studentId)) return;
+
+            await chatService.markRead(examId, studentId, 'admin');
+        } catch (error) {
+            console.error(`Chat read failed for ${socket.id}:`, error.message);
+        }
+    });
+}
@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import {
     JOIN_EXAM,
     LEAVE_EXAM,
@@ -5,21 +6,137 @@ import {
     EXAM_END,
     EXAM_STATE,
     EXAM_USER_JOINED,
-    EXAM_USER_LEFT
+    EXAM_USER_LEFT,
+    EXAM_TIME_SYNC,
+    EXAM_RESUME,
+    EXAM_ANNOUNCEMENTS,
+    ANSWER_SAVE,
+    LAPTOP_VIOLATION
 } from '../constants/events.js';
 import connectionManager from '../services/ConnectionManager.js';
+import violationService from '../services/ViolationService.js';
+import Attempt from '../models/Attempt.js';
+import Exam from '../models/Exam.js';
+import Announcement from '../models/Announcement.js';
+import { isPlainObject, toAck } from './payload.js';
+
+// How often a joined student gets a fresh deadline from the server
+const TIME_SYNC_INTERVAL_MS = 30 * 1000;
+
+// Browser integrity signals the exam room may report (client/src/services/integrity.js),
+// with the severity each is stored at — these are certain, so confidence can't grade them
+const LAPTOP_VIOLATION_SEVERITY = {
+    tab_switch: 'medium',
+    window_blur: 'low',
+    fullscreen_exit: 'medium',
+    copy_paste: 'high',
+    context_menu: 'low',
+    multiple_monitors: 'high',
+};
+
+// Same type from the same socket inside this window is dropped (blur + visibility fire together)
+const LAPTOP_VIOLATION_COOLDOWN_MS = 2000;
+
+/**
+ * Push the student's authoritative deadline + server clock.
+ * Silent no-op until the attempt exists (first question fetch).
+ */
+async function emitTimeSync(socket, examId) {
+    try {
+        const attempt = await Attempt.findOne({ exam: examId, student: socket.user.userId });
+        if (!attempt) return;
+
+        socket.emit(EXAM_TIME_SYNC, {
+            examId,
+            status: attempt.status,
+            deadline: attempt.deadline,
+            remainingMs: attempt.getRemainingMs(),
+            paused: !!attempt.pausedAt,
+            serverTime: Date.now(),
+        });
+    } catch (error) {
+        console.error(`Time sync failed for ${socket.id}:`, error.message);
+    }
+}
+
+/**
+ * Send a rejoining student everything needed to pick up where they left off.
+ * Silent no-op until the attempt exists or once it's submitted.
+ */
+async function emitResume(socket, examId) {
+    try {
+        const attempt = await Attempt.findOne({ exam: examId, student: socket.user.userId });
+        if (!attempt || attempt.status !== 'in_progress') return;
+
+        socket.emit(EXAM_RESUME, { examId, ...attempt.toResumeState() });
+    } catch (error) {
+        console.error(`Resume failed for ${socket.id}:`, error.message);
+    }
+}
+
+/**
+ * Replay every announcement and erratum so late joiners and reconnects
+ * see what the room has already been told. Participants only.
+ */
+async function emitAnnouncements(socket, examId) {
+    try {
+        const exam = await Exam.exists({ _id: examId, participants: socket.user.userId });
+        if (!exam) return;
+
+        socket.emit(EXAM_ANNOUNCEMENTS, { examId, announcements: await Announcement.forExam(examId) });
+    } catch (error) {
+        console.error(`Announcement replay failed for ${socket.id}:`, error.message);
+    }
+}
+
+/**
+ * Accept only shapes the answer inputs produce: an option index, a list of
+ * option indices, or text. Returns undefined for "cleared", null if invalid.
+ */
+function normalizeAnswer(answer) {
+    if (answer === undefined || answer === null || answer === '') return undefined;
+    if (Number.isInteger(answer) && answer >= 0) return answer;
+    if (Array.isArray(answer)) {
+        if (!answer.every((o) => Number.isInteger(o) && o >= 0)) return null;
+        return answer.length ? answer : undefined;
+    }
+    if (typeof answer === 'string') return answer.slice(0, Attempt.MAX_TEXT_ANSWER_LENGTH);
+    return null;
+}
 
 export default (io, socket) => {
     // JOIN_EXAM: Student joins an exam room
-    socket.on(JOIN_EXAM, ({ examId, device = 'laptop' }) => {
+    socket.on(JOIN_EXAM, async (payload) => {
         // authenticated userId
         const userId = socket.user.userId;
 
+        // Paired phones live in their session room only (mobileHandler)
+        if (socket.user.scope) {
+            socket.emit('error', { message: 'Phones cannot join the exam room' });
+            return;
+        }
+
+        const { examId, device = 'laptop' } = isPlainObject(payload) ? payload : {};
         if (!examId) {
             socket.emit('error', { message: 'examId is required' });
             return;
         }
 
+        // Proctors only see the monitor feed (violations, tethers, actions) of their own exams
+        if (socket.user.role === 'admin') {
+            try {
+                const owned = mongoose.isValidObjectId(examId)
+                    && (await Exam.exists({ _id: examId, createdBy: userId }));
+                if (!owned) {
+                    socket.emit('error', { message: 'Exam not found' });
+                    return;
+                }
+            } catch (error) {
+                console.error(`Monitor join failed for ${socket.id}:`, error.message);
+                return;
+            }
+        }
+
         const roomName = `exam:${examId}`;
 
         // Register in connection manager
@@ -30,8 +147,11 @@ export default (io, socket) => {
             device,
         });
 
-        // Join the exam room
+        // Join the exam room; proctors also get the violation feed
         socket.join(roomName);
+        if (socket.user.role === 'admin') {
+            socket.join(`monitor:${examId}`);
+        }
 
         console.log(`📝 [/exam] ${userId} (${device}) joined room ${roomName}`);
 
@@ -46,6 +166,17 @@ export default (io, socket) => {
                 device: u.device,
                 connectedAt: u.connectedAt,
             })),
+            // Phone health per student — proctors only
+            tethers: socket.user.role === 'admin'
+                ? connectionManager.getTethersByExam(examId).map((t) => ({
+                    studentId: t.studentId,
+                    sessionId: t.sessionId,
+                    status: t.status,
+                    issues: t.issues,
+                    battery: t.health.battery || null,
+                    lastHeartbeatAt: t.lastHeartbeatAt,
+                }))
+                : undefined,
             message: `Joined exam ${examId}`,
         });
 
@@ -56,6 +187,130 @@ export default (io, socket) => {
             examId,
             connectedAt: Date.now(),
         });
+
+        // Keep the student's countdown anchored to the server clock
+        if (socket.user.role === 'student') {
+            emitResume(socket, examId);
+            emitAnnouncements(socket, examId);
+            clearInterval(socket.data.timeSyncTimer);
+            emitTimeSync(socket, examId);
+            socket.data.timeSyncTimer = setInterval(() => emitTimeSync(socket, examId), TIME_SYNC_INTERVAL_MS);
+        }
+    });
+
+    // EXAM_TIME_SYNC: Client asks for its deadline (e.g. right after questions load)
+    socket.on(EXAM_TIME_SYNC, () => {
+        const user = connectionManager.getUser(socket.id);
+        if (user?.examId) emitTimeSync(socket, user.examId);
+    });
+
+    // ANSWER_SAVE: Persist one answer change (and/or the current question) to the attempt
+    // Payload: { questionIndex?, answer?, currentQuestion? } — indices as displayed to the student
+    socket.on(ANSWER_SAVE, async (payload, callback) => {
+        const ack = toAck(callback);
+        const user = connectionManager.getUser(socket.id);
+        if (!user?.examId || socket.user.role !== 'student' || socket.user.scope) {
+            return ack({ success: false, message: 'Join the exam first' });
+        }
+
+        try {
+            if (!isPlainObject(payload)) {
+                return ack({ success: false, message: 'Invalid payload' });
+            }
+            const { questionIndex, answer, currentQuestion } = payload;
+
+            const exam = await Exam.findById(user.examId).select('status gracePeriodSeconds questions._id');
+            if (!exam || exam.status !== 'live') {
+                return ack({ success: false, message: 'Exam is not live' });
+            }
+
+            const attempt = await Attempt.findOne({ exam: exam._id, student: user.userId });
+            if (!attempt || attempt.status !== 'in_progress') {
+                return ack({ success: false, message: 'No attempt in progress' });
+            }
+            if (attempt.pausedAt) {
+                return ack({ success: false, message: 'Paused by the proctor' });
+            }
+            if (!attempt.acceptsSubmission(exam.gracePeriodSeconds)) {
+                return ack({ success: false, message: 'Time is up' });
+            }
+
+            const inRange = (i) => Number.isInteger(i) && i >= 0 && i < exam.questions.length;
+            const savedAt = new Date();
+            const update = { $set: { lastSavedAt: savedAt } };
+
+            if (questionIndex !== undefined) {
+                const value = normalizeAnswer(answer);
+                if (!inRange(questionIndex) || value === null) {
+                    return ack({ success: false, message: 'Invalid answer' });
+                }
+                if (value === undefined) {
+                    update.$unset = { [`answers.${questionIndex}`]: '' };
+                } else {
+                    update.$set[`answers.${questionIndex}`] = value;
+                }
+            }
+            if (inRange(currentQuestion)) {
+                update.$set.currentQuestion = currentQuestion;
+            }
+
+            // Guard on status and pause so a save racing the submit or a pause can't land afterwards
+            const { matchedCount } = await Attempt.updateOne(
+                { _id: attempt._id, status: 'in_progress', pausedAt: null },
+                update
+            );
+            if (!matchedCount) {
+                return ack({ success: false, message: 'No attempt in progress' });
+            }
+
+            ack({ success: true, questionIndex, savedAt });
+        } catch (error) {
+            console.error(`Answer save failed for ${socket.id}:`, error.message);
+            ack({ success: false, message: 'Server error' });
+        }
+    });
+
+    // LAPTOP_VIOLATION: Browser integrity signal from the exam room
+    // Payload: { type, detail?, confidence?, timestamp? }
+    // Acked with { success, id } so the laptop can upload a webcam frame for it
+    socket.on(LAPTOP_VIOLATION, async (payload, callback) => {
+        const ack = toAck(callback);
+        const user = connectionManager.getUser(socket.id);
+        if (!user?.examId || socket.user.role !== 'student' || socket.user.scope) {
+            return ack({ success: false, message: 'Join the exam first' });
+        }
+        if (!isPlainObject(payload)) {
+            return ack({ success: false, message: 'Invalid payload' });
+        }
+
+        const { type, detail, confidence, timestamp } = payload;
+        if (!Object.hasOwn(LAPTOP_VIOLATION_SEVERITY, type)) {
+            return ack({ success: false, message: 'Unknown violation type' });
+        }
+
+        const lastSeen = (socket.data.lastLaptopViolation ||= {});
+        const now = Date.now();
+        if (now - (lastSeen[type] || 0) < LAPTOP_VIOLATION_COOLDOWN_MS) {
+            return ack({ success: false, message: 'Already reported' });
+        }
+        lastSeen[type] = now;
+
+        try {
+            const violation = await violationService.record({
+                examId: user.examId,
+                studentId: user.userId,
+                type,
+                detail,
+                confidence: typeof confidence === 'number' ? Math.min(Math.max(confidence, 0), 1) : 1,
+                severity: LAPTOP_VIOLATION_SEVERITY[type],
+                source: 'laptop',
+                timestamp,
+            });
+            ack(violation ? { success: true, id: violation._id } : { success: false, message: 'Not recorded' });
+        } catch (error) {
+            console.error(`Laptop violation save failed for ${socket.id}:`, error.message);
+            ack({ success: false, message: 'Server error' });
+        }
     });
 
     // LEAVE_EXAM
@@ -70,7 +325,13 @@ export default (io, socket) => {
                 examId: user.examId
             });
             socket.leave(roomName);
+            socket.leave(`monitor:${user.examId}`);
         }
+        clearInterval(socket.data.timeSyncTimer);
+    });
+
+    socket.on('disconnect', () => {
+        clearInterval(socket.data.timeSyncTimer);
     });
 
     // ADMIN CONTROLS (Protected by role check in socket.js middleware)
@@ -1,51 +1,227 @@
 import {
     MOBILE_JOIN,
     MOBILE_CONNECTED,
-    VIOLATION_ALERT,
-    VIOLATION_DETECTED
+    MOBILE_PAIRED,
+    MOBILE_PAIR_REJECTED,
+    EXAM_USER_JOINED,
+    TETHER_HEARTBEAT,
+    AUDIO_LEVEL,
+    PLACEMENT_STATUS,
+    VIOLATION_ALERT
 } from '../constants/events.js';
+import Exam from '../models/Exam.js';
+import RoomScan from '../models/RoomScan.js';
+import IdentityCheck from '../models/IdentityCheck.js';
+import connectionManager from '../services/ConnectionManager.js';
+import pairingService from '../services/PairingService.js';
+import tetherMonitor from '../services/TetherMonitor.js';
+import violationService from '../services/ViolationService.js';
+import { isPlainObject, toAck } from './payload.js';
+
+// Level updates faster than this are dropped (the phone sends ~1/s)
+const AUDIO_LEVEL_MIN_INTERVAL_MS = 500;
 
 export default (io, socket) => {
-    // MOBILE_JOIN: Mobile device joins a session room
-    socket.on(MOBILE_JOIN, (sessionId) => {
-        if (!sessionId) return;
-        const room = `session:${sessionId}`;
+    // A phone whose heartbeat went silent no longer holds the pairing, even if its socket lingers
+    const isConnected = (socketId, session) =>
+        io.sockets.has(socketId) && connectionManager.getTether(session.sessionId)?.status !== 'lost';
+
+    // Redeem the QR's pairing token, or re-attach with a device resume token
+    const pair = (deviceId) => {
+        const device = {
+            deviceId,
+            socketId: socket.id,
+            userAgent: socket.handshake.headers['user-agent'],
+        };
+
+        if (socket.user.scope === 'pairing') {
+            return pairingService.redeem(socket.user.pairingToken, device, isConnected);
+        }
+
+        if (socket.user.scope === 'device') {
+            const session = pairingService.getSession(socket.user.sessionId);
+            if (!session || socket.user.epoch !== session.epoch) {
+                return { error: 'Pairing expired — scan the QR on your laptop again' };
+            }
+            if (socket.user.deviceId !== deviceId) {
+                return { error: 'This pairing belongs to another phone', conflict: true, session };
+            }
+            return pairingService.attach(session, device, isConnected);
+        }
+
+        return { error: 'Scan the QR code on your laptop to pair this phone' };
+    };
+
+    // MOBILE_JOIN: Phone pairs with the student's laptop session
+    socket.on(MOBILE_JOIN, async (payload) => {
+        const { deviceId } = isPlainObject(payload) ? payload : {};
+        const { session, error, conflict, replacedSocketId } = pair(deviceId);
+
+        if (error) {
+            socket.emit(MOBILE_PAIR_REJECTED, { message: error });
+            console.warn(`📱 Pairing rejected for ${socket.id}: ${error}`);
+
+            // A second phone is worth a proctor's attention, not just a refusal
+            if (conflict) {
+                pairingService.recordRejected(session, {
+                    deviceId,
+                    userAgent: socket.handshake.headers['user-agent'],
+                });
+                try {
+                    await violationService.record({
+                        examId: session.examId,
+                        studentId: session.studentId,
+                        sessionId: session.sessionId,
+                        type: 'second_device',
+                        severity: 'high',
+                        source: 'system',
+                        detail: 'Another phone tried to pair while one is connected',
+                    });
+                } catch (err) {
+                    console.error(`Second-device flag failed for ${socket.id}:`, err.message);
+                }
+            }
+
+            socket.disconnect(true);
+            return;
+        }
+
+        const room = `session:${session.sessionId}`;
+        socket.data.sessionId = session.sessionId;
         socket.join(room);
 
-        // Notify the laptop that mobile has connected
-        io.to(room).emit(MOBILE_CONNECTED, { deviceId: socket.id });
-        console.log(`📱 Mobile ${socket.id} joined session ${room}`);
+        // A silent phone that was replaced shouldn't keep streaming into the session
+        if (replacedSocketId) {
+            io.sockets.get(replacedSocketId)?.disconnect(true);
+        }
+
+        connectionManager.addUser(socket.id, {
+            userId: session.studentId,
+            role: 'student',
+            examId: session.examId,
+            device: 'mobile',
+        });
+
+        // The phone runs the exam's microphone settings locally, leads the room scan
+        // and can photograph the student's ID
+        const [exam, scan, identity] = await Promise.all([
+            Exam.findById(session.examId).select('audioMonitoring roomScan identityVerification').catch(() => null),
+            RoomScan.findOne({ exam: session.examId, student: session.studentId }).catch(() => null),
+            IdentityCheck.findOne({ exam: session.examId, student: session.studentId }).catch(() => null),
+        ]);
+        const audio = exam?.audioMonitoring;
+
+        socket.emit(MOBILE_PAIRED, {
+            sessionId: session.sessionId,
+            examId: session.examId,
+            resumeToken: pairingService.createDeviceToken(session),
+            audio: audio
+                ? { enabled: audio.enabled, thresholdDb: audio.thresholdDb, sustainSeconds: audio.sustainSeconds }
+                : { enabled: false },
+            roomScan: {
+                required: !!exam?.roomScan?.required,
+                scan: scan ? scan.toSummary() : null,
+            },
+            identity: {
+                required: !!exam?.identityVerification?.required,
+                check: identity ? identity.toSummary() : null,
+            },
+        });
+
+        // Notify the laptop and the monitor that the phone is up
+        io.to(room).emit(MOBILE_CONNECTED, { deviceId });
+        io.to(`exam:${session.examId}`).emit(EXAM_USER_JOINED, {
+            userId: session.studentId,
+            device: 'mobile',
+            examId: session.examId,
+            connectedAt: Date.now(),
+        });
+        console.log(`📱 Mobile ${socket.id} paired to session ${room}`);
     });
 
-    // Laptop joins the same session room to listen for mobile events
-    // We can reuse MOBILE_JOIN or a specific 'session:join' event. 
-    // For simplicity, let's use the same room logic but maybe a different event if needed.
-    // Actually, the laptop generates the session ID and listens.
-    socket.on('session:join', (sessionId) => {
-        if (!sessionId) return;
-        const room = `session:${sessionId}`;
-        socket.join(room);
-        console.log(`💻 Laptop ${socket.id} joined session ${room}`);
+    // TETHER_HEARTBEAT: Paired phone reports it's alive and watching
+    socket.on(TETHER_HEARTBEAT, (health) => {
+        // health: { cameraLive, visible, wakeLock, battery: { level, charging } }
+        const session = pairingService.getSession(socket.data.sessionId);
+        if (!session || session.mobile?.socketId !== socket.id || !isPlainObject(health)) return;
+
+        const wasLost = connectionManager.getTether(session.sessionId)?.status === 'lost';
+        const { tether, changed } = connectionManager.recordHeartbeat(session.sessionId, {
+            examId: session.examId,
+            studentId: session.studentId,
+            socketId: socket.id,
+            health: {
+                cameraLive: health.cameraLive !== false,
+                visible: health.visible !== false,
+                wakeLock: health.wakeLock,
+                battery: health.battery || null,
+            },
+        });
+
+        if (changed || wasLost) tetherMonitor.broadcast(tether);
     });
 
-    // VIOLATION_ALERT: Mobile sends a violation
-    socket.on(VIOLATION_ALERT, (data) => {
-        // data: { sessionId, violation, confidence, timestamp, examId }
-        const { sessionId, ...rest } = data;
-        const room = `session:${sessionId}`;
-
-        // Forward to laptop
-        io.to(room).emit(VIOLATION_DETECTED, rest);
-
-        // Forward to Admin Monitor if examId is present
-        if (data.examId) {
-            // We assume admin joins room `monitor:${examId}`
-            io.to(`monitor:${data.examId}`).emit(VIOLATION_DETECTED, {
-                sessionId,
-                userId: socket.user ? socket.user.userId : 'anonymous-mobile', // Mobile might not be auth'd as user yet? 
-                // Actually mobile should be auth'd ideally, but for now it might just have the token from QR.
-                ...rest
+    // AUDIO_LEVEL: Rolling microphone level for the proctor's roster (never stored)
+    socket.on(AUDIO_LEVEL, (payload) => {
+        const session = pairingService.getSession(socket.data.sessionId);
+        if (!session || session.mobile?.socketId !== socket.id) return;
+        if (!isPlainObject(payload) || !Number.isFinite(payload.level)) return;
+        const { level, speaking } = payload;
+
+        const now = Date.now();
+        if (now - (socket.data.lastAudioLevelAt || 0) < AUDIO_LEVEL_MIN_INTERVAL_MS) return;
+        socket.data.lastAudioLevelAt = now;
+
+        io.to(`monitor:${session.examId}`).emit(AUDIO_LEVEL, {
+            examId: session.examId,
+            studentId: session.studentId,
+            level: Math.max(-100, Math.min(0, level)),
+            speaking: !!speaking,
+        });
+    });
+
+    // PLACEMENT_STATUS: Phone confirmed its placement, or moved off it — the laptop prompts the student
+    socket.on(PLACEMENT_STATUS, (payload) => {
+        const session = pairingService.getSession(socket.data.sessionId);
+        if (!session || session.mobile?.socketId !== socket.id || !isPlainObject(payload)) return;
+        const { placed, displaced } = payload;
+
+        io.to(`session:${session.sessionId}`).emit(PLACEMENT_STATUS, {
+            sessionId: session.sessionId,
+            placed: !!placed,
+            displaced: !!displaced,
+        });
+    });
+
+    // VIOLATION_ALERT: Paired phone sends a violation — stored, relayed to laptop + monitor,
+    // then checked against the exam's violation rules (services/RulesEngine.js).
+    // Acked with { success, id }; the phone then uploads its snapshot to /api/evidence.
+    socket.on(VIOLATION_ALERT, async (data, callback) => {
+        // data: { violation, confidence, timestamp, detail? } — severity is the server's call
+        const ack = toAck(callback);
+        const session = pairingService.getSession(socket.data.sessionId);
+        if (!session || session.mobile?.socketId !== socket.id) {
+            return ack({ success: false, message: 'Not paired' });
+        }
+        if (!isPlainObject(data) || !data.violation) {
+            return ack({ success: false, message: 'Invalid payload' });
+        }
+
+        try {
+            const violation = await violationService.record({
+                examId: session.examId,
+                studentId: session.studentId,
+                sessionId: session.sessionId,
+                type: data.violation,
+                confidence: data.confidence,
+                source: 'mobile',
+                timestamp: data.timestamp,
+                detail: data.detail,
             });
+            ack(violation ? { success: true, id: violation._id } : { success: false, message: 'Not recorded' });
+        } catch (error) {
+            console.error(`Violation save failed for ${socket.id}:`, error.message);
+            ack({ success: false, message: 'Server error' });
         }
     });
 };
@@ -0,0 +1,11 @@
+/**
+ * Socket payload guards — a client can emit anything, including null or
+ * a non-function where the ack callback should be, and a throw inside a
+ * listener takes the whole process down.
+ */
+
+export const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The client's ack callback, or a no-op when it didn't send a usable one
+export const toAck = (ack) => (typeof ack === 'function' ? ack : () => {});
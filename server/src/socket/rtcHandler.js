@@ -0,0 +1,56 @@
+import {
+    RTC_VIEW_REQUEST,
+    RTC_OFFER,
+    RTC_ANSWER,
+    RTC_ICE_CANDIDATE,
+    RTC_VIEW_STOP
+} from '../constants/events.js';
+import connectionManager from '../services/ConnectionManager.js';
+import { isPlainObject } from './payload.js';
+
+// Signaling only — media flows peer to peer (host candidates on a LAN, no TURN)
+export default (io, socket) => {
+    // Socket ids this socket may exchange signaling with; set when a view is brokered
+    const peers = (socket.data.rtcPeers ||= new Set());
+
+    // RTC_VIEW_REQUEST: Proctor asks a student's laptop or phone to start streaming
+    socket.on(RTC_VIEW_REQUEST, (payload) => {
+        if (!isPlainObject(payload)) return;
+        const { viewId, examId, studentId, device = 'laptop' } = payload;
+        if (socket.user.role !== 'admin' || !socket.rooms.has(`monitor:${examId}`)) {
+            socket.emit(RTC_VIEW_STOP, { viewId, reason: 'Join the exam monitor first' });
+            return;
+        }
+
+        const target = connectionManager
+            .getUsersByExam(examId)
+            .find((u) => u.userId === String(studentId) && u.device === device);
+        const targetSocket = target && io.sockets.get(target.socketId);
+        if (!targetSocket) {
+            socket.emit(RTC_VIEW_STOP, { viewId, reason: `${device} not connected` });
+            return;
+        }
+
+        peers.add(targetSocket.id);
+        (targetSocket.data.rtcPeers ||= new Set()).add(socket.id);
+        targetSocket.emit(RTC_VIEW_REQUEST, { viewId, from: socket.id });
+    });
+
+    // Offer / answer / ICE / stop: forwarded verbatim between brokered peers
+    [RTC_OFFER, RTC_ANSWER, RTC_ICE_CANDIDATE, RTC_VIEW_STOP].forEach((event) => {
+        socket.on(event, (message) => {
+            if (!isPlainObject(message) || !peers.has(message.to)) return;
+            const { to, ...payload } = message;
+            io.to(to).emit(event, { ...payload, from: socket.id });
+        });
+    });
+
+    // Tell the other ends so they can tear their peer connections down
+    socket.on('disconnect', () => {
+        peers.forEach((peerId) => {
+            io.to(peerId).emit(RTC_VIEW_STOP, { from: socket.id, reason: 'Peer disconnected' });
+            io.sockets.get(peerId)?.data.rtcPeers?.delete(socket.id);
+        });
+        peers.clear();
+    });
+};
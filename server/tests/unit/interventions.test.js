@@ -0,0 +1,233 @@
+/**
+ * Interventions — unit tests for services/InterventionService.js
+ * and the submit it shares with the student (services/submission.js)
+ *
+ * Run: npm test (from server/)
+ *
+ * Model statics and attempt.save() are stubbed, and the socket relays
+ * are captured instead of emitted, so no database or server is needed.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Exam from '../../src/models/Exam.js';
+import Attempt from '../../src/models/Attempt.js';
+import Submission from '../../src/models/Submission.js';
+import Violation from '../../src/models/Violation.js';
+import interventionService from '../../src/services/InterventionService.js';
+import connectionManager from '../../src/services/ConnectionManager.js';
+import pairingService from '../../src/services/PairingService.js';
+import { submitAttempt } from '../../src/services/submission.js';
+import { ATTEMPT_PAUSED, ATTEMPT_RESUMED, ATTEMPT_ENDED, PROCTOR_WARNING, PAIRING_RESET } from '../../src/constants/events.js';
+
+const MINUTE = 60 * 1000;
+
+function makeExam() {
+    return new Exam({
+        title: 'Physics',
+        startTime: new Date(Date.now() - 10 * MINUTE),
+        durationMinutes: 60,
+        markingScheme: { correct: 4, incorrect: -1 },
+        questions: [
+            { id: 'q1', type: 'single', text: 'g?', options: ['9.81', '10'], answerIndex: 0 },
+            { id: 'q2', type: 'numeric', text: 'c?', answerValue: 3 },
+        ],
+    });
+}
+
+function makeAttempt(exam, deadline = new Date(Date.now() + 30 * MINUTE)) {
+    const attempt = new Attempt({ exam: exam._id, student: new mongoose.Types.ObjectId(), deadline });
+    mock.method(attempt, 'save', async () => attempt);
+    return attempt;
+}
+
+describe('InterventionService.apply', () => {
+    let exam;
+    let attempt;
+    let toStudent;
+    let toMonitor;
+
+    beforeEach(() => {
+        exam = makeExam();
+        attempt = makeAttempt(exam);
+        toStudent = mock.method(interventionService, '_toStudent', () => {});
+        toMonitor = mock.method(interventionService, '_toMonitor', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const apply = (params) => interventionService.apply({ exam, attempt, adminId: new mongoose.Types.ObjectId(), ...params });
+
+    it('refuses what the attempt cannot take', async () => {
+        assert.deepEqual(await apply({ action: 'explode' }), { error: 'Unknown action' });
+        assert.deepEqual(await apply({ action: 'terminate', reason: '   ' }), { error: 'A reason is required' });
+        assert.deepEqual(await apply({ action: 'force_submit' }), { error: 'A reason is required' });
+        assert.deepEqual(await apply({ action: 'warn' }), { error: 'Write the warning to show the student' });
+        assert.deepEqual(await apply({ action: 'resume' }), { error: 'Attempt is not paused' });
+
+        attempt.pausedAt = new Date();
+        assert.deepEqual(await apply({ action: 'pause' }), { error: 'Attempt is already paused' });
+
+        attempt.status = 'submitted';
+        assert.deepEqual(await apply({ action: 'warn', message: 'Eyes on screen' }), { error: 'Attempt is already submitted' });
+
+        assert.equal(attempt.interventions.length, 0);
+        assert.equal(attempt.save.mock.callCount(), 0);
+        assert.equal(toStudent.mock.callCount(), 0);
+    });
+
+    it('records a warning and shows it to the student and the monitor', async () => {
+        const { state } = await apply({ action: 'warn', message: '  Eyes on screen  ' });
+
+        assert.equal(attempt.interventions.length, 1);
+        assert.equal(attempt.interventions[0].message, 'Eyes on screen');
+        assert.equal(attempt.save.mock.callCount(), 1);
+
+        const [examId, studentId, event, payload] = toStudent.mock.calls[0].arguments;
+        assert.equal(examId, exam._id);
+        assert.equal(studentId, String(attempt.student));
+        assert.equal(event, PROCTOR_WARNING);
+        assert.equal(payload.message, 'Eyes on screen');
+
+        assert.equal(toMonitor.mock.calls[0].arguments[1].action, 'warn');
+        assert.equal(state.lastAction.action, 'warn');
+        assert.equal(state.interventions, 1);
+    });
+
+    it('attaches the rule instead of a proctor when a rule fires', async () => {
+        const rule = { id: new mongoose.Types.ObjectId(), label: '3× tab_switch → warn' };
+        await interventionService.apply({ exam, attempt, rule, action: 'warn', message: 'Stay on the exam tab' });
+
+        assert.equal(attempt.interventions[0].by, null);
+        assert.equal(attempt.interventions[0].rule.label, rule.label);
+        assert.equal(toMonitor.mock.calls[0].arguments[1].rule, rule.label);
+    });
+
+    it('freezes the clock on pause and pushes the deadline out on resume', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        const deadline = attempt.deadline.getTime();
+
+        const paused = await apply({ action: 'pause', reason: 'Check the room' });
+        assert.equal(paused.state.paused, true);
+        assert.equal(toStudent.mock.calls[0].arguments[2], ATTEMPT_PAUSED);
+
+        t.mock.timers.tick(5 * MINUTE);
+        assert.equal(attempt.getRemainingMs(), deadline - attempt.pausedAt.getTime());
+
+        const resumed = await apply({ action: 'resume' });
+        assert.equal(resumed.state.paused, false);
+        assert.equal(attempt.deadline.getTime(), deadline + 5 * MINUTE);
+        assert.equal(toStudent.mock.calls[1].arguments[2], ATTEMPT_RESUMED);
+    });
+
+    it('never resumes past the end of the exam', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        attempt.deadline = exam.getEndTime();
+
+        await apply({ action: 'pause', reason: 'Check the room' });
+        t.mock.timers.tick(5 * MINUTE);
+        await apply({ action: 'resume' });
+
+        assert.equal(attempt.deadline.getTime(), exam.getEndTime().getTime());
+    });
+
+    it('terminates without a submission and drops the phone tether', async () => {
+        const create = mock.method(Submission, 'create', async () => { throw new Error('should not submit'); });
+        connectionManager.recordHeartbeat('session-t', { examId: String(exam._id), studentId: String(attempt.student), socketId: 'phone-1' });
+        attempt.pausedAt = new Date();
+
+        const { state } = await apply({ action: 'terminate', reason: 'Second person in the room' });
+
+        assert.equal(state.status, 'terminated');
+        assert.equal(state.paused, false);
+        assert.equal(attempt.endReason, 'Second person in the room');
+        assert.equal(create.mock.callCount(), 0);
+        assert.equal(connectionManager.getTether('session-t'), null);
+        assert.equal(toStudent.mock.calls[0].arguments[2], ATTEMPT_ENDED);
+    });
+
+    it('re-pairs by dropping the phone and invalidating its device tokens', async () => {
+        const session = pairingService.openSession(exam._id, attempt.student, 'laptop-1');
+        const epoch = session.epoch;
+        connectionManager.recordHeartbeat(session.sessionId, { examId: session.examId, studentId: session.studentId, socketId: 'gone' });
+
+        await apply({ action: 'repair' });
+
+        assert.equal(session.mobile, null);
+        assert.equal(session.epoch, epoch + 1);
+        assert.equal(connectionManager.getTether(session.sessionId), null);
+        assert.equal(toStudent.mock.calls[0].arguments[2], PAIRING_RESET);
+    });
+});
+
+describe('submitAttempt', () => {
+    let exam;
+    let attempt;
+
+    beforeEach(() => {
+        exam = makeExam();
+        attempt = makeAttempt(exam);
+        mock.method(Violation, 'summarize', async () => ({ count: 0, severity: 'none' }));
+        mock.method(Exam, 'findById', () => ({ select: async () => null }));
+        mock.method(Violation, 'find', () => ({ select: async () => [] }));
+        mock.method(Attempt, 'updateOne', async () => ({ matchedCount: 1 }));
+        mock.method(interventionService, '_toStudent', () => {});
+        mock.method(interventionService, '_toMonitor', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('scores the autosaved answers on a force-submit', async () => {
+        attempt.answers = { 0: 0, 1: '3' };
+        const create = mock.method(Submission, 'create', async (doc) => new Submission(doc));
+
+        const { state, result } = await interventionService.apply({
+            exam, attempt, adminId: new mongoose.Types.ObjectId(), action: 'force_submit', reason: 'Time to stop',
+        });
+
+        assert.equal(state.status, 'submitted');
+        assert.equal(attempt.endReason, 'Time to stop');
+        assert.equal(create.mock.calls[0].arguments[0].score, 8);
+        assert.deepEqual(result, {
+            resultStatus: 'final',
+            score: 8,
+            totalMarks: 8,
+            correctCount: 2,
+            partialCount: 0,
+            incorrectCount: 0,
+            pendingCount: 0,
+        });
+    });
+
+    it('reports the stored submission when a racing submit got there first', async () => {
+        const stored = new Submission({
+            exam: exam._id,
+            student: attempt.student,
+            answers: { 0: 1 },
+            score: -1,
+            autoScore: -1,
+            totalMarks: 8,
+            resultStatus: 'final',
+            submittedAt: new Date(Date.now() - 1000),
+        });
+        mock.method(Submission, 'create', async () => { throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 }); });
+        mock.method(Submission, 'findOne', async () => stored);
+
+        // This caller's answers would score full marks; the stored ones win
+        const { submission, result } = await submitAttempt(exam, attempt, { 0: 0, 1: '3' });
+
+        assert.equal(submission, stored);
+        assert.equal(result.score, -1);
+        assert.equal(result.incorrectCount, 1);
+        assert.equal(result.correctCount, 0);
+        assert.equal(attempt.status, 'submitted');
+        assert.equal(attempt.submittedAt.getTime(), stored.submittedAt.getTime());
+    });
+
+    it('passes other errors on', async () => {
+        mock.method(Submission, 'create', async () => { throw new Error('disk full'); });
+        await assert.rejects(submitAttempt(exam, attempt, {}), /disk full/);
+        assert.equal(attempt.status, 'in_progress');
+    });
+});
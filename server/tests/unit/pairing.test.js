@@ -0,0 +1,216 @@
+/**
+ * Pairing — unit tests for services/PairingService.js
+ *
+ * Run: npm test (from server/)
+ *
+ * Attempt.updateOne() is stubbed, so device records never reach a database.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Attempt from '../../src/models/Attempt.js';
+import pairingService from '../../src/services/PairingService.js';
+
+process.env.JWT_SECRET = 'unit-test-secret';
+
+const phoneA = { deviceId: 'device-a', socketId: 'socket-a', userAgent: 'Phone A' };
+const phoneB = { deviceId: 'device-b', socketId: 'socket-b', userAgent: 'Phone B' };
+const connected = () => true;
+const disconnected = () => false;
+
+// Let the device write (fire-and-forget) settle
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('PairingService', () => {
+    let examId;
+    let studentId;
+    let updates;
+    let matched;
+
+    beforeEach(() => {
+        examId = crypto.randomUUID();
+        studentId = crypto.randomUUID();
+        updates = [];
+        matched = 1;
+        mock.method(Attempt, 'updateOne', async (filter, update) => {
+            updates.push({ filter, update });
+            return { matchedCount: matched };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('sessions', () => {
+        it('keeps one session per student across laptop reconnects', () => {
+            const first = pairingService.openSession(examId, studentId, 'laptop-1');
+            const again = pairingService.openSession(examId, studentId, 'laptop-2');
+
+            assert.equal(again, first);
+            assert.equal(again.laptopSocketId, 'laptop-2');
+            assert.equal(pairingService.findSession(examId, studentId), first);
+            assert.equal(pairingService.getSession(first.sessionId), first);
+            assert.notEqual(pairingService.openSession(examId, crypto.randomUUID(), 'laptop-3'), first);
+        });
+    });
+
+    describe('pairing tokens', () => {
+        it('are single-use', () => {
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            const { token } = pairingService.issueToken(session);
+
+            assert.equal(pairingService.peekToken(token), session);
+            assert.equal(pairingService.redeem(token, phoneA, connected).session, session);
+            assert.equal(pairingService.peekToken(token), null);
+            assert.match(pairingService.redeem(token, phoneA, connected).error, /expired/);
+        });
+
+        it('replace any earlier token for the session', () => {
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            const old = pairingService.issueToken(session).token;
+            const fresh = pairingService.issueToken(session).token;
+
+            assert.equal(pairingService.peekToken(old), null);
+            assert.equal(pairingService.peekToken(fresh), session);
+        });
+
+        it('expire after two minutes', (t) => {
+            t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            const { token, expiresAt } = pairingService.issueToken(session);
+
+            t.mock.timers.tick(expiresAt - Date.now());
+            assert.equal(pairingService.peekToken(token), session);
+
+            t.mock.timers.tick(1);
+            assert.equal(pairingService.peekToken(token), null);
+        });
+
+        it('survive a rejected redeem', () => {
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            pairingService.redeem(pairingService.issueToken(session).token, phoneA, connected);
+            const { token } = pairingService.issueToken(session);
+
+            assert.equal(pairingService.redeem(token, phoneB, connected).conflict, true);
+            assert.equal(pairingService.peekToken(token), session);
+        });
+    });
+
+    describe('attach', () => {
+        it('pairs the first phone and records it on the attempt', async () => {
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            const { replacedSocketId } = pairingService.attach(session, phoneA, connected);
+            await flush();
+
+            assert.equal(replacedSocketId, null);
+            assert.equal(session.mobile.deviceId, 'device-a');
+            assert.deepEqual(updates[0].filter, { exam: examId, student: studentId });
+            const record = updates[0].update.$push.devices;
+            assert.equal(record.status, 'paired');
+            assert.equal(record.kind, 'mobile');
+            assert.equal(record.socketId, undefined);
+        });
+
+        it('rejects a second phone while the first is connected', () => {
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            pairingService.attach(session, phoneA, connected);
+
+            const result = pairingService.attach(session, phoneB, connected);
+
+            assert.equal(result.conflict, true);
+            assert.match(result.error, /Another phone/);
+            assert.equal(session.mobile.deviceId, 'device-a');
+        });
+
+        it('lets a new phone take over once the old one is gone', async () => {
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            pairingService.attach(session, phoneA, connected);
+
+            const result = pairingService.attach(session, phoneB, disconnected);
+            await flush();
+
+            assert.equal(result.replacedSocketId, 'socket-a');
+            assert.equal(session.mobile.deviceId, 'device-b');
+            assert.equal(updates[1].update.$push.devices.status, 'replaced');
+        });
+
+        it('moves the same phone to its new socket without a new record', async () => {
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            pairingService.attach(session, phoneA, connected);
+            const { pairedAt } = session.mobile;
+
+            const result = pairingService.attach(session, { ...phoneA, socketId: 'socket-a2' }, connected);
+            await flush();
+
+            assert.equal(result.replacedSocketId, 'socket-a');
+            assert.equal(session.mobile.socketId, 'socket-a2');
+            assert.equal(session.mobile.pairedAt, pairedAt);
+            assert.equal(updates.length, 1);
+        });
+
+        it('needs a device id', () => {
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            assert.deepEqual(pairingService.attach(session, { socketId: 'x' }, connected), { error: 'Missing device id' });
+        });
+    });
+
+    describe('device records before the attempt exists', () => {
+        it('are held and written on flush', async () => {
+            matched = 0;
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            pairingService.attach(session, phoneA, connected);
+            pairingService.recordRejected(session, phoneB);
+            await flush();
+
+            assert.deepEqual(session.pendingDevices.map((d) => d.status), ['paired', 'rejected']);
+
+            matched = 1;
+            await pairingService.flushPendingDevices(examId, studentId);
+
+            assert.equal(session.pendingDevices.length, 0);
+            assert.deepEqual(updates[2].update.$push.devices.$each.map((d) => d.deviceId), ['device-a', 'device-b']);
+        });
+
+        it('flush does nothing without pending records', async () => {
+            pairingService.openSession(examId, studentId, 'laptop-1');
+            await pairingService.flushPendingDevices(examId, studentId);
+            await pairingService.flushPendingDevices(crypto.randomUUID(), studentId);
+            assert.equal(updates.length, 0);
+        });
+    });
+
+    describe('resume tokens', () => {
+        it('are device-scoped and carry the session epoch', () => {
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            pairingService.attach(session, phoneA, connected);
+
+            const decoded = jwt.verify(pairingService.createDeviceToken(session), process.env.JWT_SECRET);
+
+            assert.equal(decoded.scope, 'device');
+            assert.equal(decoded.role, 'student');
+            assert.equal(decoded.userId, studentId);
+            assert.equal(decoded.examId, examId);
+            assert.equal(decoded.sessionId, session.sessionId);
+            assert.equal(decoded.deviceId, 'device-a');
+            assert.equal(decoded.epoch, session.epoch);
+        });
+
+        it('are retired by a re-pair, along with unused pairing tokens', () => {
+            const session = pairingService.openSession(examId, studentId, 'laptop-1');
+            pairingService.attach(session, phoneA, connected);
+            const before = jwt.decode(pairingService.createDeviceToken(session));
+            const { token } = pairingService.issueToken(session);
+
+            assert.equal(pairingService.resetMobile(session), 'socket-a');
+
+            assert.equal(session.mobile, null);
+            assert.notEqual(session.epoch, before.epoch);
+            assert.equal(pairingService.peekToken(token), null);
+
+            // The old phone is gone, so any phone may pair with a fresh code
+            const result = pairingService.redeem(pairingService.issueToken(session).token, phoneB, connected);
+            assert.equal(result.session.mobile.deviceId, 'device-b');
+        });
+    });
+});
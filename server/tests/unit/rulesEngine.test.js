@@ -0,0 +1,205 @@
+/**
+ * Rules Engine — unit tests for services/RulesEngine.js
+ *
+ * Run: npm test (from server/)
+ *
+ * Violations live in an in-memory list that the stubbed
+ * Violation.countDocuments() counts from; interventionService.apply()
+ * is stubbed to record what would have been done.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Exam from '../../src/models/Exam.js';
+import Attempt from '../../src/models/Attempt.js';
+import Violation from '../../src/models/Violation.js';
+import rulesEngine, { describeRule } from '../../src/services/RulesEngine.js';
+import interventionService from '../../src/services/InterventionService.js';
+
+// Stands in for a Mongoose query: chainable .select(), awaitable
+const query = (value) => ({
+    select: () => query(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+describe('describeRule', () => {
+    it('labels count, windowed and duration rules', () => {
+        assert.equal(describeRule({ type: 'tab_switch', count: 3, windowSeconds: 0, action: 'warn' }), '3× tab_switch → warn');
+        assert.equal(
+            describeRule({ type: 'tab_switch', count: 3, windowSeconds: 60, action: 'force_submit' }),
+            '3× tab_switch in 60s → force submit'
+        );
+        assert.equal(describeRule({ type: 'tether_lost', durationSeconds: 30, action: 'pause' }), 'tether_lost for 30s → pause');
+    });
+});
+
+describe('RulesEngine', () => {
+    let exam;
+    let attempt;
+    let stored;
+    let applied;
+
+    const addRule = (rule) => exam.violationRules.push(rule);
+
+    // A second later, store a violation `secondsAgo` back and run the engine on it
+    const report = (type, secondsAgo = 0) => {
+        mock.timers.tick(1000);
+        const violation = { exam: exam._id, student: attempt.student, type, createdAt: new Date(Date.now() - secondsAgo * 1000) };
+        stored.push(violation);
+        return rulesEngine.onViolation(violation);
+    };
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T10:00:00Z') });
+        exam = new Exam({ title: 'Physics', startTime: new Date(), durationMinutes: 60 });
+        attempt = new Attempt({ exam: exam._id, student: new mongoose.Types.ObjectId(), deadline: new Date(Date.now() + 3600 * 1000) });
+        stored = [];
+        applied = [];
+
+        mock.method(Exam, 'findById', () => query(exam));
+        mock.method(Attempt, 'findOne', () => query(attempt.status === 'in_progress' ? attempt : null));
+        mock.method(Violation, 'countDocuments', async (filter) =>
+            stored.filter((v) => v.type === filter.type && v.createdAt > filter.createdAt.$gt).length);
+
+        // Record the action the way InterventionService does, without saving or relaying
+        mock.method(interventionService, 'apply', async (params) => {
+            applied.push(params);
+            params.attempt.interventions.push({ action: params.action, rule: params.rule, at: new Date() });
+            if (params.action === 'force_submit') params.attempt.status = 'submitted';
+            if (params.action === 'pause') params.attempt.pausedAt = new Date();
+            return { state: {} };
+        });
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    describe('count rules', () => {
+        it('fires on every count-th violation', async () => {
+            addRule({ type: 'tab_switch', count: 3, action: 'warn' });
+
+            for (let i = 0; i < 7; i++) await report('tab_switch');
+
+            assert.equal(applied.length, 2);
+            assert.equal(applied[0].action, 'warn');
+            assert.equal(applied[0].message, 'Automatic action: 3× tab_switch → warn');
+            assert.equal(applied[0].rule.label, '3× tab_switch → warn');
+        });
+
+        it('only counts violations inside the window', async () => {
+            addRule({ type: 'tab_switch', count: 2, windowSeconds: 60, action: 'warn' });
+
+            await report('tab_switch', 300);
+            await report('tab_switch');
+            assert.equal(applied.length, 0);
+
+            await report('tab_switch');
+            assert.equal(applied.length, 1);
+        });
+
+        it('ignores other types and disabled rules', async () => {
+            addRule({ type: 'tab_switch', count: 1, action: 'warn' });
+            addRule({ type: 'window_blur', count: 1, action: 'warn', enabled: false });
+
+            await report('window_blur');
+            await report('copy_paste');
+
+            assert.equal(applied.length, 0);
+        });
+
+        it('uses the rule message when there is one', async () => {
+            addRule({ type: 'copy_paste', count: 1, action: 'warn', message: 'No copying, please' });
+
+            await report('copy_paste');
+
+            assert.equal(applied[0].reason, 'No copying, please');
+            assert.equal(applied[0].message, 'No copying, please');
+        });
+
+        it('fires once for a burst reported at the same time', async () => {
+            addRule({ type: 'tab_switch', count: 2, action: 'warn' });
+            stored.push({ type: 'tab_switch', createdAt: new Date() });
+
+            await Promise.all([report('tab_switch'), report('tab_switch')]);
+
+            assert.equal(applied.length, 1);
+        });
+
+        it('stops once an action ends the attempt', async () => {
+            addRule({ type: 'phone_detected', count: 1, action: 'force_submit' });
+            addRule({ type: 'phone_detected', count: 1, action: 'warn' });
+
+            await report('phone_detected');
+            await report('phone_detected');
+
+            assert.deepEqual(applied.map((p) => p.action), ['force_submit']);
+        });
+
+        it('does not pause an attempt that is already paused', async () => {
+            addRule({ type: 'no_face', count: 1, action: 'pause' });
+            addRule({ type: 'no_face', count: 1, action: 'warn' });
+            attempt.pausedAt = new Date();
+
+            await report('no_face');
+
+            assert.deepEqual(applied.map((p) => p.action), ['warn']);
+        });
+    });
+
+    describe('duration rules', () => {
+        const tether = (lostSecondsAgo) => ({
+            examId: String(exam._id),
+            studentId: String(attempt.student),
+            status: 'lost',
+            lostAt: Date.now() - lostSecondsAgo * 1000,
+        });
+
+        it('fires once the dropout has lasted long enough', async () => {
+            addRule({ type: 'tether_lost', durationSeconds: 30, action: 'pause' });
+
+            await rulesEngine.checkTethers([tether(10)]);
+            assert.equal(applied.length, 0);
+
+            await rulesEngine.checkTethers([tether(45)]);
+            assert.equal(applied.length, 1);
+            assert.equal(applied[0].rule.label, 'tether_lost for 30s → pause');
+        });
+
+        it('fires once per dropout', async () => {
+            addRule({ type: 'tether_lost', durationSeconds: 30, action: 'warn' });
+            const lost = tether(45);
+
+            await rulesEngine.checkTethers([lost]);
+            await rulesEngine.checkTethers([lost]);
+            assert.equal(applied.length, 1);
+
+            // Back, then lost again for 40s
+            mock.timers.tick(60 * 1000);
+            await rulesEngine.checkTethers([tether(40)]);
+            assert.equal(applied.length, 2);
+        });
+
+        it('leaves count rules and healthy tethers alone', async () => {
+            addRule({ type: 'tether_lost', count: 1, action: 'warn' });
+            addRule({ type: 'tether_lost', durationSeconds: 30, action: 'warn' });
+
+            await rulesEngine.checkTethers([{ ...tether(45), status: 'ok', lostAt: null }]);
+
+            assert.equal(applied.length, 0);
+        });
+    });
+
+    it('logs and carries on when a check fails', async () => {
+        const error = mock.method(console, 'error', () => {});
+        Exam.findById.mock.mockImplementation(() => query(Promise.reject(new Error('db down'))));
+
+        await report('tab_switch');
+
+        assert.equal(error.mock.callCount(), 1);
+        assert.equal(error.mock.calls[0].arguments[0], 'RulesEngine error:');
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Scoring — unit tests for services/scoring.js
+ *
+ * Run: npm test (from server/)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreQuestion, scoreAnswers, maxMarks } from '../../src/services/scoring.js';
+
+const scheme = {
+    correct: 4,
+    incorrect: -1,
+    partialPolicy: 'per_option',
+    partialPerOption: 1,
+    numeric: { correct: 4, incorrect: 0 },
+};
+
+const single = { type: 'single', options: ['a', 'b', 'c', 'd'], answerIndex: 2 };
+const multiple = { type: 'multiple', options: ['a', 'b', 'c', 'd'], answerIndices: [0, 1, 3] };
+const exact = { type: 'numeric', answerValue: 9.81 };
+const range = { type: 'numeric', answerRange: { min: 1.5, max: 2.5 } };
+const essay = { type: 'subjective', rubric: [{ points: 3 }, { points: 2 }] };
+
+describe('scoreQuestion', () => {
+    it('marks single choice correct or incorrect', () => {
+        assert.deepEqual(scoreQuestion(single, 2, scheme), { marks: 4, outcome: 'correct' });
+        assert.deepEqual(scoreQuestion(single, '2', scheme), { marks: 4, outcome: 'correct' });
+        assert.deepEqual(scoreQuestion(single, 0, scheme), { marks: -1, outcome: 'incorrect' });
+    });
+
+    it('treats a question without a type as single choice', () => {
+        assert.equal(scoreQuestion({ answerIndex: 1 }, 1, scheme).outcome, 'correct');
+    });
+
+    it('gives full marks only for the exact set of multiple answers', () => {
+        assert.deepEqual(scoreQuestion(multiple, [3, 0, 1], scheme), { marks: 4, outcome: 'correct' });
+        assert.deepEqual(scoreQuestion(multiple, [0, 0, 1, 3], scheme), { marks: 4, outcome: 'correct' });
+    });
+
+    it('awards partial marks per correct option chosen', () => {
+        assert.deepEqual(scoreQuestion(multiple, [0, 1], scheme), { marks: 2, outcome: 'partial' });
+        assert.deepEqual(
+            scoreQuestion(multiple, [0], { ...scheme, partialPerOption: 2 }),
+            { marks: 2, outcome: 'partial' }
+        );
+        assert.deepEqual(
+            scoreQuestion(multiple, [0, 1], { ...scheme, partialPolicy: 'none' }),
+            { marks: 0, outcome: 'partial' }
+        );
+    });
+
+    it('marks any wrong option in a multiple answer as incorrect', () => {
+        assert.deepEqual(scoreQuestion(multiple, [0, 1, 2], scheme), { marks: -1, outcome: 'incorrect' });
+    });
+
+    it('matches numeric answers exactly or within a range', () => {
+        assert.equal(scoreQuestion(exact, 9.81, scheme).outcome, 'correct');
+        assert.equal(scoreQuestion(exact, ' 9.810 ', scheme).outcome, 'correct');
+        assert.equal(scoreQuestion(exact, '9.8', scheme).outcome, 'incorrect');
+        assert.equal(scoreQuestion(range, '1.5', scheme).outcome, 'correct');
+        assert.equal(scoreQuestion(range, '+2.5', scheme).outcome, 'correct');
+        assert.equal(scoreQuestion(range, '.5', scheme).outcome, 'incorrect');
+        assert.equal(scoreQuestion(range, '2.6', scheme).outcome, 'incorrect');
+    });
+
+    it('uses the numeric marking, not the option marking', () => {
+        assert.deepEqual(scoreQuestion(exact, '1', scheme), { marks: 0, outcome: 'incorrect' });
+        assert.deepEqual(scoreQuestion(exact, '9.81', {}), { marks: 4, outcome: 'correct' });
+    });
+
+    it('rejects numeric strings that are not plain decimals', () => {
+        const zero = { type: 'numeric', answerValue: 0 };
+        for (const answer of ['0x0', '0e3', '0b0', '-0o0', 'Infinity', '1,5', '1.2.3', 'abc', '.']) {
+            assert.equal(scoreQuestion(zero, answer, scheme).outcome, 'incorrect', answer);
+        }
+        assert.equal(scoreQuestion({ type: 'numeric', answerValue: 1000 }, '1e3', scheme).outcome, 'incorrect');
+    });
+
+    it('treats blank answers as unattempted', () => {
+        for (const answer of [undefined, null, '', '   ', []]) {
+            assert.deepEqual(scoreQuestion(exact, answer, scheme), { marks: 0, outcome: 'unattempted' });
+        }
+        assert.equal(scoreQuestion(multiple, [], scheme).outcome, 'unattempted');
+    });
+
+    it('leaves subjective answers pending', () => {
+        assert.deepEqual(scoreQuestion(essay, 'An essay', scheme), { marks: 0, outcome: 'pending' });
+    });
+});
+
+describe('maxMarks', () => {
+    it('uses the marking scheme per question type', () => {
+        assert.equal(maxMarks(single, scheme), 4);
+        assert.equal(maxMarks(exact, { ...scheme, numeric: { correct: 3 } }), 3);
+        assert.equal(maxMarks(exact, { correct: 4 }), 4);
+        assert.equal(maxMarks(essay, scheme), 5);
+    });
+});
+
+describe('scoreAnswers', () => {
+    const paper = [single, multiple, exact, range, essay];
+
+    it('totals marks and counts outcomes across the paper', () => {
+        const result = scoreAnswers(paper, { 0: 2, 1: [0, 1], 2: '1', 4: 'An essay' }, scheme);
+        assert.deepEqual(result, {
+            score: 4 + 2 + 0,
+            totalMarks: 4 + 4 + 4 + 4 + 5,
+            correctCount: 1,
+            partialCount: 1,
+            incorrectCount: 1,
+            pendingIndices: [4],
+        });
+    });
+
+    it('scores an empty sheet as zero', () => {
+        const result = scoreAnswers(paper, undefined, scheme);
+        assert.equal(result.score, 0);
+        assert.equal(result.correctCount + result.partialCount + result.incorrectCount, 0);
+        assert.deepEqual(result.pendingIndices, []);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Shuffle — unit tests for services/shuffle.js
+ *
+ * Run: npm test (from server/)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { seededRandom, buildOrders, toStudentView, toCanonicalAnswers } from '../../src/services/shuffle.js';
+
+const questions = [
+    { id: 'q1', type: 'single', options: ['a', 'b', 'c', 'd'] },
+    { id: 'q2', type: 'multiple', options: ['w', 'x', 'y', 'z'] },
+    { id: 'q3', type: 'numeric' },
+    { id: 'q4', type: 'subjective' },
+];
+
+const isPermutation = (order, n) =>
+    order.length === n && [...order].sort((a, b) => a - b).every((v, i) => v === i);
+
+describe('seededRandom', () => {
+    it('repeats the same sequence for the same seed', () => {
+        const a = seededRandom('seed');
+        const b = seededRandom('seed');
+        const c = seededRandom('other');
+        const first = [a(), a(), a()];
+        assert.deepEqual([b(), b(), b()], first);
+        assert.notDeepEqual([c(), c(), c()], first);
+        first.forEach((x) => assert.ok(x >= 0 && x < 1));
+    });
+});
+
+describe('buildOrders', () => {
+    it('leaves orders empty when shuffling is off', () => {
+        assert.deepEqual(buildOrders({ questions }, 's'), { questionOrder: [], optionOrders: [] });
+    });
+
+    it('builds permutations, and no option order for typed-answer questions', () => {
+        const exam = { questions, shuffle: { questions: true, options: true } };
+        const { questionOrder, optionOrders } = buildOrders(exam, 's');
+
+        assert.ok(isPermutation(questionOrder, 4));
+        assert.ok(isPermutation(optionOrders[0], 4));
+        assert.ok(isPermutation(optionOrders[1], 4));
+        assert.deepEqual(optionOrders[2], []);
+        assert.deepEqual(optionOrders[3], []);
+    });
+
+    it('is stable for a seed', () => {
+        const exam = { questions, shuffle: { questions: true, options: true } };
+        assert.deepEqual(buildOrders(exam, 'abc'), buildOrders(exam, 'abc'));
+    });
+});
+
+describe('toStudentView', () => {
+    it('returns the paper unchanged without orders', () => {
+        assert.deepEqual(toStudentView(questions, {}), questions);
+    });
+
+    it('reorders questions and their options', () => {
+        const attempt = { questionOrder: [1, 0, 3, 2], optionOrders: [[3, 2, 1, 0], [], [], []] };
+        const view = toStudentView(questions, attempt);
+
+        assert.deepEqual(view.map((q) => q.id), ['q2', 'q1', 'q4', 'q3']);
+        assert.deepEqual(view[0].options, ['w', 'x', 'y', 'z']);
+        assert.deepEqual(view[1].options, ['d', 'c', 'b', 'a']);
+        assert.deepEqual(questions[0].options, ['a', 'b', 'c', 'd']); // not mutated
+    });
+});
+
+describe('toCanonicalAnswers', () => {
+    const attempt = { questionOrder: [1, 0, 3, 2], optionOrders: [[3, 2, 1, 0], [1, 2, 3, 0], [], []] };
+
+    it('maps display indices and options back to the canonical paper', () => {
+        const answers = { 0: [0, 3], 1: 0, 2: 'An essay', 3: '4.2' };
+        assert.deepEqual(toCanonicalAnswers(answers, attempt, questions), {
+            0: 3,
+            1: [1, 0],
+            2: '4.2',
+            3: 'An essay',
+        });
+    });
+
+    it('round-trips what the student sees to the canonical option', () => {
+        const view = toStudentView(questions, attempt);
+        const picked = view[1].options.indexOf('b'); // q1, displayed second
+        assert.equal(toCanonicalAnswers({ 1: picked }, attempt, questions)[0], 1);
+    });
+
+    it('drops unknown question and option indices', () => {
+        const answers = { 9: 1, 1: 7, 0: [0, 9] };
+        assert.deepEqual(toCanonicalAnswers(answers, attempt, questions), { 1: [1] });
+    });
+
+    it('passes blank option answers through unmapped', () => {
+        assert.deepEqual(toCanonicalAnswers({ 1: '', 0: [] }, attempt, questions), { 0: '', 1: [] });
+    });
+
+    it('passes answers through when the paper is not shuffled', () => {
+        assert.deepEqual(toCanonicalAnswers({ 0: 2, 1: [1, 3] }, {}, questions), { 0: 2, 1: [1, 3] });
+    });
+});
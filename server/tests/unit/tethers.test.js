@@ -0,0 +1,89 @@
+/**
+ * Tethers — unit tests for the phone tether tracking in services/ConnectionManager.js
+ *
+ * Run: npm test (from server/)
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import connectionManager from '../../src/services/ConnectionManager.js';
+
+const healthy = { cameraLive: true, visible: true, wakeLock: true, battery: { level: 0.8, charging: false } };
+
+const beat = (sessionId, examId, studentId, health = healthy) =>
+    connectionManager.recordHeartbeat(sessionId, { examId, studentId, socketId: `phone-${sessionId}`, health });
+
+describe('ConnectionManager tethers', () => {
+    beforeEach(() => connectionManager._tethers.clear());
+
+    it('grades heartbeats by what the phone reports', () => {
+        assert.equal(beat('s1', 'e1', 'u1').tether.status, 'healthy');
+
+        const { tether } = beat('s1', 'e1', 'u1', { ...healthy, cameraLive: false, wakeLock: false });
+        assert.equal(tether.status, 'degraded');
+        assert.deepEqual(tether.issues, ['camera_off', 'no_wake_lock']);
+
+        const low = beat('s1', 'e1', 'u1', { ...healthy, battery: { level: 0.1, charging: false } }).tether;
+        assert.equal(low.status, 'healthy');
+        assert.deepEqual(low.issues, ['battery_low']);
+
+        const charging = beat('s1', 'e1', 'u1', { ...healthy, battery: { level: 0.1, charging: true } }).tether;
+        assert.deepEqual(charging.issues, []);
+    });
+
+    it('reports a change only when the status or issues differ', () => {
+        assert.equal(beat('s1', 'e1', 'u1').changed, true);
+        assert.equal(beat('s1', 'e1', 'u1').changed, false);
+        assert.equal(beat('s1', 'e1', 'u1', { ...healthy, visible: false }).changed, true);
+    });
+
+    it('finds stale tethers and marks them lost once', () => {
+        beat('s1', 'e1', 'u1');
+        const now = Date.now();
+
+        assert.deepEqual(connectionManager.getStaleTethers(10000, now + 5000), []);
+        assert.deepEqual(connectionManager.getStaleTethers(10000, now + 20000).map((t) => t.sessionId), ['s1']);
+
+        const lost = connectionManager.markTetherLost('s1');
+        assert.equal(lost.status, 'lost');
+        assert.ok(lost.lostAt);
+        assert.equal(connectionManager.markTetherLost('s1'), null);
+        assert.deepEqual(connectionManager.getStaleTethers(10000, now + 20000), []);
+        assert.deepEqual(connectionManager.getLostTethers().map((t) => t.sessionId), ['s1']);
+    });
+
+    it('recovers a lost tether on the next heartbeat', () => {
+        beat('s1', 'e1', 'u1');
+        connectionManager.markTetherLost('s1');
+
+        const { tether, changed } = beat('s1', 'e1', 'u1');
+
+        assert.equal(changed, true);
+        assert.equal(tether.status, 'healthy');
+        assert.equal(tether.lostAt, null);
+        assert.deepEqual(connectionManager.getLostTethers(), []);
+    });
+
+    it('drops one student\'s tethers when their attempt closes', () => {
+        beat('s1', 'e1', 'u1');
+        beat('s2', 'e1', 'u2');
+        beat('s3', 'e2', 'u1');
+
+        connectionManager.removeTethers({ toString: () => 'e1' }, 'u1'); // ObjectIds compare by string
+
+        assert.equal(connectionManager.getTether('s1'), null);
+        assert.ok(connectionManager.getTether('s2'));
+        assert.ok(connectionManager.getTether('s3'));
+    });
+
+    it('drops every tether of an exam when it ends', () => {
+        beat('s1', 'e1', 'u1');
+        beat('s2', 'e1', 'u2');
+        beat('s3', 'e2', 'u1');
+
+        connectionManager.removeTethers('e1');
+
+        assert.deepEqual(connectionManager.getTethersByExam('e1'), []);
+        assert.equal(connectionManager.getTethersByExam('e2').length, 1);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Trust Score — unit tests for services/trustScore.js
+ *
+ * Run: npm test (from server/)
+ */
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Exam from '../../src/models/Exam.js';
+import Attempt from '../../src/models/Attempt.js';
+import Violation from '../../src/models/Violation.js';
+import {
+    DEFAULT_TRUST_WEIGHTS,
+    TETHER_DROPOUT_TYPE,
+    resolveTrustWeights,
+    computeTrustScore,
+    updateTrustScore,
+} from '../../src/services/trustScore.js';
+
+const T0 = Date.parse('2026-01-01T10:00:00Z');
+const at = (seconds) => new Date(T0 + seconds * 1000);
+
+describe('resolveTrustWeights', () => {
+    it('falls back to the defaults', () => {
+        assert.deepEqual(resolveTrustWeights(), DEFAULT_TRUST_WEIGHTS);
+        assert.deepEqual(resolveTrustWeights(null), DEFAULT_TRUST_WEIGHTS);
+    });
+
+    it('merges scalar and per-type overrides', () => {
+        const weights = resolveTrustWeights({ repeatFactor: 0, types: { tab_switch: 1 } });
+        assert.equal(weights.repeatFactor, 0);
+        assert.equal(weights.repeatWindowSeconds, DEFAULT_TRUST_WEIGHTS.repeatWindowSeconds);
+        assert.equal(weights.types.tab_switch, 1);
+        assert.equal(weights.types.phone_detected, DEFAULT_TRUST_WEIGHTS.types.phone_detected);
+    });
+
+    it('reads a stored override subdocument', () => {
+        const exam = new Exam({ trustWeights: { tetherDropout: 25, types: { window_blur: 9 } } });
+        const weights = resolveTrustWeights(exam.trustWeights);
+        assert.equal(weights.tetherDropout, 25);
+        assert.equal(weights.types.window_blur, 9);
+        assert.equal(weights.defaultWeight, DEFAULT_TRUST_WEIGHTS.defaultWeight);
+    });
+
+    it('ignores unset scalars', () => {
+        assert.equal(resolveTrustWeights({ defaultWeight: null }).defaultWeight, DEFAULT_TRUST_WEIGHTS.defaultWeight);
+    });
+});
+
+describe('computeTrustScore', () => {
+    const weights = resolveTrustWeights();
+
+    it('scores a clean attempt 100', () => {
+        assert.deepEqual(computeTrustScore([], weights), { score: 100, penalty: 0, byType: {} });
+    });
+
+    it('scales the type weight by confidence', () => {
+        const result = computeTrustScore([{ type: 'phone_detected', confidence: 0.5, createdAt: at(0) }], weights);
+        assert.equal(result.penalty, 7.5);
+        assert.equal(result.score, 93);
+    });
+
+    it('treats a missing confidence as certain and unknown types at the default weight', () => {
+        const result = computeTrustScore([{ type: 'something_new', createdAt: at(0) }], weights);
+        assert.equal(result.penalty, DEFAULT_TRUST_WEIGHTS.defaultWeight);
+    });
+
+    it('uses the tether weight for dropouts', () => {
+        const result = computeTrustScore([{ type: TETHER_DROPOUT_TYPE, confidence: 1, createdAt: at(0) }], weights);
+        assert.equal(result.penalty, DEFAULT_TRUST_WEIGHTS.tetherDropout);
+    });
+
+    it('charges more for repeats inside the window', () => {
+        // tab_switch = 6: 6, then 6 × 1.5, then 6 × 2
+        const burst = [0, 30, 60].map((s) => ({ type: 'tab_switch', confidence: 1, createdAt: at(s) }));
+        const result = computeTrustScore(burst, weights);
+        assert.equal(result.penalty, 6 + 9 + 12);
+        assert.deepEqual(result.byType, { tab_switch: { count: 3, penalty: 27 } });
+    });
+
+    it('does not compound repeats outside the window', () => {
+        const spread = [0, 300, 600].map((s) => ({ type: 'tab_switch', confidence: 1, createdAt: at(s) }));
+        assert.equal(computeTrustScore(spread, weights).penalty, 18);
+    });
+
+    it('orders by server receive time, whatever order they arrive in', () => {
+        const violations = [
+            { type: 'tab_switch', confidence: 1, createdAt: at(600) },
+            { type: 'tab_switch', confidence: 1, createdAt: at(0) },
+            { type: 'tab_switch', confidence: 1, createdAt: at(30) },
+        ];
+        assert.equal(computeTrustScore(violations, weights).penalty, 6 + 9 + 6);
+    });
+
+    it('ignores the device timestamp', () => {
+        const burst = [0, 30].map((s, i) => ({
+            type: 'tab_switch',
+            confidence: 1,
+            timestamp: at(i * 3600), // a client spreading its reports out
+            createdAt: at(s),
+        }));
+        assert.equal(computeTrustScore(burst, weights).penalty, 6 + 9);
+    });
+
+    it('counts repeats per type', () => {
+        const mixed = [
+            { type: 'tab_switch', confidence: 1, createdAt: at(0) },
+            { type: 'window_blur', confidence: 1, createdAt: at(10) },
+        ];
+        assert.equal(computeTrustScore(mixed, weights).penalty, 6 + 3);
+    });
+
+    it('never goes below zero', () => {
+        const many = Array.from({ length: 10 }, (_, i) => ({ type: 'multiple_faces', confidence: 1, createdAt: at(i) }));
+        assert.equal(computeTrustScore(many, weights).score, 0);
+    });
+});
+
+describe('updateTrustScore', () => {
+    afterEach(() => mock.restoreAll());
+
+    const chain = (value) => ({ select: async () => value });
+
+    it('scores stored violations with the exam weights and saves the result', async () => {
+        const selected = [];
+        mock.method(Exam, 'findById', () => chain({ trustWeights: { types: { tab_switch: 10 } } }));
+        mock.method(Violation, 'find', () => ({
+            select: async (fields) => {
+                selected.push(fields);
+                return [{ type: 'tab_switch', confidence: 1, createdAt: at(0) }];
+            },
+        }));
+        const update = mock.method(Attempt, 'updateOne', async () => ({ matchedCount: 1 }));
+
+        const result = await updateTrustScore('exam1', 'student1');
+
+        assert.equal(result.score, 90);
+        assert.match(selected[0], /\bcreatedAt\b/);
+        assert.deepEqual(update.mock.calls[0].arguments, [
+            { exam: 'exam1', student: 'student1', status: 'in_progress' },
+            { $set: { trustScore: 90 } },
+        ]);
+    });
+
+    it('rewrites a finished attempt when asked', async () => {
+        mock.method(Exam, 'findById', () => chain(null));
+        mock.method(Violation, 'find', () => chain([]));
+        const update = mock.method(Attempt, 'updateOne', async () => ({ matchedCount: 1 }));
+
+        await updateTrustScore('exam1', 'student1', { anyStatus: true });
+
+        assert.deepEqual(update.mock.calls[0].arguments[0], { exam: 'exam1', student: 'student1' });
+    });
+});